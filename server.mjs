@@ -8,17 +8,110 @@ import {
   pickFromAcceptLanguage as pickAL,
   isRtlLang as _isRtl,
   dirFor as _dirFor,
+  negotiateLanguageSimple,
 } from "./src/utils/lang.mjs";
 import {
   translateTextCached,
   translateFieldsCached,
+  translateHtmlCached,
   translateMetrics,
 } from "./src/utils/textTranslate.mjs";
+import { isTranslationUnavailable } from "./src/utils/mtProviders.mjs";
 import {
   generateWithSearch,
+  generateWithSearchStream,
+  generatePlain,
   extractGroundingLinks,
 } from "./src/utils/gemini.mjs";
+import {
+  encodeFeedCursor,
+  decodeFeedCursor,
+  keysetFilter,
+} from "./src/utils/feedCursor.mjs";
 import createCategoryRoutes from "./src/routes/categories.mjs";
+import createAuthRoutes from "./src/routes/auth.mjs";
+import {
+  authMiddleware,
+  optionalAuth,
+  userIdFromRequest,
+} from "./src/utils/auth.mjs";
+import {
+  createPreferencesStore,
+  preferredLanguage,
+  boostByTopics,
+} from "./src/utils/preferences.mjs";
+import {
+  createChatStore,
+  newChatMessage,
+  reconcileChatHistory,
+} from "./src/utils/chatStore.mjs";
+import {
+  buildConversationContext,
+  formatConversation,
+  summaryPrompt,
+} from "./src/utils/chatContext.mjs";
+import {
+  buildQuizPrompt,
+  parseQuizJson,
+  publicQuiz,
+  scoreQuiz,
+  quizQuestionCount,
+  createQuizStore,
+} from "./src/utils/quiz.mjs";
+import {
+  pickSourceArticles,
+  coverageHash,
+  buildCoveragePrompt,
+  parseCoverageJson,
+  translateCoverage,
+} from "./src/utils/coverage.mjs";
+import {
+  validateInteraction,
+  createInteractionRecorder,
+} from "./src/utils/interactions.mjs";
+import { createJobQueue } from "./src/utils/jobQueue.mjs";
+import { marketFromRow } from "./src/utils/markets.mjs";
+import { createPretranslateScheduler } from "./src/utils/pretranslate.mjs";
+import {
+  createBatchJobStore,
+  countItems,
+  FINAL_ITEM_STATUSES,
+} from "./src/utils/batchJobs.mjs";
+import createAdminRoutes from "./src/routes/admin.mjs";
+import {
+  metricsRegistry,
+  metricsFormat,
+  CONTENT_TYPES,
+} from "./src/utils/promMetrics.mjs";
+import {
+  logger,
+  requestIdMiddleware,
+  fetchWithRequestId,
+  routeTemplate,
+} from "./src/utils/logger.mjs";
+import {
+  withSpan,
+  traceMiddleware,
+  fetchWithTraceContext,
+} from "./src/utils/tracing.mjs";
+import { runReadinessChecks } from "./src/utils/readiness.mjs";
+import {
+  llmBudget,
+  isBudgetError,
+  runWithLlmUser,
+  createSupabaseSpendStore,
+} from "./src/utils/llmBudget.mjs";
+import {
+  createRateLimiter,
+  createRateLimitStore,
+  parseTrustProxy,
+} from "./src/utils/rateLimit.mjs";
+import {
+  createResponseCache,
+  createResponseCacheStore,
+  responseCachePrefix,
+  responseCacheLangPrefixes,
+} from "./src/utils/responseCache.mjs";
 
 // Load .env manually (simple parser) if not already loaded
 (function loadEnv() {
@@ -38,15 +131,98 @@ const PORT = process.env.PORT || 4000;
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY; // server only
 if (!SUPABASE_URL || !SERVICE_KEY) {
-  console.error("Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY");
+  logger.error("Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY");
   process.exit(1);
 }
 
 const supabase = createClient(SUPABASE_URL, SERVICE_KEY, {
   auth: { persistSession: false },
+  // Forward the current request id to PostgREST
+  global: { fetch: fetchWithRequestId(fetchWithTraceContext()) },
+});
+// LLM spend per period is shared by all instances unless LLM_BUDGET_STORE=memory
+if (process.env.LLM_BUDGET_STORE !== "memory")
+  llmBudget.useStore(createSupabaseSpendStore(supabase, { withTimeout }));
+const chatStore = createChatStore(supabase, { withTimeout });
+const preferencesStore = createPreferencesStore(supabase, { withTimeout });
+const quizStore = createQuizStore(supabase, { withTimeout });
+const interactionRecorder = createInteractionRecorder(supabase, {
+  withTimeout,
+});
+// Durable queue for translation persistence (bff_jobs, memory fallback).
+// Handlers throw when nothing was translated or stored (strict mode for
+// cluster text) so the queue can retry with backoff.
+const jobQueue = createJobQueue(supabase, {
+  withTimeout,
+  handlers: {
+    // Jobs of the pre-translation scheduler carry the cluster version
+    cluster_translation: ({ clusterId, lang, version }) =>
+      withSpan("job cluster_translation", () =>
+        version === undefined
+          ? ensureClusterTextInLangDedup(clusterId, lang, { strict: true })
+          : pretranslator.handle(clusterId, lang, version)
+      ),
+    article_translation: ({ articleId, lang }) =>
+      withSpan("job article_translation", () =>
+        ensureArticleTranslationDedup(articleId, lang)
+      ),
+    translate_batch: (payload, job, ctx) =>
+      withSpan("job translate_batch", () => runBatchJob(payload, job, ctx)),
+  },
 });
+const batchJobs = createBatchJobStore(supabase, { withTimeout });
 const app = express();
+// req.ip honors X-Forwarded-For only from trusted proxies (TRUST_PROXY)
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
 app.use(express.json({ limit: "1mb" }));
+// After the body parser: its stream callbacks would drop the request context
+app.use(requestIdMiddleware);
+app.use(traceMiddleware);
+// Per-user LLM budgets see the caller of every Gemini call made for a request
+app.use((req, _res, next) => runWithLlmUser(userIdFromRequest(req), next));
+
+// Per-route request counters and latency histograms (Prometheus exposition)
+const httpRequests = metricsRegistry.counter(
+  "bff_http_requests",
+  "HTTP requests by route, method and status code"
+);
+const httpDuration = metricsRegistry.histogram(
+  "bff_http_request_duration_seconds",
+  "HTTP request latency by route and method"
+);
+const queryDuration = metricsRegistry.histogram(
+  "bff_query_duration_seconds",
+  "Latency of Supabase queries and other withTimeout calls by label"
+);
+const rateLimited = metricsRegistry.counter(
+  "bff_rate_limited",
+  "Requests rejected by a rate limit policy"
+);
+// Named per-route policies (RATE_LIMIT_POLICIES) over a shared or local store
+const rateLimit = createRateLimiter({
+  store: createRateLimitStore(supabase, { withTimeout }),
+  onLimited: (policy, identity) => {
+    rateLimited.inc({ policy });
+    if (bffMetrics[policy]?.limited !== undefined)
+      bffMetrics[policy].limited += 1;
+    logger.metric("bff.rate_limited", { policy, identity }, "warn");
+  },
+});
+// Cached read responses with strong ETags (RESPONSE_CACHE_* settings)
+const responseCache = createResponseCache({
+  store: createResponseCacheStore(),
+});
+app.use((req, res, next) => {
+  const t0 = process.hrtime.bigint();
+  res.on("finish", () => {
+    // Route templates keep label cardinality bounded (no ids or query strings)
+    const route = routeTemplate(req) || "unmatched";
+    const seconds = Number(process.hrtime.bigint() - t0) / 1e9;
+    httpRequests.inc({ route, method: req.method, status: res.statusCode });
+    httpDuration.observe({ route, method: req.method }, seconds);
+  });
+  next();
+});
 // Basic CORS (uses ALLOWED_ORIGINS env or *)
 const allowed = (process.env.ALLOWED_ORIGINS || "*")
   .split(",")
@@ -61,8 +237,15 @@ app.use((req, res, next) => {
   }
   res.setHeader("Vary", "Origin");
   res.setHeader("Access-Control-Allow-Credentials", "false");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Authorization, X-Request-Id, If-None-Match"
+  );
   res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,DELETE,OPTIONS");
+  res.setHeader(
+    "Access-Control-Expose-Headers",
+    "X-Next-Cursor, X-Pending-Cluster-Ids, X-Request-Id, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After, ETag, X-Cache"
+  );
   if (req.method === "OPTIONS") return res.sendStatus(204);
   next();
 });
@@ -72,11 +255,12 @@ const normalizeBcp47 = nBcp47;
 const pickFromAcceptLanguage = pickAL;
 
 function negotiateLanguage(req) {
-  // Priority: ?lang > (future user profile) > Accept-Language > en
-  const q = normalizeBcp47(req.query.lang);
-  if (q) return q;
-  const h = pickFromAcceptLanguage(req.headers["accept-language"]);
-  return h || "en";
+  // Priority: ?lang > user profile > Accept-Language > en
+  return negotiateLanguageSimple(
+    req.query.lang,
+    req.headers["accept-language"],
+    preferredLanguage(req.userPreferences)
+  );
 }
 
 const isRtlLang = _isRtl;
@@ -86,19 +270,48 @@ function setLangHeaders(res, lang) {
   res.setHeader("Content-Direction", isRtlLang(lang) ? "rtl" : "ltr");
 }
 
-// Wrap thenable with a timeout; works with Supabase query builders
-function withTimeout(promiseLike, ms, label = "operation") {
-  let to;
-  const p = Promise.resolve(promiseLike);
-  return Promise.race([
-    p.finally(() => clearTimeout(to)),
-    new Promise((_, rej) => {
-      to = setTimeout(
-        () => rej(new Error(`${label} timed out after ${ms}ms`)),
-        ms
+// Wrap thenable with a timeout; works with Supabase query builders.
+// Each call is a client span named after its label; durations are observed per
+// label with outcome ok, error or timeout. Labels are metric label values, so
+// keep them static and put ids or languages in the span attributes.
+function withTimeout(promiseLike, ms, label = "operation", attributes = {}) {
+  return withSpan(
+    label,
+    (span) => {
+      let to;
+      let timedOut = false;
+      const t0 = process.hrtime.bigint();
+      const observe = (outcome) => {
+        outcome = timedOut ? "timeout" : outcome;
+        span.setAttribute("bff.outcome", outcome);
+        queryDuration.observe(
+          { label, outcome },
+          Number(process.hrtime.bigint() - t0) / 1e9
+        );
+      };
+      const p = Promise.resolve(promiseLike).then(
+        (v) => {
+          if (v && v.error) span.recordException(v.error);
+          observe(v && v.error ? "error" : "ok");
+          return v;
+        },
+        (e) => {
+          observe("error");
+          throw e;
+        }
       );
-    }),
-  ]);
+      return Promise.race([
+        p.finally(() => clearTimeout(to)),
+        new Promise((_, rej) => {
+          to = setTimeout(() => {
+            timedOut = true;
+            rej(new Error(`${label} timed out after ${ms}ms`));
+          }, ms);
+        }),
+      ]);
+    },
+    { kind: "client", attributes: { ...attributes, "bff.timeout_ms": ms } }
+  );
 }
 
 // Minimal HTML entity decoder for display hygiene
@@ -130,35 +343,240 @@ function decodeHtmlEntities(text) {
 
 // Removed: legacy /articles demo fallback and routes
 
-// Light ID generator for demo entities
-function genId(prefix = "id_") {
-  return `${prefix}${Math.random().toString(36).slice(2, 10)}`;
-}
-
-// In-memory stores for demo endpoints
-const quizzes = new Map();
-const coverageStore = new Map();
-const chats = new Map();
-const tokens = new Map();
-const users = [];
-const interactions = [];
+// In-memory cache for coverage comparisons
+const coverageStore = new Map(); // `${clusterId}|${hash}|${lang}` -> comparison entry
 
 // --------------- Lightweight BFF metrics ---------------
 const bffMetrics = {
   service: "insight-bff",
   feed: { requests: 0, errors: 0 },
   cluster: { requests: 0, errors: 0 },
+  quiz: { requests: 0, generated: 0, errors: 0 },
+  coverage: { requests: 0, generated: 0, errors: 0 },
   config: { requests: 0, errors: 0 },
   batch: {
     requests: 0,
     succeeded: 0,
     failed: 0,
     limited: 0,
+    jobs: 0,
   },
 };
 
-app.get("/metrics", (_req, res) => {
-  res.json({ ...bffMetrics, translate: translateMetrics });
+// Snapshot counters and gauges for the Prometheus exposition
+const ratio = (num, den) => (den > 0 ? num / den : 0);
+metricsRegistry.collect(() => {
+  const families = [];
+  for (const [area, counters] of Object.entries(bffMetrics)) {
+    if (!counters || typeof counters !== "object") continue;
+    for (const [name, value] of Object.entries(counters))
+      families.push({
+        name: `bff_${area}_${name}`,
+        type: "counter",
+        help: `BFF ${area} ${name}`,
+        samples: [{ labels: {}, value }],
+      });
+  }
+  const t = translateMetrics;
+  for (const [name, key] of [
+    ["bff_translate_provider_calls", "providerCalls"],
+    ["bff_translate_provider_errors", "providerErrors"],
+    ["bff_translate_cache_hits", "cacheHits"],
+    ["bff_translate_cache_misses", "cacheMisses"],
+    ["bff_translate_db_hits", "dbHits"],
+    ["bff_translate_db_writes", "dbWrites"],
+    ["bff_translate_failovers", "failovers"],
+    ["bff_translate_glossary_violations", "glossaryViolations"],
+  ])
+    families.push({
+      name,
+      type: "counter",
+      help: `Translation ${key}`,
+      samples: [{ labels: {}, value: t[key] || 0 }],
+    });
+  const providers = Object.entries(t.providers || {});
+  families.push(
+    {
+      name: "bff_provider_calls",
+      type: "counter",
+      help: "Translation provider attempts by provider",
+      samples: providers.map(([provider, p]) => ({
+        labels: { provider },
+        value: p.calls,
+      })),
+    },
+    {
+      name: "bff_provider_errors",
+      type: "counter",
+      help: "Failed translation provider attempts by provider",
+      samples: providers.map(([provider, p]) => ({
+        labels: { provider },
+        value: p.errors,
+      })),
+    }
+  );
+  // Memory cache first, then the translations table, then a provider call
+  const lookups = t.cacheHits + t.dbHits + t.cacheMisses;
+  families.push({
+    name: "bff_translate_cache_hit_ratio",
+    type: "gauge",
+    help: "Share of translation lookups served per cache layer",
+    samples: [
+      { labels: { layer: "memory" }, value: ratio(t.cacheHits, lookups) },
+      { labels: { layer: "db" }, value: ratio(t.dbHits, lookups) },
+      {
+        labels: { layer: "any" },
+        value: ratio(t.cacheHits + t.dbHits, lookups),
+      },
+    ],
+  });
+  const interactions = interactionRecorder.stats();
+  const jobs = jobQueue.stats();
+  families.push(
+    {
+      name: "bff_interactions_buffered",
+      type: "gauge",
+      help: "Interaction events waiting to be written",
+      samples: [{ labels: {}, value: interactions.buffered }],
+    },
+    {
+      name: "bff_interactions_flushed",
+      type: "counter",
+      help: "Interaction events written to article_interactions",
+      samples: [{ labels: {}, value: interactions.flushed }],
+    },
+    {
+      name: "bff_jobs_active",
+      type: "gauge",
+      help: "Background jobs running in this process",
+      samples: [{ labels: {}, value: jobs.active }],
+    },
+    {
+      name: "bff_job_attempts",
+      type: "counter",
+      help: "Background job attempts by outcome",
+      samples: ["succeeded", "retried", "dead"].map((outcome) => ({
+        labels: { outcome },
+        value: jobs[outcome],
+      })),
+    }
+  );
+  const llm = llmBudget.snapshot();
+  const perFeature = (key) =>
+    Object.entries(llm.features).map(([feature, t]) => ({
+      labels: { feature },
+      value: t[key],
+    }));
+  families.push(
+    {
+      name: "bff_llm_calls",
+      type: "counter",
+      help: "Gemini calls by feature",
+      samples: perFeature("calls"),
+    },
+    {
+      name: "bff_llm_tokens",
+      type: "counter",
+      help: "Gemini tokens by feature and direction",
+      samples: Object.entries(llm.features).flatMap(([feature, t]) => [
+        { labels: { feature, type: "input" }, value: t.input_tokens },
+        { labels: { feature, type: "output" }, value: t.output_tokens },
+      ]),
+    },
+    {
+      name: "bff_llm_cost_usd",
+      type: "counter",
+      help: "Estimated Gemini spend in USD by feature",
+      samples: perFeature("cost_usd"),
+    },
+    {
+      name: "bff_llm_budget_blocked",
+      type: "counter",
+      help: "Gemini calls refused because a budget was used up",
+      samples: perFeature("blocked"),
+    },
+    {
+      name: "bff_llm_budget_remaining_usd",
+      type: "gauge",
+      help: "Remaining global LLM budget in USD for the current period",
+      samples: llm.budgets.map((b) => ({
+        labels: { feature: b.feature, scope: b.scope },
+        value: b.remaining_usd,
+      })),
+    }
+  );
+  const pt = pretranslator.stats();
+  families.push(
+    {
+      name: "bff_pretranslate_runs",
+      type: "counter",
+      help: "Pre-translation scheduler passes",
+      samples: [{ labels: {}, value: pt.runs }],
+    },
+    {
+      name: "bff_pretranslate_pairs",
+      type: "counter",
+      help: "Cluster and language pairs enqueued or handled by pre-translation, by outcome",
+      samples: [
+        "queued",
+        "deduped",
+        "translated",
+        "fresh",
+        "missing",
+        "failed",
+      ].map((outcome) => ({ labels: { outcome }, value: pt[outcome] })),
+    },
+    {
+      name: "bff_pretranslate_budget_stops",
+      type: "counter",
+      help: "Pre-translation passes and jobs stopped by the LLM budget",
+      samples: [{ labels: {}, value: pt.budget_stops }],
+    },
+    {
+      name: "bff_pretranslate_last_duration_seconds",
+      type: "gauge",
+      help: "Duration of the last pre-translation pass",
+      samples: [{ labels: {}, value: (pt.last_duration_ms || 0) / 1000 }],
+    }
+  );
+  const rc = responseCache.stats();
+  families.push({
+    name: "bff_response_cache_lookups",
+    type: "counter",
+    help: "Cached read route lookups by result",
+    samples: ["hits", "misses", "bypassed"].map((result) => ({
+      labels: { result },
+      value: rc[result],
+    })),
+  });
+  for (const key of ["stores", "invalidations", "errors"])
+    families.push({
+      name: `bff_response_cache_${key}`,
+      type: "counter",
+      help: `Response cache ${key}`,
+      samples: [{ labels: {}, value: rc[key] }],
+    });
+  return families;
+});
+
+// JSON by default; Prometheus text or OpenMetrics via Accept or ?format=
+app.get("/metrics", (req, res) => {
+  const format = metricsFormat(req);
+  if (format) {
+    res.setHeader("Content-Type", CONTENT_TYPES[format]);
+    return res.send(
+      metricsRegistry.render({ openMetrics: format === "openmetrics" })
+    );
+  }
+  res.json({
+    ...bffMetrics,
+    interactions: interactionRecorder.stats(),
+    jobs: jobQueue.stats(),
+    translate: translateMetrics,
+    llm: llmBudget.snapshot(),
+    response_cache: responseCache.stats(),
+    pretranslate: pretranslator.stats(),
+  });
 });
 
 // Lightweight health check for smoke tests and uptime probes
@@ -170,9 +588,207 @@ app.get("/health", (_req, res) => {
   });
 });
 
+// Readiness: dependency checks for load balancers (/health stays liveness).
+// Supabase and the tables the read paths need are critical; Gemini and the
+// job queue are reported but do not take the instance out of rotation.
+const READY_TABLES = ["translations", "cluster_ai", "app_markets"];
+app.get("/ready", async (_req, res) => {
+  const probe = (table, label) => async () => {
+    const { error } = await withTimeout(
+      supabase.from(table).select("*", { head: true }).limit(1),
+      1500,
+      label
+    );
+    if (error) throw new Error(error.message || String(error.code || error));
+  };
+  const checks = {
+    supabase: { run: probe("clusters", "ready supabase") },
+    ...Object.fromEntries(
+      READY_TABLES.map((t) => [t, { run: probe(t, "ready table") }])
+    ),
+    gemini: {
+      critical: false,
+      run: () => {
+        const configured = Boolean(
+          process.env.LLM_API_KEY || process.env.GEMINI_API_KEY
+        );
+        return { status: configured ? "up" : "not_configured", configured };
+      },
+    },
+    job_queue: {
+      critical: false,
+      run: async () => ({ ...(await jobQueue.depth()), ...jobQueue.stats() }),
+    },
+  };
+  const { ready, checks: results } = await runReadinessChecks(checks, {
+    timeoutMs: 2000,
+  });
+  res.status(ready ? 200 : 503).json({
+    ok: ready,
+    service: "insight-bff",
+    time: new Date().toISOString(),
+    checks: results,
+  });
+});
+
 // -------------------- Article endpoints --------------------
+// Rows stored by earlier versions when translation failed carry the stub
+// marker of the old fallback translator. Such rows count as missing so the
+// next read translates again.
+function isStubArticleTranslation(row, srcLang) {
+  if (!row) return false;
+  const base = (t) => (t || "").split("-")[0].toLowerCase();
+  if (srcLang && base(row.dst_lang) === base(srcLang)) return false;
+  const stubMarker = " [translated]";
+  return [row.headline, row.summary_ai, row.text_html].some((f) =>
+    (f || "").includes(stubMarker)
+  );
+}
+
+// Write-through translation for one article (headline, summary and body), the
+// article counterpart of ensureClusterTextInLang. Translates from the source
+// language row (else any row, else articles.title/snippet), persists the result
+// to articles_translations and returns the target row, or null when the article
+// does not exist. withBody: false only translates headline and summary (feed
+// cards); the body is filled in by the next full translation. Throws
+// translation_unavailable when no provider translates; nothing is persisted.
+async function ensureArticleTranslation(
+  articleId,
+  targetLang,
+  { withBody = true } = {}
+) {
+  const base = (t) => (t || "").split("-")[0].toLowerCase();
+  const dst = base(targetLang);
+  const { data: art, error } = await withTimeout(
+    supabase
+      .from("articles")
+      .select("id,lang,title,snippet")
+      .eq("id", articleId)
+      .maybeSingle(),
+    2000,
+    "article translate base"
+  );
+  if (error) throw error;
+  if (!art) return null;
+  const { data: rows } = await withTimeout(
+    supabase
+      .from("articles_translations")
+      .select("dst_lang,headline,summary_ai,text_html")
+      .eq("article_id", articleId),
+    2000,
+    "article translate rows"
+  );
+  const src = base(art.lang);
+  // Other languages only serve as a source when they hold a real translation
+  const others = (rows || []).filter(
+    (r) => base(r.dst_lang) !== dst && !isStubArticleTranslation(r, art.lang)
+  );
+  const source =
+    (rows || []).find((r) => src && base(r.dst_lang) === src) ||
+    others.find((r) => r.text_html) ||
+    others[0] ||
+    null;
+  const existing =
+    (rows || []).find((r) => r.dst_lang === targetLang) ||
+    (rows || []).find((r) => base(r.dst_lang) === dst) ||
+    null;
+  const srcLang = normalizeBcp47(source?.dst_lang || art.lang || "") || "auto";
+  const headline = source?.headline || art.title || "";
+  const summary = source?.summary_ai || art.snippet || "";
+  const stale = isStubArticleTranslation(existing, srcLang);
+  if (
+    existing &&
+    existing.headline &&
+    !stale &&
+    (existing.text_html || !source?.text_html || !withBody)
+  )
+    return existing;
+  // Nothing to translate when the source already is in the target language
+  if (base(srcLang) === dst)
+    return (
+      source || {
+        dst_lang: dst,
+        headline: art.title || null,
+        summary_ai: art.snippet || null,
+        text_html: null,
+      }
+    );
+
+  const html = (withBody && source?.text_html) || "";
+  const [fields, body] = await Promise.all([
+    translateFieldsCached(
+      { title: headline, summary, details: "" },
+      { srcLang, dstLang: dst }
+    ),
+    html ? translateHtmlCached(html, { srcLang, dstLang: dst }) : null,
+  ]);
+  const row = {
+    article_id: articleId,
+    dst_lang: dst,
+    headline: fields.title || headline || null,
+    summary_ai: fields.summary || summary || null,
+    text_html: body || (!stale && existing?.text_html) || null,
+  };
+  try {
+    const write = existing
+      ? supabase
+          .from("articles_translations")
+          .update({
+            headline: row.headline,
+            summary_ai: row.summary_ai,
+            text_html: row.text_html,
+          })
+          .eq("article_id", articleId)
+          .eq("dst_lang", existing.dst_lang)
+      : supabase.from("articles_translations").insert(row);
+    const { error: wErr } = await withTimeout(
+      write,
+      2000,
+      "article translation persist"
+    );
+    if (wErr) throw wErr;
+    // Cached article pages of this language family still show the fallback
+    await Promise.all(
+      responseCacheLangPrefixes("article", articleId, dst).map((prefix) =>
+        responseCache.invalidate(prefix)
+      )
+    );
+  } catch (e) {
+    logger.warn("article translation persist failed", { err: e });
+  }
+  return existing ? { ...row, dst_lang: existing.dst_lang } : row;
+}
+
+// In-process deduplication for ensureArticleTranslation calls; a headline-only
+// call also joins a full translation already in flight
+const _articleInflight = new Map(); // `${articleId}|${lang}[|card]` -> Promise
+function ensureArticleTranslationDedup(
+  articleId,
+  targetLang,
+  { withBody = true } = {}
+) {
+  const full = `${articleId}|${(targetLang || "").split("-")[0].toLowerCase()}`;
+  const key = withBody ? full : `${full}|card`;
+  const existing = _articleInflight.get(full) || _articleInflight.get(key);
+  if (existing) return existing;
+  const p = ensureArticleTranslation(articleId, targetLang, {
+    withBody,
+  }).finally(() => {
+    _articleInflight.delete(key);
+  });
+  _articleInflight.set(key, p);
+  return p;
+}
+
+// ARTICLE_TRANSLATE_MODE=background: article routes answer with what is stored
+// and translate through the job queue instead of waiting for the provider
+const articleTranslateInBackground = () =>
+  process.env.ARTICLE_TRANSLATE_MODE === "background";
+
+const articleCache = responseCache.cache("article");
+
 // GET /article/:id -> returns combined fields from articles + articles_translations
-app.get("/article/:id", langMiddleware, async (req, res) => {
+app.get("/article/:id", langMiddleware, articleCache, async (req, res) => {
   const target = req.lang;
   const base = (t) => (t || "").split("-")[0].toLowerCase();
   try {
@@ -205,13 +821,30 @@ app.get("/article/:id", langMiddleware, async (req, res) => {
           .eq("dst_lang", lang)
           .maybeSingle(),
         1500,
-        `translation ${lang}`
+        "translation",
+        { "bff.lang": lang }
       );
       return data || null;
     };
     let tr = await tryGet(target);
     if (!tr && baseTarget && baseTarget !== target)
       tr = await tryGet(baseTarget);
+    if (isStubArticleTranslation(tr, src)) tr = null;
+    // Missing target row (or a headline-only one from /translate/batch):
+    // translate headline, summary and body on demand
+    let pending = false;
+    if (!tr?.text_html && (!src || base(src) !== baseTarget)) {
+      if (articleTranslateInBackground()) {
+        enqueueArticleTranslation(id, target);
+        pending = !tr;
+      } else {
+        // Providers down: fall back to the stored rows below
+        const made = await ensureArticleTranslationDedup(id, target).catch(
+          () => null
+        );
+        tr = made || tr;
+      }
+    }
     if (!tr && src) tr = await tryGet(base(src));
     // Last resort: any translation row
     if (!tr) {
@@ -228,10 +861,15 @@ app.get("/article/:id", langMiddleware, async (req, res) => {
         tr = (data && data[0]) || null;
       } catch (_) {}
     }
+    if (!tr && pending)
+      return res.status(202).json({ id, translation_status: "pending" });
     if (!tr) return res.status(404).json({ error: "no_translation" });
 
     const used = normalizeBcp47(tr.dst_lang || src || target);
     const isTranslated = base(used) !== base(src);
+    // Served in another language because the translation failed: not cached,
+    // the next read translates again
+    const fallback = base(used) !== baseTarget && base(src) !== baseTarget;
     const result = {
       id: art.id,
       language: used,
@@ -246,6 +884,7 @@ app.get("/article/:id", langMiddleware, async (req, res) => {
       dir: dirFor(used),
       is_translated: isTranslated,
       translated_from: isTranslated ? src || null : null,
+      ...(pending || fallback ? { translation_status: "pending" } : {}),
     };
     res.json(result);
   } catch (e) {
@@ -261,7 +900,11 @@ app.get("/article/:id/body", langMiddleware, async (req, res) => {
     const { id } = req.params;
     // Base article for source language
     const { data: art, error } = await withTimeout(
-      supabase.from("articles").select("id,lang").eq("id", id).maybeSingle(),
+      supabase
+        .from("articles")
+        .select("id,lang,title,snippet")
+        .eq("id", id)
+        .maybeSingle(),
       2000,
       "article body base"
     );
@@ -274,12 +917,13 @@ app.get("/article/:id/body", langMiddleware, async (req, res) => {
       const { data } = await withTimeout(
         supabase
           .from("articles_translations")
-          .select("dst_lang,text_html")
+          .select("dst_lang,headline,summary_ai,text_html")
           .eq("article_id", id)
           .eq("dst_lang", lang)
           .maybeSingle(),
         1500,
-        `translation body ${lang}`
+        "translation body",
+        { "bff.lang": lang }
       );
       return data || null;
     };
@@ -287,7 +931,23 @@ app.get("/article/:id/body", langMiddleware, async (req, res) => {
     let tr = await tryGet(target);
     if (!tr && baseTarget && baseTarget !== target)
       tr = await tryGet(baseTarget);
-    if (!tr && src) tr = await tryGet(base(src));
+    if (isStubArticleTranslation(tr, src)) tr = null;
+    // No body in the target language yet: translate on demand (write-through)
+    let pending = false;
+    if (!tr?.text_html && src && base(src) !== baseTarget) {
+      if (articleTranslateInBackground()) {
+        enqueueArticleTranslation(id, target);
+        pending = true;
+      } else {
+        const made = await ensureArticleTranslationDedup(id, target).catch(
+          () => null
+        );
+        if (made?.text_html) tr = made;
+      }
+    }
+    if (!tr?.text_html && src) tr = (await tryGet(base(src))) || tr;
+    if (!tr && pending)
+      return res.status(202).json({ id, translation_status: "pending" });
     if (!tr) return res.status(404).json({ error: "no_translation" });
 
     const used = normalizeBcp47(tr.dst_lang || src || target);
@@ -299,30 +959,25 @@ app.get("/article/:id/body", langMiddleware, async (req, res) => {
       is_translated: isTranslated,
       translated_from: isTranslated ? src || null : null,
       dir: dirFor(used),
+      ...(pending ? { translation_status: "pending" } : {}),
     });
   } catch (e) {
     res.status(500).json({ error: "failed_to_fetch" });
   }
 });
 
-// Simple auth middleware using in-memory token store
-function authMiddleware(req, res, next) {
+// Language middleware: loads the signed-in user's preferences (when a valid
+// token is sent), negotiates lang and sets response headers
+async function langMiddleware(req, res, next) {
   try {
-    const h = String(req.headers["authorization"] || "");
-    const m = h.match(/^Bearer\s+(.+)$/i);
-    if (!m) return res.status(401).json({ error: "unauthorized" });
-    const token = m[1];
-    const userId = tokens.get(token);
-    if (!userId) return res.status(401).json({ error: "unauthorized" });
-    req.userId = userId;
-    next();
-  } catch (_) {
-    return res.status(401).json({ error: "unauthorized" });
+    const userId = req.userId || userIdFromRequest(req);
+    if (userId) {
+      req.userId = userId;
+      req.userPreferences = await preferencesStore.get(userId);
+    }
+  } catch (e) {
+    logger.warn("preferences lookup failed", { err: e });
   }
-}
-
-// Language middleware: negotiates lang and sets response headers
-function langMiddleware(req, res, next) {
   const lang = negotiateLanguage(req);
   req.lang = lang;
   setLangHeaders(res, lang);
@@ -331,270 +986,857 @@ function langMiddleware(req, res, next) {
 
 // Removed: legacy /articles routes and feature flag
 
-// CHAT endpoints
-app.post("/cluster/:id/chat", langMiddleware, async (req, res) => {
+// A session is readable/writable by its owner; anonymous sessions by id holders
+function canUseChatSession(session, clusterId, userId) {
+  if (!session || session.cluster_id !== clusterId) return false;
+  return !session.user_id || session.user_id === userId;
+}
+
+// Open a chat turn: validate input, ensure the cluster exists, resolve or open
+// the session and reconcile any client-held history. Returns { error } or the turn.
+async function openChatTurn(req) {
   const { id } = req.params;
-  const target = req.lang;
-  const { message, chatHistory = [], userId = null } = req.body || {};
-  if (!message) return res.status(400).json({ error: "message required" });
+  const { message, chatHistory = [], sessionId = null } = req.body || {};
+  const userId = req.userId || null;
+  if (!message) return { error: [400, { error: "message required" }] };
   // Very light grounding: ensure cluster exists
   const { data: cluster } = await supabase
     .from("clusters")
     .select("id")
     .eq("id", id)
     .maybeSingle();
-  if (!cluster) return res.status(404).json({ error: "Cluster not found" });
-
-  // Append user message (store ephemeral in-memory only)
-  const key = `cluster:${id}`;
-  const history = chats.get(key) || [];
-  history.push({
-    id: genId("m_"),
-    type: "user",
-    content: message,
-    timestamp: new Date().toISOString(),
-    userId,
-  });
+  if (!cluster) return { error: [404, { error: "Cluster not found" }] };
+
+  let session = null;
+  if (sessionId) {
+    session = await chatStore.getSession(String(sessionId));
+    if (!canUseChatSession(session, id, userId))
+      return { error: [404, { error: "Chat session not found" }] };
+  } else {
+    session = await chatStore.createSession({
+      clusterId: id,
+      userId,
+      title: message,
+    });
+  }
+  const stored = await chatStore.getMessages(session.id);
+  const imported = reconcileChatHistory(stored, chatHistory, { userId });
+  const history = [...stored, ...imported];
+  const userMsg = newChatMessage("user", message, { userId });
+  history.push(userMsg);
+  return {
+    clusterId: cluster.id,
+    target: req.lang,
+    message,
+    session,
+    history,
+    imported,
+    userMsg,
+  };
+}
 
-  // Try real LLM reply using Gemini when API key is available; fallback to demo template otherwise
-  let reply;
-  let searchCitations = [];
-  const hasGemini = !!(process.env.LLM_API_KEY || process.env.GEMINI_API_KEY);
-  if (hasGemini) {
-    try {
-      // Gather brief cluster context in target language
-      const ensured = await ensureClusterTextInLang(cluster.id, target);
-      // Fetch recent timeline updates (translate on the fly like in GET /cluster/:id)
-      const { data: updates } = await withTimeout(
-        supabase
-          .from("cluster_updates")
-          .select("id,claim,summary,source_id,lang,happened_at,created_at")
-          .eq("cluster_id", id)
-          .order("happened_at", { ascending: false })
-          .limit(5),
-        2000,
-        "chat timeline"
-      );
-      const upTranslated = [];
-      for (const u of updates || []) {
-        const baseText = u.summary || u.claim || "";
-        const src = normalizeBcp47(u.lang || "");
-        const base = (t) => (t || "").split("-")[0].toLowerCase();
-        const needs = src && base(src) !== base(target);
-        let text = baseText;
-        if (needs) {
-          try {
-            text = await translateTextCached(baseText, {
-              srcLang: src,
-              dstLang: target,
-            });
-          } catch (_) {
-            const t =
-              process.env.BFF_TRANSLATION_TAG === "off" ? "" : " [translated]";
-            text = baseText + t;
-          }
-        }
-        upTranslated.push({
-          id: u.id,
-          text,
-          happened_at: u.happened_at || u.created_at,
-        });
-      }
-      const citations = await getClusterCitations(id, 3);
-
-      // Compose a concise, grounded prompt and ask Gemini to answer in target language
-      const instructions = [
-        `You are a helpful news assistant. Answer in ${target} only.`,
-        `Be concise (<= 150 words) unless the user asks for more.`,
-        `Use the provided context and any grounded web results to answer and cite sources.`,
-        `Do not mention aggregator sources (e.g., Newsdata.io).`,
-        `If context is insufficient, say you don't have enough info; do not claim you cannot search.`,
-        `Do not invent facts. Prefer citing URLs when available.`,
-      ].join("\n");
-      const summaryPart = ensured?.ai_summary
-        ? `Summary: ${ensured.ai_summary}`
-        : "";
-      const timelinePart = upTranslated.length
-        ? `Timeline:\n- ${upTranslated.map((u) => u.text).join("\n- ")}`
-        : "";
-      const sourcesPart = citations.length
-        ? `Sources:\n- ${citations
-            .map((c) => `${c.source_name || "Source"}: ${c.title}`)
-            .join("\n- ")}`
-        : "";
-      const context = [summaryPart, timelinePart, sourcesPart]
-        .filter(Boolean)
-        .join("\n\n");
-
-      const prompt = [
-        instructions,
-        `Question: ${message}`,
-        context ? `\n\nContext:\n${context}` : "",
-      ].join("\n\n");
-      const resp = await withTimeout(
-        generateWithSearch(prompt, {
-          useGoogleSearch: true,
-          // Do not set dynamicRetrieval when googleSearch is on
-          model: process.env.LLM_MODEL || process.env.GEMINI_MODEL,
-          temperature: 0.4,
-        }),
-        10000,
-        "gemini chat"
-      );
-      let txt = resp?.text || "";
-      // Sanitize bracketed aggregator mentions like [Newsdata.io ...]
-      txt = txt.replace(/\[[^\]]*newsdata[^\]]*\]/gi, "");
-      reply = (txt || "").trim();
-      if (!reply) throw new Error("empty gemini reply");
-      // Attach grounded links into citations when available
+// Compose a concise, grounded prompt for the turn in its target language
+async function buildChatPrompt({
+  clusterId,
+  target,
+  message,
+  session,
+  history,
+}) {
+  // Gather brief cluster context in target language
+  const ensured = await ensureClusterTextOrPivot(clusterId, target);
+  // Fetch recent timeline updates (translate on the fly like in GET /cluster/:id)
+  const { data: updates } = await withTimeout(
+    supabase
+      .from("cluster_updates")
+      .select("id,claim,summary,source_id,lang,happened_at,created_at")
+      .eq("cluster_id", clusterId)
+      .order("happened_at", { ascending: false })
+      .limit(5),
+    2000,
+    "chat timeline"
+  );
+  const upTranslated = [];
+  for (const u of updates || []) {
+    const baseText = u.summary || u.claim || "";
+    const src = normalizeBcp47(u.lang || "");
+    const base = (t) => (t || "").split("-")[0].toLowerCase();
+    const needs = src && base(src) !== base(target);
+    let text = baseText;
+    if (needs) {
       try {
-        const links = extractGroundingLinks(resp?.grounding);
-        if (Array.isArray(links) && links.length) {
-          searchCitations = links.slice(0, 5).map((u, i) => ({
-            id: `g${i + 1}`,
-            title: null,
-            url: u,
-            source_id: null,
-            source_name: "Google Search",
-          }));
-        }
-        // Surface grounding mode for debugging
-        if (resp?.mode) res.setHeader("X-Grounding-Mode", resp.mode);
-      } catch (_) {}
-    } catch (e) {
-      console.warn("[chat] gemini failed, falling back to demo:", e.message);
+        text = await translateTextCached(baseText, {
+          srcLang: src,
+          dstLang: target,
+        });
+      } catch (_) {} // untranslated: keep the source text
     }
+    upTranslated.push({
+      id: u.id,
+      text,
+      happened_at: u.happened_at || u.created_at,
+    });
   }
-  if (!reply) {
-    // Demo fallback
-    if (target?.startsWith("en")) reply = `Answer (demo): ${message}`;
-    else if (target?.startsWith("de")) reply = `Antwort (Demo): ${message}`;
-    else if (target?.startsWith("tr")) reply = `Yanıt (demo): ${message}`;
-    else if (target?.startsWith("ar")) reply = `رد (تجريبي): ${message}`;
-    else reply = `Answer (demo): ${message}`;
-  }
+  const citations = await getClusterCitations(clusterId, 3);
+
+  const instructions = [
+    `You are a helpful news assistant. Answer in ${target} only.`,
+    `Be concise (<= 150 words) unless the user asks for more.`,
+    `Use the provided context and any grounded web results to answer and cite sources.`,
+    `Do not mention aggregator sources (e.g., Newsdata.io).`,
+    `If context is insufficient, say you don't have enough info; do not claim you cannot search.`,
+    `Do not invent facts. Prefer citing URLs when available.`,
+  ].join("\n");
+  const summaryPart = ensured?.ai_summary
+    ? `Summary: ${ensured.ai_summary}`
+    : "";
+  const timelinePart = upTranslated.length
+    ? `Timeline:\n- ${upTranslated.map((u) => u.text).join("\n- ")}`
+    : "";
+  const sourcesPart = citations.length
+    ? `Sources:\n- ${citations
+        .map((c) => `${c.source_name || "Source"}: ${c.title}`)
+        .join("\n- ")}`
+    : "";
+  const context = [summaryPart, timelinePart, sourcesPart]
+    .filter(Boolean)
+    .join("\n\n");
+
+  // Prior turns of this session (older ones summarized) so follow-ups keep context
+  const conversation = formatConversation(
+    await buildConversationContext(history.slice(0, -1), {
+      sessionId: session.id,
+      summarize: (turns, maxTokens) =>
+        withTimeout(
+          generatePlain(summaryPrompt(turns, maxTokens), {
+            model: process.env.LLM_MODEL || process.env.GEMINI_MODEL,
+            temperature: 0.2,
+            maxOutputTokens: maxTokens,
+            feature: "chat",
+          }),
+          5000,
+          "gemini chat summary"
+        ).then((r) => r?.text || ""),
+    })
+  );
 
-  history.push({
-    id: genId("m_"),
-    type: "ai",
-    content: reply,
-    timestamp: new Date().toISOString(),
-  });
-  chats.set(key, history);
-  // Include top citations for grounding (include any search-grounded links from earlier if present)
+  return [
+    instructions,
+    conversation ? `Conversation so far:\n${conversation}` : "",
+    `Question: ${message}`,
+    context ? `\n\nContext:\n${context}` : "",
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+const chatModelOpts = () => ({
+  useGoogleSearch: true,
+  // Do not set dynamicRetrieval when googleSearch is on
+  model: process.env.LLM_MODEL || process.env.GEMINI_MODEL,
+  temperature: 0.4,
+  feature: "chat",
+});
+
+// Sanitize bracketed aggregator mentions like [Newsdata.io ...]
+function sanitizeChatReply(txt) {
+  return (txt || "").replace(/\[[^\]]*newsdata[^\]]*\]/gi, "");
+}
+
+// Out of LLM budget: answer with the stored cluster summary (the pivot text
+// when translation is out of budget too) instead of a generated reply
+async function budgetChatReply({ clusterId, target, message }) {
+  try {
+    const ensured = await ensureClusterTextInLang(clusterId, target);
+    if (ensured?.ai_summary) return decodeHtmlEntities(ensured.ai_summary);
+  } catch (_) {}
+  return demoChatReply(target, message);
+}
+
+function demoChatReply(target, message) {
+  if (target?.startsWith("en")) return `Answer (demo): ${message}`;
+  if (target?.startsWith("de")) return `Antwort (Demo): ${message}`;
+  if (target?.startsWith("tr")) return `Yanıt (demo): ${message}`;
+  if (target?.startsWith("ar")) return `رد (تجريبي): ${message}`;
+  return `Answer (demo): ${message}`;
+}
+
+// Map grounding metadata to citation entries
+function groundingCitations(grounding) {
+  const links = extractGroundingLinks(grounding);
+  if (!Array.isArray(links) || !links.length) return [];
+  return links.slice(0, 5).map((u, i) => ({
+    id: `g${i + 1}`,
+    title: null,
+    url: u,
+    source_id: null,
+    source_name: "Google Search",
+  }));
+}
+
+// Top cluster citations with any search-grounded links prepended (deduped by URL)
+async function mergeChatCitations(clusterId, searchCitations) {
   let finalCitations = [];
   try {
-    finalCitations = await getClusterCitations(id, 3);
+    finalCitations = await getClusterCitations(clusterId, 3);
   } catch (_) {}
-  // The earlier block may have set search-grounded links
-  if (Array.isArray(searchCitations) && searchCitations.length) {
-    // Prepend grounded links; avoid duplicates by URL
-    const seen = new Set();
-    const merged = [];
-    for (const c of searchCitations) {
-      const k = c.url || c.id;
-      if (k && !seen.has(k)) {
-        seen.add(k);
-        merged.push(c);
+  if (!searchCitations.length) return finalCitations;
+  const seen = new Set();
+  const merged = [];
+  for (const c of [...searchCitations, ...finalCitations]) {
+    const k = c.url || c.id;
+    if (k && !seen.has(k)) {
+      seen.add(k);
+      merged.push(c);
+    }
+  }
+  return merged;
+}
+
+// CHAT endpoints
+app.post(
+  "/cluster/:id/chat",
+  optionalAuth,
+  rateLimit("chat"),
+  langMiddleware,
+  async (req, res) => {
+    const turn = await openChatTurn(req);
+    if (turn.error) return res.status(turn.error[0]).json(turn.error[1]);
+
+    // Try real LLM reply using Gemini when API key is available; fallback to demo template otherwise
+    let reply;
+    let searchCitations = [];
+    let degraded = null;
+    const hasGemini = !!(process.env.LLM_API_KEY || process.env.GEMINI_API_KEY);
+    if (hasGemini) {
+      try {
+        llmBudget.check("chat");
+        const prompt = await buildChatPrompt(turn);
+        const resp = await withTimeout(
+          generateWithSearch(prompt, chatModelOpts()),
+          10000,
+          "gemini chat"
+        );
+        reply = sanitizeChatReply(resp?.text).trim();
+        if (!reply) throw new Error("empty gemini reply");
+        // Attach grounded links into citations when available
+        try {
+          searchCitations = groundingCitations(resp?.grounding);
+          // Surface grounding mode for debugging
+          if (resp?.mode) res.setHeader("X-Grounding-Mode", resp.mode);
+        } catch (_) {}
+      } catch (e) {
+        if (isBudgetError(e)) degraded = "llm_budget_exceeded";
+        else
+          logger.warn("[chat] gemini failed, falling back to demo", { err: e });
       }
     }
-    for (const c of finalCitations) {
-      const k = c.url || c.id;
-      if (k && !seen.has(k)) {
-        seen.add(k);
-        merged.push(c);
+    if (!reply)
+      reply = degraded
+        ? await budgetChatReply(turn)
+        : demoChatReply(turn.target, turn.message);
+
+    const citations = await mergeChatCitations(turn.clusterId, searchCitations);
+    const aiMsg = newChatMessage("ai", reply, { citations });
+    turn.history.push(aiMsg);
+    await chatStore.appendMessages(turn.session, [
+      ...turn.imported,
+      turn.userMsg,
+      aiMsg,
+    ]);
+    res.json({
+      session_id: turn.session.id,
+      messages: turn.history,
+      citations,
+      ...(degraded ? { degraded } : {}),
+    });
+  }
+);
+
+// POST /cluster/:id/chat/stream -> Server-Sent Events for the same turn:
+// `session` first, then `token` events as text arrives, then `citations`
+// (cluster + grounding links) and a final `done` carrying the stored AI message.
+app.post(
+  "/cluster/:id/chat/stream",
+  optionalAuth,
+  rateLimit("chat"),
+  langMiddleware,
+  async (req, res) => {
+    const turn = await openChatTurn(req);
+    if (turn.error) return res.status(turn.error[0]).json(turn.error[1]);
+
+    res.status(200);
+    res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+    res.setHeader("Cache-Control", "no-cache, no-transform");
+    res.setHeader("Connection", "keep-alive");
+    res.setHeader("X-Accel-Buffering", "no");
+    if (typeof res.flushHeaders === "function") res.flushHeaders();
+
+    // Stop generating as soon as the client goes away
+    const ac = new AbortController();
+    res.on("close", () => {
+      if (!res.writableFinished) ac.abort();
+    });
+    const send = (event, data) => {
+      if (ac.signal.aborted || res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    send("session", { session_id: turn.session.id });
+
+    let reply = "";
+    let searchCitations = [];
+    let degraded = null;
+    const sanitizer = createStreamSanitizer();
+    const hasGemini = !!(process.env.LLM_API_KEY || process.env.GEMINI_API_KEY);
+    if (hasGemini) {
+      try {
+        llmBudget.check("chat");
+        const prompt = await buildChatPrompt(turn);
+        const stream = generateWithSearchStream(prompt, {
+          ...chatModelOpts(),
+          signal: ac.signal,
+        });
+        for await (const ev of stream) {
+          if (ev.type === "text") {
+            const text = sanitizer.push(ev.text);
+            reply += text;
+            if (text) send("token", { text });
+          } else if (ev.type === "done") {
+            searchCitations = groundingCitations(ev.grounding);
+            if (ev.mode) send("mode", { mode: ev.mode });
+          }
+        }
+        const tail = sanitizer.flush();
+        reply += tail;
+        if (tail) send("token", { text: tail });
+      } catch (e) {
+        if (isBudgetError(e)) degraded = "llm_budget_exceeded";
+        else if (!ac.signal.aborted)
+          logger.warn("[chat] gemini stream failed", { err: e });
       }
     }
-    finalCitations = merged;
+    if (ac.signal.aborted) {
+      // Keep what the user saw; skip citations for an interrupted answer
+      const partial = [...turn.imported, turn.userMsg];
+      if (reply.trim()) partial.push(newChatMessage("ai", reply.trim()));
+      await chatStore.appendMessages(turn.session, partial);
+      return;
+    }
+    if (!reply.trim()) {
+      if (degraded) send("degraded", { reason: degraded });
+      reply = degraded
+        ? await budgetChatReply(turn)
+        : demoChatReply(turn.target, turn.message);
+      send("token", { text: reply });
+    }
+
+    const citations = await mergeChatCitations(turn.clusterId, searchCitations);
+    send("citations", { citations });
+    const aiMsg = newChatMessage("ai", reply.trim(), { citations });
+    await chatStore.appendMessages(turn.session, [
+      ...turn.imported,
+      turn.userMsg,
+      aiMsg,
+    ]);
+    send("done", { session_id: turn.session.id, message: aiMsg });
+    res.end();
   }
-  res.json({ messages: history, citations: finalCitations });
-});
-app.get("/cluster/:id/chat", (req, res) => {
-  const key = `cluster:${req.params.id}`;
-  res.json({ messages: chats.get(key) || [] });
-});
+);
 
-// AUTH endpoints
-app.post("/auth/register", (req, res) => {
-  const { email, password, name, preferences } = req.body || {};
-  if (!email || !password)
-    return res.status(400).json({ error: "email and password required" });
-  if (users.find((u) => u.email === email))
-    return res.status(400).json({ error: "Email already registered" });
-  const now = new Date().toISOString();
-  const user = {
-    id: genId("usr_"),
-    email,
-    password,
-    name: name || email.split("@")[0],
-    preferences: preferences || {
-      topics: [],
-      languages: ["en"],
-      readingLevel: "intermediate",
-      audioPreferences: false,
-      biasAnalysis: true,
-      notifications: false,
+// Holds back text after an unclosed "[" so bracketed aggregator mentions split
+// across chunks can still be removed before they reach the client
+function createStreamSanitizer() {
+  let pending = "";
+  return {
+    push(text) {
+      pending += text;
+      const open = pending.lastIndexOf("[");
+      const cut =
+        open !== -1 &&
+        pending.indexOf("]", open) === -1 &&
+        pending.length - open < 200
+          ? open
+          : pending.length;
+      const out = sanitizeChatReply(pending.slice(0, cut));
+      pending = pending.slice(cut);
+      return out;
+    },
+    flush() {
+      const out = sanitizeChatReply(pending);
+      pending = "";
+      return out;
     },
-    onboarding_complete: false,
-    created_at: now,
-    updated_at: now,
   };
-  users.push(user);
-  const token = genId("tok_");
-  tokens.set(token, user.id);
-  res.json({ user: { ...user, password: undefined }, token });
+}
+// GET /cluster/:id/chat?limit=&offset= -> the caller's sessions for this cluster
+app.get("/cluster/:id/chat", authMiddleware, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  try {
+    const { sessions, has_more } = await chatStore.listSessions({
+      clusterId: req.params.id,
+      userId: req.userId,
+      limit,
+      offset,
+    });
+    res.json({ sessions, pagination: { limit, offset, has_more } });
+  } catch (e) {
+    logger.error("/cluster/:id/chat list failed", { err: e });
+    res.status(500).json({ error: "Failed to load chat sessions" });
+  }
 });
-app.post("/auth/login", (req, res) => {
-  const { email, password } = req.body || {};
-  const user = users.find((u) => u.email === email && u.password === password);
-  if (!user) return res.status(401).json({ error: "Invalid credentials" });
-  const token = genId("tok_");
-  tokens.set(token, user.id);
-  res.json({ user: { ...user, password: undefined }, token });
+// GET /cluster/:id/chat/:sessionId -> messages of one session
+app.get("/cluster/:id/chat/:sessionId", optionalAuth, async (req, res) => {
+  const { id, sessionId } = req.params;
+  const session = await chatStore.getSession(sessionId);
+  if (!canUseChatSession(session, id, req.userId || null))
+    return res.status(404).json({ error: "Chat session not found" });
+  const messages = await chatStore.getMessages(session.id);
+  res.json({ session_id: session.id, messages });
 });
-app.get("/auth/profile", authMiddleware, (req, res) => {
-  const user = users.find((u) => u.id === req.userId);
-  if (!user) return res.status(404).json({ error: "Not found" });
-  res.json({ ...user, password: undefined });
+
+// -------------------- Cluster quizzes --------------------
+
+// Current cluster_ai pivot row (prefer en) plus a signature of its text, or null
+async function loadClusterPivot(clusterId) {
+  const { data: currents, error } = await withTimeout(
+    supabase
+      .from("cluster_ai")
+      .select("id,lang,ai_title,ai_summary,ai_details")
+      .eq("cluster_id", clusterId)
+      .eq("is_current", true),
+    2000,
+    "cluster pivot text"
+  );
+  if (error) throw error;
+  if (!currents || !currents.length) return null;
+  const pivot = currents.find((r) => r.lang === "en") || currents[0];
+  const sig = crypto
+    .createHash("sha1")
+    .update(
+      `${pivot.ai_title || ""}\n${pivot.ai_summary || ""}\n${
+        pivot.ai_details || ""
+      }`
+    )
+    .digest("hex");
+  return { pivot, sig };
+}
+
+async function generateClusterQuiz(clusterId, { pivot, sig }) {
+  const { data: updates } = await withTimeout(
+    supabase
+      .from("cluster_updates")
+      .select("claim,summary,happened_at")
+      .eq("cluster_id", clusterId)
+      .order("happened_at", { ascending: false })
+      .limit(8),
+    2000,
+    "quiz timeline"
+  );
+  const count = quizQuestionCount();
+  const prompt = buildQuizPrompt({
+    title: decodeHtmlEntities(pivot.ai_title || ""),
+    summary: decodeHtmlEntities(pivot.ai_summary || ""),
+    details: decodeHtmlEntities(pivot.ai_details || ""),
+    timeline: (updates || []).map((u) => u.summary || u.claim),
+    lang: pivot.lang,
+    count,
+  });
+  // One retry at temperature 0 when the output is not valid quiz JSON
+  let questions = null;
+  let lastErr = null;
+  for (const temperature of [0.4, 0]) {
+    try {
+      const { text } = await withTimeout(
+        generatePlain(prompt, {
+          temperature,
+          maxOutputTokens: 2048,
+          feature: "quiz",
+        }),
+        20000,
+        "quiz generation"
+      );
+      questions = parseQuizJson(text, { max: count });
+      break;
+    } catch (e) {
+      lastErr = e;
+      if (/not configured/i.test(e?.message || "") || isBudgetError(e)) break;
+    }
+  }
+  if (!questions) throw lastErr || new Error("quiz generation failed");
+  bffMetrics.quiz.generated += 1;
+  return quizStore.save({
+    clusterId,
+    lang: pivot.lang,
+    sourceSig: sig,
+    questions,
+    model: process.env.LLM_MODEL || process.env.GEMINI_MODEL || null,
+  });
+}
+
+async function translateQuiz(base, target) {
+  const tr = (text) =>
+    text
+      ? translateTextCached(text, { srcLang: base.lang, dstLang: target })
+      : "";
+  const questions = await Promise.all(
+    base.questions.map(async (q) => ({
+      question: await tr(q.question),
+      options: await Promise.all(q.options.map(tr)),
+      answer: q.answer,
+      explanation: await tr(q.explanation),
+    }))
+  );
+  return quizStore.save({
+    quizId: base.quiz_id,
+    clusterId: base.cluster_id,
+    lang: target,
+    sourceSig: base.source_sig,
+    questions,
+    model: base.model,
+    translatedFrom: base.lang,
+  });
+}
+
+// Stored quiz for the cluster in the target language. Generates the pivot quiz
+// only when `create` is set and none exists for the current cluster text;
+// localized copies are translated from it once and persisted.
+const _quizInflight = new Map(); // key -> Promise
+async function getClusterQuiz(clusterId, target, { create = false } = {}) {
+  const source = await loadClusterPivot(clusterId);
+  if (!source) return { error: [404, { error: "No text for cluster" }] };
+  let base = await quizStore.get(clusterId, source.pivot.lang);
+  if (!base || base.source_sig !== source.sig) {
+    if (!create) return { error: [404, { error: "quiz_not_found" }] };
+    const key = `${clusterId}|${source.sig}`;
+    if (!_quizInflight.has(key))
+      _quizInflight.set(
+        key,
+        generateClusterQuiz(clusterId, source).finally(() =>
+          _quizInflight.delete(key)
+        )
+      );
+    base = await _quizInflight.get(key);
+  }
+  const baseOf = (t) => (t || "").split("-")[0].toLowerCase();
+  if (baseOf(target) === baseOf(base.lang)) return { quiz: base };
+  const localized = await quizStore.get(clusterId, target);
+  if (localized && localized.quiz_id === base.quiz_id)
+    return { quiz: localized };
+  const key = `${base.quiz_id}|${target}`;
+  if (!_quizInflight.has(key))
+    _quizInflight.set(
+      key,
+      translateQuiz(base, target).finally(() => _quizInflight.delete(key))
+    );
+  try {
+    return { quiz: await _quizInflight.get(key) };
+  } catch (e) {
+    // Serve the source-language quiz until a provider can translate it
+    if (isTranslationUnavailable(e)) return { quiz: base };
+    throw e;
+  }
+}
+
+function sendQuiz(res, quiz) {
+  res.json({ ...publicQuiz(quiz), dir: dirFor(quiz.lang) });
+}
+
+// POST /cluster/:id/quiz -> generate (once per cluster text) and return the quiz
+app.post(
+  "/cluster/:id/quiz",
+  optionalAuth,
+  rateLimit("quiz"),
+  langMiddleware,
+  async (req, res) => {
+    bffMetrics.quiz.requests += 1;
+    try {
+      const { quiz, error } = await getClusterQuiz(req.params.id, req.lang, {
+        create: true,
+      });
+      if (error) return res.status(error[0]).json(error[1]);
+      sendQuiz(res, quiz);
+    } catch (e) {
+      if (isBudgetError(e))
+        return res.status(503).json({ error: "llm_budget_exceeded" });
+      logger.error("/cluster/:id/quiz failed", { err: e });
+      bffMetrics.quiz.errors += 1;
+      const unavailable = /not configured/i.test(e?.message || "");
+      res
+        .status(unavailable ? 503 : 502)
+        .json({ error: "Failed to generate quiz" });
+    }
+  }
+);
+
+// GET /cluster/:id/quiz -> previously generated quiz (localized on demand)
+app.get("/cluster/:id/quiz", langMiddleware, async (req, res) => {
+  bffMetrics.quiz.requests += 1;
+  try {
+    const { quiz, error } = await getClusterQuiz(req.params.id, req.lang);
+    if (error) return res.status(error[0]).json(error[1]);
+    sendQuiz(res, quiz);
+  } catch (e) {
+    logger.error("/cluster/:id/quiz load failed", { err: e });
+    bffMetrics.quiz.errors += 1;
+    res.status(500).json({ error: "Failed to load quiz" });
+  }
 });
-app.put("/auth/preferences", authMiddleware, (req, res) => {
-  const user = users.find((u) => u.id === req.userId);
-  if (!user) return res.status(404).json({ error: "Not found" });
-  user.preferences = { ...user.preferences, ...(req.body?.preferences || {}) };
-  user.updated_at = new Date().toISOString();
-  res.json({ ...user, password: undefined });
+
+// POST /cluster/:id/quiz/answers { quiz_id, answers: [optionIndex|null] } -> score
+app.post("/cluster/:id/quiz/answers", langMiddleware, async (req, res) => {
+  const { quiz_id, answers } = req.body || {};
+  if (
+    !Array.isArray(answers) ||
+    answers.some((a) => a !== null && !Number.isInteger(a))
+  )
+    return res
+      .status(400)
+      .json({ error: "answers must be an array of option indexes" });
+  try {
+    const { quiz, error } = await getClusterQuiz(req.params.id, req.lang);
+    if (error) return res.status(error[0]).json(error[1]);
+    if (quiz_id && quiz_id !== quiz.quiz_id)
+      return res.status(409).json({ error: "quiz_outdated" });
+    if (answers.length > quiz.questions.length)
+      return res.status(400).json({ error: "too many answers" });
+    res.json({
+      quiz_id: quiz.quiz_id,
+      language: quiz.lang,
+      ...scoreQuiz(quiz.questions, answers),
+    });
+  } catch (e) {
+    logger.error("/cluster/:id/quiz/answers failed", { err: e });
+    bffMetrics.quiz.errors += 1;
+    res.status(500).json({ error: "Failed to score quiz" });
+  }
 });
 
-// Interaction tracking
-app.post("/interaction", (req, res) => {
-  const { articleId, interactionType, metadata } = req.body || {};
-  interactions.push({
-    id: genId("int_"),
-    ts: Date.now(),
-    articleId,
-    interactionType,
-    metadata,
+// -------------------- Coverage comparison --------------------
+
+const COVERAGE_CACHE_MAX = parseInt(process.env.COVERAGE_CACHE_MAX || "200");
+const _coverageInflight = new Map(); // key -> Promise
+
+function rememberCoverage(key, entry) {
+  coverageStore.set(key, entry);
+  if (coverageStore.size > COVERAGE_CACHE_MAX)
+    coverageStore.delete(coverageStore.keys().next().value);
+  return entry;
+}
+
+// Shared in-flight dedup + cache for coverage entries
+function cachedCoverage(key, build) {
+  if (coverageStore.has(key)) return Promise.resolve(coverageStore.get(key));
+  if (!_coverageInflight.has(key))
+    _coverageInflight.set(
+      key,
+      build()
+        .then((entry) => rememberCoverage(key, entry))
+        .finally(() => _coverageInflight.delete(key))
+    );
+  return _coverageInflight.get(key);
+}
+
+async function generateCoverage({ pivot, picked }) {
+  const prompt = buildCoveragePrompt({
+    title: decodeHtmlEntities(pivot.ai_title || ""),
+    summary: decodeHtmlEntities(pivot.ai_summary || ""),
+    picked,
+    lang: pivot.lang,
   });
-  res.json({ success: true });
+  const { text } = await withTimeout(
+    generatePlain(prompt, {
+      temperature: 0.2,
+      maxOutputTokens: 2048,
+      feature: "coverage",
+    }),
+    25000,
+    "coverage generation"
+  );
+  bffMetrics.coverage.generated += 1;
+  return {
+    comparison: parseCoverageJson(text, picked),
+    lang: pivot.lang,
+    translated_from: null,
+    generated_at: new Date().toISOString(),
+  };
+}
+
+// GET /cluster/:id/coverage -> per-outlet framing comparison in the negotiated language
+app.get("/cluster/:id/coverage", langMiddleware, async (req, res) => {
+  bffMetrics.coverage.requests += 1;
+  const target = req.lang;
+  const { id } = req.params;
+  try {
+    const source = await loadClusterPivot(id);
+    if (!source) return res.status(404).json({ error: "No text for cluster" });
+    const { data: arts, error } = await withTimeout(
+      supabase
+        .from("articles")
+        .select("id,title,snippet,canonical_url,url,source_id,published_at")
+        .eq("cluster_id", id)
+        .order("published_at", { ascending: false }),
+      2000,
+      "coverage articles"
+    );
+    if (error) throw error;
+    let picked = pickSourceArticles(arts);
+    if (picked.length) {
+      const { data: srcs } = await withTimeout(
+        supabase
+          .from("sources")
+          .select("id,name")
+          .in(
+            "id",
+            picked.map((a) => a.source_id)
+          ),
+        1500,
+        "coverage sources"
+      );
+      const names = new Map((srcs || []).map((s) => [s.id, s.name]));
+      picked = picked.map((a) => ({
+        ...a,
+        source_name: names.get(a.source_id) || null,
+      }));
+    }
+    const sources = picked.map((a) => ({
+      id: a.source_id,
+      name: a.source_name,
+      article_id: a.id,
+      title: decodeHtmlEntities(a.title || ""),
+      url: a.canonical_url || a.url || null,
+    }));
+    // A comparison needs at least two outlets
+    if (picked.length < 2)
+      return res.json({
+        cluster_id: id,
+        language: target,
+        dir: dirFor(target),
+        sources,
+        comparison: null,
+        reason: "not_enough_sources",
+      });
+
+    const hash = coverageHash(source.sig, picked);
+    let base;
+    try {
+      base = await cachedCoverage(`${id}|${hash}|${source.pivot.lang}`, () =>
+        generateCoverage({ pivot: source.pivot, picked })
+      );
+    } catch (e) {
+      if (!isBudgetError(e)) throw e;
+      // Out of LLM budget: still list the outlets, without the comparison
+      return res.json({
+        cluster_id: id,
+        language: target,
+        dir: dirFor(target),
+        sources,
+        comparison: null,
+        reason: "llm_budget_exceeded",
+      });
+    }
+    const baseOf = (t) => (t || "").split("-")[0].toLowerCase();
+    const entry =
+      baseOf(target) === baseOf(base.lang)
+        ? base
+        : await cachedCoverage(`${id}|${hash}|${target}`, async () => ({
+            comparison: await translateCoverage(base.comparison, (text) =>
+              text
+                ? translateTextCached(text, {
+                    srcLang: base.lang,
+                    dstLang: target,
+                  })
+                : ""
+            ),
+            lang: target,
+            translated_from: base.lang,
+            generated_at: base.generated_at,
+          })).catch((e) => {
+            // Source-language comparison until a provider can translate it
+            if (isTranslationUnavailable(e)) return base;
+            throw e;
+          });
+    res.json({
+      cluster_id: id,
+      language: entry.lang,
+      translated_from: entry.translated_from,
+      dir: dirFor(entry.lang),
+      generated_at: entry.generated_at,
+      sources,
+      comparison: entry.comparison,
+    });
+  } catch (e) {
+    logger.error("/cluster/:id/coverage failed", { err: e });
+    bffMetrics.coverage.errors += 1;
+    const unavailable = /not configured/i.test(e?.message || "");
+    res
+      .status(unavailable ? 503 : 502)
+      .json({ error: "Failed to compare coverage" });
+  }
+});
+
+// AUTH endpoints (app_users + signed access / rotating refresh tokens)
+app.use("/auth", createAuthRoutes(supabase, { withTimeout, preferencesStore }));
+
+// Admin endpoints (ADMIN_TOKEN): inspect and re-run background jobs
+app.use("/admin", createAdminRoutes({ jobQueue }));
+
+// Interaction tracking: validated events, attributed to the signed-in user or an
+// anonymous session id, written in batches by the recorder's background flusher
+app.post("/interaction", (req, res) => {
+  const { value, errors } = validateInteraction(req.body);
+  if (errors.length)
+    return res
+      .status(400)
+      .json({ error: "invalid_interaction", details: errors });
+  const userId = userIdFromRequest(req);
+  const sessionId = userId
+    ? null
+    : value.sessionId ||
+      String(req.headers["x-session-id"] || "").slice(0, 128) ||
+      crypto.randomUUID();
+  interactionRecorder.record({ ...value, userId, sessionId });
+  res.json({ success: true, ...(sessionId ? { session_id: sessionId } : {}) });
+});
+
+// GET /analytics/articles/:id -> interaction counts for one article
+app.get("/analytics/articles/:id", async (req, res) => {
+  try {
+    const counts = await interactionRecorder.aggregate(req.params.id);
+    res.json({
+      article_id: req.params.id,
+      views: counts.view,
+      reads: counts.read,
+      shares: counts.share,
+      likes: counts.like,
+      bookmarks: counts.bookmark,
+    });
+  } catch (e) {
+    logger.error("/analytics/articles/:id failed", { err: e });
+    res.status(500).json({ error: "Failed to load analytics" });
+  }
 });
 
 // Robust listen with auto-increment fallback to avoid EADDRINUSE during dev
 function startServer(startPort, attempts = 5) {
   const portNum = parseInt(startPort, 10);
   const server = app.listen(portNum, () => {
-    console.log(`BFF server listening on http://localhost:${portNum}`);
+    logger.info("BFF server listening", { url: `http://localhost:${portNum}` });
+    // Pick up jobs left queued by a previous process
+    jobQueue.start();
+    if (pretranslateEnabled()) pretranslator.start();
   });
   server.on("error", (err) => {
     if (err.code === "EADDRINUSE" && attempts > 0) {
       const next = portNum + 1;
-      console.warn(
-        `Port ${portNum} in use, retrying on ${next} (remaining attempts: ${
-          attempts - 1
-        })`
-      );
+      logger.warn("Port in use, retrying", {
+        port: portNum,
+        next,
+        remaining_attempts: attempts - 1,
+      });
       setTimeout(() => startServer(next, attempts - 1), 300);
     } else {
-      console.error("Failed to bind server port:", err);
+      logger.error("Failed to bind server port", { err });
       process.exit(1);
     }
   });
@@ -613,35 +1855,41 @@ export { app };
 
 // -------------------- Multilingual cluster-first endpoints --------------------
 
-// Lightweight background queue for persisting translations without blocking responses
-const PERSIST_MAX_CONCURRENCY = parseInt(
-  process.env.PERSIST_MAX_CONCURRENCY || "1"
-);
-const _persistQueue = [];
-let _persistActive = 0;
-function _enqueuePersist(fn) {
-  _persistQueue.push(fn);
-  // Kick the drain on next tick
-  if (typeof setImmediate === "function") setImmediate(_drainPersistQueue);
-  else setTimeout(_drainPersistQueue, 0);
+// Background translation persistence through the durable job queue. The
+// idempotency key keeps one active job per cluster/article and language.
+function enqueueJob(type, payload, key) {
+  jobQueue.enqueue(type, payload, { key }).catch((e) => {
+    logger.warn("enqueue failed", { type, err: e });
+  });
 }
-async function _drainPersistQueue() {
-  if (_persistActive >= PERSIST_MAX_CONCURRENCY) return;
-  const job = _persistQueue.shift();
-  if (!job) return;
-  _persistActive++;
-  try {
-    await job();
-  } catch (e) {
-    console.warn("persist job failed:", e?.message || e);
-  } finally {
-    _persistActive--;
-    if (_persistQueue.length) setTimeout(_drainPersistQueue, 50);
-  }
+// Job keys name the row the job writes: cluster_ai rows are stored per
+// language tag (de-CH), article translations per base language (de)
+const clusterJobKey = (clusterId, tag) => `cluster:${clusterId}|${tag}`;
+function enqueueClusterTranslation(clusterId, lang) {
+  const tag = normalizeBcp47(lang) || lang;
+  enqueueJob(
+    "cluster_translation",
+    { clusterId, lang: tag },
+    clusterJobKey(clusterId, tag)
+  );
+}
+function enqueueArticleTranslation(articleId, lang) {
+  const base = (lang || "").split("-")[0].toLowerCase();
+  enqueueJob(
+    "article_translation",
+    { articleId, lang: base },
+    `article:${articleId}|${base}`
+  );
 }
 
-// Helper: get or translate cluster AI into target language and persist idempotently
-async function ensureClusterTextInLang(clusterId, targetLang) {
+// Helper: get or translate cluster AI into target language and persist idempotently.
+// Reads keep serving the stored row when a refresh fails and the translated
+// text when storing it fails; strict (jobs) throws in both cases instead.
+async function ensureClusterTextInLang(
+  clusterId,
+  targetLang,
+  { strict = false } = {}
+) {
   const base = (t) => (t || "").split("-")[0].toLowerCase();
   const baseTarget = base(targetLang);
   // 1) Try target language first (include created_at for staleness check)
@@ -744,28 +1992,7 @@ async function ensureClusterTextInLang(clusterId, targetLang) {
               .eq("is_current", true);
           } catch (_) {}
           // Insert the translated row as current, tagging pivot hash
-          try {
-            await supabase.from("cluster_ai").insert({
-              cluster_id: clusterId,
-              lang: targetLang,
-              ai_title: translated.ai_title,
-              ai_summary: translated.ai_summary,
-              ai_details: translated.ai_details,
-              model: `bff-stub#ph=${pivotSig}`,
-              pivot_hash: pivotSig,
-              is_current: true,
-            });
-          } catch (insErr) {
-            await supabase.from("cluster_ai").insert({
-              cluster_id: clusterId,
-              lang: targetLang,
-              ai_title: translated.ai_title,
-              ai_summary: translated.ai_summary,
-              ai_details: translated.ai_details,
-              model: `bff-stub#ph=${pivotSig}`,
-              is_current: true,
-            });
-          }
+          await insertClusterAi(clusterId, targetLang, translated, pivotSig);
           return {
             ...translated,
             is_translated: true,
@@ -786,36 +2013,15 @@ async function ensureClusterTextInLang(clusterId, targetLang) {
         .from("cluster_ai")
         .update({ is_current: false })
         .eq("id", useRow.id);
-      try {
-        await supabase.from("cluster_ai").insert({
-          cluster_id: clusterId,
-          lang: targetLang,
-          ai_title: translated.ai_title,
-          ai_summary: translated.ai_summary,
-          ai_details: translated.ai_details,
-          model: `bff-stub#ph=${pivotSig}`,
-          pivot_hash: pivotSig,
-          is_current: true,
-        });
-      } catch (insErr) {
-        // Fallback when pivot_hash column doesn't exist
-        await supabase.from("cluster_ai").insert({
-          cluster_id: clusterId,
-          lang: targetLang,
-          ai_title: translated.ai_title,
-          ai_summary: translated.ai_summary,
-          ai_details: translated.ai_details,
-          model: `bff-stub#ph=${pivotSig}`,
-          is_current: true,
-        });
-      }
+      await insertClusterAi(clusterId, targetLang, translated, pivotSig);
       return {
         ...translated,
         is_translated: true,
         translated_from: pivot.lang,
       };
     } catch (e) {
-      console.warn("Refresh translated cluster_ai failed:", e.message);
+      logger.warn("Refresh translated cluster_ai failed", { err: e });
+      if (strict) throw e;
       return { ...useRow, is_translated: false, translated_from: null };
     }
   }
@@ -832,36 +2038,46 @@ async function ensureClusterTextInLang(clusterId, targetLang) {
       .eq("is_current", true)
       .maybeSingle();
     if (!checkAgain) {
-      try {
-        await supabase.from("cluster_ai").insert({
-          cluster_id: clusterId,
-          lang: targetLang,
-          ai_title: translated.ai_title,
-          ai_summary: translated.ai_summary,
-          ai_details: translated.ai_details,
-          model: `bff-stub#ph=${pivotSig}`,
-          pivot_hash: pivotSig,
-          is_current: true,
-        });
-      } catch (insErr) {
-        await supabase.from("cluster_ai").insert({
-          cluster_id: clusterId,
-          lang: targetLang,
-          ai_title: translated.ai_title,
-          ai_summary: translated.ai_summary,
-          ai_details: translated.ai_details,
-          model: `bff-stub#ph=${pivotSig}`,
-          is_current: true,
-        });
-      }
+      await insertClusterAi(clusterId, targetLang, translated, pivotSig);
     }
   } catch (e) {
-    // Non-fatal: we still return the translated text
-    console.warn("Persist translated cluster_ai failed:", e.message);
+    // Non-fatal for reads: we still return the translated text
+    logger.warn("Persist translated cluster_ai failed", { err: e });
+    if (strict) throw e;
   }
   return { ...translated, is_translated: true, translated_from: pivot.lang };
 }
 
+// New cluster text: drop cached pages of the cluster now, and feeds in that
+// language and its regional variants with the next batch (a pre-translation
+// pass writes many rows per language)
+async function invalidateClusterResponses(clusterId, lang) {
+  for (const prefix of responseCacheLangPrefixes("feed", "", lang))
+    responseCache.invalidateSoon(prefix);
+  await responseCache.invalidate(responseCachePrefix("cluster", clusterId));
+}
+
+// Insert a translated current cluster_ai row and drop cached responses that
+// still carry the previous text for that language
+async function insertClusterAi(clusterId, lang, translated, pivotSig) {
+  const row = {
+    cluster_id: clusterId,
+    lang,
+    ai_title: translated.ai_title,
+    ai_summary: translated.ai_summary,
+    ai_details: translated.ai_details,
+    model: `bff-stub#ph=${pivotSig}`,
+    is_current: true,
+  };
+  let { error } = await supabase
+    .from("cluster_ai")
+    .insert({ ...row, pivot_hash: pivotSig });
+  // Fallback when pivot_hash column doesn't exist
+  if (error) ({ error } = await supabase.from("cluster_ai").insert(row));
+  if (error) throw error;
+  await invalidateClusterResponses(clusterId, lang);
+}
+
 async function translateNow(pivot, srcLang, dstLang) {
   const s = normalizeBcp47(srcLang);
   const d = normalizeBcp47(dstLang);
@@ -890,6 +2106,24 @@ async function translateNow(pivot, srcLang, dstLang) {
   };
 }
 
+// Interactive reads: the pivot text (flagged `untranslated`) when no provider
+// can translate it; jobs and batches call ensureClusterTextInLang and fail
+async function ensureClusterTextOrPivot(clusterId, targetLang) {
+  try {
+    return await ensureClusterTextInLang(clusterId, targetLang);
+  } catch (e) {
+    if (!isTranslationUnavailable(e)) throw e;
+    const source = await loadClusterPivot(clusterId);
+    if (!source) return null;
+    return {
+      ...source.pivot,
+      is_translated: false,
+      translated_from: null,
+      untranslated: true,
+    };
+  }
+}
+
 const dirFor = _dirFor;
 
 // -------------------- Category API Routes --------------------
@@ -901,16 +2135,17 @@ app.use(
     langMiddleware,
     setLangHeaders,
     dirFor,
+    responseCache: responseCache.cache,
   })
 );
 
 // In-process deduplication for ensureClusterTextInLang calls
 const _ensureInflight = new Map(); // key -> Promise
-function ensureClusterTextInLangDedup(clusterId, targetLang) {
-  const key = `${clusterId}|${targetLang}`;
+function ensureClusterTextInLangDedup(clusterId, targetLang, opts = {}) {
+  const key = `${clusterId}|${targetLang}|${opts.strict ? "strict" : ""}`;
   const existing = _ensureInflight.get(key);
   if (existing) return existing;
-  const p = ensureClusterTextInLang(clusterId, targetLang)
+  const p = ensureClusterTextInLang(clusterId, targetLang, opts)
     .catch((e) => {
       throw e;
     })
@@ -921,6 +2156,55 @@ function ensureClusterTextInLangDedup(clusterId, targetLang) {
   return p;
 }
 
+// Pre-translation of recently updated clusters into every enabled market's
+// pretranslate_langs (PRETRANSLATE_SCHEDULER=on), so strict feeds find the
+// text ready. Pairs run as cluster_translation jobs, once across all instances.
+// Stops for the period once the "fields" LLM budget is spent.
+const pretranslator = createPretranslateScheduler({
+  loadMarkets: async () => {
+    const { data, error } = await withTimeout(
+      supabase.from("app_markets").select("*"),
+      3000,
+      "pretranslate markets"
+    );
+    if (error) throw error;
+    return (data || []).map(marketFromRow);
+  },
+  loadClusters: async ({ since, limit }) => {
+    const { data, error } = await withTimeout(
+      supabase
+        .from("clusters")
+        .select("id,updated_at")
+        .gte("updated_at", since)
+        .order("updated_at", { ascending: false })
+        .limit(limit),
+      3000,
+      "pretranslate clusters"
+    );
+    if (error) throw error;
+    return data || [];
+  },
+  // Market languages are normalized tags already
+  enqueue: (clusterId, lang, version) =>
+    jobQueue.enqueue(
+      "cluster_translation",
+      { clusterId, lang, version },
+      { key: clusterJobKey(clusterId, lang) }
+    ),
+  ensure: (clusterId, lang) =>
+    withTimeout(
+      ensureClusterTextInLangDedup(clusterId, lang, { strict: true }),
+      parseInt(process.env.PRETRANSLATE_ITEM_MS || "15000"),
+      "pretranslate ensure"
+    ),
+  checkBudget: () => llmBudget.check("fields", null),
+  isBudgetError,
+});
+const pretranslateEnabled = () =>
+  ["on", "true", "1"].includes(
+    String(process.env.PRETRANSLATE_SCHEDULER || "").toLowerCase()
+  );
+
 // Non-blocking fetch for feed: return quickly using existing cached target text when available;
 // otherwise return pivot text immediately and schedule persistence/translation in background.
 async function getClusterTextInLangNonBlocking(clusterId, targetLang) {
@@ -976,9 +2260,7 @@ async function getClusterTextInLangNonBlocking(clusterId, targetLang) {
       (existingTarget.ai_details || "").includes(stubMarker);
     // If stale (older than pivot) or contains stub marker, schedule a background refresh
     if (tCreated < pCreated || hasStubMarker) {
-      _enqueuePersist(() =>
-        ensureClusterTextInLangDedup(clusterId, targetLang)
-      );
+      enqueueClusterTranslation(clusterId, targetLang);
     }
     return {
       ...existingTarget,
@@ -991,7 +2273,7 @@ async function getClusterTextInLangNonBlocking(clusterId, targetLang) {
   // 4) No target yet: return pivot immediately (may be different language)
   const immediate = pivot || existingTarget;
   // Schedule background creation of the target language row
-  _enqueuePersist(() => ensureClusterTextInLangDedup(clusterId, targetLang));
+  enqueueClusterTranslation(clusterId, targetLang);
   return {
     ...immediate,
     // Keep content as-is; indicate not translated yet for this target
@@ -1000,7 +2282,7 @@ async function getClusterTextInLangNonBlocking(clusterId, targetLang) {
   };
 }
 
-// GET /feed?lang=de-CH&limit=...
+// GET /feed?lang=de-CH&limit=...&mode=clusters|articles
 // Helper to get best translation row for an article id with fallback
 async function getBestArticleTranslation(articleId, target) {
   const base = (t) => (t || "").split("-")[0].toLowerCase();
@@ -1014,7 +2296,8 @@ async function getBestArticleTranslation(articleId, target) {
         .eq("dst_lang", lang)
         .maybeSingle(),
       1200,
-      `best tr ${lang}`
+      "best tr",
+      { "bff.lang": lang }
     );
     return data || null;
   };
@@ -1037,141 +2320,383 @@ async function getBestArticleTranslation(articleId, target) {
   return tr;
 }
 
-app.get("/feed", langMiddleware, async (req, res) => {
+// Preload first media url per article (thumbnail preferred, else lowest sort_index)
+async function loadArticleMedia(ids, ms) {
+  try {
+    const { data: media } = await withTimeout(
+      supabase
+        .from("article_media")
+        .select("article_id,url,type,sort_index")
+        .in("article_id", ids.length ? ids : ["__none__"]),
+      ms,
+      "article media"
+    );
+    const temp = new Map();
+    (media || []).forEach((m) => {
+      const list = temp.get(m.article_id) || [];
+      list.push(m);
+      temp.set(m.article_id, list);
+    });
+    return new Map(
+      [...temp.entries()].map(([aid, list]) => {
+        const sorted = list.sort(
+          (a, b) => (a.sort_index || 0) - (b.sort_index || 0)
+        );
+        const pick =
+          sorted.find((x) => x.type === "thumbnail") || sorted[0] || null;
+        return [aid, pick?.url || null];
+      })
+    );
+  } catch (_) {
+    return new Map();
+  }
+}
+
+// Preload categories per article (use slug or name as tags)
+async function loadArticleCategories(ids, ms) {
+  try {
+    const { data: links } = await withTimeout(
+      supabase
+        .from("article_categories")
+        .select("article_id,category_id")
+        .in("article_id", ids.length ? ids : ["__none__"]),
+      ms,
+      "article categories"
+    );
+    const catIds = [
+      ...new Set((links || []).map((l) => l.category_id).filter(Boolean)),
+    ];
+    let map = new Map();
+    if (catIds.length) {
+      const { data: cats } = await withTimeout(
+        supabase.from("categories").select("id,slug,name").in("id", catIds),
+        ms,
+        "categories"
+      );
+      map = new Map((cats || []).map((c) => [c.id, c.slug || c.name]));
+    }
+    const agg = new Map();
+    (links || []).forEach((l) => {
+      const list = agg.get(l.article_id) || [];
+      const tag = map.get(l.category_id);
+      if (tag) list.push(tag);
+      agg.set(l.article_id, list);
+    });
+    return agg;
+  } catch (_) {
+    return new Map();
+  }
+}
+
+// Feed mode: clusters (story cards, default) or articles (one card per article)
+function feedModeFor(req) {
+  const m = String(req.query.mode || process.env.FEED_MODE || "clusters")
+    .trim()
+    .toLowerCase();
+  return m === "articles" ? "articles" : "clusters";
+}
+
+// Topic-ranked pages differ per user, so those skip the shared entries
+const feedCache = responseCache.cache("feed", {
+  personalized: (req) => Boolean(req.userPreferences?.topics?.length),
+});
+
+app.get("/feed", langMiddleware, feedCache, async (req, res) => {
   bffMetrics.feed.requests += 1;
   const target = req.lang;
   const limit = Math.min(parseInt(req.query.limit) || 20, 100);
   const strict = String(req.query.strict || "").toLowerCase();
   const waitTranslations = strict === "1" || strict === "true";
-  const DB_T_MS = waitTranslations ? 8000 : 2000;
-  const DB_T_FAST_MS = waitTranslations ? 4000 : 1500;
-  const effectiveLimit = waitTranslations ? Math.min(limit, 8) : limit;
+  const opts = {
+    target,
+    waitTranslations,
+    DB_T_MS: waitTranslations ? 8000 : 2000,
+    DB_T_FAST_MS: waitTranslations ? 4000 : 1500,
+    effectiveLimit: waitTranslations ? Math.min(limit, 8) : limit,
+    cursor: null,
+  };
+  const mode = feedModeFor(req);
+  if (req.query.cursor) {
+    opts.cursor = decodeFeedCursor(String(req.query.cursor));
+    if (!opts.cursor || opts.cursor.mode !== mode)
+      return res.status(400).json({ error: "invalid_cursor" });
+  }
   try {
-    // Pull recent articles
-    const { data: arts, error } = await withTimeout(
+    const { cards, next } =
+      mode === "articles"
+        ? await buildArticleFeed(opts)
+        : await buildClusterFeed(res, opts);
+    // Signed-in users see cards on their topics first within each page
+    const ranked = boostByTopics(cards, req.userPreferences?.topics);
+    // Opaque keyset cursor for the next page (absent on the last page)
+    const nextCursor = next ? encodeFeedCursor({ ...next, mode }) : null;
+    if (nextCursor) res.setHeader("X-Next-Cursor", nextCursor);
+    res.json(ranked);
+  } catch (err) {
+    logger.error("/feed failed", { err });
+    bffMetrics.feed.errors += 1;
+    res.status(500).json({ error: "Failed to load feed" });
+  }
+});
+
+// Cluster-first feed: one card per story using cluster_ai text, with real
+// coverage counts, contributing sources and a representative image.
+async function buildClusterFeed(
+  res,
+  { target, waitTranslations, DB_T_MS, DB_T_FAST_MS, effectiveLimit, cursor }
+) {
+  const base = (t) => (t || "").split("-")[0].toLowerCase();
+  const fetchN = effectiveLimit * 2;
+  let q = supabase
+    .from("clusters")
+    .select("id,rep_article,created_at")
+    .order("created_at", { ascending: false })
+    .order("id", { ascending: false });
+  // Keyset on created_at: updated_at moves while paging and would skip rows
+  if (cursor) q = q.or(keysetFilter("created_at", cursor));
+  const { data: clusters, error } = await withTimeout(
+    q.limit(fetchN),
+    DB_T_MS,
+    "clusters list"
+  );
+  if (error) throw error;
+  if (!clusters || !clusters.length) return { cards: [], next: null };
+
+  const clusterIds = clusters.map((c) => c.id);
+  // Member articles grouped by cluster_id: coverage, sources, freshest timestamp
+  const members = new Map();
+  try {
+    const { data: arts } = await withTimeout(
       supabase
         .from("articles")
-        .select("id,title,snippet,published_at,lang,image_url")
-        .order("published_at", { ascending: false })
-        .limit(effectiveLimit * 2),
+        .select("id,cluster_id,source_id,image_url,published_at")
+        .in("cluster_id", clusterIds),
       DB_T_MS,
-      "articles list"
+      "cluster members"
     );
-    if (error) throw error;
-    if (!arts || !arts.length) return res.json([]);
+    for (const a of arts || []) {
+      if (!a.cluster_id) continue;
+      const list = members.get(a.cluster_id) || [];
+      list.push(a);
+      members.set(a.cluster_id, list);
+    }
+  } catch (_) {}
 
-    const ids = arts.map((a) => a.id);
-    // Preload media (first by sort_index, else any)
-    let mediaByArticle = new Map();
+  // Representative articles (fallback title/image/published_at)
+  const repIds = [
+    ...new Set(clusters.map((c) => c.rep_article).filter(Boolean)),
+  ];
+  let repById = new Map();
+  if (repIds.length) {
     try {
-      const { data: media } = await withTimeout(
+      const { data: reps } = await withTimeout(
         supabase
-          .from("article_media")
-          .select("article_id,url,type,sort_index")
-          .in("article_id", ids.length ? ids : ["__none__"]),
+          .from("articles")
+          .select("id,title,snippet,published_at,image_url,source_id")
+          .in("id", repIds),
         DB_T_FAST_MS,
-        "article media"
-      );
-      const temp = new Map();
-      (media || []).forEach((m) => {
-        const list = temp.get(m.article_id) || [];
-        list.push(m);
-        temp.set(m.article_id, list);
-      });
-      mediaByArticle = new Map(
-        [...temp.entries()].map(([aid, list]) => {
-          const sorted = list.sort(
-            (a, b) => (a.sort_index || 0) - (b.sort_index || 0)
-          );
-          const pick =
-            sorted.find((x) => x.type === "thumbnail") || sorted[0] || null;
-          return [aid, pick?.url || null];
-        })
+        "cluster rep articles"
       );
+      repById = new Map((reps || []).map((a) => [a.id, a]));
     } catch (_) {}
+  }
 
-    // Preload categories (use slug or name as tags)
-    let catsByArticle = new Map();
+  // Source names for all contributing outlets
+  const srcIds = [
+    ...new Set(
+      [...members.values()]
+        .flat()
+        .map((a) => a.source_id)
+        .concat([...repById.values()].map((a) => a.source_id))
+        .filter(Boolean)
+    ),
+  ];
+  let srcNames = new Map();
+  if (srcIds.length) {
     try {
-      const { data: links } = await withTimeout(
-        supabase
-          .from("article_categories")
-          .select("article_id,category_id")
-          .in("article_id", ids.length ? ids : ["__none__"]),
+      const { data: srcs } = await withTimeout(
+        supabase.from("sources").select("id,name").in("id", srcIds),
         DB_T_FAST_MS,
-        "article categories"
+        "cluster sources"
       );
-      const catIds = [
-        ...new Set((links || []).map((l) => l.category_id).filter(Boolean)),
-      ];
-      let map = new Map();
-      if (catIds.length) {
-        const { data: cats } = await withTimeout(
-          supabase.from("categories").select("id,slug,name").in("id", catIds),
-          DB_T_FAST_MS,
-          "categories"
-        );
-        map = new Map((cats || []).map((c) => [c.id, c.slug || c.name]));
-      }
-      const agg = new Map();
-      (links || []).forEach((l) => {
-        const list = agg.get(l.article_id) || [];
-        const tag = map.get(l.category_id);
-        if (tag) list.push(tag);
-        agg.set(l.article_id, list);
-      });
-      catsByArticle = agg;
+      srcNames = new Map((srcs || []).map((s) => [s.id, s.name]));
     } catch (_) {}
+  }
 
-    const cards = [];
-    for (const a of arts.slice(0, effectiveLimit)) {
-      const tr = await getBestArticleTranslation(a.id, target);
-      if (!tr) {
-        if (waitTranslations) continue; // skip in strict mode
-        // non-strict: show placeholder with pending status
-        cards.push({
-          id: a.id,
-          title: a.title || null,
-          summary: a.snippet || null,
-          language: target,
-          dir: dirFor(target),
-          is_translated: false,
-          translated_from: null,
-          image_url: mediaByArticle.get(a.id) || a.image_url || null,
-          category: (catsByArticle.get(a.id) || [])[0] || "general",
-          tags: catsByArticle.get(a.id) || [],
-          coverage_count: 1,
-          translation_status: "pending",
-          published_at: a.published_at || null,
-        });
-        continue;
+  const [mediaByArticle, catsByArticle] = await Promise.all([
+    loadArticleMedia(repIds, DB_T_FAST_MS),
+    loadArticleCategories(repIds, DB_T_FAST_MS),
+  ]);
+
+  const budgetMs = parseInt(process.env.FEED_STRICT_BUDGET_MS || "12000");
+  const deadline = Date.now() + budgetMs;
+  const pending = [];
+  const cards = [];
+  let consumed = 0;
+  for (const c of clusters) {
+    if (cards.length >= effectiveLimit) break;
+    // Strict: wait for the target row within the remaining budget
+    const left = deadline - Date.now();
+    if (waitTranslations && left <= 0) break;
+    consumed += 1;
+    let text = null;
+    if (waitTranslations) {
+      try {
+        text = await withTimeout(
+          ensureClusterTextInLangDedup(c.id, target),
+          left,
+          "feed ensure",
+          { "bff.cluster_id": c.id, "bff.lang": target }
+        );
+      } catch (_) {
+        text = null;
       }
-      const used = normalizeBcp47(tr.dst_lang || target);
-      const base = (t) => (t || "").split("-")[0].toLowerCase();
-      const isTranslated = a.lang ? base(used) !== base(a.lang) : true;
+    } else {
+      text = await getClusterTextInLangNonBlocking(c.id, target);
+    }
+    if (!text) continue;
+    const ready = waitTranslations || base(text.lang) === base(target);
+    if (!ready) pending.push(c.id);
+
+    const rep = repById.get(c.rep_article) || null;
+    const list = members.get(c.id) || [];
+    const sourceIds = [
+      ...new Set(
+        list
+          .map((a) => a.source_id)
+          .concat(rep?.source_id ? [rep.source_id] : [])
+          .filter(Boolean)
+      ),
+    ];
+    const latest = list
+      .map((a) => a.published_at)
+      .filter(Boolean)
+      .sort()
+      .pop();
+    const used = ready ? target : normalizeBcp47(text.lang) || target;
+    cards.push({
+      id: c.id,
+      title: decodeHtmlEntities(text.ai_title || rep?.title || ""),
+      summary: decodeHtmlEntities(text.ai_summary || rep?.snippet || ""),
+      language: used,
+      dir: dirFor(used),
+      is_translated: !!text.is_translated,
+      translated_from: text.translated_from || null,
+      image_url:
+        mediaByArticle.get(c.rep_article) ||
+        rep?.image_url ||
+        list.find((a) => a.image_url)?.image_url ||
+        null,
+      category: (catsByArticle.get(c.rep_article) || [])[0] || "general",
+      tags: catsByArticle.get(c.rep_article) || [],
+      coverage_count: list.length || 1,
+      sources: sourceIds.map((id) => ({
+        id,
+        name: srcNames.get(id) || null,
+      })),
+      rep_article: c.rep_article || null,
+      translation_status: ready ? "ready" : "pending",
+      published_at: latest || rep?.published_at || null,
+    });
+  }
+  if (pending.length) res.setHeader("X-Pending-Cluster-Ids", pending.join(","));
+  // Continue after the last cluster we looked at, shown or skipped
+  const last = clusters[consumed - 1];
+  const more = consumed < clusters.length || clusters.length === fetchN;
+  return {
+    cards,
+    next: more && last ? { t: last.created_at, id: last.id } : null,
+  };
+}
+
+// Article feed: one card per article using articles_translations rows
+async function buildArticleFeed({
+  target,
+  waitTranslations,
+  DB_T_MS,
+  DB_T_FAST_MS,
+  effectiveLimit,
+  cursor,
+}) {
+  // Pull recent articles (keyset on published_at, id when paging)
+  let q = supabase
+    .from("articles")
+    .select("id,title,snippet,published_at,lang,image_url")
+    .not("published_at", "is", null) // undated rows cannot carry a cursor
+    .order("published_at", { ascending: false })
+    .order("id", { ascending: false });
+  if (cursor) q = q.or(keysetFilter("published_at", cursor));
+  const { data: arts, error } = await withTimeout(
+    q.limit(effectiveLimit * 2),
+    DB_T_MS,
+    "articles list"
+  );
+  if (error) throw error;
+  if (!arts || !arts.length) return { cards: [], next: null };
+
+  const ids = arts.map((a) => a.id);
+  const [mediaByArticle, catsByArticle] = await Promise.all([
+    loadArticleMedia(ids, DB_T_FAST_MS),
+    loadArticleCategories(ids, DB_T_FAST_MS),
+  ]);
+
+  const cards = [];
+  const page = arts.slice(0, effectiveLimit);
+  const baseOf = (t) => (t || "").split("-")[0].toLowerCase();
+  for (const a of page) {
+    const tr = await getBestArticleTranslation(a.id, target);
+    // Produce the missing translation in the background for the next request
+    if (!tr || baseOf(tr.dst_lang) !== baseOf(target))
+      enqueueArticleTranslation(a.id, target);
+    if (!tr) {
+      if (waitTranslations) continue; // skip in strict mode
+      // non-strict: show placeholder with pending status
       cards.push({
         id: a.id,
-        title: decodeHtmlEntities(tr.headline || a.title || ""),
-        summary: decodeHtmlEntities(tr.summary_ai || a.snippet || ""),
-        language: used,
-        dir: dirFor(used),
-        is_translated: isTranslated,
-        translated_from: isTranslated ? a.lang || null : null,
+        title: a.title || null,
+        summary: a.snippet || null,
+        language: target,
+        dir: dirFor(target),
+        is_translated: false,
+        translated_from: null,
         image_url: mediaByArticle.get(a.id) || a.image_url || null,
         category: (catsByArticle.get(a.id) || [])[0] || "general",
         tags: catsByArticle.get(a.id) || [],
         coverage_count: 1,
-        translation_status: "ready",
+        translation_status: "pending",
         published_at: a.published_at || null,
       });
+      continue;
     }
-    res.json(cards);
-  } catch (err) {
-    console.error("/feed failed", err.message);
-    bffMetrics.feed.errors += 1;
-    res.status(500).json({ error: "Failed to load feed" });
+    const used = normalizeBcp47(tr.dst_lang || target);
+    const base = (t) => (t || "").split("-")[0].toLowerCase();
+    const isTranslated = a.lang ? base(used) !== base(a.lang) : true;
+    cards.push({
+      id: a.id,
+      title: decodeHtmlEntities(tr.headline || a.title || ""),
+      summary: decodeHtmlEntities(tr.summary_ai || a.snippet || ""),
+      language: used,
+      dir: dirFor(used),
+      is_translated: isTranslated,
+      translated_from: isTranslated ? a.lang || null : null,
+      image_url: mediaByArticle.get(a.id) || a.image_url || null,
+      category: (catsByArticle.get(a.id) || [])[0] || "general",
+      tags: catsByArticle.get(a.id) || [],
+      coverage_count: 1,
+      translation_status: "ready",
+      published_at: a.published_at || null,
+    });
   }
-});
+  // Rows skipped in strict mode still count as consumed
+  const last = page[page.length - 1];
+  return {
+    cards,
+    next:
+      arts.length > page.length && last
+        ? { t: last.published_at, id: last.id }
+        : null,
+  };
+}
 
 // GET /cluster/:id?lang=...
 // Helper to collect top-N citations for a cluster
@@ -1207,12 +2732,17 @@ async function getClusterCitations(clusterId, n = 3) {
       source_name: a.source_id ? srcMap.get(a.source_id) || null : null,
     }));
   } catch (e) {
-    console.warn("getClusterCitations failed:", e.message);
+    logger.warn("getClusterCitations failed", { err: e });
     return [];
   }
 }
 
-app.get("/cluster/:id", langMiddleware, async (req, res) => {
+const clusterCache = responseCache.cache("cluster");
+
+// Named span per /cluster/:id phase, summarized in the Server-Timing header
+const phase = (name, fn) => withSpan(`cluster.${name}`, fn, { phase: name });
+
+app.get("/cluster/:id", langMiddleware, clusterCache, async (req, res) => {
   bffMetrics.cluster.requests += 1;
   const target = req.lang;
   const { id } = req.params;
@@ -1230,56 +2760,65 @@ app.get("/cluster/:id", langMiddleware, async (req, res) => {
     );
     if (clErr || !cluster) return res.status(404).json({ error: "Not found" });
 
-    const ensured = await ensureClusterTextInLang(cluster.id, target);
+    const ensured = await phase("cluster_text", () =>
+      ensureClusterTextOrPivot(cluster.id, target)
+    );
 
     if (!ensured) return res.status(404).json({ error: "No text for cluster" });
+    // Pivot text while no provider can translate: let clients retry
+    if (ensured.untranslated)
+      res.setHeader("X-Pending-Cluster-Ids", cluster.id);
 
     // Timeline (translate on the fly; do not persist for now)
-    const { data: updates } = await withTimeout(
-      supabase
-        .from("cluster_updates")
-        .select("id,claim,summary,source_id,lang,happened_at,created_at")
-        .eq("cluster_id", id)
-        .order("happened_at", { ascending: false }),
-      2000,
-      "cluster timeline"
+    const { data: updates } = await phase("timeline", () =>
+      withTimeout(
+        supabase
+          .from("cluster_updates")
+          .select("id,claim,summary,source_id,lang,happened_at,created_at")
+          .eq("cluster_id", id)
+          .order("happened_at", { ascending: false }),
+        2000,
+        "cluster timeline"
+      )
     );
     const upTranslated = [];
-    for (const u of updates || []) {
-      const baseText = u.summary || u.claim || "";
-      const src = normalizeBcp47(u.lang || "");
-      const base = (t) => (t || "").split("-")[0].toLowerCase();
-      const needs = src && base(src) !== base(target);
-      let text = baseText;
-      if (needs) {
-        try {
-          text = await translateTextCached(baseText, {
-            srcLang: src,
-            dstLang: target,
-          });
-        } catch (_) {
-          const t =
-            process.env.BFF_TRANSLATION_TAG === "off" ? "" : " [translated]";
-          text = baseText + t;
+    await phase("timeline_translate", async () => {
+      for (const u of updates || []) {
+        const baseText = u.summary || u.claim || "";
+        const src = normalizeBcp47(u.lang || "");
+        const base = (t) => (t || "").split("-")[0].toLowerCase();
+        const needs = src && base(src) !== base(target);
+        let text = baseText;
+        let translated = false;
+        if (needs) {
+          try {
+            text = await translateTextCached(baseText, {
+              srcLang: src,
+              dstLang: target,
+            });
+            translated = true;
+          } catch (_) {} // untranslated: keep the source text
         }
+        upTranslated.push({
+          id: u.id,
+          text,
+          language: translated ? target : src || target,
+          translated_from: translated ? src : null,
+          happened_at: u.happened_at || u.created_at,
+          source_id: u.source_id,
+        });
       }
-      upTranslated.push({
-        id: u.id,
-        text,
-        language: needs ? target : src || target,
-        translated_from: needs ? src : null,
-        happened_at: u.happened_at || u.created_at,
-        source_id: u.source_id,
-      });
-    }
+    });
 
     // Coverage count
     let coverage_count = 1;
     try {
-      const { data: arts } = await withTimeout(
-        supabase.from("articles").select("id").eq("cluster_id", id),
-        1500,
-        "cluster coverage count"
+      const { data: arts } = await phase("coverage", () =>
+        withTimeout(
+          supabase.from("articles").select("id").eq("cluster_id", id),
+          1500,
+          "cluster coverage count"
+        )
       );
       coverage_count = (arts || []).length || 1;
     } catch (_) {}
@@ -1287,32 +2826,36 @@ app.get("/cluster/:id", langMiddleware, async (req, res) => {
     // Rep thumbnail
     let image_url = null;
     try {
-      const { data: link } = await withTimeout(
-        supabase
-          .from("article_media")
-          .select("media_id")
-          .eq("article_id", cluster.rep_article)
-          .eq("role", "thumbnail")
-          .limit(1),
-        1500,
-        "cluster rep thumb link"
-      );
-      if (link && link[0]) {
-        const { data: asset } = await withTimeout(
+      await phase("media", async () => {
+        const { data: link } = await withTimeout(
           supabase
-            .from("media_assets")
-            .select("url")
-            .eq("id", link[0].media_id)
-            .maybeSingle(),
+            .from("article_media")
+            .select("media_id")
+            .eq("article_id", cluster.rep_article)
+            .eq("role", "thumbnail")
+            .limit(1),
           1500,
-          "cluster rep thumb asset"
+          "cluster rep thumb link"
         );
-        image_url = asset?.url || null;
-      }
+        if (link && link[0]) {
+          const { data: asset } = await withTimeout(
+            supabase
+              .from("media_assets")
+              .select("url")
+              .eq("id", link[0].media_id)
+              .maybeSingle(),
+            1500,
+            "cluster rep thumb asset"
+          );
+          image_url = asset?.url || null;
+        }
+      });
     } catch (_) {}
 
     // Citations (top 3)
-    const citations = await getClusterCitations(id, 3);
+    const citations = await phase("citations", () =>
+      getClusterCitations(id, 3)
+    );
 
     // Compose richer details when ai_details is missing or too short
     const cleanTitle = decodeHtmlEntities(ensured.ai_title || "");
@@ -1346,22 +2889,24 @@ app.get("/cluster/:id", langMiddleware, async (req, res) => {
       title: cleanTitle,
       summary: cleanSummary,
       ai_details: composedDetails,
-      language: target,
+      language: ensured.untranslated ? ensured.lang : target,
       is_translated: ensured.is_translated || false,
       translated_from: ensured.translated_from || null,
-      dir: dirFor(target),
+      dir: dirFor(ensured.untranslated ? ensured.lang : target),
       image_url,
       coverage_count,
       timeline: upTranslated,
       citations,
     });
-    console.log(
-      `[BFF:/cluster] id=${id} updates=${(updates || []).length} citations=${
-        citations.length
-      } in ${Date.now() - t0}ms lang=${target}`
-    );
+    logger.info("cluster served", {
+      cluster_id: id,
+      updates: (updates || []).length,
+      citations: citations.length,
+      duration_ms: Date.now() - t0,
+      lang: target,
+    });
   } catch (err) {
-    console.error("/cluster/:id failed", err.message);
+    logger.error("/cluster/:id failed", { err });
     bffMetrics.cluster.errors += 1;
     res.status(500).json({ error: "Failed to load cluster" });
   }
@@ -1401,58 +2946,15 @@ app.get("/config", async (req, res) => {
   try {
     const market = String(req.query.market || "").trim();
 
-    // Helpers for safe normalization across schema variants
-    const uniq = (arr) => Array.from(new Set((arr || []).filter(Boolean)));
-    const asArray = (v) => {
-      if (Array.isArray(v)) return v;
-      if (v == null) return [];
-      if (typeof v === "string") {
-        const s = v.trim();
-        if (!s) return [];
-        // Try JSON first
-        try {
-          const parsed = JSON.parse(s);
-          if (Array.isArray(parsed)) return parsed;
-        } catch (_) {}
-        // Try Postgres array literal {a,b,c}
-        const isPgArr = s.startsWith("{") && s.endsWith("}");
-        const body = isPgArr ? s.slice(1, -1) : s;
-        return body
-          .split(",")
-          .map((x) => x.replace(/^\"(.*)\"$/, "$1").trim())
-          .filter(Boolean);
-      }
-      return [];
-    };
-    const normLangs = (v) =>
-      uniq(asArray(v).map((x) => normalizeBcp47(String(x || "").trim())));
-    const mapMarketRow = (r) => {
-      const code = r.market_code || r.code || r.market || r.slug || "GLOBAL";
-      const enabled = r.enabled === undefined ? true : !!r.enabled;
-      return {
-        market: code,
-        show_langs: normLangs(r.show_langs),
-        pretranslate_langs: normLangs(r.pretranslate_langs),
-        default_lang: normalizeBcp47(
-          r.default_lang || normLangs(r.show_langs)[0] || "en"
-        ),
-        pivot_lang: normalizeBcp47(r.pivot_lang || "en"),
-        __enabled: enabled,
-      };
-    };
-
     // Be schema-tolerant: select all columns, filter client-side
     const { data, error } = await supabase.from("app_markets").select("*");
     if (error) {
-      console.warn(
-        "/config: falling back due to DB error:",
-        error?.message || error
-      );
+      logger.warn("/config: falling back due to DB error", { err: error });
       if (market) return res.json(buildFallback(market));
       return res.json({ markets: [buildFallback("GLOBAL")] });
     }
 
-    let rows = (data || []).map(mapMarketRow).filter((r) => r.__enabled);
+    let rows = (data || []).map(marketFromRow).filter((r) => r.enabled);
     if (market) {
       // Try to find exact match by code
       const r =
@@ -1463,16 +2965,16 @@ app.get("/config", async (req, res) => {
         null;
       if (!r) return res.json(buildFallback(market));
       // Strip helper field
-      const { __enabled, ...clean } = r;
+      const { enabled, ...clean } = r;
       return res.json(clean);
     }
     // No market param: return enabled markets summary or fallback
     if (!rows.length) return res.json({ markets: [buildFallback("GLOBAL")] });
     // Strip helper fields
-    rows = rows.map(({ __enabled, ...rest }) => rest);
+    rows = rows.map(({ enabled, ...rest }) => rest);
     return res.json({ markets: rows });
   } catch (e) {
-    console.error("/config failed", e.message);
+    logger.error("/config failed", { err: e });
     bffMetrics.config.errors += 1;
     // Last-resort fallback to avoid breaking FE
     const market = String(req.query.market || "").trim();
@@ -1481,119 +2983,328 @@ app.get("/config", async (req, res) => {
   }
 });
 
-// POST /translate/batch?lang=X
-// Body: { ids: [cluster_id...] }
-// Simple IP token bucket limiter for batch endpoint (dynamic env read)
-function _rateLimitBatchLimit() {
-  const v = parseInt(process.env.RATE_LIMIT_BATCH || "60");
-  return Number.isFinite(v) && v >= 0 ? v : 60;
+// Translate ids with BATCH_TRANSLATE_CONCURRENCY workers and an itemMs
+// timeout per item (default BATCH_TRANSLATE_ITEM_MS). translateOne resolves to
+// a result or null when the item does not exist; onItem sees each result or
+// error as it lands and is awaited, so a worker stops when it throws.
+// -> { results, failed, errors }
+async function runTranslateBatch(
+  ids,
+  label,
+  translateOne,
+  {
+    onItem,
+    itemMs = parseInt(process.env.BATCH_TRANSLATE_ITEM_MS || "6000"),
+  } = {}
+) {
+  const conc = parseInt(process.env.BATCH_TRANSLATE_CONCURRENCY || "6");
+  const queue = [...ids];
+  const results = [];
+  const failed = [];
+  const errors = [];
+  const fail = (id, status, error) => {
+    failed.push(id);
+    errors.push({ id, status, error });
+    return { id, status, error };
+  };
+  const workers = Array.from({ length: Math.max(1, Math.min(conc, 12)) }, () =>
+    (async () => {
+      while (queue.length) {
+        const id = queue.shift();
+        if (!id) break;
+        let entry;
+        try {
+          const result = await withTimeout(translateOne(id), itemMs, label);
+          if (result) results.push(result);
+          entry = result || fail(id, "not_found", "not found");
+        } catch (e) {
+          const timedOut = /timed out after/.test(e?.message || "");
+          entry = fail(
+            id,
+            timedOut ? "timeout" : "failed",
+            e?.message || String(e)
+          );
+        }
+        if (onItem) await onItem(entry);
+      }
+    })()
+  );
+  await Promise.all(workers);
+  return { results, failed, errors };
 }
-const _ipBuckets = new Map();
-function _takeToken(ip) {
-  const now = Date.now();
-  const hourMs = 60 * 60 * 1000;
-  const rec = _ipBuckets.get(ip) || {
-    windowStart: now,
-    tokens: _rateLimitBatchLimit(),
+
+// Batch items: cluster text via ensureClusterTextInLang, article cards as
+// headline and summary only (the body follows on first read)
+async function translateBatchCluster(id, target) {
+  const ensured = await ensureClusterTextInLangDedup(id, target);
+  if (!ensured) return null;
+  return {
+    id,
+    status: "ready",
+    title: ensured.ai_title,
+    summary: ensured.ai_summary,
+    language: target,
+    is_translated: ensured.is_translated || true,
+    translated_from: ensured.translated_from || null,
+    dir: dirFor(target),
   };
-  if (now - rec.windowStart >= hourMs) {
-    rec.windowStart = now;
-    rec.tokens = _rateLimitBatchLimit();
-  }
-  if (rec.tokens <= 0) {
-    _ipBuckets.set(ip, rec);
-    return false;
-  }
-  rec.tokens -= 1;
-  _ipBuckets.set(ip, rec);
-  return true;
 }
 
-app.post("/translate/batch", langMiddleware, async (req, res) => {
-  bffMetrics.batch.requests += 1;
-  const ip =
-    req.headers["x-forwarded-for"]?.toString().split(",")[0].trim() ||
-    req.socket.remoteAddress ||
-    "unknown";
-  if (!_takeToken(ip)) {
-    bffMetrics.batch.limited += 1;
+async function translateBatchArticle(id, target) {
+  const tr = await ensureArticleTranslationDedup(id, target, {
+    withBody: false,
+  });
+  if (!tr) return null;
+  const used = normalizeBcp47(tr.dst_lang || target);
+  return {
+    id,
+    status: "ready",
+    title: decodeHtmlEntities(tr.headline || ""),
+    summary: decodeHtmlEntities(tr.summary_ai || ""),
+    language: used,
+    dir: dirFor(used),
+  };
+}
+
+function translateBatchItems(kind, ids, target, opts) {
+  return kind === "articles"
+    ? runTranslateBatch(
+        ids,
+        "batch article",
+        (id) => translateBatchArticle(id, target),
+        opts
+      )
+    : runTranslateBatch(
+        ids,
+        "batch ensure",
+        (id) => translateBatchCluster(id, target),
+        opts
+      );
+}
+
+// { articleIds } -> articles, else { ids } or { clusterIds } -> clusters;
+// ids deduplicated in order
+function batchIdsFromBody(body) {
+  const list = (v) => (Array.isArray(v) ? v.filter(Boolean) : []);
+  const articleIds = list(body?.articleIds);
+  const bodyIds = list(body?.ids);
+  const ids = articleIds.length
+    ? articleIds
+    : bodyIds.length
+    ? bodyIds
+    : list(body?.clusterIds);
+  return {
+    kind: articleIds.length ? "articles" : "clusters",
+    ids: [...new Set(ids)],
+  };
+}
+
+// POST /translate/batch?lang=X
+// Body: { ids: [cluster_id...] } (or clusterIds), or { articleIds: [...] } to
+// translate article headlines and summaries into articles_translations.
+// Failed ids are listed in `failed`, with their status and error in `errors`.
+app.post(
+  "/translate/batch",
+  (_req, _res, next) => {
+    bffMetrics.batch.requests += 1;
+    next();
+  },
+  optionalAuth,
+  rateLimit("batch"),
+  langMiddleware,
+  async (req, res) => {
+    const target = req.lang;
     try {
-      console.warn("metric: bff.batch.limited", { ip });
-    } catch (_) {}
-    return res.status(429).json({ error: "rate_limited" });
+      const { kind, ids } = batchIdsFromBody(req.body);
+      if (!ids.length) {
+        logger.metric("bff.batch.requests", { count: 0 });
+        return res.json({ results: [], failed: [], errors: [] });
+      }
+      const { results, failed, errors } = await translateBatchItems(
+        kind,
+        ids.slice(0, 20),
+        target
+      );
+      if (failed.length) {
+        bffMetrics.batch.failed += failed.length;
+        logger.metric(
+          "bff.batch.failed",
+          { count: failed.length, kind },
+          "warn"
+        );
+      }
+      bffMetrics.batch.succeeded += results.length;
+      logger.metric("bff.batch.succeeded", { count: results.length, kind });
+      res.json({ results, failed, errors });
+    } catch (e) {
+      logger.error("/translate/batch failed", { err: e });
+      bffMetrics.batch.failed += 1;
+      logger.metric("bff.batch.failed", { count: 1 }, "warn");
+      res.status(500).json({ error: "Failed to translate batch" });
+    }
   }
-  const target = req.lang;
-  try {
-    // Accept either { ids: [...] } or { clusterIds: [...] }
-    const bodyIds = Array.isArray(req.body?.ids) ? req.body.ids : [];
-    const bodyClusterIds = Array.isArray(req.body?.clusterIds)
-      ? req.body.clusterIds
-      : [];
-    const ids = (bodyIds.length ? bodyIds : bodyClusterIds).filter(Boolean);
-    if (!ids.length) {
-      try {
-        console.info("metric: bff.batch.requests", { count: 0 });
-      } catch (_) {}
-      return res.json({ results: [], failed: [] });
+);
+
+// -------------------- Asynchronous batch jobs --------------------
+// POST /translate/jobs queues the same work as /translate/batch for up to
+// BATCH_JOB_MAX_IDS ids and answers 202 with a job id right away; the items
+// run as one translate_batch background job. GET /translate/jobs/:id reports
+// per-item progress until BATCH_JOB_RETENTION_MS after the last update.
+const batchJobMaxIds = () =>
+  parseInt(process.env.BATCH_JOB_MAX_IDS || "500") || 500;
+
+function batchJobView(batch) {
+  return {
+    id: batch.id,
+    kind: batch.kind,
+    language: batch.lang,
+    status: batch.status,
+    total: batch.items.length,
+    counts: countItems(batch.items),
+    items: batch.items,
+    created_at: batch.created_at,
+    updated_at: batch.updated_at,
+    expires_at: batch.expires_at,
+  };
+}
+
+// Job handler: translates the items that are not final yet, BATCH_JOB_ITEM_MS
+// per item, and saves progress at most every BATCH_JOB_PROGRESS_MS. Items
+// finished before a retry are kept; timed-out items are tried again by the
+// job's next attempt and only the last attempt leaves them as "timeout".
+// Each finished item renews the job lease, so long batches are not reclaimed.
+async function runBatchJob(
+  { batchId },
+  job = {},
+  { extendLease = async () => {} } = {}
+) {
+  let batch = await batchJobs.get(batchId);
+  if (!batch) return; // expired before it ran
+  const items = new Map(batch.items.map((it) => [it.id, it]));
+  const todo = batch.items
+    .filter((it) => !FINAL_ITEM_STATUSES.includes(it.status))
+    .map((it) => it.id);
+  batch = await batchJobs.save(batch, { status: "running" });
+
+  const progressMs = parseInt(process.env.BATCH_JOB_PROGRESS_MS || "1000");
+  let lastSave = Date.now();
+  let saving = Promise.resolve();
+  const persist = (patch = {}) => {
+    saving = saving
+      .then(async () => {
+        batch = await batchJobs.save(batch, {
+          items: [...items.values()],
+          ...patch,
+        });
+      })
+      .catch((e) => logger.warn("batch progress save failed", { err: e }));
+    return saving;
+  };
+  const { results, failed } = await translateBatchItems(
+    batch.kind,
+    todo,
+    batch.lang,
+    {
+      itemMs: parseInt(process.env.BATCH_JOB_ITEM_MS || "30000"),
+      // Throws job_lease_lost once another worker took the job over
+      onItem: async (entry) => {
+        items.set(entry.id, entry);
+        await extendLease();
+        if (Date.now() - lastSave < progressMs) return;
+        lastSave = Date.now();
+        persist();
+      },
     }
-    const uniqueIds = [...new Set(ids)].slice(0, 20);
-    const perItemMs = parseInt(process.env.BATCH_TRANSLATE_ITEM_MS || "6000");
-    const conc = parseInt(process.env.BATCH_TRANSLATE_CONCURRENCY || "6");
-
-    const queue = [...uniqueIds];
-    const results = [];
-    const failed = [];
-    const workers = Array.from(
-      { length: Math.max(1, Math.min(conc, 12)) },
-      () =>
-        (async () => {
-          while (queue.length) {
-            const id = queue.shift();
-            if (!id) break;
-            try {
-              const ensured = await withTimeout(
-                ensureClusterTextInLangDedup(id, target),
-                perItemMs,
-                `batch ensure ${id}`
-              );
-              if (!ensured) {
-                failed.push(id);
-                continue;
-              }
-              results.push({
-                id,
-                status: "ready",
-                title: ensured.ai_title,
-                summary: ensured.ai_summary,
-                language: target,
-                is_translated: ensured.is_translated || true,
-                translated_from: ensured.translated_from || null,
-                dir: dirFor(target),
-              });
-            } catch (_) {
-              failed.push(id);
-            }
-          }
-        })()
-    );
-    await Promise.all(workers);
-    if (failed.length) {
-      bffMetrics.batch.failed += failed.length;
-      try {
-        console.warn("metric: bff.batch.failed", { count: failed.length });
-      } catch (_) {}
+  );
+  await saving;
+  const timedOut = [...items.values()].filter((it) => it.status === "timeout");
+  const lastAttempt = (job.attempts || 0) + 1 >= (job.max_attempts || 1);
+  if (timedOut.length && !lastAttempt) {
+    await batchJobs.save(batch, {
+      status: "queued",
+      items: [...items.values()],
+    });
+    throw new Error(`${timedOut.length} batch items timed out`);
+  }
+  // Throws when the final state cannot be stored, so the job is retried
+  batch = await batchJobs.save(batch, {
+    status: "done",
+    items: [...items.values()],
+  });
+  bffMetrics.batch.succeeded += results.length;
+  bffMetrics.batch.failed += failed.length;
+  logger.metric("bff.batch.job_done", {
+    batch_id: batch.id,
+    kind: batch.kind,
+    succeeded: results.length,
+    failed: failed.length,
+  });
+}
+
+app.post(
+  "/translate/jobs",
+  (_req, _res, next) => {
+    bffMetrics.batch.requests += 1;
+    next();
+  },
+  optionalAuth,
+  rateLimit("batch"),
+  langMiddleware,
+  async (req, res) => {
+    const { kind, ids } = batchIdsFromBody(req.body);
+    if (!ids.length) return res.status(400).json({ error: "ids required" });
+    const max = batchJobMaxIds();
+    if (ids.length > max)
+      return res.status(400).json({ error: "too_many_ids", max });
+    let batch;
+    try {
+      batch = await batchJobs.create({ kind, lang: req.lang, ids });
+    } catch (e) {
+      // Without a stored batch no instance could report or run it
+      logger.warn("batch store unavailable", { err: e });
+      return res.status(503).json({ error: "batch_unavailable" });
     }
-    bffMetrics.batch.succeeded += results.length;
     try {
-      console.info("metric: bff.batch.succeeded", { count: results.length });
-    } catch (_) {}
-    res.json({ results, failed });
+      await jobQueue.enqueue(
+        "translate_batch",
+        { batchId: batch.id },
+        { key: `batch:${batch.id}` }
+      );
+      bffMetrics.batch.jobs += 1;
+      logger.metric("bff.batch.job_queued", {
+        batch_id: batch.id,
+        kind,
+        count: ids.length,
+      });
+      res
+        .status(202)
+        .location(`/translate/jobs/${batch.id}`)
+        .json(batchJobView(batch));
+    } catch (e) {
+      logger.error("/translate/jobs failed", { err: e });
+      // Nothing will run it: report the batch as failed instead of queued
+      await batchJobs
+        .save(batch, {
+          status: "failed",
+          items: batch.items.map((it) => ({
+            ...it,
+            status: "failed",
+            error: "not queued",
+          })),
+        })
+        .catch((err) => logger.warn("batch failure save failed", { err }));
+      res.status(500).json({ error: "Failed to queue batch" });
+    }
+  }
+);
+
+app.get("/translate/jobs/:id", async (req, res) => {
+  try {
+    const batch = await batchJobs.get(req.params.id);
+    if (!batch) return res.status(404).json({ error: "not_found" });
+    res.json(batchJobView(batch));
   } catch (e) {
-    console.error("/translate/batch failed", e.message);
-    bffMetrics.batch.failed += 1;
-    try {
-      console.warn("metric: bff.batch.failed", { count: 1 });
-    } catch (_) {}
-    res.status(500).json({ error: "Failed to translate batch" });
+    logger.error("/translate/jobs/:id failed", { err: e });
+    res.status(500).json({ error: "Failed to load batch" });
   }
 });
@@ -0,0 +1,61 @@
+import { Router } from "express";
+import { adminAuth } from "../utils/auth.mjs";
+import { logger } from "../utils/logger.mjs";
+
+/**
+ * Admin endpoints for the insight-bff service
+ * Guarded by ADMIN_TOKEN (X-Admin-Token header); lists background jobs,
+ * including dead-lettered ones, and re-runs them
+ */
+
+const JOB_STATUSES = ["queued", "running", "done", "dead"];
+
+export function createAdminRoutes({ jobQueue }) {
+  const router = Router();
+  router.use(adminAuth);
+
+  // GET /admin/jobs?status=dead&type=article_translation&limit=50&offset=0
+  router.get("/jobs", async (req, res) => {
+    const status = req.query.status ? String(req.query.status) : undefined;
+    if (status && !JOB_STATUSES.includes(status))
+      return res.status(400).json({
+        error: "invalid_status",
+        details: [`status must be one of ${JOB_STATUSES.join(", ")}`],
+      });
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit || "50") || 50, 1),
+      200
+    );
+    const offset = Math.max(parseInt(req.query.offset || "0") || 0, 0);
+    try {
+      const { jobs, has_more } = await jobQueue.list({
+        status,
+        type: req.query.type ? String(req.query.type) : undefined,
+        limit,
+        offset,
+      });
+      res.json({ jobs, has_more, stats: jobQueue.stats() });
+    } catch (e) {
+      logger.error("/admin/jobs failed", { err: e });
+      res.status(500).json({ error: "Failed to list jobs" });
+    }
+  });
+
+  // POST /admin/jobs/:id/retry -> re-queue now with a fresh attempt budget
+  router.post("/jobs/:id/retry", async (req, res) => {
+    try {
+      const { job, error } = await jobQueue.retry(req.params.id);
+      if (error === "not_found")
+        return res.status(404).json({ error: "job_not_found" });
+      if (error) return res.status(409).json({ error });
+      res.status(202).json({ job });
+    } catch (e) {
+      logger.error("/admin/jobs/:id/retry failed", { err: e });
+      res.status(500).json({ error: "Failed to retry job" });
+    }
+  });
+
+  return router;
+}
+
+export default createAdminRoutes;
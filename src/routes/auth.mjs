@@ -0,0 +1,264 @@
+import { Router } from "express";
+import crypto from "node:crypto";
+import {
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  newRefreshToken,
+  hashToken,
+  refreshTtlSeconds,
+  authMiddleware,
+} from "../utils/auth.mjs";
+import {
+  DEFAULT_PREFERENCES,
+  validatePreferences,
+} from "../utils/preferences.mjs";
+import { logger } from "../utils/logger.mjs";
+
+/**
+ * Auth endpoints for the insight-bff service
+ * Users live in `app_users` (scrypt password hashes); refresh tokens in
+ * `auth_refresh_tokens` (SHA-256 hashes only, rotated on every refresh)
+ */
+
+const USER_COLUMNS =
+  "id,email,name,preferences,onboarding_complete,created_at,updated_at";
+
+export function createAuthRoutes(supabase, { withTimeout, preferencesStore }) {
+  const router = Router();
+  const minPassword = () =>
+    Math.max(parseInt(process.env.AUTH_MIN_PASSWORD || "8") || 8, 1);
+  const normEmail = (e) =>
+    String(e || "")
+      .trim()
+      .toLowerCase();
+
+  async function findUserBy(column, value, columns = USER_COLUMNS) {
+    const { data, error } = await withTimeout(
+      supabase
+        .from("app_users")
+        .select(columns)
+        .eq(column, value)
+        .maybeSingle(),
+      2000,
+      `app_users by ${column}`
+    );
+    if (error) throw error;
+    return data || null;
+  }
+
+  // Issue an access token plus a fresh refresh token (persisted as a hash)
+  async function issueTokens(userId) {
+    const refresh = newRefreshToken();
+    const sid = crypto.randomUUID();
+    const expiresAt = new Date(
+      Date.now() + refreshTtlSeconds() * 1000
+    ).toISOString();
+    const { error } = await withTimeout(
+      supabase.from("auth_refresh_tokens").insert({
+        id: sid,
+        user_id: userId,
+        token_hash: hashToken(refresh),
+        expires_at: expiresAt,
+      }),
+      2000,
+      "refresh token insert"
+    );
+    if (error) throw error;
+    const { token, expiresIn } = signAccessToken({ sub: userId, sid });
+    return {
+      token,
+      token_type: "Bearer",
+      expires_in: expiresIn,
+      refresh_token: refresh,
+      refresh_expires_at: expiresAt,
+    };
+  }
+
+  // Revokes the matching live tokens; returns the rows this call revoked
+  async function revokeRefresh(filter) {
+    let q = supabase
+      .from("auth_refresh_tokens")
+      .update({ revoked_at: new Date().toISOString() })
+      .is("revoked_at", null);
+    for (const [k, v] of Object.entries(filter)) q = q.eq(k, v);
+    const { data, error } = await withTimeout(
+      q.select("id"),
+      2000,
+      "refresh token revoke"
+    );
+    if (error) throw error;
+    return data || [];
+  }
+
+  // POST /auth/register
+  router.post("/register", async (req, res) => {
+    const { email, password, name, preferences } = req.body || {};
+    const mail = normEmail(email);
+    if (!mail || !password)
+      return res.status(400).json({ error: "email and password required" });
+    if (String(password).length < minPassword())
+      return res.status(400).json({ error: "password too short" });
+    const prefs = preferences
+      ? validatePreferences(preferences)
+      : { value: {}, errors: [] };
+    if (prefs.errors.length)
+      return res
+        .status(400)
+        .json({ error: "invalid_preferences", details: prefs.errors });
+    try {
+      if (await findUserBy("email", mail, "id"))
+        return res.status(400).json({ error: "Email already registered" });
+      const now = new Date().toISOString();
+      const user = {
+        id: crypto.randomUUID(),
+        email: mail,
+        name: name || mail.split("@")[0],
+        preferences: { ...DEFAULT_PREFERENCES, ...prefs.value },
+        onboarding_complete: false,
+        created_at: now,
+        updated_at: now,
+      };
+      const { error } = await withTimeout(
+        supabase
+          .from("app_users")
+          .insert({ ...user, password_hash: await hashPassword(password) }),
+        2000,
+        "app_users insert"
+      );
+      if (error) throw error;
+      res.json({ user, ...(await issueTokens(user.id)) });
+    } catch (e) {
+      logger.error("[Auth Register] Error", { err: e });
+      res.status(500).json({ error: "Failed to register" });
+    }
+  });
+
+  // POST /auth/login
+  router.post("/login", async (req, res) => {
+    const { email, password } = req.body || {};
+    try {
+      const row = await findUserBy(
+        "email",
+        normEmail(email),
+        `${USER_COLUMNS},password_hash`
+      );
+      const ok = row && (await verifyPassword(password, row.password_hash));
+      if (!ok) return res.status(401).json({ error: "Invalid credentials" });
+      const { password_hash, ...user } = row;
+      res.json({ user, ...(await issueTokens(user.id)) });
+    } catch (e) {
+      logger.error("[Auth Login] Error", { err: e });
+      res.status(500).json({ error: "Failed to login" });
+    }
+  });
+
+  // POST /auth/refresh { refresh_token } -> rotated token pair
+  router.post("/refresh", async (req, res) => {
+    const presented = String(req.body?.refresh_token || "");
+    if (!presented)
+      return res.status(400).json({ error: "refresh_token required" });
+    try {
+      const { data: rec, error } = await withTimeout(
+        supabase
+          .from("auth_refresh_tokens")
+          .select("id,user_id,expires_at,revoked_at")
+          .eq("token_hash", hashToken(presented))
+          .maybeSingle(),
+        2000,
+        "refresh token lookup"
+      );
+      if (error) throw error;
+      if (!rec) return res.status(401).json({ error: "invalid_token" });
+      if (rec.revoked_at) {
+        // Reuse of a rotated token: assume theft and end every session of the user
+        await revokeRefresh({ user_id: rec.user_id });
+        return res.status(401).json({ error: "invalid_token" });
+      }
+      if (Date.parse(rec.expires_at) <= Date.now())
+        return res.status(401).json({ error: "token_expired" });
+      // Revoke before issuing: of concurrent refreshes only one flips the row
+      const rotated = await revokeRefresh({ id: rec.id });
+      if (!rotated.length)
+        return res.status(401).json({ error: "invalid_token" });
+      res.json(await issueTokens(rec.user_id));
+    } catch (e) {
+      logger.error("[Auth Refresh] Error", { err: e });
+      res.status(500).json({ error: "Failed to refresh" });
+    }
+  });
+
+  // POST /auth/logout { refresh_token } -> ends that session
+  router.post("/logout", async (req, res) => {
+    const presented = String(req.body?.refresh_token || "");
+    if (!presented)
+      return res.status(400).json({ error: "refresh_token required" });
+    try {
+      await revokeRefresh({ token_hash: hashToken(presented) });
+      res.json({ success: true });
+    } catch (e) {
+      logger.error("[Auth Logout] Error", { err: e });
+      res.status(500).json({ error: "Failed to logout" });
+    }
+  });
+
+  // POST /auth/revoke { refresh_token? } -> one session of the caller, or all of them
+  router.post("/revoke", authMiddleware, async (req, res) => {
+    const presented = req.body?.refresh_token;
+    try {
+      await revokeRefresh(
+        presented
+          ? { user_id: req.userId, token_hash: hashToken(String(presented)) }
+          : { user_id: req.userId }
+      );
+      res.json({ success: true, scope: presented ? "session" : "all" });
+    } catch (e) {
+      logger.error("[Auth Revoke] Error", { err: e });
+      res.status(500).json({ error: "Failed to revoke" });
+    }
+  });
+
+  router.get("/profile", authMiddleware, async (req, res) => {
+    try {
+      const user = await findUserBy("id", req.userId);
+      if (!user) return res.status(404).json({ error: "Not found" });
+      res.json(user);
+    } catch (e) {
+      logger.error("[Auth Profile] Error", { err: e });
+      res.status(500).json({ error: "Failed to load profile" });
+    }
+  });
+
+  router.get("/preferences", authMiddleware, async (req, res) => {
+    try {
+      const prefs = await preferencesStore.get(req.userId);
+      if (!prefs) return res.status(404).json({ error: "Not found" });
+      res.json({ preferences: prefs });
+    } catch (e) {
+      logger.error("[Auth Preferences] Error", { err: e });
+      res.status(500).json({ error: "Failed to load preferences" });
+    }
+  });
+
+  // PUT /auth/preferences { preferences: {...partial} } -> validated merge
+  router.put("/preferences", authMiddleware, async (req, res) => {
+    const { value, errors } = validatePreferences(req.body?.preferences);
+    if (errors.length)
+      return res
+        .status(400)
+        .json({ error: "invalid_preferences", details: errors });
+    try {
+      const user = await findUserBy("id", req.userId);
+      if (!user) return res.status(404).json({ error: "Not found" });
+      const preferences = await preferencesStore.update(req.userId, value);
+      res.json({ ...user, preferences, updated_at: new Date().toISOString() });
+    } catch (e) {
+      logger.error("[Auth Preferences] Error", { err: e });
+      res.status(500).json({ error: "Failed to update preferences" });
+    }
+  });
+
+  return router;
+}
+
+export default createAuthRoutes;
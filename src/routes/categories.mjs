@@ -1,4 +1,5 @@
 import { Router } from "express";
+import { logger } from "../utils/logger.mjs";
 
 /**
  * Category-related API endpoints for the insight-bff service
@@ -7,12 +8,24 @@ import { Router } from "express";
 
 export function createCategoryRoutes(
   supabase,
-  { withTimeout, langMiddleware, setLangHeaders, dirFor }
+  {
+    withTimeout,
+    langMiddleware,
+    setLangHeaders,
+    dirFor,
+    // (name) => middleware caching the response; no caching by default
+    responseCache = () => (_req, _res, next) => next(),
+  }
 ) {
   const router = Router();
+  // Language negotiation, then the response cache entry for the route
+  const cachedLang = (name) => [
+    langMiddleware,
+    responseCache(`categories.${name}`),
+  ];
 
   // GET /categories/navigation - Main navigation categories with counts
-  router.get("/navigation", langMiddleware, async (req, res) => {
+  router.get("/navigation", cachedLang("navigation"), async (req, res) => {
     const target = req.lang;
 
     try {
@@ -56,13 +69,13 @@ export function createCategoryRoutes(
         language: target,
       });
     } catch (error) {
-      console.error("[Categories Navigation] Error:", error);
+      logger.error("[Categories Navigation] Error", { err: error });
       res.status(500).json({ error: "Failed to load navigation categories" });
     }
   });
 
   // GET /categories - All categories with counts and hierarchy
-  router.get("/", langMiddleware, async (req, res) => {
+  router.get("/", cachedLang("list"), async (req, res) => {
     const target = req.lang;
     const mainNavOnly = req.query.main_nav === "true";
 
@@ -160,13 +173,13 @@ export function createCategoryRoutes(
         language: target,
       });
     } catch (error) {
-      console.error("[Categories All] Error:", error);
+      logger.error("[Categories All] Error", { err: error });
       res.status(500).json({ error: "Failed to load categories" });
     }
   });
 
   // GET /categories/:slug/articles - Articles for a specific category
-  router.get("/:slug/articles", langMiddleware, async (req, res) => {
+  router.get("/:slug/articles", cachedLang("articles"), async (req, res) => {
     const { slug } = req.params;
     const target = req.lang;
     const limit = Math.min(parseInt(req.query.limit) || 20, 100);
@@ -348,7 +361,7 @@ export function createCategoryRoutes(
         language: target,
       });
     } catch (error) {
-      console.error(`[Category Articles] Error for slug=${slug}:`, error);
+      logger.error("[Category Articles] Error", { slug, err: error });
       res.status(500).json({ error: "Failed to load category articles" });
     }
   });
@@ -0,0 +1,174 @@
+// Auth primitives for the BFF (testable)
+// - scrypt password hashing (self-describing format, constant-time verify)
+// - HS256 signed access tokens with expiry (stateless verification)
+// - opaque refresh tokens, stored only as SHA-256 hashes
+
+import crypto from "node:crypto";
+import { logger } from "./logger.mjs";
+
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+let _ephemeralSecret = null;
+function jwtSecret() {
+  const s = process.env.AUTH_JWT_SECRET;
+  if (s) return s;
+  if (!_ephemeralSecret) {
+    _ephemeralSecret = crypto.randomBytes(32).toString("hex");
+    if (process.env.NODE_ENV !== "test")
+      logger.warn(
+        "AUTH_JWT_SECRET not set; using a per-process secret (tokens will not survive restarts)"
+      );
+  }
+  return _ephemeralSecret;
+}
+
+export function accessTtlSeconds() {
+  const v = parseInt(process.env.AUTH_ACCESS_TTL_S || "900");
+  return Number.isFinite(v) && v > 0 ? v : 900;
+}
+
+export function refreshTtlSeconds() {
+  const v = parseInt(process.env.AUTH_REFRESH_TTL_S || "2592000");
+  return Number.isFinite(v) && v > 0 ? v : 2592000;
+}
+
+function scryptAsync(password, salt, { N, r, p, keylen }) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(
+      password,
+      salt,
+      keylen,
+      { N, r, p, maxmem: 64 * 1024 * 1024 },
+      (err, key) => (err ? reject(err) : resolve(key))
+    );
+  });
+}
+
+// Format: scrypt$N$r$p$<salt b64>$<hash b64>
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scryptAsync(String(password), salt, SCRYPT);
+  const { N, r, p } = SCRYPT;
+  return `scrypt$${N}$${r}$${p}$${salt.toString("base64")}$${key.toString(
+    "base64"
+  )}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const parts = String(stored || "").split("$");
+  if (parts.length !== 6 || parts[0] !== "scrypt") return false;
+  const [, N, r, p, saltB64, hashB64] = parts;
+  const expected = Buffer.from(hashB64, "base64");
+  try {
+    const key = await scryptAsync(
+      String(password),
+      Buffer.from(saltB64, "base64"),
+      {
+        N: parseInt(N),
+        r: parseInt(r),
+        p: parseInt(p),
+        keylen: expected.length,
+      }
+    );
+    return crypto.timingSafeEqual(key, expected);
+  } catch (_) {
+    return false;
+  }
+}
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+const sign = (data) =>
+  crypto.createHmac("sha256", jwtSecret()).update(data).digest("base64url");
+
+// claims: { sub, sid?, ... }; returns { token, expiresIn }
+export function signAccessToken(claims, { ttl = accessTtlSeconds() } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = b64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = b64url(
+    JSON.stringify({
+      iss: "insight-bff",
+      typ: "access",
+      ...claims,
+      iat: now,
+      exp: now + ttl,
+    })
+  );
+  const body = `${header}.${payload}`;
+  return { token: `${body}.${sign(body)}`, expiresIn: ttl };
+}
+
+// Returns the claims or null when the signature, type or expiry is invalid
+export function verifyAccessToken(token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) return null;
+  const [header, payload, sig] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length) return null;
+  if (!crypto.timingSafeEqual(given, expected)) return null;
+  try {
+    const h = JSON.parse(Buffer.from(header, "base64url").toString("utf8"));
+    if (h.alg !== "HS256") return null;
+    const claims = JSON.parse(
+      Buffer.from(payload, "base64url").toString("utf8")
+    );
+    if (claims.typ !== "access" || !claims.sub) return null;
+    if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch (_) {
+    return null;
+  }
+}
+
+export function newRefreshToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+const bearer = (req) => {
+  const h = String(req.headers["authorization"] || "");
+  const m = h.match(/^Bearer\s+(.+)$/i);
+  return m ? m[1] : null;
+};
+
+// Verified user id from the Authorization header, or null
+export function userIdFromRequest(req) {
+  return verifyAccessToken(bearer(req))?.sub || null;
+}
+
+// Requires a valid access token; sets req.userId and req.auth (claims).
+// The session (sid) is not looked up: a revoked session's access token stays
+// valid until it expires, so AUTH_ACCESS_TTL_S is the revocation window.
+export function authMiddleware(req, res, next) {
+  const claims = verifyAccessToken(bearer(req));
+  if (!claims) return res.status(401).json({ error: "unauthorized" });
+  req.userId = claims.sub;
+  req.auth = claims;
+  next();
+}
+
+// Like authMiddleware but never rejects: sets req.userId when a valid token is sent
+export function optionalAuth(req, _res, next) {
+  const claims = verifyAccessToken(bearer(req));
+  if (claims) {
+    req.userId = claims.sub;
+    req.auth = claims;
+  }
+  next();
+}
+
+// Admin endpoints: shared secret from ADMIN_TOKEN sent as X-Admin-Token.
+// Without ADMIN_TOKEN the admin surface is disabled.
+export function adminAuth(req, res, next) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) return res.status(403).json({ error: "admin_disabled" });
+  const given = String(req.headers["x-admin-token"] || "");
+  const a = crypto.createHash("sha256").update(given).digest();
+  const b = crypto.createHash("sha256").update(expected).digest();
+  if (!given || !crypto.timingSafeEqual(a, b))
+    return res.status(401).json({ error: "unauthorized" });
+  next();
+}
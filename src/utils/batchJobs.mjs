@@ -0,0 +1,136 @@
+// Progress of asynchronous translation batches (POST /translate/jobs)
+// Table (Supabase):
+// - bff_translate_batches: id, kind ('clusters'|'articles'), lang, status, items (jsonb),
+//   created_at, updated_at, expires_at
+//   status: queued -> running -> done, or failed when no job could be queued;
+//   items: [{ id, status, ...result | error }]
+// The translation itself runs as a translate_batch job in bff_jobs; this store
+// only keeps what GET /translate/jobs/:id reports. Batches are readable until
+// expires_at (retention counted from the last update); expired rows are
+// deleted at most once per BATCH_JOB_PRUNE_MS as batches are created. Without a database
+// batches live in process memory; when the table is unreachable create()
+// throws, since the job may run on an instance that cannot see this memory.
+
+import crypto from "node:crypto";
+import { logger } from "./logger.mjs";
+
+const BATCH_COLUMNS =
+  "id,kind,lang,status,items,created_at,updated_at,expires_at";
+
+// Item statuses that need no further work; "timeout" items are retried
+export const FINAL_ITEM_STATUSES = ["ready", "not_found", "failed"];
+
+// { queued: n, ready: n, failed: n, ... } over the items
+export function countItems(items) {
+  const counts = {};
+  for (const it of items || [])
+    counts[it.status] = (counts[it.status] || 0) + 1;
+  return counts;
+}
+
+export function createBatchJobStore(
+  supabase,
+  {
+    withTimeout,
+    retentionMs = parseInt(process.env.BATCH_JOB_RETENTION_MS || "3600000"),
+    pruneMs = parseInt(process.env.BATCH_JOB_PRUNE_MS || "600000"),
+    timeoutMs = 2000,
+  }
+) {
+  const mem = new Map(); // id -> batch (no database)
+  let lastPrune = 0;
+  const db = (q, label) => withTimeout(q, timeoutMs, label);
+  const expiresAt = () => new Date(Date.now() + retentionMs).toISOString();
+  const expired = (b) => Date.parse(b.expires_at) <= Date.now();
+
+  // Drop expired batches; the table at most once per pruneMs
+  async function prune() {
+    for (const [id, b] of mem) if (expired(b)) mem.delete(id);
+    if (!supabase || Date.now() - lastPrune < pruneMs) return;
+    lastPrune = Date.now();
+    try {
+      const { error } = await db(
+        supabase
+          .from("bff_translate_batches")
+          .delete()
+          .lt("expires_at", new Date().toISOString()),
+        "batch prune"
+      );
+      if (error) throw error;
+    } catch (e) {
+      logger.warn("batch prune failed", { err: e });
+    }
+  }
+
+  async function create({ kind, lang, ids }) {
+    prune();
+    const now = new Date().toISOString();
+    const batch = {
+      id: crypto.randomUUID(),
+      kind,
+      lang,
+      status: "queued",
+      items: ids.map((id) => ({ id, status: "queued" })),
+      created_at: now,
+      updated_at: now,
+      expires_at: expiresAt(),
+    };
+    if (!supabase) {
+      mem.set(batch.id, batch);
+      return batch;
+    }
+    const { error } = await db(
+      supabase.from("bff_translate_batches").insert(batch),
+      "batch insert"
+    );
+    if (error) throw error;
+    return batch;
+  }
+
+  // Null when unknown or past its retention
+  async function get(id) {
+    const memBatch = mem.get(id);
+    if (memBatch) return expired(memBatch) ? null : memBatch;
+    if (!supabase) return null;
+    const { data, error } = await db(
+      supabase
+        .from("bff_translate_batches")
+        .select(BATCH_COLUMNS)
+        .eq("id", id)
+        .maybeSingle(),
+      "batch get"
+    );
+    if (error) throw error;
+    return data && !expired(data) ? data : null;
+  }
+
+  // patch: { status?, items? }; extends the retention
+  async function save(batch, patch) {
+    const next = {
+      ...batch,
+      ...patch,
+      updated_at: new Date().toISOString(),
+      expires_at: expiresAt(),
+    };
+    if (mem.has(batch.id)) {
+      mem.set(batch.id, next);
+      return next;
+    }
+    const { error } = await db(
+      supabase
+        .from("bff_translate_batches")
+        .update({
+          status: next.status,
+          items: next.items,
+          updated_at: next.updated_at,
+          expires_at: next.expires_at,
+        })
+        .eq("id", batch.id),
+      "batch update"
+    );
+    if (error) throw error;
+    return next;
+  }
+
+  return { create, get, save, prune, stats: () => ({ memory: mem.size }) };
+}
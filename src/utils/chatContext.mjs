@@ -0,0 +1,109 @@
+// Conversation memory for chat prompts (testable)
+// - Keeps the most recent turns verbatim within a token budget
+// - Folds older turns into a running summary (LLM when provided, extractive otherwise)
+
+import { logger } from "./logger.mjs";
+
+const SUMMARY_CACHE_MAX = parseInt(process.env.CHAT_SUMMARY_CACHE_MAX || "200");
+const _summaryCache = new Map(); // `${sessionId}|${count}` -> summary
+
+// Rough token estimate (~4 chars per token) good enough for budgeting
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+export function chatHistoryBudget() {
+  const v = parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET || "1500");
+  return Number.isFinite(v) && v >= 0 ? v : 1500;
+}
+
+const roleLabel = (m) => (m.type === "ai" ? "Assistant" : "User");
+const formatTurn = (m) => `${roleLabel(m)}: ${String(m.content || "").trim()}`;
+
+// Fallback summary: first sentence of each turn, capped to maxTokens
+export function extractiveSummary(turns, maxTokens) {
+  const lines = [];
+  let used = 0;
+  for (const m of turns) {
+    const first = (String(m.content || "").match(/^[^.!?\n]+[.!?]?/) || [""])[0]
+      .trim()
+      .slice(0, 200);
+    if (!first) continue;
+    const line = `${roleLabel(m)}: ${first}`;
+    const t = estimateTokens(line);
+    if (used + t > maxTokens) break;
+    lines.push(line);
+    used += t;
+  }
+  return lines.join("\n");
+}
+
+// Split prior turns into { summary, recent } so that both fit the budget.
+// opts: { budgetTokens?, sessionId?, summarize?: async (turns, maxTokens) => string }
+export async function buildConversationContext(prior, opts = {}) {
+  const turns = (prior || []).filter(
+    (m) => m && (m.type === "user" || m.type === "ai") && m.content
+  );
+  const budget = opts.budgetTokens ?? chatHistoryBudget();
+  if (!turns.length || budget <= 0) return { summary: "", recent: [] };
+  const total = turns.reduce((n, m) => n + estimateTokens(formatTurn(m)), 0);
+  if (total <= budget) return { summary: "", recent: turns };
+
+  // Reserve a quarter of the budget for the summary of older turns
+  const summaryBudget = Math.max(1, Math.floor(budget / 4));
+  const recentBudget = budget - summaryBudget;
+  const recent = [];
+  let used = 0;
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const t = estimateTokens(formatTurn(turns[i]));
+    if (used + t > recentBudget) break;
+    recent.unshift(turns[i]);
+    used += t;
+  }
+  const older = turns.slice(0, turns.length - recent.length);
+
+  const cacheKey = opts.sessionId ? `${opts.sessionId}|${older.length}` : null;
+  if (cacheKey && _summaryCache.has(cacheKey))
+    return { summary: _summaryCache.get(cacheKey), recent };
+  let summary = "";
+  if (typeof opts.summarize === "function") {
+    try {
+      summary = String((await opts.summarize(older, summaryBudget)) || "");
+    } catch (e) {
+      logger.warn("chat summary failed", { err: e });
+    }
+  }
+  if (!summary.trim()) summary = extractiveSummary(older, summaryBudget);
+  // Never let the summary overrun its share of the budget
+  summary = summary.trim().slice(0, summaryBudget * 4);
+  if (cacheKey) {
+    _summaryCache.set(cacheKey, summary);
+    if (_summaryCache.size > SUMMARY_CACHE_MAX)
+      _summaryCache.delete(_summaryCache.keys().next().value);
+  }
+  return { summary, recent };
+}
+
+// Render the context as a prompt section (empty string when there is no history)
+export function formatConversation({ summary, recent }) {
+  const parts = [];
+  if (summary)
+    parts.push(`Earlier in this conversation (summary):\n${summary}`);
+  if (recent && recent.length)
+    parts.push(`Recent turns:\n${recent.map(formatTurn).join("\n")}`);
+  return parts.join("\n\n");
+}
+
+// Prompt used when asking the LLM to summarize older turns
+export function summaryPrompt(turns, maxTokens) {
+  return [
+    `Summarize this conversation between a user and a news assistant in at most ${Math.max(
+      20,
+      Math.floor(maxTokens * 0.75)
+    )} words.`,
+    "Keep names, facts, numbers and open questions the user may refer back to.",
+    "Return only the summary.",
+    "",
+    turns.map(formatTurn).join("\n"),
+  ].join("\n");
+}
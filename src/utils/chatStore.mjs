@@ -0,0 +1,212 @@
+// Chat session persistence for /cluster/:id/chat
+// Tables (Supabase):
+// - chat_sessions: id, cluster_id, user_id (nullable for anonymous), title, created_at, updated_at
+// - chat_messages: id, session_id, cluster_id, user_id, type ('user'|'ai'), content, citations (jsonb), created_at
+// When the tables are unreachable the store degrades to process memory so chat keeps working.
+
+import crypto from "node:crypto";
+import { logger } from "./logger.mjs";
+
+const MAX_IMPORTED_HISTORY = 50;
+
+export function createChatStore(supabase, { withTimeout, timeoutMs = 2000 }) {
+  const memSessions = new Map(); // id -> session
+  const memMessages = new Map(); // session id -> messages[]
+
+  const toMessage = (r) => ({
+    id: r.id,
+    type: r.type,
+    content: r.content,
+    timestamp: r.created_at,
+    userId: r.user_id || null,
+    ...(Array.isArray(r.citations) && r.citations.length
+      ? { citations: r.citations }
+      : {}),
+  });
+
+  async function getSession(sessionId) {
+    if (!sessionId) return null;
+    if (memSessions.has(sessionId)) return memSessions.get(sessionId);
+    try {
+      const { data, error } = await withTimeout(
+        supabase
+          .from("chat_sessions")
+          .select("id,cluster_id,user_id,title,created_at,updated_at")
+          .eq("id", sessionId)
+          .maybeSingle(),
+        timeoutMs,
+        "chat session"
+      );
+      if (error) throw error;
+      return data || null;
+    } catch (e) {
+      logger.warn("chat session lookup failed", { err: e });
+      return null;
+    }
+  }
+
+  async function createSession({ clusterId, userId = null, title = null }) {
+    const now = new Date().toISOString();
+    const session = {
+      id: crypto.randomUUID(),
+      cluster_id: clusterId,
+      user_id: userId,
+      title: title ? String(title).slice(0, 120) : null,
+      created_at: now,
+      updated_at: now,
+    };
+    try {
+      const { error } = await withTimeout(
+        supabase.from("chat_sessions").insert(session),
+        timeoutMs,
+        "chat session insert"
+      );
+      if (error) throw error;
+    } catch (e) {
+      logger.warn("chat session persist failed", { err: e });
+      memSessions.set(session.id, session);
+    }
+    return session;
+  }
+
+  // Returns a page of a user's sessions for a cluster, newest activity first
+  async function listSessions({ clusterId, userId, limit = 20, offset = 0 }) {
+    const mem = [...memSessions.values()]
+      .filter((s) => s.cluster_id === clusterId && s.user_id === userId)
+      .sort((a, b) => (a.updated_at < b.updated_at ? 1 : -1));
+    let rows = [];
+    try {
+      const { data, error } = await withTimeout(
+        supabase
+          .from("chat_sessions")
+          .select("id,cluster_id,user_id,title,created_at,updated_at")
+          .eq("cluster_id", clusterId)
+          .eq("user_id", userId)
+          .order("updated_at", { ascending: false })
+          .range(offset, offset + limit),
+        timeoutMs,
+        "chat sessions list"
+      );
+      if (error) throw error;
+      rows = data || [];
+    } catch (e) {
+      logger.warn("chat sessions list failed", { err: e });
+      rows = mem.slice(offset, offset + limit + 1);
+    }
+    return {
+      sessions: rows.slice(0, limit),
+      has_more: rows.length > limit,
+    };
+  }
+
+  async function getMessages(sessionId, { limit = 200 } = {}) {
+    if (memMessages.has(sessionId))
+      return memMessages.get(sessionId).slice(-limit);
+    try {
+      const { data, error } = await withTimeout(
+        supabase
+          .from("chat_messages")
+          .select("id,type,content,citations,user_id,created_at")
+          .eq("session_id", sessionId)
+          .order("created_at", { ascending: false })
+          .limit(limit),
+        timeoutMs,
+        "chat messages"
+      );
+      if (error) throw error;
+      // Newest `limit` turns, returned oldest first
+      return (data || []).reverse().map(toMessage);
+    } catch (e) {
+      logger.warn("chat messages lookup failed", { err: e });
+      return [];
+    }
+  }
+
+  async function appendMessages(session, messages) {
+    if (!messages.length) return;
+    const rows = messages.map((m) => ({
+      id: m.id,
+      session_id: session.id,
+      cluster_id: session.cluster_id,
+      user_id: m.userId || null,
+      type: m.type,
+      content: m.content,
+      citations: m.citations || null,
+      created_at: m.timestamp,
+    }));
+    const now = new Date().toISOString();
+    if (memSessions.has(session.id)) {
+      const list = memMessages.get(session.id) || [];
+      list.push(...messages);
+      memMessages.set(session.id, list);
+      session.updated_at = now;
+      return;
+    }
+    try {
+      const { error } = await withTimeout(
+        supabase.from("chat_messages").insert(rows),
+        timeoutMs,
+        "chat messages insert"
+      );
+      if (error) throw error;
+      await withTimeout(
+        supabase
+          .from("chat_sessions")
+          .update({ updated_at: now })
+          .eq("id", session.id),
+        timeoutMs,
+        "chat session touch"
+      );
+    } catch (e) {
+      logger.warn("chat messages persist failed", { err: e });
+    }
+  }
+
+  return {
+    getSession,
+    createSession,
+    listSessions,
+    getMessages,
+    appendMessages,
+  };
+}
+
+// Build a message record in the API shape
+export function newChatMessage(type, content, extra = {}) {
+  return {
+    id: crypto.randomUUID(),
+    type,
+    content,
+    timestamp: new Date().toISOString(),
+    ...extra,
+  };
+}
+
+// Reconcile a client-sent chatHistory with what is stored for the session.
+// Stored history wins; client history only seeds an empty session (e.g. a
+// conversation started before persistence existed). Returns messages to import.
+export function reconcileChatHistory(
+  stored,
+  clientHistory,
+  { userId = null } = {}
+) {
+  if (!Array.isArray(clientHistory) || !clientHistory.length) return [];
+  if (stored.length) return [];
+  const out = [];
+  for (const m of clientHistory.slice(-MAX_IMPORTED_HISTORY)) {
+    const type = m?.type === "ai" ? "ai" : m?.type === "user" ? "user" : null;
+    const content = typeof m?.content === "string" ? m.content.trim() : "";
+    if (!type || !content) continue;
+    const ts = Date.parse(m.timestamp || "");
+    out.push({
+      id: crypto.randomUUID(),
+      type,
+      content: content.slice(0, 4000),
+      timestamp: Number.isNaN(ts)
+        ? new Date().toISOString()
+        : new Date(ts).toISOString(),
+      userId: type === "user" ? userId : null,
+    });
+  }
+  return out;
+}
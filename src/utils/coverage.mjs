@@ -0,0 +1,146 @@
+// Coverage comparison for a cluster: how each outlet frames the same story (testable)
+// Sources are referred to as S1..Sn in the prompt and mapped back to source ids.
+
+import crypto from "node:crypto";
+
+export function coverageMaxSources() {
+  const v = parseInt(process.env.COVERAGE_MAX_SOURCES || "6");
+  return Number.isFinite(v) ? Math.min(Math.max(v, 2), 12) : 6;
+}
+
+// One article per source (the most recent), newest sources first
+export function pickSourceArticles(articles, max = coverageMaxSources()) {
+  const bySource = new Map();
+  for (const a of articles || []) {
+    if (!a?.source_id || !(a.title || a.snippet)) continue;
+    const prev = bySource.get(a.source_id);
+    if (!prev || String(a.published_at || "") > String(prev.published_at || ""))
+      bySource.set(a.source_id, a);
+  }
+  return [...bySource.values()]
+    .sort((a, b) =>
+      String(b.published_at || "").localeCompare(String(a.published_at || ""))
+    )
+    .slice(0, max);
+}
+
+// Cache key part: changes when the cluster text or the compared articles change
+export function coverageHash(pivotSig, picked) {
+  return crypto
+    .createHash("sha1")
+    .update(
+      [
+        pivotSig || "",
+        ...picked.map((a) => `${a.id}|${a.title || ""}|${a.snippet || ""}`),
+      ].join("\n")
+    )
+    .digest("hex");
+}
+
+export function buildCoveragePrompt({ title, summary, picked, lang }) {
+  const lines = [
+    `Compare how these news outlets cover the same story. Answer in language "${lang}".`,
+    "Use only the text below. Refer to outlets by their labels (S1, S2, ...).",
+    'Return ONLY minified JSON: {"summary":"..","shared_facts":[".."],"disputed_claims":[{"claim":"..","positions":[{"source":"S1","position":".."}]}],"omissions":[{"source":"S1","missing":[".."]}],"tone":[{"source":"S1","tone":"..","framing":".."}]}',
+    "",
+    `Story: ${title || ""}`,
+  ];
+  if (summary) lines.push(`Summary: ${summary}`);
+  picked.forEach((a, i) => {
+    lines.push(
+      "",
+      `S${i + 1} (${a.source_name || "Unknown outlet"}): ${a.title || ""}`
+    );
+    if (a.snippet) lines.push(a.snippet);
+  });
+  return lines.join("\n");
+}
+
+// Parse and validate model output against the labelled sources; throws when unusable
+export function parseCoverageJson(text, picked) {
+  const raw = String(text || "")
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/, "");
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (_) {
+    throw new Error("coverage output is not valid JSON");
+  }
+  if (!parsed || typeof parsed !== "object")
+    throw new Error("coverage output is not an object");
+  const str = (v) => (typeof v === "string" ? v.trim() : "");
+  const strs = (v) => (Array.isArray(v) ? v.map(str).filter(Boolean) : []);
+  const sourceOf = (label) => {
+    const m = String(label || "").match(/^S(\d+)$/i);
+    const a = m ? picked[parseInt(m[1]) - 1] : null;
+    return a ? a.source_id : null;
+  };
+  const list = (v) => (Array.isArray(v) ? v : []);
+
+  const result = {
+    summary: str(parsed.summary),
+    shared_facts: strs(parsed.shared_facts),
+    disputed_claims: list(parsed.disputed_claims)
+      .map((d) => ({
+        claim: str(d?.claim),
+        positions: list(d?.positions)
+          .map((p) => ({
+            source_id: sourceOf(p?.source),
+            position: str(p?.position),
+          }))
+          .filter((p) => p.source_id && p.position),
+      }))
+      .filter((d) => d.claim && d.positions.length),
+    omissions: list(parsed.omissions)
+      .map((o) => ({
+        source_id: sourceOf(o?.source),
+        missing: strs(o?.missing),
+      }))
+      .filter((o) => o.source_id && o.missing.length),
+    tone: list(parsed.tone)
+      .map((t) => ({
+        source_id: sourceOf(t?.source),
+        tone: str(t?.tone),
+        framing: str(t?.framing),
+      }))
+      .filter((t) => t.source_id && (t.tone || t.framing)),
+  };
+  if (!result.summary && !result.shared_facts.length && !result.tone.length)
+    throw new Error("coverage output is empty");
+  return result;
+}
+
+// Apply an async string translator to every free-text field of a comparison
+export async function translateCoverage(comparison, tr) {
+  const all = (arr) => Promise.all(arr.map((t) => tr(t)));
+  return {
+    summary: await tr(comparison.summary),
+    shared_facts: await all(comparison.shared_facts),
+    disputed_claims: await Promise.all(
+      comparison.disputed_claims.map(async (d) => ({
+        claim: await tr(d.claim),
+        positions: await Promise.all(
+          d.positions.map(async (p) => ({
+            ...p,
+            position: await tr(p.position),
+          }))
+        ),
+      }))
+    ),
+    omissions: await Promise.all(
+      comparison.omissions.map(async (o) => ({
+        ...o,
+        missing: await all(o.missing),
+      }))
+    ),
+    tone: await Promise.all(
+      comparison.tone.map(async (t) => ({
+        ...t,
+        tone: await tr(t.tone),
+        framing: await tr(t.framing),
+      }))
+    ),
+  };
+}
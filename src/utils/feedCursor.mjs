@@ -0,0 +1,34 @@
+// Opaque keyset cursors for /feed pagination (testable)
+// A cursor encodes the last consumed row's sort timestamp and id so the next
+// page starts strictly after it, independent of rows ingested in between.
+// The timestamp must not change once a row exists (clusters.created_at,
+// articles.published_at), or rows would skip or repeat while paging.
+
+export function encodeFeedCursor({ t, id, mode }) {
+  if (!t || !id) return null;
+  const json = JSON.stringify({ t, id, m: mode || "clusters" });
+  return Buffer.from(json, "utf8").toString("base64url");
+}
+
+// Returns { t, id, mode } or null when the token is malformed
+export function decodeFeedCursor(token) {
+  if (!token || typeof token !== "string") return null;
+  try {
+    const obj = JSON.parse(Buffer.from(token, "base64url").toString("utf8"));
+    if (!obj || typeof obj !== "object") return null;
+    const t = typeof obj.t === "string" ? obj.t : null;
+    const id = obj.id == null ? null : String(obj.id);
+    if (!t || !id || Number.isNaN(Date.parse(t))) return null;
+    const mode = obj.m === "articles" ? "articles" : "clusters";
+    return { t, id, mode };
+  } catch (_) {
+    return null;
+  }
+}
+
+// PostgREST `or` filter selecting rows after the cursor in (col desc, id desc) order
+export function keysetFilter(column, cursor) {
+  const t = String(cursor.t).replace(/"/g, "");
+  const id = String(cursor.id).replace(/"/g, "");
+  return `${column}.lt."${t}",and(${column}.eq."${t}",id.lt."${id}")`;
+}
@@ -1,7 +1,12 @@
 // Centralized Gemini config + helpers (new @google/genai SDK)
 // Supports googleSearch grounding and legacy dynamic retrieval for 1.5
+// Every call is accounted to opts.feature (chat, translate, fields, ...) in the
+// LLM budget ledger and refused up front once that feature's budget is spent.
 
 import { GoogleGenAI, DynamicRetrievalConfigMode } from "@google/genai";
+import { requestIdHeaders } from "./logger.mjs";
+import { withSpan, traceHeaders } from "./tracing.mjs";
+import { llmBudget, usageFromResponse } from "./llmBudget.mjs";
 
 let _client = null;
 
@@ -29,68 +34,64 @@ export function getModelId(modelId) {
 //   useGoogleSearch?: boolean,
 //   dynamicRetrieval?: { enabled?: boolean, threshold?: number }
 //   systemInstruction?: string,
-//   temperature?: number
+//   temperature?: number,
+//   feature?: string (budget/usage bucket, default "other")
 // }
-export async function generateWithSearch(prompt, opts = {}) {
+export function generateWithSearch(prompt, opts = {}) {
+  return withSpan(
+    "gemini.generate_with_search",
+    async (span) => {
+      const out = await accounted(span, opts, () =>
+        runGenerateWithSearch(prompt, opts)
+      );
+      span.setAttribute("bff.search_mode", out.mode);
+      return out;
+    },
+    {
+      kind: "client",
+      phase: "llm",
+      attributes: { "gen_ai.request.model": getModelId(opts.model) },
+    }
+  );
+}
+
+// Budget check before the call, usage recorded from the response after it
+async function accounted(span, opts, run) {
+  const feature = opts.feature || "other";
+  span.setAttribute("bff.llm_feature", feature);
+  llmBudget.check(feature);
+  const out = await run();
+  recordUsage(feature, out.raw, span);
+  return out;
+}
+
+function recordUsage(feature, res, span) {
+  const usage = usageFromResponse(res);
+  llmBudget.record(feature, usage);
+  span?.setAttribute("gen_ai.usage.input_tokens", usage.input);
+  span?.setAttribute("gen_ai.usage.output_tokens", usage.output);
+}
+
+async function runGenerateWithSearch(prompt, opts) {
   const client = getGeminiClient();
   if (!client) throw new Error("Gemini not configured");
   const model = getModelId(opts.model);
-
-  // Build tools per mode
   const wantSearch = !!opts.useGoogleSearch;
-  const wantLegacy = !wantSearch && !!opts.dynamicRetrieval?.enabled;
-  const buildTools = (mode) => {
-    if (mode === "search") return [{ googleSearch: {} }];
-    if (mode === "legacy")
-      return [
-        {
-          googleSearchRetrieval: {
-            dynamicRetrievalConfig: {
-              mode:
-                opts.dynamicRetrieval?.mode === "required"
-                  ? DynamicRetrievalConfigMode.MODE_REQUIRED
-                  : DynamicRetrievalConfigMode.MODE_DYNAMIC,
-              dynamicThreshold:
-                typeof opts.dynamicRetrieval?.threshold === "number"
-                  ? opts.dynamicRetrieval.threshold
-                  : 0.7,
-            },
-          },
-        },
-      ];
-    return [];
-  };
 
   async function runOnce(toolMode) {
     return client.models.generateContent({
       model,
       contents: prompt,
-      config: {
-        tools: buildTools(toolMode),
-        ...(typeof opts.temperature === "number"
-          ? { temperature: opts.temperature }
-          : {}),
-        ...(opts.systemInstruction
-          ? { systemInstruction: opts.systemInstruction }
-          : {}),
-      },
+      config: buildSearchConfig(opts, toolMode),
     });
   }
 
   let res;
-  let modeUsed = wantSearch ? "search" : wantLegacy ? "legacy" : "none";
+  let modeUsed = initialToolMode(opts);
   try {
     res = await runOnce(modeUsed);
   } catch (e) {
-    const msg = String(e?.message || "");
-    const isSearchUnsupported =
-      wantSearch &&
-      (msg.includes("google_search is not supported") ||
-        msg.includes(
-          "google_search is not supported; please use google_search_retrieval"
-        ) ||
-        (msg.includes("INVALID_ARGUMENT") && msg.includes("google_search")));
-    if (isSearchUnsupported) {
+    if (isSearchUnsupported(e, wantSearch)) {
       // Retry using legacy dynamic retrieval
       modeUsed = "legacy";
       res = await runOnce(modeUsed);
@@ -105,6 +106,124 @@ export async function generateWithSearch(prompt, opts = {}) {
   return { raw: res, text, grounding, mode: modeUsed };
 }
 
+// Streaming counterpart of generateWithSearch (same opts, plus signal?: AbortSignal).
+// Yields { type: "text", text } per chunk, then one
+// { type: "done", text, grounding, mode } with the full text and grounding metadata.
+// Stops early (without a done event) when the signal aborts, e.g. client disconnect.
+export async function* generateWithSearchStream(prompt, opts = {}) {
+  const client = getGeminiClient();
+  if (!client) throw new Error("Gemini not configured");
+  const feature = opts.feature || "other";
+  llmBudget.check(feature);
+  const model = getModelId(opts.model);
+  const wantSearch = !!opts.useGoogleSearch;
+  const open = (toolMode) =>
+    client.models.generateContentStream({
+      model,
+      contents: prompt,
+      config: buildSearchConfig(opts, toolMode),
+    });
+
+  let modeUsed = initialToolMode(opts);
+  let stream;
+  try {
+    stream = await open(modeUsed);
+  } catch (e) {
+    if (!isSearchUnsupported(e, wantSearch)) throw e;
+    modeUsed = "legacy";
+    stream = await open(modeUsed);
+  }
+
+  let full = "";
+  let grounding = null;
+  let usage = null;
+  try {
+    for await (const chunk of stream) {
+      if (opts.signal?.aborted) return;
+      const text =
+        chunk?.text || chunk?.candidates?.[0]?.content?.parts?.[0]?.text || "";
+      // Grounding and usage metadata usually arrive on the last chunk
+      grounding = chunk?.candidates?.[0]?.groundingMetadata || grounding;
+      usage = chunk?.usageMetadata || usage;
+      if (text) {
+        full += text;
+        yield { type: "text", text };
+      }
+    }
+  } finally {
+    // Tokens are billed even when the client went away mid-answer
+    recordUsage(feature, { usageMetadata: usage });
+    // Release the underlying HTTP stream when the consumer stops early
+    if (typeof stream?.return === "function") {
+      try {
+        await stream.return();
+      } catch (_) {}
+    }
+  }
+  if (opts.signal?.aborted) return;
+  yield { type: "done", text: full, grounding, mode: modeUsed };
+}
+
+function initialToolMode(opts) {
+  const wantSearch = !!opts.useGoogleSearch;
+  const wantLegacy = !wantSearch && !!opts.dynamicRetrieval?.enabled;
+  return wantSearch ? "search" : wantLegacy ? "legacy" : "none";
+}
+
+// Build tools per mode
+function buildTools(opts, mode) {
+  if (mode === "search") return [{ googleSearch: {} }];
+  if (mode === "legacy")
+    return [
+      {
+        googleSearchRetrieval: {
+          dynamicRetrievalConfig: {
+            mode:
+              opts.dynamicRetrieval?.mode === "required"
+                ? DynamicRetrievalConfigMode.MODE_REQUIRED
+                : DynamicRetrievalConfigMode.MODE_DYNAMIC,
+            dynamicThreshold:
+              typeof opts.dynamicRetrieval?.threshold === "number"
+                ? opts.dynamicRetrieval.threshold
+                : 0.7,
+          },
+        },
+      },
+    ];
+  return [];
+}
+
+// Per-call HTTP options: forward the current request id and trace context
+function httpOptions() {
+  const headers = { ...requestIdHeaders(), ...traceHeaders() };
+  return Object.keys(headers).length ? { httpOptions: { headers } } : {};
+}
+
+function buildSearchConfig(opts, toolMode) {
+  return {
+    ...httpOptions(),
+    tools: buildTools(opts, toolMode),
+    ...(typeof opts.temperature === "number"
+      ? { temperature: opts.temperature }
+      : {}),
+    ...(opts.systemInstruction
+      ? { systemInstruction: opts.systemInstruction }
+      : {}),
+  };
+}
+
+function isSearchUnsupported(e, wantSearch) {
+  const msg = String(e?.message || "");
+  return (
+    wantSearch &&
+    (msg.includes("google_search is not supported") ||
+      msg.includes(
+        "google_search is not supported; please use google_search_retrieval"
+      ) ||
+      (msg.includes("INVALID_ARGUMENT") && msg.includes("google_search")))
+  );
+}
+
 // Extract simple list of web URIs from grounding metadata
 export function extractGroundingLinks(groundingMetadata) {
   const chunks = groundingMetadata?.groundingChunks || [];
@@ -115,7 +234,19 @@ export function extractGroundingLinks(groundingMetadata) {
 }
 
 // Plain generation without tools (e.g., translations/JSON shaping)
-export async function generatePlain(prompt, opts = {}) {
+export function generatePlain(prompt, opts = {}) {
+  return withSpan(
+    "gemini.generate",
+    (span) => accounted(span, opts, () => runGeneratePlain(prompt, opts)),
+    {
+      kind: "client",
+      phase: "llm",
+      attributes: { "gen_ai.request.model": getModelId(opts.model) },
+    }
+  );
+}
+
+async function runGeneratePlain(prompt, opts) {
   const client = getGeminiClient();
   if (!client) throw new Error("Gemini not configured");
   const model = getModelId(opts.model);
@@ -123,6 +254,7 @@ export async function generatePlain(prompt, opts = {}) {
     model,
     contents: prompt,
     config: {
+      ...httpOptions(),
       ...(typeof opts.temperature === "number"
         ? { temperature: opts.temperature }
         : {}),
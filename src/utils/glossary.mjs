@@ -0,0 +1,142 @@
+// Translation glossary: per-language term mappings and do-not-translate terms
+// Table (Supabase):
+// - translation_glossary: id, term, src_lang (null = any), dst_lang (null = any),
+//   translation (null = keep the term as is), case_sensitive, updated_at
+// Terms are masked with placeholders ([[T0]], [[T1]], ...) before provider calls
+// and restored afterwards; a translation that lost a placeholder fails the check.
+
+import crypto from "node:crypto";
+import { logger } from "./logger.mjs";
+
+const base = (tag) => (String(tag || "").split("-")[0] || "").toLowerCase();
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const PLACEHOLDER_RE = /\[\[\s*T(\d+)\s*\]\]/g;
+
+// Stable version for cache keys; "" when the glossary is empty
+export function glossaryVersion(entries) {
+  if (!entries || !entries.length) return "";
+  const canon = entries
+    .map((e) =>
+      [
+        e.term,
+        e.src_lang || "",
+        e.dst_lang || "",
+        e.translation ?? "",
+        e.case_sensitive ? 1 : 0,
+      ].join("\u0001")
+    )
+    .sort()
+    .join("\n");
+  return crypto.createHash("sha1").update(canon).digest("hex").slice(0, 10);
+}
+
+// Entries that apply to a language pair, longest terms first so that
+// "New York Times" wins over "New York"
+export function termsFor(entries, srcLang, dstLang) {
+  const src = base(srcLang);
+  const dst = base(dstLang);
+  return (entries || [])
+    .filter((e) => e && e.term)
+    .filter(
+      (e) =>
+        (!e.src_lang || !src || src === "auto" || base(e.src_lang) === src) &&
+        (!e.dst_lang || base(e.dst_lang) === dst) &&
+        // A mapping without a target language would be ambiguous
+        (e.translation == null || e.dst_lang)
+    )
+    .sort((a, b) => b.term.length - a.term.length);
+}
+
+// Replace glossary terms with placeholders. Returns { text, slots } where each
+// slot holds the string to put back for its placeholder.
+export function maskTerms(text, terms) {
+  const slots = [];
+  let out = String(text || "");
+  for (const e of terms || []) {
+    const re = new RegExp(
+      `(?<![\\p{L}\\p{N}])${escapeRe(e.term)}(?![\\p{L}\\p{N}])`,
+      e.case_sensitive ? "gu" : "giu"
+    );
+    out = out.replace(re, (match) => {
+      slots.push(e.translation == null ? match : e.translation);
+      return `[[T${slots.length - 1}]]`;
+    });
+  }
+  return { text: out, slots };
+}
+
+// Restore placeholders. Returns { text, ok } where ok is false when a
+// placeholder went missing, was duplicated or an unknown one appeared.
+export function unmaskTerms(text, slots) {
+  if (!slots || !slots.length) return { text: String(text ?? ""), ok: true };
+  const seen = new Array(slots.length).fill(0);
+  let ok = true;
+  const out = String(text ?? "").replace(PLACEHOLDER_RE, (m, i) => {
+    const idx = parseInt(i);
+    if (idx >= slots.length) {
+      ok = false;
+      return m;
+    }
+    seen[idx] += 1;
+    return slots[idx];
+  });
+  if (seen.some((n) => n !== 1)) ok = false;
+  return { text: out, ok };
+}
+
+// Periodically refreshed glossary backed by Supabase (empty when unavailable)
+export function createGlossary(
+  supabase,
+  {
+    withTimeout,
+    refreshMs = parseInt(process.env.GLOSSARY_REFRESH_MS || "300000"),
+  }
+) {
+  let entries = [];
+  let version = "";
+  let loadedAt = 0;
+  let loading = null;
+
+  async function load() {
+    if (!supabase) return;
+    try {
+      const { data, error } = await withTimeout(
+        supabase
+          .from("translation_glossary")
+          .select("term,src_lang,dst_lang,translation,case_sensitive"),
+        1500,
+        "glossary select"
+      );
+      if (error) throw error;
+      entries = (data || []).filter((e) => e && e.term);
+      version = glossaryVersion(entries);
+    } catch (e) {
+      // Keep the previous glossary; try again after the next interval
+      logger.warn("glossary load failed", { err: e });
+    } finally {
+      loadedAt = Date.now();
+    }
+  }
+
+  // Reload when stale; concurrent callers share one load
+  async function ensureFresh() {
+    if (loadedAt && Date.now() - loadedAt < refreshMs) return;
+    if (!loading)
+      loading = load().finally(() => {
+        loading = null;
+      });
+    await loading;
+  }
+
+  return {
+    ensureFresh,
+    version: () => version,
+    termsFor: (srcLang, dstLang) => termsFor(entries, srcLang, dstLang),
+    // For tests and admin tooling
+    set(list) {
+      entries = (list || []).filter((e) => e && e.term);
+      version = glossaryVersion(entries);
+      loadedAt = Date.now();
+    },
+  };
+}
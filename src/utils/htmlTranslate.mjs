@@ -0,0 +1,126 @@
+// HTML-aware translation (testable)
+// - Tokenizes markup into tags and text nodes without touching tags or attributes
+// - Skips script/style/code/pre/etc. content and whitespace-only nodes
+// - Translates text nodes in batches joined by a separator line; a batch whose
+//   separators do not survive is retried node by node
+
+const SKIP_TAGS = new Set([
+  "script",
+  "style",
+  "code",
+  "pre",
+  "kbd",
+  "samp",
+  "var",
+  "svg",
+  "math",
+  "noscript",
+  "template",
+]);
+// A `>` inside a quoted attribute value does not end the tag
+const TOKEN_RE =
+  /<!--[\s\S]*?-->|<![^>]*>|<\/?[A-Za-z](?:[^>"']|"[^"]*"|'[^']*')*>/g;
+const SEP = "[[SEP]]";
+const SEP_RE = /\s*\[\[\s*SEP\s*\]\]\s*/;
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const cp =
+        e[1] === "x" || e[1] === "X"
+          ? parseInt(e.slice(2), 16)
+          : parseInt(e.slice(1), 10);
+      return Number.isFinite(cp) ? String.fromCodePoint(cp) : m;
+    }
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+const encodeText = (s) =>
+  s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+// Split HTML into [{ type: "tag"|"text", value, translatable? }]
+export function tokenizeHtml(html) {
+  const src = String(html || "");
+  const tokens = [];
+  const skipStack = [];
+  let last = 0;
+  const pushText = (value) => {
+    if (!value) return;
+    tokens.push({
+      type: "text",
+      value,
+      translatable: !skipStack.length && /[\p{L}]/u.test(value),
+    });
+  };
+  for (const m of src.matchAll(TOKEN_RE)) {
+    pushText(src.slice(last, m.index));
+    const tag = m[0];
+    tokens.push({ type: "tag", value: tag });
+    const name = (tag.match(/^<\/?([A-Za-z][\w-]*)/) || [])[1]?.toLowerCase();
+    if (name && SKIP_TAGS.has(name) && !tag.endsWith("/>")) {
+      if (tag[1] === "/") {
+        const i = skipStack.lastIndexOf(name);
+        if (i !== -1) skipStack.splice(i);
+      } else skipStack.push(name);
+    }
+    last = m.index + tag.length;
+  }
+  pushText(src.slice(last));
+  return tokens;
+}
+
+// Group node texts into batches of at most maxChars (a long node is its own batch)
+function batchNodes(nodes, maxChars) {
+  const batches = [];
+  let cur = [];
+  let size = 0;
+  for (const n of nodes) {
+    const len = n.core.length + SEP.length + 2;
+    if (cur.length && size + len > maxChars) {
+      batches.push(cur);
+      cur = [];
+      size = 0;
+    }
+    cur.push(n);
+    size += len;
+  }
+  if (cur.length) batches.push(cur);
+  return batches;
+}
+
+// translate: async (plainText) => translatedText
+// opts: { maxBatchChars? }
+export async function translateHtml(html, translate, opts = {}) {
+  const maxChars =
+    opts.maxBatchChars ?? parseInt(process.env.HTML_BATCH_CHARS || "1000");
+  const tokens = tokenizeHtml(html);
+  const nodes = [];
+  for (const t of tokens) {
+    if (t.type !== "text" || !t.translatable) continue;
+    // Keep surrounding whitespace outside the provider call
+    const [, lead, core, trail] = t.value.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    nodes.push({ token: t, lead, trail, core: decodeEntities(core) });
+  }
+  for (const batch of batchNodes(nodes, maxChars)) {
+    let parts = null;
+    if (batch.length > 1) {
+      const out = await translate(batch.map((n) => n.core).join(`\n${SEP}\n`));
+      const split = String(out ?? "").split(SEP_RE);
+      if (split.length === batch.length) parts = split;
+    }
+    if (!parts) parts = await Promise.all(batch.map((n) => translate(n.core)));
+    batch.forEach((n, i) => {
+      const text = String(parts[i] ?? "").trim() || n.core;
+      n.token.value = n.lead + encodeText(text) + n.trail;
+    });
+  }
+  return tokens.map((t) => t.value).join("");
+}
@@ -0,0 +1,174 @@
+// Interaction analytics: validation, buffered writes and per-article aggregates
+// Table (Supabase):
+// - article_interactions: id, article_id, interaction_type, user_id (nullable),
+//   session_id (anonymous attribution), metadata (jsonb), created_at
+// Events are buffered in memory and written in batches by a background flusher;
+// failed batches are retried on the next flush while the buffer has room.
+
+import crypto from "node:crypto";
+import { logger } from "./logger.mjs";
+
+export const INTERACTION_TYPES = ["view", "read", "share", "like", "bookmark"];
+const MAX_METADATA_BYTES = 2048;
+const MAX_ID_LENGTH = 128;
+
+const idLike = (v) =>
+  (typeof v === "string" && v.trim() && v.length <= MAX_ID_LENGTH) ||
+  (Number.isInteger(v) && v >= 0);
+
+// Validate a POST /interaction body. Returns { value, errors }.
+export function validateInteraction(body) {
+  const errors = [];
+  const { articleId, interactionType, metadata, sessionId } = body || {};
+  if (!idLike(articleId)) errors.push("articleId is required");
+  if (!INTERACTION_TYPES.includes(interactionType))
+    errors.push(
+      `interactionType must be one of ${INTERACTION_TYPES.join(", ")}`
+    );
+  if (
+    metadata !== undefined &&
+    metadata !== null &&
+    (typeof metadata !== "object" || Array.isArray(metadata))
+  )
+    errors.push("metadata must be an object");
+  else if (
+    metadata &&
+    Buffer.byteLength(JSON.stringify(metadata)) > MAX_METADATA_BYTES
+  )
+    errors.push(`metadata must be at most ${MAX_METADATA_BYTES} bytes`);
+  if (sessionId !== undefined && sessionId !== null && !idLike(sessionId))
+    errors.push("sessionId must be a short string");
+  if (errors.length) return { value: null, errors };
+  return {
+    value: {
+      articleId: String(articleId),
+      interactionType,
+      metadata: metadata || null,
+      sessionId: sessionId ? String(sessionId) : null,
+    },
+    errors,
+  };
+}
+
+export function createInteractionRecorder(
+  supabase,
+  {
+    withTimeout,
+    flushMs = parseInt(process.env.INTERACTIONS_FLUSH_MS || "5000"),
+    batchSize = parseInt(process.env.INTERACTIONS_BATCH_SIZE || "100"),
+    maxBuffer = parseInt(process.env.INTERACTIONS_MAX_BUFFER || "5000"),
+  }
+) {
+  let buffer = [];
+  let timer = null;
+  let flushing = null;
+  let inflight = []; // batch currently being written
+  const stats = { accepted: 0, flushed: 0, failedFlushes: 0, dropped: 0 };
+
+  function ensureTimer() {
+    if (timer || !(flushMs > 0)) return;
+    timer = setInterval(() => {
+      flush().catch(() => {});
+    }, flushMs);
+    // Never keep the process alive just for analytics
+    if (typeof timer.unref === "function") timer.unref();
+  }
+
+  // Drop the oldest events when the buffer is full (e.g. table unreachable)
+  function trim() {
+    const over = buffer.length - maxBuffer;
+    if (over > 0) {
+      buffer = buffer.slice(over);
+      stats.dropped += over;
+    }
+  }
+
+  // event: { articleId, interactionType, metadata?, userId?, sessionId? }
+  function record(event) {
+    const row = {
+      id: crypto.randomUUID(),
+      article_id: event.articleId,
+      interaction_type: event.interactionType,
+      user_id: event.userId || null,
+      session_id: event.userId ? null : event.sessionId || null,
+      metadata: event.metadata || null,
+      created_at: new Date().toISOString(),
+    };
+    buffer.push(row);
+    stats.accepted += 1;
+    trim();
+    ensureTimer();
+    if (buffer.length >= batchSize) flush().catch(() => {});
+    return row;
+  }
+
+  async function flushOnce() {
+    while (buffer.length) {
+      inflight = buffer.splice(0, batchSize);
+      try {
+        const { error } = await withTimeout(
+          supabase.from("article_interactions").insert(inflight),
+          3000,
+          "interactions insert"
+        );
+        if (error) throw error;
+        stats.flushed += inflight.length;
+      } catch (e) {
+        stats.failedFlushes += 1;
+        logger.warn("interactions flush failed", { err: e });
+        // Put the batch back in front and retry on the next flush
+        buffer = inflight.concat(buffer);
+        trim();
+        return;
+      } finally {
+        inflight = [];
+      }
+    }
+  }
+
+  // Single-flight: concurrent callers share the running flush
+  function flush() {
+    if (!flushing)
+      flushing = flushOnce().finally(() => {
+        flushing = null;
+      });
+    return flushing;
+  }
+
+  // Counts per interaction type for one article (stored + not yet flushed)
+  async function aggregate(articleId) {
+    const id = String(articleId);
+    const counts = await Promise.all(
+      INTERACTION_TYPES.map(async (type) => {
+        const { count, error } = await withTimeout(
+          supabase
+            .from("article_interactions")
+            .select("id", { count: "exact", head: true })
+            .eq("article_id", id)
+            .eq("interaction_type", type),
+          2000,
+          `interactions count ${type}`
+        );
+        if (error) throw error;
+        const pending = [...inflight, ...buffer].filter(
+          (r) => r.article_id === id && r.interaction_type === type
+        ).length;
+        return [type, (count || 0) + pending];
+      })
+    );
+    return Object.fromEntries(counts);
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    record,
+    flush,
+    aggregate,
+    stop,
+    stats: () => ({ ...stats, buffered: buffer.length }),
+  };
+}
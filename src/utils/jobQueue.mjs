@@ -0,0 +1,507 @@
+// Durable background job queue (testable)
+// Table (Supabase):
+// - bff_jobs: id, type, idempotency_key, payload (jsonb), status, attempts, max_attempts,
+//   run_at, locked_until, last_error, created_at, updated_at
+//   status: queued -> running -> done | queued (retry with backoff) | dead (dead letter)
+//   A partial unique index on idempotency_key where status in ('queued','running')
+//   keeps one active job per key across processes; an insert that hits it
+//   (23505) means the job is already queued. In memory mode the queued and
+//   running jobs of this process are checked instead.
+// Workers poll for due jobs and claim them with a compare-and-set on updated_at.
+// A claimed job holds a lease (locked_until); jobs whose lease ran out (crashed
+// worker) are picked up again. The updated_at written by the claim is the lease
+// token: renewals and the final status only apply while the row still carries
+// it, so a worker whose job was reclaimed cannot overwrite the new owner's
+// state. Handlers that may outlive the lease call ctx.extendLease() as they
+// make progress; it throws { code: "job_lease_lost" } once the job was
+// reclaimed. `done` jobs are deleted after JOB_DONE_TTL_MS. Without the table
+// the queue runs in memory.
+// Jobs run in the async context the queue was created in, never in that of
+// the request that enqueued them: its user (LLM budget) and request id stay out
+// of background work.
+
+import crypto from "node:crypto";
+import { AsyncResource } from "node:async_hooks";
+import { logger } from "./logger.mjs";
+
+const JOB_COLUMNS =
+  "id,type,idempotency_key,payload,status,attempts,max_attempts,run_at,locked_until,last_error,created_at,updated_at";
+
+// Exponential backoff: base * 2^(attempt-1), capped
+export function backoffDelay(attempt, { baseMs = 1000, maxMs = 300000 } = {}) {
+  return Math.min(maxMs, baseMs * 2 ** Math.max(0, attempt - 1));
+}
+
+const isDue = (job, now) =>
+  (job.status === "queued" && Date.parse(job.run_at) <= now) ||
+  (job.status === "running" && Date.parse(job.locked_until || 0) < now);
+
+export function createJobQueue(
+  supabase,
+  {
+    withTimeout,
+    handlers = {},
+    concurrency = parseInt(process.env.JOB_CONCURRENCY || "1"),
+    maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS || "5"),
+    backoffMs = parseInt(process.env.JOB_BACKOFF_MS || "1000"),
+    maxBackoffMs = parseInt(process.env.JOB_MAX_BACKOFF_MS || "300000"),
+    pollMs = parseInt(process.env.JOB_POLL_MS || "2000"),
+    leaseMs = parseInt(process.env.JOB_LEASE_MS || "300000"),
+    doneTtlMs = parseInt(process.env.JOB_DONE_TTL_MS || "86400000"),
+    timeoutMs = 2000,
+  }
+) {
+  const mem = new Map(); // id -> job (table unreachable)
+  let active = 0;
+  let draining = false;
+  let rerun = false;
+  let timer = null;
+  let lastDbWarn = 0;
+  let lastPrune = 0;
+  const stats = {
+    enqueued: 0,
+    deduped: 0,
+    succeeded: 0,
+    retried: 0,
+    dead: 0,
+    lease_lost: 0,
+    pruned: 0,
+  };
+
+  const nowIso = () => new Date().toISOString();
+  // Claim token: later than the version it replaces, even within one ms
+  const claimIso = (prev) =>
+    new Date(Math.max(Date.now(), (Date.parse(prev) || 0) + 1)).toISOString();
+  const leaseLost = (job) => {
+    stats.lease_lost += 1;
+    logger.warn("job lease lost", { job_id: job.id, type: job.type });
+    const e = new Error("job lease lost");
+    e.code = "job_lease_lost";
+    return e;
+  };
+  // Memory-mode counterpart of the updated_at guard
+  const memOwned = (job) => mem.get(job.id)?.updated_at === job.updated_at;
+  const warnDb = (msg, e) => {
+    // Throttle: a missing table would otherwise log on every poll
+    if (Date.now() - lastDbWarn < 60000) return;
+    lastDbWarn = Date.now();
+    logger.warn(msg, { err: e });
+  };
+  const db = (q, label) => withTimeout(q, timeoutMs, label);
+  // Memory-mode counterpart of the unique index on active idempotency keys
+  const memActive = (key, exceptId = null) =>
+    [...mem.values()].some(
+      (j) =>
+        j.idempotency_key === key &&
+        j.id !== exceptId &&
+        (j.status === "queued" || j.status === "running")
+    );
+
+  function start() {
+    if (timer || !(pollMs > 0)) return;
+    timer = setInterval(poll, pollMs);
+    if (typeof timer.unref === "function") timer.unref();
+  }
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+  function kick() {
+    if (typeof setImmediate === "function") setImmediate(detachedDrain);
+    else setTimeout(detachedDrain, 0);
+  }
+  // Kick once the clock reached `at`: a timer may fire slightly early, and a
+  // job polled before its run_at would wait for the next poll (or forever)
+  function kickAt(at) {
+    const wait = at - Date.now();
+    if (wait <= 0) return kick();
+    setTimeout(() => kickAt(at), wait).unref?.();
+  }
+
+  // opts: { key?, maxAttempts?, delayMs? } -> { id, deduped }
+  async function enqueue(type, payload, opts = {}) {
+    if (!handlers[type]) throw new Error(`unknown job type: ${type}`);
+    const key = opts.key || null;
+    if (key && memActive(key)) {
+      stats.deduped += 1;
+      return { id: null, deduped: true };
+    }
+    const now = nowIso();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      idempotency_key: key,
+      payload: payload ?? null,
+      status: "queued",
+      attempts: 0,
+      max_attempts: opts.maxAttempts || maxAttempts,
+      run_at: new Date(Date.now() + (opts.delayMs || 0)).toISOString(),
+      locked_until: null,
+      last_error: null,
+      created_at: now,
+      updated_at: now,
+    };
+    try {
+      if (!supabase) throw new Error("no database");
+      const { error } = await db(
+        supabase.from("bff_jobs").insert(job),
+        "job insert"
+      );
+      if (error?.code === "23505") {
+        // An active job for this key is already queued (by any process)
+        stats.deduped += 1;
+        return { id: null, deduped: true };
+      }
+      if (error) throw error;
+    } catch (e) {
+      if (supabase) warnDb("job persist failed", e);
+      mem.set(job.id, job);
+    }
+    stats.enqueued += 1;
+    start();
+    kick();
+    return { id: job.id, deduped: false };
+  }
+
+  // Final status of a claimed job; null when another worker reclaimed it
+  async function save(job, patch) {
+    const next = { ...job, ...patch, updated_at: claimIso(job.updated_at) };
+    if (mem.has(job.id)) {
+      if (!memOwned(job)) return null;
+      mem.set(job.id, next);
+      return next;
+    }
+    try {
+      const { data, error } = await db(
+        supabase
+          .from("bff_jobs")
+          .update({ ...patch, updated_at: next.updated_at })
+          .eq("id", job.id)
+          .eq("updated_at", job.updated_at)
+          .select("id"),
+        "job update"
+      );
+      if (error) throw error;
+      if (!data || !data.length) return null;
+    } catch (e) {
+      warnDb("job update failed", e);
+    }
+    return next;
+  }
+
+  async function claimNext() {
+    const now = Date.now();
+    const lease = {
+      status: "running",
+      locked_until: new Date(now + leaseMs).toISOString(),
+    };
+    const memJob = [...mem.values()]
+      .filter((j) => isDue(j, now))
+      .sort((a, b) => (a.run_at < b.run_at ? -1 : 1))[0];
+    if (memJob) {
+      const claimed = {
+        ...memJob,
+        ...lease,
+        updated_at: claimIso(memJob.updated_at),
+      };
+      mem.set(claimed.id, claimed);
+      return claimed;
+    }
+    if (!supabase) return null;
+    try {
+      const iso = new Date(now).toISOString();
+      const { data, error } = await db(
+        supabase
+          .from("bff_jobs")
+          .select(JOB_COLUMNS)
+          .or(
+            `and(status.eq.queued,run_at.lte.${iso}),and(status.eq.running,locked_until.lt.${iso})`
+          )
+          .order("run_at", { ascending: true })
+          .limit(Math.max(concurrency, 1) * 2),
+        "job poll"
+      );
+      if (error) throw error;
+      for (const candidate of data || []) {
+        const updated_at = claimIso(candidate.updated_at);
+        // Compare-and-set: only one worker wins a given job version
+        const { data: won, error: cErr } = await db(
+          supabase
+            .from("bff_jobs")
+            .update({ ...lease, updated_at })
+            .eq("id", candidate.id)
+            .eq("updated_at", candidate.updated_at)
+            .select("id"),
+          "job claim"
+        );
+        if (cErr) throw cErr;
+        if (won && won.length) return { ...candidate, ...lease, updated_at };
+      }
+    } catch (e) {
+      warnDb("job poll failed", e);
+    }
+    return null;
+  }
+
+  // Push the lease of a running job forward; a no-op while more than half of
+  // it is left, so handlers can call it on every step. Throws job_lease_lost
+  // once another worker holds the job.
+  function leaseExtender(job) {
+    let lockedUntil = Date.parse(job.locked_until || 0) || 0;
+    let lost = false;
+    return async () => {
+      if (lost) throw leaseLost(job);
+      if (lockedUntil - Date.now() > leaseMs / 2) return;
+      lockedUntil = Date.now() + leaseMs;
+      const locked_until = new Date(lockedUntil).toISOString();
+      if (mem.has(job.id)) {
+        lost = !memOwned(job);
+        if (lost) throw leaseLost(job);
+        mem.set(job.id, { ...mem.get(job.id), locked_until });
+        return;
+      }
+      let data;
+      try {
+        const res = await db(
+          supabase
+            .from("bff_jobs")
+            .update({ locked_until })
+            .eq("id", job.id)
+            .eq("updated_at", job.updated_at)
+            .select("id"),
+          "job lease"
+        );
+        if (res.error) throw res.error;
+        data = res.data;
+      } catch (e) {
+        warnDb("job lease renewal failed", e);
+        return;
+      }
+      lost = !data || !data.length;
+      if (lost) throw leaseLost(job);
+    };
+  }
+
+  async function run(job) {
+    const attempts = (job.attempts || 0) + 1;
+    try {
+      await handlers[job.type](job.payload, job, {
+        extendLease: leaseExtender(job),
+      });
+      const saved = await save(job, {
+        status: "done",
+        attempts,
+        locked_until: null,
+        last_error: null,
+      });
+      if (!saved) throw leaseLost(job);
+      stats.succeeded += 1;
+    } catch (e) {
+      // The job belongs to the worker that reclaimed it
+      if (e?.code === "job_lease_lost") return;
+      const message = String(e?.message || e).slice(0, 500);
+      if (attempts >= (job.max_attempts || maxAttempts)) {
+        if (
+          !(await save(job, {
+            status: "dead",
+            attempts,
+            locked_until: null,
+            last_error: message,
+          }))
+        )
+          return void leaseLost(job);
+        stats.dead += 1;
+        logger.warn("job dead-lettered", {
+          job_id: job.id,
+          type: job.type,
+          err: message,
+        });
+      } else {
+        const delay = backoffDelay(attempts, {
+          baseMs: backoffMs,
+          maxMs: maxBackoffMs,
+        });
+        const runAt = Date.now() + delay;
+        if (
+          !(await save(job, {
+            status: "queued",
+            attempts,
+            locked_until: null,
+            last_error: message,
+            run_at: new Date(runAt).toISOString(),
+          }))
+        )
+          return void leaseLost(job);
+        stats.retried += 1;
+        kickAt(runAt);
+      }
+    }
+  }
+
+  async function drain() {
+    // A kick during a drain may concern a job the running pass already missed
+    if (draining) {
+      rerun = true;
+      return;
+    }
+    draining = true;
+    try {
+      do {
+        rerun = false;
+        while (active < concurrency) {
+          const job = await claimNext();
+          if (!job) break;
+          active += 1;
+          run(job).finally(() => {
+            active -= 1;
+            kick();
+          });
+        }
+      } while (rerun);
+    } finally {
+      draining = false;
+    }
+  }
+
+  // Delete `done` jobs finished more than doneTtlMs ago; failed and dead
+  // ones stay for the admin listing
+  async function prune() {
+    lastPrune = Date.now();
+    const before = new Date(Date.now() - doneTtlMs).toISOString();
+    for (const [id, j] of mem)
+      if (j.status === "done" && j.updated_at < before) {
+        mem.delete(id);
+        stats.pruned += 1;
+      }
+    if (!supabase) return;
+    try {
+      const { data, error } = await db(
+        supabase
+          .from("bff_jobs")
+          .delete()
+          .eq("status", "done")
+          .lt("updated_at", before)
+          .select("id"),
+        "job prune"
+      );
+      if (error) throw error;
+      stats.pruned += (data || []).length;
+    } catch (e) {
+      warnDb("job prune failed", e);
+    }
+  }
+
+  // Timers started while serving a request would otherwise carry its context
+  const detachedDrain = AsyncResource.bind(() => drain());
+  const poll = AsyncResource.bind(() => {
+    drain();
+    if (Date.now() - lastPrune >= Math.min(doneTtlMs, 3600000)) prune();
+  });
+
+  // Admin listing, newest first: { jobs, has_more }
+  async function list({ status, type, limit = 50, offset = 0 } = {}) {
+    const match = (j) =>
+      (!status || j.status === status) && (!type || j.type === type);
+    const memJobs = [...mem.values()]
+      .filter(match)
+      .sort((a, b) => (a.created_at < b.created_at ? 1 : -1));
+    let rows = [];
+    if (supabase) {
+      try {
+        let q = supabase.from("bff_jobs").select(JOB_COLUMNS);
+        if (status) q = q.eq("status", status);
+        if (type) q = q.eq("type", type);
+        const { data, error } = await db(
+          q
+            .order("created_at", { ascending: false })
+            .range(offset, offset + limit),
+          "job list"
+        );
+        if (error) throw error;
+        rows = data || [];
+      } catch (e) {
+        warnDb("job list failed", e);
+      }
+    }
+    const all = [...memJobs.slice(offset, offset + limit + 1), ...rows];
+    return { jobs: all.slice(0, limit), has_more: all.length > limit };
+  }
+
+  async function get(id) {
+    if (mem.has(id)) return mem.get(id);
+    if (!supabase) return null;
+    const { data, error } = await db(
+      supabase.from("bff_jobs").select(JOB_COLUMNS).eq("id", id).maybeSingle(),
+      "job get"
+    );
+    if (error) throw error;
+    return data || null;
+  }
+
+  // Jobs waiting or running across processes: { queued, running }.
+  // Throws when the table is unreachable (readiness reports it).
+  async function depth() {
+    const out = { queued: 0, running: 0 };
+    for (const j of mem.values()) if (j.status in out) out[j.status] += 1;
+    if (!supabase) return out;
+    for (const status of Object.keys(out)) {
+      const { count, error } = await db(
+        supabase
+          .from("bff_jobs")
+          .select("id", { count: "exact", head: true })
+          .eq("status", status),
+        "job depth"
+      );
+      if (error) throw error;
+      out[status] += count || 0;
+    }
+    return out;
+  }
+
+  // Re-run a finished, failed or dead job now with a fresh attempt budget.
+  // Returns { job } or { error: "not_found" | "running" | "duplicate_active_job" }
+  async function retry(id) {
+    const job = await get(id);
+    if (!job) return { error: "not_found" };
+    if (job.status === "running") return { error: "running" };
+    const key = job.idempotency_key;
+    if (key && mem.has(id) && memActive(key, id))
+      return { error: "duplicate_active_job" };
+    const patch = {
+      status: "queued",
+      attempts: 0,
+      run_at: nowIso(),
+      locked_until: null,
+      last_error: null,
+    };
+    if (!mem.has(id)) {
+      const { error } = await db(
+        supabase
+          .from("bff_jobs")
+          .update({ ...patch, updated_at: nowIso() })
+          .eq("id", id),
+        "job retry"
+      );
+      if (error?.code === "23505") return { error: "duplicate_active_job" };
+      if (error) throw error;
+    }
+    const next = { ...job, ...patch, updated_at: nowIso() };
+    if (mem.has(id)) mem.set(id, next);
+    start();
+    kick();
+    return { job: next };
+  }
+
+  return {
+    enqueue,
+    drain: detachedDrain,
+    prune,
+    list,
+    get,
+    retry,
+    depth,
+    start,
+    stop,
+    stats: () => ({ ...stats, active, memory: mem.size }),
+  };
+}
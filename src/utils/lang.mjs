@@ -36,10 +36,17 @@ export function baseLang(lang) {
   return n.split("-")[0];
 }
 
-// Framework-agnostic negotiation: takes queryLang and acceptLanguage header value
-export function negotiateLanguageSimple(queryLang, acceptLanguageHeader) {
+// Framework-agnostic negotiation: takes queryLang, acceptLanguage header value
+// and optionally the user's preferred language (priority: query > profile > header)
+export function negotiateLanguageSimple(
+  queryLang,
+  acceptLanguageHeader,
+  profileLang = null
+) {
   const q = normalizeBcp47(queryLang);
   if (q) return q;
+  const p = normalizeBcp47(profileLang);
+  if (p) return p;
   const h = pickFromAcceptLanguage(acceptLanguageHeader);
   return h || "en";
 }
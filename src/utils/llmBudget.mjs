@@ -0,0 +1,239 @@
+// LLM usage accounting and budgets (testable)
+// - usage comes from Gemini usageMetadata (prompt/candidates token counts)
+// - cost in USD from LLM_PRICE_INPUT_PER_MTOK / LLM_PRICE_OUTPUT_PER_MTOK
+// - budgets (USD) per feature and scope via LLM_BUDGETS, e.g.
+//   "chat.daily=5,chat.user_daily=0.05,translate.monthly=50,*.monthly=200";
+//   scopes: daily, monthly, user_daily, user_monthly ("*" = all features)
+// - periods are UTC days and months; spend per period is shared through a
+//   store (Supabase RPC bff_llm_spend_add) when one is attached, with this
+//   process's counters as the fallback. Checks stay synchronous: they use the
+//   last totals the store returned, refreshed on every recorded call.
+// - the calling user travels in AsyncLocalStorage (runWithLlmUser)
+
+import { AsyncLocalStorage } from "node:async_hooks";
+import { logger } from "./logger.mjs";
+
+const SCOPES = ["daily", "monthly", "user_daily", "user_monthly"];
+const userContext = new AsyncLocalStorage();
+
+export function runWithLlmUser(userId, fn) {
+  return userContext.run({ userId: userId || null }, fn);
+}
+
+export function currentLlmUser() {
+  return userContext.getStore()?.userId || null;
+}
+
+export function isBudgetError(e) {
+  return e?.code === "llm_budget_exceeded";
+}
+
+// Gemini usageMetadata -> { input, output } tokens
+export function usageFromResponse(res) {
+  const u = res?.usageMetadata || {};
+  const input = Number(u.promptTokenCount) || 0;
+  const generated =
+    (Number(u.candidatesTokenCount) || 0) + (Number(u.thoughtsTokenCount) || 0);
+  const total = Number(u.totalTokenCount) || 0;
+  return { input, output: generated || Math.max(0, total - input) };
+}
+
+// "chat.daily=5, *.monthly=200" -> [{ feature, scope, limitUsd }]
+export function parseBudgets(raw) {
+  const out = [];
+  for (const part of String(raw || "").split(",")) {
+    const m = /^\s*([\w*-]+)\.(\w+)\s*=\s*([\d.]+)\s*$/.exec(part);
+    if (!m || !SCOPES.includes(m[2])) continue;
+    const limitUsd = parseFloat(m[3]);
+    if (Number.isFinite(limitUsd) && limitUsd >= 0)
+      out.push({ feature: m[1], scope: m[2], limitUsd });
+  }
+  return out;
+}
+
+// Shared spend in Postgres; see README for bff_llm_spend_add.
+// add(keys, usd) adds usd to every key and returns { key: total }.
+export function createSupabaseSpendStore(
+  supabase,
+  { withTimeout, timeoutMs = 1000 }
+) {
+  return {
+    name: "supabase",
+    async add(keys, usd) {
+      const { data, error } = await withTimeout(
+        supabase.rpc("bff_llm_spend_add", { p_keys: keys, p_usd: usd }),
+        timeoutMs,
+        "llm spend add"
+      );
+      if (error) throw error;
+      const totals = {};
+      for (const row of data || []) totals[row.key] = Number(row.usd) || 0;
+      return totals;
+    },
+  };
+}
+
+const price = (name, fallback) => {
+  const v = parseFloat(process.env[name] ?? fallback);
+  return Number.isFinite(v) && v >= 0 ? v : fallback;
+};
+
+export function createLlmBudget({
+  budgets = () => parseBudgets(process.env.LLM_BUDGETS),
+  prices = () => ({
+    input: price("LLM_PRICE_INPUT_PER_MTOK", 0.075),
+    output: price("LLM_PRICE_OUTPUT_PER_MTOK", 0.3),
+  }),
+  now = () => new Date(),
+  store = null,
+} = {}) {
+  const features = new Map(); // feature -> lifetime totals
+  const spend = new Map(); // `${period}|${feature}|${user}` -> usd
+  const loaded = new Set(); // keys whose shared total was requested
+  let currentDay = null;
+  let currentMonth = null;
+  let lastStoreWarn = 0;
+
+  // Send an increment (0 to load) and keep the larger of local and shared
+  // totals: increments still in flight must not be lost.
+  function sync(keys, usd) {
+    if (!store) return Promise.resolve();
+    for (const k of keys) loaded.add(k);
+    return store.add(keys, usd).then(
+      (totals) => {
+        for (const [k, total] of Object.entries(totals))
+          if (loaded.has(k)) spend.set(k, Math.max(spend.get(k) || 0, total));
+      },
+      (e) => {
+        if (Date.now() - lastStoreWarn < 60000) return;
+        lastStoreWarn = Date.now();
+        logger.warn("llm spend store failed, using process counters", {
+          store: store.name,
+          err: e,
+        });
+      }
+    );
+  }
+
+  const periods = () => {
+    const iso = now().toISOString();
+    const day = iso.slice(0, 10);
+    const month = iso.slice(0, 7);
+    // Drop counters from finished periods
+    if (day !== currentDay || month !== currentMonth) {
+      for (const k of spend.keys())
+        if (!k.startsWith(`${day}|`) && !k.startsWith(`${month}|`))
+          spend.delete(k);
+      for (const k of loaded)
+        if (!k.startsWith(`${day}|`) && !k.startsWith(`${month}|`))
+          loaded.delete(k);
+      currentDay = day;
+      currentMonth = month;
+    }
+    return { day, month };
+  };
+
+  const totals = (feature) => {
+    let t = features.get(feature);
+    if (!t) {
+      t = {
+        calls: 0,
+        input_tokens: 0,
+        output_tokens: 0,
+        cost_usd: 0,
+        blocked: 0,
+      };
+      features.set(feature, t);
+    }
+    return t;
+  };
+
+  // Spend so far for a budget rule; feature "*" holds the sum of all features
+  function spent({ feature, scope }, userId) {
+    const { day, month } = periods();
+    const period = scope.endsWith("daily") ? day : month;
+    const user = scope.startsWith("user_") ? userId : "*";
+    const key = `${period}|${feature}|${user}`;
+    // First look at a key (e.g. after a restart): fetch the shared total
+    if (store && !loaded.has(key)) sync([key], 0);
+    return spend.get(key) || 0;
+  }
+
+  // Rules that apply to the call; user scopes need a known user
+  const rulesFor = (feature, userId) =>
+    budgets().filter(
+      (b) =>
+        (b.feature === feature || b.feature === "*") &&
+        (userId || !b.scope.startsWith("user_"))
+    );
+
+  // Throws { code: "llm_budget_exceeded" } when a matching budget is used up.
+  // Checked before a call, so the last call of a period may overshoot.
+  function check(feature, userId = currentLlmUser()) {
+    for (const rule of rulesFor(feature, userId)) {
+      if (spent(rule, userId) < rule.limitUsd) continue;
+      totals(feature).blocked += 1;
+      const e = new Error(
+        `LLM budget exhausted for ${feature} (${rule.feature}.${rule.scope})`
+      );
+      e.code = "llm_budget_exceeded";
+      e.feature = feature;
+      e.scope = rule.scope;
+      throw e;
+    }
+  }
+
+  function record(feature, usage, userId = currentLlmUser()) {
+    const { input = 0, output = 0 } = usage || {};
+    const p = prices();
+    const usd = (input * p.input + output * p.output) / 1e6;
+    const t = totals(feature);
+    t.calls += 1;
+    t.input_tokens += input;
+    t.output_tokens += output;
+    t.cost_usd += usd;
+    const { day, month } = periods();
+    const keys = [];
+    for (const period of [day, month])
+      for (const f of [feature, "*"])
+        for (const user of userId ? ["*", userId] : ["*"]) {
+          const k = `${period}|${f}|${user}`;
+          spend.set(k, (spend.get(k) || 0) + usd);
+          keys.push(k);
+        }
+    if (usd > 0) sync(keys, usd);
+    return usd;
+  }
+
+  // Attach the shared store (the ledger below is created before the database)
+  function useStore(next) {
+    store = next || null;
+    loaded.clear();
+  }
+
+  // Lifetime totals per feature plus global budgets and their remaining spend
+  function snapshot() {
+    const byFeature = {};
+    for (const [name, t] of features) byFeature[name] = { ...t };
+    return {
+      features: byFeature,
+      budgets: budgets()
+        .filter((b) => !b.scope.startsWith("user_"))
+        .map((b) => {
+          const used = spent(b);
+          return {
+            feature: b.feature,
+            scope: b.scope,
+            limit_usd: b.limitUsd,
+            spent_usd: used,
+            remaining_usd: Math.max(0, b.limitUsd - used),
+          };
+        }),
+    };
+  }
+
+  return { check, record, snapshot, useStore };
+}
+
+// Shared ledger for the process (gemini.mjs records into it)
+export const llmBudget = createLlmBudget();
@@ -0,0 +1,122 @@
+// Structured JSON logging with per-request context (testable)
+// - one JSON object per line: { time, level, msg, request_id?, ...fields }
+// - LOG_LEVEL: debug | info | warn | error | silent (default info, warn under tests)
+// - the request id travels in AsyncLocalStorage, so every log line, Supabase
+//   query and Gemini call made while handling a request carries it
+
+import crypto from "node:crypto";
+import { AsyncLocalStorage } from "node:async_hooks";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REQUEST_ID_RE = /^[\w.:@-]{1,128}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+export function logLevel() {
+  const v = String(process.env.LOG_LEVEL || "").toLowerCase();
+  if (v in LEVELS) return v;
+  return process.env.NODE_ENV === "test" ? "warn" : "info";
+}
+
+export function currentRequestId() {
+  return requestContext.getStore()?.requestId || null;
+}
+
+// Run fn with a request id bound for everything it awaits (jobs, scripts)
+export function runWithRequestId(requestId, fn) {
+  return requestContext.run({ requestId }, fn);
+}
+
+// Headers to forward to upstream services ({} outside a request)
+export function requestIdHeaders() {
+  const id = currentRequestId();
+  return id ? { "X-Request-Id": id } : {};
+}
+
+// fetch wrapper that adds X-Request-Id (for the Supabase client's global.fetch)
+export function fetchWithRequestId(fetchImpl = (...args) => fetch(...args)) {
+  return (input, init = {}) => {
+    const id = currentRequestId();
+    if (!id) return fetchImpl(input, init);
+    const headers = new Headers(init.headers || {});
+    if (!headers.has("X-Request-Id")) headers.set("X-Request-Id", id);
+    return fetchImpl(input, { ...init, headers });
+  };
+}
+
+// Errors do not survive JSON.stringify; keep the useful parts
+function serialize(value) {
+  if (value instanceof Error)
+    return {
+      message: value.message,
+      ...(value.code ? { code: value.code } : {}),
+      ...(LEVELS[logLevel()] <= LEVELS.debug && value.stack
+        ? { stack: value.stack }
+        : {}),
+    };
+  if (value && typeof value === "object" && "message" in value)
+    return { message: String(value.message) };
+  return value;
+}
+
+export function createLogger(bindings = {}) {
+  function write(level, msg, fields = {}) {
+    if (LEVELS[level] < LEVELS[logLevel()]) return;
+    const entry = { time: new Date().toISOString(), level, msg, ...bindings };
+    const requestId = currentRequestId();
+    if (requestId) entry.request_id = requestId;
+    for (const [k, v] of Object.entries(fields || {}))
+      if (v !== undefined) entry[k] = serialize(v);
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (_) {
+      line = JSON.stringify({ time: entry.time, level, msg, ...bindings });
+    }
+    // eslint-disable-next-line no-console
+    console[level](line);
+  }
+  return {
+    debug: (msg, fields) => write("debug", msg, fields),
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+    // Counter-style events (formerly "metric: <name>" console lines)
+    metric: (name, fields, level = "info") =>
+      write(level, "metric", { metric: name, ...fields }),
+    child: (extra) => createLogger({ ...bindings, ...extra }),
+  };
+}
+
+export const logger = createLogger({ service: "insight-bff" });
+
+// Route template of a handled request ("/cluster/:id"), or null when unmatched
+export function routeTemplate(req) {
+  return req.route?.path
+    ? `${req.baseUrl || ""}${String(req.route.path)}`
+    : null;
+}
+
+// Honors a well-formed incoming X-Request-Id, otherwise generates one; echoes it
+// back and logs one line per finished request
+export function requestIdMiddleware(req, res, next) {
+  const incoming = String(req.headers["x-request-id"] || "");
+  const requestId = REQUEST_ID_RE.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+  req.id = requestId;
+  res.setHeader("X-Request-Id", requestId);
+  const t0 = process.hrtime.bigint();
+  res.on("finish", () => {
+    runWithRequestId(requestId, () =>
+      logger[res.statusCode >= 500 ? "error" : "info"]("request", {
+        method: req.method,
+        path: req.path,
+        route: routeTemplate(req) || undefined,
+        status: res.statusCode,
+        duration_ms: Math.round(Number(process.hrtime.bigint() - t0) / 1e6),
+      })
+    );
+  });
+  runWithRequestId(requestId, next);
+}
@@ -0,0 +1,47 @@
+// Market config rows from app_markets (testable)
+// Schema-tolerant: the market code may be in market_code, code, market or slug,
+// and language lists may be arrays, JSON strings or Postgres array literals.
+
+import { normalizeBcp47 } from "./lang.mjs";
+
+const uniq = (arr) => Array.from(new Set((arr || []).filter(Boolean)));
+
+function asArray(v) {
+  if (Array.isArray(v)) return v;
+  if (v == null) return [];
+  if (typeof v === "string") {
+    const s = v.trim();
+    if (!s) return [];
+    // Try JSON first
+    try {
+      const parsed = JSON.parse(s);
+      if (Array.isArray(parsed)) return parsed;
+    } catch (_) {}
+    // Try Postgres array literal {a,b,c}
+    const isPgArr = s.startsWith("{") && s.endsWith("}");
+    const body = isPgArr ? s.slice(1, -1) : s;
+    return body
+      .split(",")
+      .map((x) => x.replace(/^\"(.*)\"$/, "$1").trim())
+      .filter(Boolean);
+  }
+  return [];
+}
+
+// Normalized, de-duplicated BCP-47 tags
+export function parseLangList(v) {
+  return uniq(asArray(v).map((x) => normalizeBcp47(String(x || "").trim())));
+}
+
+export function marketFromRow(r) {
+  return {
+    market: r.market_code || r.code || r.market || r.slug || "GLOBAL",
+    show_langs: parseLangList(r.show_langs),
+    pretranslate_langs: parseLangList(r.pretranslate_langs),
+    default_lang: normalizeBcp47(
+      r.default_lang || parseLangList(r.show_langs)[0] || "en"
+    ),
+    pivot_lang: normalizeBcp47(r.pivot_lang || "en"),
+    enabled: r.enabled === undefined ? true : !!r.enabled,
+  };
+}
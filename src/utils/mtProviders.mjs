@@ -0,0 +1,174 @@
+// Machine-translation provider registry
+// Each provider: { name, isConfigured(): boolean, translate(text, { srcLang, dstLang }) => Promise<string> }
+// Built-ins:
+// - gemini: LLM prompt via generatePlain (LLM_API_KEY / GEMINI_API_KEY)
+// - deepl: DeepL-style REST API (DEEPL_API_KEY, DEEPL_API_URL)
+// - libretranslate: LibreTranslate-compatible server (LIBRETRANSLATE_URL, LIBRETRANSLATE_API_KEY)
+// - test: deterministic "[dst] text" output, only used when listed in MT_PROVIDERS
+// Failover order comes from MT_PROVIDERS (comma-separated); unconfigured providers are skipped.
+
+import { generatePlain, getModelId } from "./gemini.mjs";
+
+const DEFAULT_ORDER = ["gemini", "deepl", "libretranslate"];
+
+const baseLang = (tag) => (String(tag || "").split("-")[0] || "").toLowerCase();
+
+const langName = (b) =>
+  ({
+    en: "English",
+    de: "German",
+    tr: "Turkish",
+    fr: "French",
+    es: "Spanish",
+    it: "Italian",
+    ar: "Arabic",
+    ru: "Russian",
+    ja: "Japanese",
+    zh: "Chinese",
+    pt: "Portuguese",
+    nl: "Dutch",
+    pl: "Polish",
+  }[b] || b);
+
+// For LLM prompts, prefer human-readable language names and ignore region
+export function providerTarget(dstLang) {
+  return langName(baseLang(dstLang));
+}
+
+// Glossary placeholders ([[T0]]) and HTML batch separators ([[SEP]])
+const hasMarkers = (text) => /\[\[\s*(T\d+|SEP)\s*\]\]/.test(String(text));
+
+const autoSrc = (srcLang) =>
+  !srcLang || srcLang === "auto" ? null : baseLang(srcLang);
+
+async function postJson(url, body, headers = {}) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status} from ${new URL(url).host}`);
+  return res.json();
+}
+
+const geminiProvider = {
+  name: "gemini",
+  isConfigured: () => !!(process.env.LLM_API_KEY || process.env.GEMINI_API_KEY),
+  async translate(text, { srcLang, dstLang }) {
+    const prompt = `Translate the following text from ${
+      srcLang || "auto"
+    } to ${providerTarget(
+      dstLang
+    )}. Return only the translation with no extra words or quotes.${
+      hasMarkers(text)
+        ? " Keep markers in double square brackets (like [[T0]] or [[SEP]]) exactly as they are."
+        : ""
+    }\n\n${text}`;
+    const { text: out } = await generatePlain(prompt, {
+      model: getModelId(),
+      temperature: 0,
+      maxOutputTokens: 512,
+      feature: "translate",
+    });
+    if (!out) throw new Error("Gemini no translation");
+    return out;
+  },
+};
+
+const deeplProvider = {
+  name: "deepl",
+  isConfigured: () => !!process.env.DEEPL_API_KEY,
+  async translate(text, { srcLang, dstLang }) {
+    const url =
+      process.env.DEEPL_API_URL || "https://api-free.deepl.com/v2/translate";
+    const src = autoSrc(srcLang);
+    const data = await postJson(
+      url,
+      {
+        text: [text],
+        target_lang: baseLang(dstLang).toUpperCase(),
+        ...(src ? { source_lang: src.toUpperCase() } : {}),
+      },
+      { Authorization: `DeepL-Auth-Key ${process.env.DEEPL_API_KEY}` }
+    );
+    const out = data?.translations?.[0]?.text;
+    if (!out) throw new Error("DeepL no translation");
+    return out;
+  },
+};
+
+const libreProvider = {
+  name: "libretranslate",
+  isConfigured: () => !!process.env.LIBRETRANSLATE_URL,
+  async translate(text, { srcLang, dstLang }) {
+    const url = `${process.env.LIBRETRANSLATE_URL.replace(
+      /\/+$/,
+      ""
+    )}/translate`;
+    const data = await postJson(url, {
+      q: text,
+      source: autoSrc(srcLang) || "auto",
+      target: baseLang(dstLang),
+      format: "text",
+      ...(process.env.LIBRETRANSLATE_API_KEY
+        ? { api_key: process.env.LIBRETRANSLATE_API_KEY }
+        : {}),
+    });
+    const out = data?.translatedText;
+    if (!out) throw new Error("LibreTranslate no translation");
+    return out;
+  },
+};
+
+const testProvider = {
+  name: "test",
+  isConfigured: () => true,
+  async translate(text, { dstLang }) {
+    return `[${baseLang(dstLang)}] ${text}`;
+  },
+};
+
+const registry = new Map();
+for (const p of [geminiProvider, deeplProvider, libreProvider, testProvider])
+  registry.set(p.name, p);
+
+export function registerProvider(provider) {
+  if (!provider?.name || typeof provider.translate !== "function")
+    throw new Error("provider needs a name and a translate function");
+  registry.set(provider.name, {
+    isConfigured: () => true,
+    ...provider,
+  });
+}
+
+export function getProvider(name) {
+  return registry.get(name) || null;
+}
+
+export function providerOrder() {
+  const raw = String(process.env.MT_PROVIDERS || "").trim();
+  if (!raw) return DEFAULT_ORDER;
+  return raw
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Providers to try, in failover order. The test provider must be listed explicitly.
+export function availableProviders() {
+  return providerOrder().filter((name) => {
+    const p = registry.get(name);
+    return p && p.isConfigured();
+  });
+}
+
+// No provider produced a translation (none configured, or every one failed)
+export function translationUnavailable(message) {
+  const e = new Error(message);
+  e.code = "translation_unavailable";
+  return e;
+}
+
+export function isTranslationUnavailable(e) {
+  return e?.code === "translation_unavailable";
+}
@@ -0,0 +1,132 @@
+// User preferences: schema validation + cached persistence in app_users.preferences
+
+import { normalizeBcp47 } from "./lang.mjs";
+
+export const DEFAULT_PREFERENCES = {
+  topics: [],
+  languages: [], // none: ?lang / Accept-Language decide
+  readingLevel: "intermediate",
+  audioPreferences: false,
+  biasAnalysis: true,
+  notifications: false,
+};
+
+const READING_LEVELS = ["beginner", "intermediate", "advanced"];
+const BOOLEAN_KEYS = ["audioPreferences", "biasAnalysis", "notifications"];
+const MAX_TOPICS = 50;
+const MAX_LANGUAGES = 10;
+
+// Validate a (partial) preferences object. Returns { value, errors } where
+// value holds only the normalized, known keys that were provided.
+export function validatePreferences(input) {
+  const errors = [];
+  const value = {};
+  if (!input || typeof input !== "object" || Array.isArray(input))
+    return { value, errors: ["preferences must be an object"] };
+  for (const [key, v] of Object.entries(input)) {
+    if (key === "topics") {
+      if (!Array.isArray(v) || v.some((t) => typeof t !== "string")) {
+        errors.push("topics must be an array of strings");
+        continue;
+      }
+      const topics = [
+        ...new Set(v.map((t) => t.trim().toLowerCase()).filter(Boolean)),
+      ];
+      if (topics.length > MAX_TOPICS || topics.some((t) => t.length > 64))
+        errors.push(`topics allows at most ${MAX_TOPICS} items of 64 chars`);
+      else value.topics = topics;
+    } else if (key === "languages") {
+      // [] clears the profile languages: ?lang / Accept-Language decide again
+      if (!Array.isArray(v)) {
+        errors.push("languages must be an array of language tags");
+        continue;
+      }
+      const langs = v.map((l) => normalizeBcp47(l));
+      if (langs.some((l) => !l || !/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(l)))
+        errors.push("languages must contain valid BCP-47 tags");
+      else if (langs.length > MAX_LANGUAGES)
+        errors.push(`languages allows at most ${MAX_LANGUAGES} items`);
+      else value.languages = [...new Set(langs)];
+    } else if (key === "readingLevel") {
+      if (!READING_LEVELS.includes(v))
+        errors.push(`readingLevel must be one of ${READING_LEVELS.join(", ")}`);
+      else value.readingLevel = v;
+    } else if (BOOLEAN_KEYS.includes(key)) {
+      if (typeof v !== "boolean") errors.push(`${key} must be a boolean`);
+      else value[key] = v;
+    } else {
+      errors.push(`unknown preference: ${key}`);
+    }
+  }
+  return { value, errors };
+}
+
+// First preferred language, if any
+export function preferredLanguage(prefs) {
+  const l = Array.isArray(prefs?.languages) ? prefs.languages[0] : null;
+  return normalizeBcp47(l) || null;
+}
+
+// Stable re-rank: cards matching more of the user's topics move up,
+// otherwise the incoming (recency) order is kept.
+export function boostByTopics(cards, topics) {
+  const wanted = new Set((topics || []).map((t) => String(t).toLowerCase()));
+  if (!wanted.size) return cards;
+  const score = (c) =>
+    [c.category, ...(c.tags || [])]
+      .filter(Boolean)
+      .map((t) => String(t).toLowerCase())
+      .filter((t, i, arr) => wanted.has(t) && arr.indexOf(t) === i).length;
+  return cards
+    .map((c, i) => ({ c, i, s: score(c) }))
+    .sort((a, b) => b.s - a.s || a.i - b.i)
+    .map((x) => x.c);
+}
+
+// Read-through cache over app_users.preferences (short TTL; writes refresh it)
+export function createPreferencesStore(
+  supabase,
+  { withTimeout, ttlMs = parseInt(process.env.PREFERENCES_CACHE_MS || "60000") }
+) {
+  const cache = new Map(); // userId -> { prefs, at }
+
+  async function get(userId) {
+    if (!userId) return null;
+    const hit = cache.get(userId);
+    if (hit && Date.now() - hit.at < ttlMs) return hit.prefs;
+    const { data, error } = await withTimeout(
+      supabase
+        .from("app_users")
+        .select("preferences")
+        .eq("id", userId)
+        .maybeSingle(),
+      1000,
+      "user preferences"
+    );
+    if (error) throw error;
+    const prefs = data
+      ? { ...DEFAULT_PREFERENCES, ...(data.preferences || {}) }
+      : null;
+    cache.set(userId, { prefs, at: Date.now() });
+    return prefs;
+  }
+
+  // Merge a validated patch into the stored preferences
+  async function update(userId, patch) {
+    const current = (await get(userId)) || { ...DEFAULT_PREFERENCES };
+    const prefs = { ...current, ...patch };
+    const { error } = await withTimeout(
+      supabase
+        .from("app_users")
+        .update({ preferences: prefs, updated_at: new Date().toISOString() })
+        .eq("id", userId),
+      2000,
+      "user preferences update"
+    );
+    if (error) throw error;
+    cache.set(userId, { prefs, at: Date.now() });
+    return prefs;
+  }
+
+  return { get, update, invalidate: (userId) => cache.delete(userId) };
+}
@@ -0,0 +1,162 @@
+// Market-driven pre-translation scheduler (testable)
+// Every intervalMs: collect the pretranslate_langs of enabled markets, list
+// clusters updated within lookbackMs (newest first, at most maxClusters) and
+// enqueue one job per cluster and language pair. The caller's enqueue keeps
+// one active job per pair across all instances (the cluster_translation key
+// that reads use too), and any instance's queue runs it through handle(). A
+// pair that was handled is not enqueued again by that process until its
+// cluster changes; failed and dead jobs are enqueued again by the next pass.
+// A pass enqueues nothing once the LLM budget is used up; passes never overlap.
+
+import { logger } from "./logger.mjs";
+
+export function createPretranslateScheduler({
+  loadMarkets, // async () => [{ market, pretranslate_langs, enabled }]
+  loadClusters, // async ({ since, limit }) => [{ id, updated_at }]
+  enqueue, // async (clusterId, lang, version) -> { deduped }; version goes to handle()
+  ensure, // async (clusterId, lang) -> row with is_translated, or null
+  checkBudget = () => {}, // throws when translation spend is exhausted
+  isBudgetError = () => false,
+  intervalMs = parseInt(process.env.PRETRANSLATE_INTERVAL_MS || "300000"),
+  lookbackMs = parseInt(process.env.PRETRANSLATE_LOOKBACK_MS || "21600000"),
+  maxClusters = parseInt(process.env.PRETRANSLATE_MAX_CLUSTERS || "50"),
+}) {
+  const done = new Map(); // `${clusterId}|${lang}` -> cluster updated_at handled
+  let timer = null;
+  let running = null;
+  const stats = {
+    runs: 0,
+    queued: 0,
+    deduped: 0,
+    translated: 0,
+    fresh: 0,
+    missing: 0,
+    failed: 0,
+    budget_stops: 0,
+    last_run_at: null,
+    last_duration_ms: null,
+    last_pairs: 0,
+  };
+
+  async function languages() {
+    const markets = await loadMarkets();
+    const langs = new Set();
+    for (const m of markets || [])
+      if (m.enabled !== false)
+        for (const lang of m.pretranslate_langs || []) langs.add(lang);
+    return [...langs];
+  }
+
+  async function run() {
+    const t0 = Date.now();
+    const outcome = { queued: 0, deduped: 0, failed: 0 };
+    const langs = await languages();
+    const since = new Date(t0 - lookbackMs).toISOString();
+    const clusters = langs.length
+      ? await loadClusters({ since, limit: maxClusters })
+      : [];
+    // Forget pairs whose cluster left the window
+    const inWindow = new Set((clusters || []).map((c) => c.id));
+    for (const k of done.keys())
+      if (!inWindow.has(k.slice(0, k.lastIndexOf("|")))) done.delete(k);
+
+    const pending = [];
+    for (const c of clusters || [])
+      for (const lang of langs) {
+        const key = `${c.id}|${lang}`;
+        if (done.has(key) && done.get(key) === (c.updated_at || null)) continue;
+        pending.push({ key, id: c.id, lang, version: c.updated_at || null });
+      }
+    let budgetStop = false;
+    try {
+      if (pending.length) checkBudget();
+    } catch (e) {
+      if (!isBudgetError(e)) throw e;
+      budgetStop = true;
+    }
+    for (const item of budgetStop ? [] : pending) {
+      try {
+        const { deduped } = await enqueue(item.id, item.lang, item.version);
+        if (deduped) outcome.deduped += 1;
+        else outcome.queued += 1;
+      } catch (e) {
+        outcome.failed += 1;
+        logger.warn("pretranslate enqueue failed", {
+          cluster_id: item.id,
+          lang: item.lang,
+          err: e,
+        });
+      }
+    }
+
+    stats.runs += 1;
+    stats.queued += outcome.queued;
+    stats.deduped += outcome.deduped;
+    stats.failed += outcome.failed;
+    if (budgetStop) stats.budget_stops += 1;
+    stats.last_run_at = new Date(t0).toISOString();
+    stats.last_duration_ms = Date.now() - t0;
+    stats.last_pairs = pending.length;
+    logger.metric("bff.pretranslate.run", {
+      langs: langs.length,
+      clusters: (clusters || []).length,
+      pairs: pending.length,
+      ...outcome,
+      budget_stop: budgetStop,
+      duration_ms: stats.last_duration_ms,
+    });
+    return { ...outcome, pairs: pending.length, budget_stop: budgetStop };
+  }
+
+  // Job handler for one pair; throws so the queue retries failures. Once it
+  // succeeded the pair rests until its cluster's updated_at moves past version.
+  async function handle(clusterId, lang, version = null) {
+    try {
+      checkBudget();
+      const row = await ensure(clusterId, lang);
+      if (!row) stats.missing += 1;
+      else if (row.is_translated) stats.translated += 1;
+      else stats.fresh += 1;
+      done.set(`${clusterId}|${lang}`, version);
+      return row;
+    } catch (e) {
+      if (isBudgetError(e)) stats.budget_stops += 1;
+      else stats.failed += 1;
+      throw e;
+    }
+  }
+
+  // One pass; a call during a running pass joins it
+  function runOnce() {
+    if (!running)
+      running = run()
+        .catch((e) => {
+          logger.warn("pretranslate run failed", { err: e });
+          return null;
+        })
+        .finally(() => {
+          running = null;
+        });
+    return running;
+  }
+
+  function start() {
+    if (timer || !(intervalMs > 0)) return;
+    timer = setInterval(runOnce, intervalMs);
+    if (typeof timer.unref === "function") timer.unref();
+    runOnce();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    runOnce,
+    handle,
+    start,
+    stop,
+    stats: () => ({ ...stats, running: Boolean(running), tracked: done.size }),
+  };
+}
@@ -0,0 +1,166 @@
+// Prometheus / OpenMetrics text exposition (testable)
+// - counters and histograms with labels, kept in a process-wide registry
+// - collectors turn snapshot objects (bffMetrics, translateMetrics, ...) into
+//   samples at scrape time
+// - render() writes the Prometheus 0.0.4 text format or OpenMetrics 1.0
+
+import { logger } from "./logger.mjs";
+
+export const CONTENT_TYPES = {
+  prometheus: "text/plain; version=0.0.4; charset=utf-8",
+  openmetrics: "application/openmetrics-text; version=1.0.0; charset=utf-8",
+};
+
+// Seconds; covers fast cache hits up to slow LLM calls
+export const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+const escapeLabel = (v) =>
+  String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+const escapeHelp = (v) =>
+  String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {}).filter(([, v]) => v != null);
+  if (!entries.length) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+function formatValue(v) {
+  if (v === Infinity) return "+Inf";
+  if (v === -Infinity) return "-Inf";
+  return Number.isFinite(v) ? String(v) : "NaN";
+}
+
+const labelKey = (labels) =>
+  JSON.stringify(
+    Object.entries(labels || {}).sort(([a], [b]) => (a < b ? -1 : 1))
+  );
+
+// Pick the exposition format for a /metrics request, or null for JSON
+export function metricsFormat(req) {
+  const format = String(req.query?.format || "").toLowerCase();
+  if (format === "prometheus") return "prometheus";
+  if (format === "openmetrics") return "openmetrics";
+  if (format) return null;
+  const accept = String(req.headers?.accept || "");
+  if (accept.includes("application/openmetrics-text")) return "openmetrics";
+  if (/^text\/plain/i.test(accept)) return "prometheus";
+  return null;
+}
+
+export function createRegistry() {
+  const families = new Map(); // name -> { type, help, series: Map }
+  const collectors = [];
+
+  function family(name, type, help, extra = {}) {
+    const existing = families.get(name);
+    if (existing) {
+      if (existing.type !== type)
+        throw new Error(
+          `metric ${name} already registered as ${existing.type}`
+        );
+      return existing;
+    }
+    const f = { name, type, help, series: new Map(), ...extra };
+    families.set(name, f);
+    return f;
+  }
+
+  // Name without the _total suffix; samples are exported as <name>_total
+  function counter(name, help) {
+    const f = family(name, "counter", help);
+    return {
+      inc(labels = {}, n = 1) {
+        const k = labelKey(labels);
+        const s = f.series.get(k) || { labels, value: 0 };
+        s.value += n;
+        f.series.set(k, s);
+      },
+    };
+  }
+
+  function histogram(name, help, { buckets = DEFAULT_BUCKETS } = {}) {
+    const f = family(name, "histogram", help, {
+      buckets: [...buckets].sort((a, b) => a - b),
+    });
+    return {
+      observe(labels = {}, seconds) {
+        if (!Number.isFinite(seconds)) return;
+        const k = labelKey(labels);
+        let s = f.series.get(k);
+        if (!s) {
+          s = { labels, counts: f.buckets.map(() => 0), sum: 0, count: 0 };
+          f.series.set(k, s);
+        }
+        const i = f.buckets.findIndex((b) => seconds <= b);
+        if (i !== -1) s.counts[i] += 1;
+        s.sum += seconds;
+        s.count += 1;
+      },
+    };
+  }
+
+  // fn() -> [{ name, type: "counter"|"gauge", help, samples: [{ labels, value }] }]
+  function collect(fn) {
+    collectors.push(fn);
+  }
+
+  function renderFamily(f, openMetrics, lines) {
+    const counter = f.type === "counter";
+    // Prometheus 0.0.4 names counter families with the suffix, OpenMetrics without
+    const familyName = counter && !openMetrics ? `${f.name}_total` : f.name;
+    lines.push(`# HELP ${familyName} ${escapeHelp(f.help)}`);
+    lines.push(`# TYPE ${familyName} ${f.type}`);
+    for (const s of f.samples) {
+      if (f.type === "histogram") {
+        let cumulative = 0;
+        f.buckets.forEach((b, i) => {
+          cumulative += s.counts[i];
+          lines.push(
+            `${f.name}_bucket${formatLabels({
+              ...s.labels,
+              le: formatValue(b),
+            })} ${cumulative}`
+          );
+        });
+        lines.push(
+          `${f.name}_bucket${formatLabels({ ...s.labels, le: "+Inf" })} ${
+            s.count
+          }`
+        );
+        lines.push(`${f.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+        lines.push(`${f.name}_count${formatLabels(s.labels)} ${s.count}`);
+      } else {
+        const sample = counter ? `${f.name}_total` : f.name;
+        lines.push(
+          `${sample}${formatLabels(s.labels)} ${formatValue(s.value)}`
+        );
+      }
+    }
+  }
+
+  function render({ openMetrics = false } = {}) {
+    const lines = [];
+    const out = [...families.values()].map((f) => ({
+      ...f,
+      samples: [...f.series.values()],
+    }));
+    for (const fn of collectors) {
+      try {
+        out.push(...fn());
+      } catch (e) {
+        logger.warn("metrics collector failed", { err: e });
+      }
+    }
+    for (const f of out) renderFamily(f, openMetrics, lines);
+    if (openMetrics) lines.push("# EOF");
+    return `${lines.join("\n")}\n`;
+  }
+
+  return { counter, histogram, collect, render };
+}
+
+// Process-wide registry shared by the server and the translation layer
+export const metricsRegistry = createRegistry();
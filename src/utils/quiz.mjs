@@ -0,0 +1,182 @@
+// Cluster quizzes: prompt, strict JSON parsing, scoring and persistence
+// Table (Supabase):
+// - cluster_quizzes: id, quiz_id (shared by all languages of one quiz), cluster_id, lang,
+//   source_sig (sha1 of the cluster_ai text it was built from), questions (jsonb),
+//   model, translated_from, created_at
+// When the table is unreachable the store degrades to process memory.
+
+import crypto from "node:crypto";
+import { logger } from "./logger.mjs";
+
+const OPTIONS_PER_QUESTION = 4;
+
+export function quizQuestionCount() {
+  const v = parseInt(process.env.QUIZ_QUESTIONS || "5");
+  return Number.isFinite(v) ? Math.min(Math.max(v, 1), 10) : 5;
+}
+
+// Prompt asking for strict JSON grounded only in the given cluster text
+export function buildQuizPrompt({
+  title,
+  summary,
+  details,
+  timeline,
+  lang,
+  count,
+}) {
+  const updates = (timeline || [])
+    .map((t) => String(t || "").trim())
+    .filter(Boolean)
+    .slice(0, 8);
+  const lines = [
+    `Write a multiple-choice quiz with ${count} questions in language "${lang}" about the news story below.`,
+    `Each question has exactly ${OPTIONS_PER_QUESTION} options and one correct answer.`,
+    "Only ask about facts stated in the text; do not use outside knowledge.",
+    'Return ONLY minified JSON: {"questions":[{"question":"..","options":["..","..","..",".."],"answer":0,"explanation":".."}]}',
+    'where "answer" is the zero-based index of the correct option.',
+    "",
+    `Title: ${title || ""}`,
+    `Summary: ${summary || ""}`,
+  ];
+  if (details) lines.push(`Details: ${details}`);
+  if (updates.length)
+    lines.push(`Timeline:\n${updates.map((u) => `- ${u}`).join("\n")}`);
+  return lines.join("\n");
+}
+
+// Parse and validate model output; returns questions[] or throws
+export function parseQuizJson(text, { max = 10 } = {}) {
+  const raw = String(text || "")
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/, "");
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (_) {
+    throw new Error("quiz output is not valid JSON");
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed?.questions;
+  if (!Array.isArray(list)) throw new Error("quiz output has no questions");
+  const questions = [];
+  for (const q of list) {
+    const question = typeof q?.question === "string" ? q.question.trim() : "";
+    const options = Array.isArray(q?.options)
+      ? q.options.map((o) => (typeof o === "string" ? o.trim() : ""))
+      : [];
+    const answer = q?.answer;
+    if (
+      !question ||
+      options.length !== OPTIONS_PER_QUESTION ||
+      options.some((o) => !o) ||
+      new Set(options).size !== options.length ||
+      !Number.isInteger(answer) ||
+      answer < 0 ||
+      answer >= options.length
+    )
+      continue;
+    questions.push({
+      question,
+      options,
+      answer,
+      explanation:
+        typeof q.explanation === "string" ? q.explanation.trim() : "",
+    });
+    if (questions.length >= max) break;
+  }
+  if (!questions.length) throw new Error("quiz output has no valid questions");
+  return questions;
+}
+
+// Client view of a stored quiz: answers stay on the server until submission
+export function publicQuiz(row) {
+  return {
+    quiz_id: row.quiz_id,
+    cluster_id: row.cluster_id,
+    language: row.lang,
+    translated_from: row.translated_from || null,
+    created_at: row.created_at,
+    questions: row.questions.map((q) => ({
+      question: q.question,
+      options: q.options,
+    })),
+  };
+}
+
+// answers: array of selected option indexes (null/undefined = skipped)
+export function scoreQuiz(questions, answers) {
+  const results = questions.map((q, i) => {
+    const selected = Number.isInteger(answers?.[i]) ? answers[i] : null;
+    return {
+      index: i,
+      selected,
+      correct: q.answer,
+      is_correct: selected === q.answer,
+      explanation: q.explanation || "",
+    };
+  });
+  return {
+    score: results.filter((r) => r.is_correct).length,
+    total: questions.length,
+    results,
+  };
+}
+
+export function createQuizStore(supabase, { withTimeout, timeoutMs = 2000 }) {
+  const mem = new Map(); // `${clusterId}|${lang}` -> row
+
+  async function get(clusterId, lang) {
+    const key = `${clusterId}|${lang}`;
+    if (mem.has(key)) return mem.get(key);
+    try {
+      const { data, error } = await withTimeout(
+        supabase
+          .from("cluster_quizzes")
+          .select(
+            "id,quiz_id,cluster_id,lang,source_sig,questions,model,translated_from,created_at"
+          )
+          .eq("cluster_id", clusterId)
+          .eq("lang", lang)
+          .order("created_at", { ascending: false })
+          .limit(1),
+        timeoutMs,
+        "cluster quiz"
+      );
+      if (error) throw error;
+      return (data && data[0]) || null;
+    } catch (e) {
+      logger.warn("cluster quiz lookup failed", { err: e });
+      return null;
+    }
+  }
+
+  // fields: { quizId?, clusterId, lang, sourceSig, questions, model?, translatedFrom? }
+  async function save(fields) {
+    const row = {
+      id: crypto.randomUUID(),
+      quiz_id: fields.quizId || crypto.randomUUID(),
+      cluster_id: fields.clusterId,
+      lang: fields.lang,
+      source_sig: fields.sourceSig,
+      questions: fields.questions,
+      model: fields.model || null,
+      translated_from: fields.translatedFrom || null,
+      created_at: new Date().toISOString(),
+    };
+    try {
+      const { error } = await withTimeout(
+        supabase.from("cluster_quizzes").insert(row),
+        timeoutMs,
+        "cluster quiz insert"
+      );
+      if (error) throw error;
+      mem.delete(`${row.cluster_id}|${row.lang}`);
+    } catch (e) {
+      logger.warn("cluster quiz persist failed", { err: e });
+      mem.set(`${row.cluster_id}|${row.lang}`, row);
+    }
+    return row;
+  }
+
+  return { get, save };
+}
@@ -0,0 +1,231 @@
+// Rate limiting with pluggable storage (testable)
+// - fixed-window counters: store.hit(key, windowMs) -> { count, resetMs }
+// - stores: memory (per process), supabase (RPC bff_rate_limit_hit) and redis
+//   (any Redis-protocol server); the shared ones fall back to memory on errors
+// - named policies per route: RATE_LIMIT_POLICIES="chat=20/1m,batch=60/1h"
+// - callers are limited per user when authenticated, else per client IP
+//   (req.ip, so proxy trust follows the app's "trust proxy" setting)
+// - responses carry RateLimit-Limit/-Remaining/-Reset and RateLimit-Policy,
+//   plus Retry-After when limited
+
+import { logger } from "./logger.mjs";
+import { createRedisClient } from "./redisClient.mjs";
+import { userIdFromRequest } from "./auth.mjs";
+
+const UNIT_MS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+// "90", "30s", "1m", "1h" -> milliseconds (bare numbers are seconds)
+export function parseWindow(raw) {
+  const m = /^(\d+)\s*(ms|s|m|h|d)?$/.exec(String(raw || "").trim());
+  if (!m) return null;
+  const ms = parseInt(m[1]) * UNIT_MS[m[2] || "s"];
+  return ms > 0 ? ms : null;
+}
+
+// "chat=20/1m, batch=60/1h, quiz=off" -> { chat: {limit, windowMs}, quiz: null }
+export function parsePolicies(raw) {
+  const out = {};
+  for (const part of String(raw || "").split(",")) {
+    const [name, spec] = part.split("=").map((s) => (s || "").trim());
+    if (!name || !spec) continue;
+    if (spec === "off") {
+      out[name] = null;
+      continue;
+    }
+    const [limitRaw, windowRaw] = spec.split("/");
+    const limit = parseInt(limitRaw);
+    const windowMs = parseWindow(windowRaw || "1m");
+    if (!Number.isFinite(limit) || limit < 0 || !windowMs) {
+      logger.warn("ignoring invalid rate limit policy", { policy: part });
+      continue;
+    }
+    out[name] = { limit, windowMs };
+  }
+  return out;
+}
+
+// Defaults (batch keeps RATE_LIMIT_BATCH per hour), overridden per name
+export function policiesFromEnv(env = process.env) {
+  const batch = parseInt(env.RATE_LIMIT_BATCH || "60");
+  return {
+    batch: {
+      limit: Number.isFinite(batch) && batch >= 0 ? batch : 60,
+      windowMs: UNIT_MS.h,
+    },
+    chat: { limit: 20, windowMs: UNIT_MS.m },
+    ...parsePolicies(env.RATE_LIMIT_POLICIES),
+  };
+}
+
+// TRUST_PROXY -> Express "trust proxy" value: false (default), true, a hop
+// count, or a list of trusted addresses/subnets ("loopback, 10.0.0.0/8")
+export function parseTrustProxy(raw) {
+  const v = String(raw ?? "").trim();
+  if (!v || v === "false") return false;
+  if (v === "true") return true;
+  if (/^\d+$/.test(v)) return parseInt(v);
+  return v;
+}
+
+export function rateLimitIdentity(req) {
+  const userId = req.userId || userIdFromRequest(req);
+  if (userId) return `user:${userId}`;
+  return `ip:${req.ip || req.socket?.remoteAddress || "unknown"}`;
+}
+
+// ---------- Stores ----------
+
+export function createMemoryStore({ maxKeys = 10000 } = {}) {
+  const windows = new Map(); // key -> { count, resetAt }
+  const prune = (now) => {
+    for (const [k, w] of windows) if (w.resetAt <= now) windows.delete(k);
+    // Still full: drop the oldest windows (insertion order)
+    for (const k of windows.keys()) {
+      if (windows.size < maxKeys) break;
+      windows.delete(k);
+    }
+  };
+  return {
+    name: "memory",
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let w = windows.get(key);
+      if (!w || w.resetAt <= now) {
+        if (!w && windows.size >= maxKeys) prune(now);
+        w = { count: 0, resetAt: now + windowMs };
+        windows.set(key, w);
+      }
+      w.count += 1;
+      return { count: w.count, resetMs: w.resetAt - now };
+    },
+  };
+}
+
+// Shared counters in Postgres; see README for bff_rate_limit_hit
+export function createSupabaseStore(
+  supabase,
+  { withTimeout, timeoutMs = 500 }
+) {
+  return {
+    name: "supabase",
+    async hit(key, windowMs) {
+      const { data, error } = await withTimeout(
+        supabase.rpc("bff_rate_limit_hit", {
+          p_key: key,
+          p_window_ms: windowMs,
+        }),
+        timeoutMs,
+        "rate limit hit"
+      );
+      if (error) throw error;
+      const row = Array.isArray(data) ? data[0] : data;
+      if (!row) throw new Error("bff_rate_limit_hit returned no row");
+      return { count: Number(row.count), resetMs: Number(row.reset_ms) };
+    },
+  };
+}
+
+// INCR with the window set on the first hit; returns [count, pttl]
+const HIT_SCRIPT =
+  "local c = redis.call('INCR', KEYS[1]) " +
+  "if c == 1 then redis.call('PEXPIRE', KEYS[1], ARGV[1]) end " +
+  "local t = redis.call('PTTL', KEYS[1]) " +
+  "if t < 0 then redis.call('PEXPIRE', KEYS[1], ARGV[1]) t = tonumber(ARGV[1]) end " +
+  "return {c, t}";
+
+export function createRedisStore(
+  url,
+  { timeoutMs = 500, prefix = "rl:" } = {}
+) {
+  const client = createRedisClient(url, { timeoutMs });
+  return {
+    name: "redis",
+    async hit(key, windowMs) {
+      const [count, pttl] = await client.command([
+        "EVAL",
+        HIT_SCRIPT,
+        1,
+        `${prefix}${key}`,
+        windowMs,
+      ]);
+      return { count: Number(count), resetMs: Number(pttl) };
+    },
+    close: () => client.close(),
+  };
+}
+
+// RATE_LIMIT_STORE=memory|supabase|redis; redis when RATE_LIMIT_REDIS_URL is set
+export function createRateLimitStore(supabase, { withTimeout } = {}) {
+  const redisUrl = process.env.RATE_LIMIT_REDIS_URL;
+  const kind = String(
+    process.env.RATE_LIMIT_STORE || (redisUrl ? "redis" : "memory")
+  ).toLowerCase();
+  if (kind === "redis" && redisUrl) return createRedisStore(redisUrl);
+  if (kind === "supabase" && supabase)
+    return createSupabaseStore(supabase, { withTimeout });
+  if (kind !== "memory")
+    logger.warn("rate limit store unavailable, using memory", { store: kind });
+  return createMemoryStore();
+}
+
+// ---------- Middleware ----------
+
+// policies: { name: { limit, windowMs } | null }, read once (default: env)
+export function createRateLimiter({
+  store = createMemoryStore(),
+  fallback = createMemoryStore(),
+  policies = policiesFromEnv(),
+  onLimited,
+} = {}) {
+  let lastWarn = 0;
+
+  async function hit(key, windowMs) {
+    if (store === fallback) return fallback.hit(key, windowMs);
+    try {
+      return await store.hit(key, windowMs);
+    } catch (e) {
+      // Keep limiting per process while the shared store is unreachable
+      if (Date.now() - lastWarn > 60000) {
+        lastWarn = Date.now();
+        logger.warn("rate limit store failed, using memory", {
+          store: store.name,
+          err: e,
+        });
+      }
+      return fallback.hit(key, windowMs);
+    }
+  }
+
+  // Express middleware for the named policy; unknown or "off" policies pass
+  return function limit(name) {
+    return async (req, res, next) => {
+      const policy = policies[name];
+      if (!policy) return next();
+      const identity = rateLimitIdentity(req);
+      let result;
+      try {
+        result = await hit(`${name}:${identity}`, policy.windowMs);
+      } catch (e) {
+        logger.warn("rate limit check failed", { policy: name, err: e });
+        return next();
+      }
+      const reset = Math.max(0, Math.ceil(result.resetMs / 1000));
+      res.setHeader("RateLimit-Limit", String(policy.limit));
+      res.setHeader(
+        "RateLimit-Remaining",
+        String(Math.max(0, policy.limit - result.count))
+      );
+      res.setHeader("RateLimit-Reset", String(reset));
+      res.setHeader(
+        "RateLimit-Policy",
+        `${policy.limit};w=${Math.ceil(policy.windowMs / 1000)}`
+      );
+      if (result.count <= policy.limit) return next();
+      res.setHeader("Retry-After", String(reset));
+      if (onLimited) onLimited(name, identity, req);
+      res
+        .status(429)
+        .json({ error: "rate_limited", policy: name, retry_after: reset });
+    };
+  };
+}
@@ -0,0 +1,52 @@
+// Readiness probe (testable)
+// A check is { critical?, run: async () => details }. run() throws (or resolves
+// { error }) when the dependency is unusable. Each check is timed on its own;
+// the service is ready only when every critical check is up.
+
+export async function runReadinessChecks(checks, { timeoutMs = 2000 } = {}) {
+  const entries = await Promise.all(
+    Object.entries(checks).map(async ([name, check]) => {
+      const critical = check.critical !== false;
+      const t0 = Date.now();
+      let to;
+      try {
+        const details = await Promise.race([
+          Promise.resolve().then(() => check.run()),
+          new Promise((_, rej) => {
+            to = setTimeout(
+              () => rej(new Error(`timed out after ${timeoutMs}ms`)),
+              timeoutMs
+            );
+          }),
+        ]);
+        if (details?.error) throw details.error;
+        return [
+          name,
+          {
+            status: "up",
+            critical,
+            latency_ms: Date.now() - t0,
+            ...(details || {}),
+          },
+        ];
+      } catch (e) {
+        return [
+          name,
+          {
+            status: "down",
+            critical,
+            latency_ms: Date.now() - t0,
+            error: String(e?.message || e),
+          },
+        ];
+      } finally {
+        clearTimeout(to);
+      }
+    })
+  );
+  const results = Object.fromEntries(entries);
+  const ready = entries.every(([, r]) => r.status === "up" || !r.critical);
+  return { ready, checks: results };
+}
+
+export default runReadinessChecks;
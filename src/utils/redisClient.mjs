@@ -0,0 +1,134 @@
+// Minimal Redis-protocol (RESP) client (testable, no dependency)
+// One connection per client, pipelined commands answered in order. Events of
+// a socket that was already replaced (late close after a timeout) are ignored.
+// redis:// and rediss:// (TLS) URLs; user/password -> AUTH, /db -> SELECT.
+
+import net from "node:net";
+import tls from "node:tls";
+
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const a of args) {
+    const s = String(a);
+    out += `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+  }
+  return out;
+}
+
+// -> [value, nextOffset] or null when the buffer holds no complete reply
+export function parseReply(buf, offset = 0) {
+  const eol = buf.indexOf("\r\n", offset);
+  if (eol === -1) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString("utf8", offset + 1, eol);
+  const next = eol + 2;
+  if (type === "+") return [line, next];
+  if (type === "-") return [new Error(line), next];
+  if (type === ":") return [parseInt(line), next];
+  if (type === "$") {
+    const len = parseInt(line);
+    if (len < 0) return [null, next];
+    if (buf.length < next + len + 2) return null;
+    return [buf.toString("utf8", next, next + len), next + len + 2];
+  }
+  if (type === "*") {
+    const n = parseInt(line);
+    if (n < 0) return [null, next];
+    const items = [];
+    let pos = next;
+    for (let i = 0; i < n; i++) {
+      const r = parseReply(buf, pos);
+      if (!r) return null;
+      items.push(r[0]);
+      pos = r[1];
+    }
+    return [items, pos];
+  }
+  throw new Error(`unexpected RESP type ${JSON.stringify(type)}`);
+}
+
+// url: redis://[user:password@]host:port[/db]
+export function createRedisClient(url, { timeoutMs = 500 } = {}) {
+  const u = new URL(url);
+  let socket = null;
+  let ready = null;
+  let buf = Buffer.alloc(0);
+  let pending = [];
+
+  const reset = (err, from = socket) => {
+    if (from !== socket) return;
+    const waiting = pending;
+    pending = [];
+    buf = Buffer.alloc(0);
+    ready = null;
+    if (socket) socket.destroy();
+    socket = null;
+    for (const p of waiting) p.reject(err);
+  };
+
+  const send = (args) =>
+    new Promise((resolve, reject) => {
+      pending.push({ resolve, reject });
+      socket.write(encodeCommand(args));
+    });
+
+  function connect() {
+    if (ready) return ready;
+    const opts = { host: u.hostname, port: parseInt(u.port || "6379") };
+    const s =
+      u.protocol === "rediss:"
+        ? tls.connect({ ...opts, servername: u.hostname })
+        : net.connect(opts);
+    socket = s;
+    s.setNoDelay(true);
+    s.on("data", (chunk) => {
+      if (s !== socket) return;
+      buf = buf.length ? Buffer.concat([buf, chunk]) : chunk;
+      let r;
+      while (pending.length && (r = parseReply(buf))) {
+        buf = buf.subarray(r[1]);
+        const p = pending.shift();
+        if (r[0] instanceof Error) p.reject(r[0]);
+        else p.resolve(r[0]);
+      }
+    });
+    s.on("error", (e) => reset(e, s));
+    s.on("close", () => reset(new Error("redis connection closed"), s));
+    ready = new Promise((resolve, reject) => {
+      s.once(u.protocol === "rediss:" ? "secureConnect" : "connect", resolve);
+      s.once("error", reject);
+    }).then(async () => {
+      const password = decodeURIComponent(u.password || "");
+      const username = decodeURIComponent(u.username || "");
+      if (password)
+        await send(
+          username ? ["AUTH", username, password] : ["AUTH", password]
+        );
+      const db = u.pathname.replace("/", "");
+      if (db) await send(["SELECT", db]);
+    });
+    return ready;
+  }
+
+  function command(args) {
+    let to;
+    return Promise.race([
+      connect().then(() => send(args)),
+      new Promise((_, rej) => {
+        to = setTimeout(() => {
+          // Replies are matched by order, so a late one would be misattributed
+          const err = new Error(`redis timed out after ${timeoutMs}ms`);
+          reset(err);
+          rej(err);
+        }, timeoutMs);
+      }),
+    ]).finally(() => clearTimeout(to));
+  }
+
+  return {
+    command,
+    close() {
+      if (socket) socket.end();
+    },
+  };
+}
@@ -0,0 +1,315 @@
+// Response cache for read endpoints (testable)
+// - entries keyed by route name, path params, negotiated language and the
+//   remaining query string; each route has its own TTL
+// - stores: memory (per process, LRU) and redis (shared between instances);
+//   store.get/set/invalidate(prefix), errors count as misses
+// - strong ETags over the JSON body; If-None-Match answers 304 (req.fresh)
+// - Cache-Control: "no-cache" (revalidate) or max-age=RESPONSE_CACHE_MAX_AGE_S,
+//   private for signed-in callers
+// - responses that are still translating (translation_status "pending",
+//   X-Pending-Cluster-Ids) get an ETag but are not stored
+// - invalidateSoon(prefix) batches invalidations that many writes trigger at
+//   once (feeds): each prefix is dropped once per RESPONSE_CACHE_INVALIDATE_MS
+
+import crypto from "node:crypto";
+import { logger } from "./logger.mjs";
+import { createRedisClient } from "./redisClient.mjs";
+import { parseWindow } from "./rateLimit.mjs";
+
+// Headers replayed on a hit; the rest are set per request
+const STORED_HEADERS = [
+  "content-type",
+  "content-language",
+  "content-direction",
+  "x-next-cursor",
+];
+
+export function strongEtag(body) {
+  const hash = crypto.createHash("sha256").update(body).digest("base64url");
+  return `"${hash.slice(0, 27)}"`;
+}
+
+// "cluster:<id>|<lang>|<query>"; lang is left out of the query part
+export function responseCacheKey(name, req) {
+  const params = Object.values(req.params || {}).join("/");
+  const query = new URL(req.originalUrl || req.url, "http://x").searchParams;
+  query.delete("lang");
+  query.sort();
+  return `${name}:${params}|${req.lang || ""}|${query}`;
+}
+
+// Prefix matching every cached response of a route (and params) in a language
+export function responseCachePrefix(name, params = "", lang = null) {
+  return lang ? `${name}:${params}|${lang}|` : `${name}:${params}|`;
+}
+
+// Prefixes of a language and its regional variants: "de-CH" -> de, de-*.
+// A regional request may be served the base language row, so new text in
+// any language of the family makes all of them stale.
+export function responseCacheLangPrefixes(name, params = "", lang) {
+  const family = String(lang || "")
+    .split("-")[0]
+    .toLowerCase();
+  return [
+    responseCachePrefix(name, params, family),
+    `${responseCachePrefix(name, params)}${family}-`,
+  ];
+}
+
+// "cluster=60s, feed=15s, categories=off" -> { cluster: 60000, categories: null }
+export function parseTtls(raw) {
+  const out = {};
+  for (const part of String(raw || "").split(",")) {
+    const [name, spec] = part.split("=").map((s) => (s || "").trim());
+    if (!name || !spec) continue;
+    if (spec === "off") out[name] = null;
+    else if (parseWindow(spec)) out[name] = parseWindow(spec);
+    else logger.warn("ignoring invalid response cache TTL", { ttl: part });
+  }
+  return out;
+}
+
+export function ttlsFromEnv(env = process.env) {
+  return {
+    cluster: 60000,
+    article: 60000,
+    feed: 15000,
+    categories: 300000,
+    ...parseTtls(env.RESPONSE_CACHE_TTLS),
+  };
+}
+
+// Still translating: serve it, but let the next request fetch the result
+function isComplete(res, body) {
+  if (res.getHeader("X-Pending-Cluster-Ids")) return false;
+  const items = Array.isArray(body) ? body : [body];
+  return !items.some((b) => b && b.translation_status === "pending");
+}
+
+// ---------- Stores ----------
+
+export function createMemoryCacheStore({ maxEntries = 1000 } = {}) {
+  const entries = new Map(); // key -> { value, expiresAt }, oldest use first
+  return {
+    name: "memory",
+    async get(key) {
+      const e = entries.get(key);
+      if (!e) return null;
+      entries.delete(key);
+      if (e.expiresAt <= Date.now()) return null;
+      entries.set(key, e);
+      return e.value;
+    },
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      for (const k of entries.keys()) {
+        if (entries.size <= maxEntries) break;
+        entries.delete(k);
+      }
+    },
+    async invalidate(prefix) {
+      let n = 0;
+      for (const k of entries.keys())
+        if (k.startsWith(prefix)) n += entries.delete(k) ? 1 : 0;
+      return n;
+    },
+  };
+}
+
+const globEscape = (s) => s.replace(/[*?[\]\\]/g, "\\$&");
+
+export function createRedisCacheStore(
+  url,
+  { timeoutMs = 500, prefix = "rc:" } = {}
+) {
+  const client = createRedisClient(url, { timeoutMs });
+  return {
+    name: "redis",
+    async get(key) {
+      const raw = await client.command(["GET", `${prefix}${key}`]);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async set(key, value, ttlMs) {
+      await client.command([
+        "SET",
+        `${prefix}${key}`,
+        JSON.stringify(value),
+        "PX",
+        ttlMs,
+      ]);
+    },
+    async invalidate(keyPrefix) {
+      const match = `${globEscape(prefix + keyPrefix)}*`;
+      let cursor = "0";
+      let n = 0;
+      do {
+        const [next, keys] = await client.command([
+          "SCAN",
+          cursor,
+          "MATCH",
+          match,
+          "COUNT",
+          200,
+        ]);
+        cursor = String(next);
+        if (keys.length) n += await client.command(["DEL", ...keys]);
+      } while (cursor !== "0");
+      return n;
+    },
+    close: () => client.close(),
+  };
+}
+
+// RESPONSE_CACHE_STORE=memory|redis; redis when RESPONSE_CACHE_REDIS_URL is set
+export function createResponseCacheStore() {
+  const redisUrl = process.env.RESPONSE_CACHE_REDIS_URL;
+  const kind = String(
+    process.env.RESPONSE_CACHE_STORE || (redisUrl ? "redis" : "memory")
+  ).toLowerCase();
+  if (kind === "redis" && redisUrl) return createRedisCacheStore(redisUrl);
+  if (kind !== "memory")
+    logger.warn("response cache store unavailable, using memory", {
+      store: kind,
+    });
+  return createMemoryCacheStore();
+}
+
+// ---------- Middleware ----------
+
+// ttls: { name: ms | null }, read once (default: env)
+export function createResponseCache({
+  store = createMemoryCacheStore(),
+  ttls = ttlsFromEnv(),
+  enabled = () => process.env.RESPONSE_CACHE !== "off",
+  maxAgeS = () => parseInt(process.env.RESPONSE_CACHE_MAX_AGE_S || "0") || 0,
+  batchMs = parseInt(process.env.RESPONSE_CACHE_INVALIDATE_MS || "1000"),
+} = {}) {
+  const stats = {
+    hits: 0,
+    misses: 0,
+    bypassed: 0,
+    stores: 0,
+    invalidations: 0,
+    errors: 0,
+  };
+  let lastWarn = 0;
+  const failed = (op, e) => {
+    stats.errors += 1;
+    if (Date.now() - lastWarn > 60000) {
+      lastWarn = Date.now();
+      logger.warn("response cache store failed", {
+        store: store.name,
+        op,
+        err: e,
+      });
+    }
+  };
+
+  // Route TTL; "categories.articles" falls back to "categories"
+  const ttlFor = (name) =>
+    name in ttls ? ttls[name] : ttls[name.split(".")[0]];
+
+  const cacheControl = (req) => {
+    const maxAge = maxAgeS();
+    const scope = req.userId ? "private" : "public";
+    return maxAge > 0 ? `${scope}, max-age=${maxAge}` : `${scope}, no-cache`;
+  };
+
+  // Express middleware for a named route; mount after langMiddleware.
+  // personalized(req) -> true skips the shared entries (ETags still apply).
+  function cache(name, { personalized = () => false } = {}) {
+    return async (req, res, next) => {
+      const ttlMs = ttlFor(name);
+      if (req.method !== "GET" || !ttlMs || !enabled()) return next();
+      res.vary("Accept-Language");
+      if (req.userId) res.vary("Authorization");
+      const shared = !personalized(req);
+      const key = responseCacheKey(name, req);
+
+      if (shared) {
+        let entry = null;
+        try {
+          entry = await store.get(key);
+        } catch (e) {
+          failed("get", e);
+        }
+        if (entry) {
+          stats.hits += 1;
+          for (const [h, v] of Object.entries(entry.headers || {}))
+            res.setHeader(h, v);
+          res.setHeader("ETag", entry.etag);
+          res.setHeader("Cache-Control", cacheControl(req));
+          res.setHeader("X-Cache", "HIT");
+          // res.send answers 304 when If-None-Match matches (req.fresh)
+          return res.status(200).send(entry.body);
+        }
+        stats.misses += 1;
+      } else stats.bypassed += 1;
+
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        res.json = json;
+        if (res.statusCode !== 200) return json(body);
+        const text = JSON.stringify(body);
+        const etag = strongEtag(text);
+        if (!res.getHeader("Content-Type"))
+          res.setHeader("Content-Type", "application/json; charset=utf-8");
+        res.setHeader("ETag", etag);
+        res.setHeader("Cache-Control", cacheControl(req));
+        res.setHeader("X-Cache", shared ? "MISS" : "BYPASS");
+        if (shared && isComplete(res, body)) {
+          const headers = {};
+          for (const h of STORED_HEADERS) {
+            const v = res.getHeader(h);
+            if (v !== undefined) headers[h] = v;
+          }
+          store.set(key, { body: text, etag, headers }, ttlMs).then(
+            () => (stats.stores += 1),
+            (e) => failed("set", e)
+          );
+        }
+        return res.send(text);
+      };
+      next();
+    };
+  }
+
+  // Drop entries by key prefix (see responseCachePrefix)
+  async function invalidate(prefix) {
+    try {
+      const n = await store.invalidate(prefix);
+      stats.invalidations += n || 0;
+      return n;
+    } catch (e) {
+      failed("invalidate", e);
+      return 0;
+    }
+  }
+
+  // Deferred invalidate: prefixes queued within batchMs are dropped together,
+  // once each. Resolves after the flush.
+  const queued = new Set();
+  let flush = null;
+  function invalidateSoon(prefix) {
+    queued.add(prefix);
+    if (!flush)
+      flush = new Promise((resolve) => {
+        const t = setTimeout(resolve, batchMs);
+        if (typeof t.unref === "function") t.unref();
+      }).then(() => {
+        const prefixes = [...queued];
+        queued.clear();
+        flush = null;
+        return Promise.all(prefixes.map(invalidate));
+      });
+    return flush;
+  }
+
+  return {
+    cache,
+    invalidate,
+    invalidateSoon,
+    stats: () => ({ store: store.name, ...stats }),
+  };
+}
@@ -1,10 +1,26 @@
-// Lightweight text translation cache + stub provider for BFF
+// Lightweight text translation cache for BFF
 // - In-memory LRU-ish cache to avoid repeat work
 // - Optional DB-backed cache via Supabase table `translations` (key, src_lang, dst_lang, text)
+// - Provider calls fail over across the registry in mtProviders.mjs (MT_PROVIDERS order)
+// - When no provider produces a translation the call throws
+//   { code: "translation_unavailable" }; nothing is cached, callers fall back
+//   to the source text
 
 import crypto from "node:crypto";
 import { createClient } from "@supabase/supabase-js";
 import { generatePlain, getModelId } from "./gemini.mjs";
+import { isBudgetError } from "./llmBudget.mjs";
+import {
+  availableProviders,
+  getProvider,
+  providerTarget,
+  translationUnavailable,
+} from "./mtProviders.mjs";
+import { createGlossary, maskTerms, unmaskTerms } from "./glossary.mjs";
+import { translateHtml } from "./htmlTranslate.mjs";
+import { metricsRegistry } from "./promMetrics.mjs";
+import { logger, fetchWithRequestId } from "./logger.mjs";
+import { withSpan, fetchWithTraceContext } from "./tracing.mjs";
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -13,6 +29,7 @@ try {
   if (SUPABASE_URL && SERVICE_KEY) {
     supabase = createClient(SUPABASE_URL, SERVICE_KEY, {
       auth: { persistSession: false },
+      global: { fetch: fetchWithRequestId(fetchWithTraceContext()) },
     });
   }
 } catch (_) {}
@@ -28,15 +45,35 @@ export const translateMetrics = {
   cacheMisses: 0,
   dbHits: 0,
   dbWrites: 0,
+  failovers: 0,
+  glossaryViolations: 0,
   latencyMs: { last: 0, avg: 0, total: 0, count: 0 },
+  // Per provider: { calls, errors, latencyMs: { last, avg, total, count } }
+  providers: {},
 };
-function _recordLatency(ms) {
-  translateMetrics.latencyMs.last = ms;
-  translateMetrics.latencyMs.total += ms;
-  translateMetrics.latencyMs.count += 1;
-  translateMetrics.latencyMs.avg = Math.round(
-    translateMetrics.latencyMs.total / translateMetrics.latencyMs.count
-  );
+function _updateLatency(l, ms) {
+  l.last = ms;
+  l.total += ms;
+  l.count += 1;
+  l.avg = Math.round(l.total / l.count);
+}
+function _providerStats(name) {
+  if (!translateMetrics.providers[name])
+    translateMetrics.providers[name] = {
+      calls: 0,
+      errors: 0,
+      latencyMs: { last: 0, avg: 0, total: 0, count: 0 },
+    };
+  return translateMetrics.providers[name];
+}
+const providerDuration = metricsRegistry.histogram(
+  "bff_provider_call_duration_seconds",
+  "Latency of successful translation provider calls"
+);
+function _recordLatency(ms, provider) {
+  _updateLatency(translateMetrics.latencyMs, ms);
+  if (provider) _updateLatency(_providerStats(provider).latencyMs, ms);
+  providerDuration.observe({ provider: provider || "unknown" }, ms / 1000);
 }
 
 // Timeouts and retry knobs
@@ -49,20 +86,26 @@ const MT_CHUNK_THRESHOLD = parseInt(process.env.MT_CHUNK_THRESHOLD || "1200");
 const MT_CHUNK_MAX = parseInt(process.env.MT_CHUNK_MAX || "1600");
 
 function withTimeout(promiseLike, ms, label = "op") {
-  let to;
-  const p =
-    typeof promiseLike.finally === "function"
-      ? promiseLike
-      : Promise.resolve(promiseLike);
-  return Promise.race([
-    p.finally(() => clearTimeout(to)),
-    new Promise((_, rej) => {
-      to = setTimeout(
-        () => rej(new Error(`${label} timed out after ${ms}ms`)),
-        ms
-      );
-    }),
-  ]);
+  return withSpan(
+    label,
+    () => {
+      let to;
+      const p =
+        typeof promiseLike.finally === "function"
+          ? promiseLike
+          : Promise.resolve(promiseLike);
+      return Promise.race([
+        p.finally(() => clearTimeout(to)),
+        new Promise((_, rej) => {
+          to = setTimeout(
+            () => rej(new Error(`${label} timed out after ${ms}ms`)),
+            ms
+          );
+        }),
+      ]);
+    },
+    { kind: "client", attributes: { "bff.timeout_ms": ms } }
+  );
 }
 
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
@@ -76,10 +119,16 @@ function lruSet(k, v) {
   }
 }
 
+// Glossary (translation_glossary table) applied before every provider call
+const glossary = createGlossary(supabase, { withTimeout });
+export { glossary as translationGlossary };
+
+// Keys include the glossary version so glossary edits never serve stale output
 function keyFor(text, src, dst) {
+  const v = glossary.version();
   const h = crypto
     .createHash("sha1")
-    .update(`${src}|${dst}|${text}`)
+    .update(v ? `${src}|${dst}|g${v}|${text}` : `${src}|${dst}|${text}`)
     .digest("hex");
   return `${src}->${dst}:${h}`;
 }
@@ -115,105 +164,108 @@ function splitIntoChunks(text, maxLen) {
 function baseLang(tag) {
   return (String(tag || "").split("-")[0] || "").toLowerCase();
 }
-const langName = (b) =>
-  ({
-    en: "English",
-    de: "German",
-    tr: "Turkish",
-    fr: "French",
-    es: "Spanish",
-    it: "Italian",
-    ar: "Arabic",
-    ru: "Russian",
-    ja: "Japanese",
-    zh: "Chinese",
-    pt: "Portuguese",
-    nl: "Dutch",
-    pl: "Polish",
-  }[b] || b);
-
-function providerTarget(dstLang) {
-  // For Gemini, prefer human-readable language names and ignore region
-  return langName(baseLang(dstLang));
-}
-
-// Gemini client via centralized helper (@google/genai)
 const GEMINI_MODEL =
   process.env.LLM_MODEL || process.env.GEMINI_MODEL || "gemini-1.5-flash";
-const HAS_GEMINI = !!(process.env.LLM_API_KEY || process.env.GEMINI_API_KEY);
-
-async function translateViaProvider(text, srcLang, dstLang) {
-  if (!HAS_GEMINI) throw new Error("Gemini API key missing");
-  const modelId = getModelId(GEMINI_MODEL);
-  const prompt = `Translate the following text from ${
-    srcLang || "auto"
-  } to ${providerTarget(
-    dstLang
-  )}. Return only the translation with no extra words or quotes.\n\n${text}`;
-  const { text: outText } = await generatePlain(prompt, {
-    model: modelId,
-    temperature: 0,
-    maxOutputTokens: 512,
-  });
-  const out = outText || "";
-  if (!out) throw new Error("Gemini no translation");
-  return out;
-}
-
-function availableProviders() {
-  // Single provider: Gemini only
-  return HAS_GEMINI ? ["gemini"] : [];
-}
 
+// Try each available provider in order (with short retries each) and fail over
+// to the next one when a provider keeps failing. Glossary terms are masked
+// before the call; output that lost a placeholder counts as a failed attempt.
+// Returns { text, cacheable }; throws translation_unavailable when there is
+// no provider or every provider failed (or ran out of LLM budget).
 async function attemptTranslateWithRetries(text, srcLang, dstLang) {
-  let lastErr = null;
   const providers = availableProviders();
-  if (!providers.length) {
-    const marker =
-      process.env.BFF_TRANSLATION_TAG === "off" ? "" : " [translated]";
-    return text + marker;
-  }
-  // Single-provider retry loop (Gemini)
-  for (let i = 0; i <= MT_RETRIES; i++) {
-    try {
-      const t0 = Date.now();
-      translateMetrics.providerCalls += 1;
-      const out = await withTimeout(
-        translateViaProvider(text, srcLang, dstLang),
-        MT_TIMEOUT_MS,
-        "translate provider (gemini)"
-      );
-      _recordLatency(Date.now() - t0);
+  if (!providers.length)
+    throw translationUnavailable("no translation provider configured");
+  const masked = maskTerms(text, glossary.termsFor(srcLang, dstLang));
+  let unchecked = null; // best effort when every attempt breaks the glossary
+  for (const [idx, name] of providers.entries()) {
+    const provider = getProvider(name);
+    const stats = _providerStats(name);
+    for (let i = 0; i <= MT_RETRIES; i++) {
       try {
-        console.info("metric: provider.call", {
+        const t0 = Date.now();
+        translateMetrics.providerCalls += 1;
+        stats.calls += 1;
+        const raw = await withTimeout(
+          provider.translate(masked.text, { srcLang, dstLang }),
+          MT_TIMEOUT_MS,
+          `translate provider (${name})`
+        );
+        _recordLatency(Date.now() - t0, name);
+        const { text: out, ok } = unmaskTerms(raw, masked.slots);
+        if (!ok) {
+          translateMetrics.glossaryViolations += 1;
+          unchecked = out;
+          throw new Error(`glossary placeholders lost (${name})`);
+        }
+        logger.metric("provider.call", {
+          provider: name,
           latency_ms: translateMetrics.latencyMs.last,
         });
-      } catch (_) {}
-      return out;
-    } catch (e) {
-      lastErr = e;
-      if (i < MT_RETRIES) await sleep(MT_BACKOFF_MS * (i + 1));
+        return { text: out, cacheable: true };
+      } catch (e) {
+        // Retrying cannot help until the budget period rolls over
+        if (isBudgetError(e)) break;
+        stats.errors += 1;
+        logger.debug("provider attempt failed", {
+          provider: name,
+          attempt: i + 1,
+          err: e,
+        });
+        if (i < MT_RETRIES) await sleep(MT_BACKOFF_MS * (i + 1));
+      }
+    }
+    if (idx < providers.length - 1) {
+      translateMetrics.failovers += 1;
+      logger.metric(
+        "provider.failover",
+        {
+          from: name,
+          to: providers[idx + 1],
+        },
+        "warn"
+      );
     }
   }
   translateMetrics.providerErrors += 1;
-  const marker =
-    process.env.BFF_TRANSLATION_TAG === "off" ? "" : " [translated]";
+  logger.warn("translation failed on every provider", {
+    providers,
+    src_lang: srcLang,
+    dst_lang: dstLang,
+  });
+  // Glossary-breaking output is served once but not cached, so it is retried
+  if (unchecked != null) return { text: unchecked, cacheable: false };
+  throw translationUnavailable("translation failed on every provider");
+}
+
+// Traced entry points; nested calls count once in the "translate" Server-Timing phase
+const translateSpan = (name, chars, opts, fn) =>
+  withSpan(name, fn, {
+    phase: "translate",
+    attributes: {
+      "bff.src_lang": opts?.srcLang,
+      "bff.dst_lang": opts?.dstLang,
+      "bff.chars": chars,
+    },
+  });
 
-  return text + marker;
+export function translateTextCached(text, opts = {}) {
+  return translateSpan("translate.text", String(text || "").length, opts, () =>
+    translateText(text, opts)
+  );
 }
 
-export async function translateTextCached(text, { srcLang = "auto", dstLang }) {
+async function translateText(text, { srcLang = "auto", dstLang }) {
   if (!text || !dstLang) return text;
   if (text.length < 2) return text;
+  await glossary.ensureFresh();
   // Normalize destination to its base to improve cache reuse across regional variants
   const cacheDst = baseLang(dstLang) || dstLang;
   const key = keyFor(text, srcLang, cacheDst);
   // memory
   if (cache.has(key)) {
     translateMetrics.cacheHits += 1;
-    try {
-      console.debug("metric: provider.cache_hit", { key });
-    } catch (_) {}
+    logger.metric("provider.cache_hit", { key }, "debug");
     return cache.get(key);
   }
   // db
@@ -231,9 +283,7 @@ export async function translateTextCached(text, { srcLang = "auto", dstLang }) {
       if (data?.text) {
         translateMetrics.dbHits += 1;
         lruSet(key, data.text);
-        try {
-          console.debug("metric: provider.db_hit", { key });
-        } catch (_) {}
+        logger.metric("provider.db_hit", { key }, "debug");
         return data.text;
       }
     } catch (_) {}
@@ -241,6 +291,7 @@ export async function translateTextCached(text, { srcLang = "auto", dstLang }) {
   translateMetrics.cacheMisses += 1;
   // Chunk if long to reduce provider timeouts
   let out;
+  let cacheOut = true;
   if (text.length >= MT_CHUNK_THRESHOLD) {
     const parts = splitIntoChunks(text, MT_CHUNK_MAX);
     const translatedParts = [];
@@ -248,17 +299,18 @@ export async function translateTextCached(text, { srcLang = "auto", dstLang }) {
       const partKey = keyFor(part, srcLang, cacheDst);
       if (cache.has(partKey)) {
         translateMetrics.cacheHits += 1;
-        try {
-          console.debug("metric: provider.cache_hit", { key: partKey });
-        } catch (_) {}
+        logger.metric("provider.cache_hit", { key: partKey }, "debug");
         translatedParts.push(cache.get(partKey));
         continue;
       }
-      let translated = await attemptTranslateWithRetries(
+      const { text: translated, cacheable } = await attemptTranslateWithRetries(
         part,
         srcLang,
         dstLang
       );
+      cacheOut = cacheOut && cacheable;
+      translatedParts.push(translated);
+      if (!cacheable) continue;
       lruSet(partKey, translated);
       // Optional: persist chunk to DB cache as well
       if (supabase) {
@@ -274,18 +326,20 @@ export async function translateTextCached(text, { srcLang = "auto", dstLang }) {
             "translations insert (chunk)"
           );
           translateMetrics.dbWrites += 1;
-          try {
-            console.debug("metric: provider.db_write", { key: partKey });
-          } catch (_) {}
+          logger.metric("provider.db_write", { key: partKey }, "debug");
         } catch (_) {}
       }
-      translatedParts.push(translated);
     }
     out = translatedParts.join("");
   } else {
     // provider with short retries and timeout
-    out = await attemptTranslateWithRetries(text, srcLang, dstLang);
+    ({ text: out, cacheable: cacheOut } = await attemptTranslateWithRetries(
+      text,
+      srcLang,
+      dstLang
+    ));
   }
+  if (!cacheOut) return out;
   lruSet(key, out);
   if (supabase) {
     try {
@@ -297,22 +351,36 @@ export async function translateTextCached(text, { srcLang = "auto", dstLang }) {
         "translations insert"
       );
       translateMetrics.dbWrites += 1;
-      try {
-        console.debug("metric: provider.db_write", { key });
-      } catch (_) {}
+      logger.metric("provider.db_write", { key }, "debug");
     } catch (_) {}
   }
   return out;
 }
 
+// HTML bodies: translate text nodes (batched, cached) and keep the markup intact
+export async function translateHtmlCached(html, { srcLang = "auto", dstLang }) {
+  if (!html || !dstLang) return html;
+  return translateHtml(html, (text) =>
+    translateTextCached(text, { srcLang, dstLang })
+  );
+}
+
 // NEW: single-call JSON translation for {title, summary, details}
-export async function translateFieldsCached(
-  fields,
-  { srcLang = "auto", dstLang }
-) {
+export function translateFieldsCached(fields, opts = {}) {
+  const chars = ["title", "summary", "details"].reduce(
+    (n, k) => n + String(fields?.[k] || "").length,
+    0
+  );
+  return translateSpan("translate.fields", chars, opts, () =>
+    translateFields(fields, opts)
+  );
+}
+
+async function translateFields(fields, { srcLang = "auto", dstLang }) {
   const { title = "", summary = "", details = "" } = fields || {};
   // Short-circuit when nothing to translate
   if (!title && !summary && !details) return { title, summary, details };
+  await glossary.ensureFresh();
   const cacheDst = baseLang(dstLang) || dstLang;
   // Quick per-field cache hits
   const kTitle = title ? keyFor(title, srcLang, cacheDst) : null;
@@ -354,8 +422,9 @@ export async function translateFieldsCached(
       details: String(dd || "").trim(),
     };
   }
-  // No provider? Fallback to per-string path
-  if (!HAS_GEMINI) {
+  // The single-call JSON path needs Gemini as the primary provider;
+  // otherwise use the per-string path (which fails over across providers)
+  if (availableProviders()[0] !== "gemini") {
     return {
       title: title
         ? await translateTextCached(title, { srcLang, dstLang })
@@ -368,50 +437,62 @@ export async function translateFieldsCached(
         : "",
     };
   }
+  // Per-string path (fails over across providers) used when the JSON call fails
+  const perString = async () => ({
+    title: title ? await translateTextCached(title, { srcLang, dstLang }) : "",
+    summary: summary
+      ? await translateTextCached(summary, { srcLang, dstLang })
+      : "",
+    details: details
+      ? await translateTextCached(details, { srcLang, dstLang })
+      : "",
+  });
   // Single provider call with strict JSON output
   const modelId = getModelId(GEMINI_MODEL);
+  const terms = glossary.termsFor(srcLang, dstLang);
+  const masked = {
+    title: maskTerms(title, terms),
+    summary: maskTerms(summary, terms),
+    details: maskTerms(details, terms),
+  };
   const prompt = [
     `Translate the JSON fields from ${srcLang || "auto"} to ${providerTarget(
       dstLang
     )}.`,
     'Return ONLY minified JSON with keys "title","summary","details".',
+    "Keep placeholders like [[T0]] exactly as they are.",
     `Example output: {"title":"..","summary":"..","details":".."}`,
     `Input:`,
-    JSON.stringify({ title, summary, details }),
+    JSON.stringify({
+      title: masked.title.text,
+      summary: masked.summary.text,
+      details: masked.details.text,
+    }),
   ].join("\n");
   let raw = "";
   try {
     const t0 = Date.now();
     translateMetrics.providerCalls += 1;
+    _providerStats("gemini").calls += 1;
     const res = await withTimeout(
       generatePlain(prompt, {
         model: modelId,
         temperature: 0,
         maxOutputTokens: 1024,
+        feature: "fields",
       }),
       MT_TIMEOUT_MS,
       "translate fields (gemini)"
     );
-    _recordLatency(Date.now() - t0);
+    _recordLatency(Date.now() - t0, "gemini");
     raw = String(res?.text || "").trim();
-    try {
-      console.info("metric: provider.call", {
-        latency_ms: translateMetrics.latencyMs.last,
-      });
-    } catch (_) {}
+    logger.metric("provider.call", {
+      latency_ms: translateMetrics.latencyMs.last,
+    });
   } catch (_) {
+    _providerStats("gemini").errors += 1;
     // Fallback to per-string path on provider failure
-    return {
-      title: title
-        ? await translateTextCached(title, { srcLang, dstLang })
-        : "",
-      summary: summary
-        ? await translateTextCached(summary, { srcLang, dstLang })
-        : "",
-      details: details
-        ? await translateTextCached(details, { srcLang, dstLang })
-        : "",
-    };
+    return perString();
   }
   const jsonStr = raw.replace(/`json|`/g, "").trim();
   let obj = {};
@@ -419,22 +500,22 @@ export async function translateFieldsCached(
     obj = JSON.parse(jsonStr);
   } catch (_) {
     // Provider returned non-JSON — fallback per-string
-    return {
-      title: title
-        ? await translateTextCached(title, { srcLang, dstLang })
-        : "",
-      summary: summary
-        ? await translateTextCached(summary, { srcLang, dstLang })
-        : "",
-      details: details
-        ? await translateTextCached(details, { srcLang, dstLang })
-        : "",
-    };
+    return perString();
+  }
+  const restored = ["title", "summary", "details"].map((f) =>
+    fields?.[f]
+      ? unmaskTerms(String(obj[f] ?? "").trim(), masked[f].slots)
+      : { text: "", ok: true }
+  );
+  if (restored.some((r) => !r.ok)) {
+    // A glossary term was dropped or mangled — translate field by field instead
+    translateMetrics.glossaryViolations += 1;
+    return perString();
   }
   const out = {
-    title: String(obj.title ?? "").trim() || title,
-    summary: String(obj.summary ?? "").trim() || summary,
-    details: String(obj.details ?? "").trim() || details,
+    title: restored[0].text || title,
+    summary: restored[1].text || summary,
+    details: restored[2].text || details,
   };
   // Persist to caches and optional DB cache per field
   const items = [
@@ -457,9 +538,7 @@ export async function translateFieldsCached(
           800,
           "translations insert (fields)"
         );
-        try {
-          console.debug("metric: provider.db_write", { key: k });
-        } catch (_) {}
+        logger.metric("provider.db_write", { key: k }, "debug");
       } catch (_) {}
     }
   }
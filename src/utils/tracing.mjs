@@ -0,0 +1,313 @@
+// Lightweight OpenTelemetry-compatible tracing (testable, no SDK dependency)
+// - spans follow the OTel data model (trace/span ids, kind, attributes, status)
+//   and nest through AsyncLocalStorage
+// - W3C traceparent: continued from incoming requests, sent on outgoing calls
+// - export: OTLP/HTTP JSON (OTEL_EXPORTER_OTLP_ENDPOINT) or a JSON-lines file
+//   of OTLP payloads (TRACE_EXPORTER=file, TRACE_FILE); TRACE_EXPORTER=none disables
+// - spans started with a `phase` add their duration to the request's Server-Timing
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { logger, routeTemplate } from "./logger.mjs";
+
+const KIND = { internal: 1, server: 2, client: 3 };
+const STATUS = { unset: 0, ok: 1, error: 2 };
+const TRACEPARENT_RE = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+const spanContext = new AsyncLocalStorage();
+
+// Wall-clock anchored, monotonic nanosecond timestamps
+const EPOCH_NS = BigInt(Date.now()) * 1000000n;
+const HR_START = process.hrtime.bigint();
+const nowNs = () => EPOCH_NS + (process.hrtime.bigint() - HR_START);
+
+const randomHex = (bytes) => crypto.randomBytes(bytes).toString("hex");
+
+export function parseTraceparent(header) {
+  const m = TRACEPARENT_RE.exec(String(header || "").trim());
+  if (!m || /^0+$/.test(m[1]) || /^0+$/.test(m[2])) return null;
+  return {
+    traceId: m[1],
+    spanId: m[2],
+    sampled: (parseInt(m[3], 16) & 1) === 1,
+  };
+}
+
+function sampleRatio() {
+  const v = parseFloat(process.env.TRACE_SAMPLE_RATIO ?? "1");
+  return Number.isFinite(v) ? Math.min(Math.max(v, 0), 1) : 1;
+}
+
+export function activeSpan() {
+  return spanContext.getStore() || null;
+}
+
+// opts: { kind?, attributes?, phase?, remote? (parsed traceparent) }
+// The active span is the parent unless a remote context is given.
+export function startSpan(name, opts = {}) {
+  const remote = opts.remote || null;
+  const parent = remote ? null : activeSpan();
+  const span = {
+    name,
+    kind: KIND[opts.kind] || KIND.internal,
+    traceId: parent?.traceId || remote?.traceId || randomHex(16),
+    spanId: randomHex(8),
+    parentSpanId: parent?.spanId || remote?.spanId || null,
+    parent,
+    sampled: parent
+      ? parent.sampled
+      : remote
+      ? remote.sampled
+      : Math.random() < sampleRatio(),
+    startNs: nowNs(),
+    endNs: null,
+    attributes: { ...(opts.attributes || {}) },
+    events: [],
+    status: { code: STATUS.unset },
+    phase: opts.phase || null,
+    timings: null, // Server-Timing entries, only on request roots
+    timingsSent: false,
+  };
+  span.root = parent ? parent.root : span;
+  span.setAttribute = (k, v) => {
+    if (v !== undefined && v !== null) span.attributes[k] = v;
+    return span;
+  };
+  span.recordException = (e) => {
+    span.events.push({
+      name: "exception",
+      timeNs: nowNs(),
+      attributes: {
+        "exception.type": e?.name || "Error",
+        "exception.message": String(e?.message || e),
+      },
+    });
+    span.status = { code: STATUS.error, message: String(e?.message || e) };
+    return span;
+  };
+  span.end = () => {
+    if (span.endNs) return;
+    span.endNs = nowNs();
+    recordPhase(span);
+    if (span.sampled) enqueue(span);
+  };
+  return span;
+}
+
+// Phases count once per request even when nested (e.g. translate inside translate)
+function recordPhase(span) {
+  const timings = span.root.timings;
+  if (!span.phase || !timings || span.root.timingsSent) return;
+  for (let p = span.parent; p; p = p.parent) if (p.phase === span.phase) return;
+  const ms = Number(span.endNs - span.startNs) / 1e6;
+  timings.set(span.phase, (timings.get(span.phase) || 0) + ms);
+}
+
+// Run fn(span) inside a new active span; errors mark the span and are rethrown
+export function withSpan(name, fn, opts = {}) {
+  const span = startSpan(name, opts);
+  return spanContext.run(span, async () => {
+    try {
+      return await fn(span);
+    } catch (e) {
+      span.recordException(e);
+      throw e;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+export function traceHeaders() {
+  const span = activeSpan();
+  if (!span) return {};
+  return {
+    traceparent: `00-${span.traceId}-${span.spanId}-${
+      span.sampled ? "01" : "00"
+    }`,
+  };
+}
+
+// fetch wrapper that adds traceparent (compose with fetchWithRequestId)
+export function fetchWithTraceContext(fetchImpl = (...args) => fetch(...args)) {
+  return (input, init = {}) => {
+    const { traceparent } = traceHeaders();
+    if (!traceparent) return fetchImpl(input, init);
+    const headers = new Headers(init.headers || {});
+    if (!headers.has("traceparent")) headers.set("traceparent", traceparent);
+    return fetchImpl(input, { ...init, headers });
+  };
+}
+
+export function formatServerTiming(timings, totalMs) {
+  const parts = [...(timings || new Map()).entries()].map(
+    ([name, ms]) => `${name};dur=${ms.toFixed(1)}`
+  );
+  if (totalMs != null) parts.push(`total;dur=${totalMs.toFixed(1)}`);
+  return parts.join(", ");
+}
+
+// Root server span per request; Server-Timing is written with the headers
+export function traceMiddleware(req, res, next) {
+  const span = startSpan(req.method, {
+    kind: "server",
+    remote: parseTraceparent(req.headers.traceparent),
+    attributes: {
+      "http.request.method": req.method,
+      "url.path": req.path,
+      "bff.request_id": req.id,
+    },
+  });
+  span.timings = new Map();
+  const writeHead = res.writeHead;
+  res.writeHead = function (...args) {
+    if (!res.headersSent && !span.root.timingsSent) {
+      const total = Number(nowNs() - span.startNs) / 1e6;
+      const value = formatServerTiming(span.timings, total);
+      span.root.timingsSent = true;
+      if (value) res.setHeader("Server-Timing", value);
+    }
+    return writeHead.apply(this, args);
+  };
+  res.on("finish", () => {
+    const route = routeTemplate(req);
+    if (route) {
+      span.name = `${req.method} ${route}`;
+      span.setAttribute("http.route", route);
+    }
+    span.setAttribute("http.response.status_code", res.statusCode);
+    if (res.statusCode >= 500) span.status = { code: STATUS.error };
+    span.end();
+  });
+  spanContext.run(span, next);
+}
+
+// ---------- Export ----------
+
+function otlpValue(v) {
+  if (typeof v === "boolean") return { boolValue: v };
+  if (Number.isInteger(v)) return { intValue: String(v) };
+  if (typeof v === "number") return { doubleValue: v };
+  if (Array.isArray(v))
+    return { arrayValue: { values: v.map((x) => otlpValue(x)) } };
+  return { stringValue: String(v) };
+}
+const otlpAttributes = (attrs) =>
+  Object.entries(attrs || {})
+    .filter(([, v]) => v !== undefined && v !== null)
+    .map(([key, v]) => ({ key, value: otlpValue(v) }));
+
+// OTLP/JSON ExportTraceServiceRequest for a batch of ended spans
+export function toOtlp(spans, serviceName = process.env.OTEL_SERVICE_NAME) {
+  return {
+    resourceSpans: [
+      {
+        resource: {
+          attributes: otlpAttributes({
+            "service.name": serviceName || "insight-bff",
+          }),
+        },
+        scopeSpans: [
+          {
+            scope: { name: "insight-bff" },
+            spans: spans.map((s) => ({
+              traceId: s.traceId,
+              spanId: s.spanId,
+              ...(s.parentSpanId ? { parentSpanId: s.parentSpanId } : {}),
+              name: s.name,
+              kind: s.kind,
+              startTimeUnixNano: String(s.startNs),
+              endTimeUnixNano: String(s.endNs),
+              attributes: otlpAttributes(s.attributes),
+              events: s.events.map((e) => ({
+                name: e.name,
+                timeUnixNano: String(e.timeNs),
+                attributes: otlpAttributes(e.attributes),
+              })),
+              status: s.status,
+            })),
+          },
+        ],
+      },
+    ],
+  };
+}
+
+function parseHeaders(raw) {
+  const out = {};
+  for (const pair of String(raw || "").split(",")) {
+    const i = pair.indexOf("=");
+    if (i > 0) out[pair.slice(0, i).trim()] = pair.slice(i + 1).trim();
+  }
+  return out;
+}
+
+function defaultExporter() {
+  const endpoint = process.env.OTEL_EXPORTER_OTLP_ENDPOINT;
+  const mode = String(
+    process.env.TRACE_EXPORTER || (endpoint ? "otlp" : "none")
+  ).toLowerCase();
+  if (mode === "file") {
+    const file = process.env.TRACE_FILE || "traces.jsonl";
+    return (payload) =>
+      fs.promises.appendFile(file, `${JSON.stringify(payload)}\n`);
+  }
+  if (mode === "otlp" && endpoint) {
+    const url =
+      process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT ||
+      `${endpoint.replace(/\/+$/, "")}/v1/traces`;
+    return async (payload) => {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...parseHeaders(process.env.OTEL_EXPORTER_OTLP_HEADERS),
+        },
+        body: JSON.stringify(payload),
+      });
+      if (!res.ok) throw new Error(`OTLP export failed with ${res.status}`);
+    };
+  }
+  return null;
+}
+
+let exporter; // undefined until first use; null when export is disabled
+let queue = [];
+let timer = null;
+const MAX_QUEUE = 2048;
+const BATCH_SIZE = 512;
+
+// Replace the exporter (tests, custom backends); fn(otlpPayload) => Promise
+export function setSpanExporter(fn) {
+  exporter = fn || null;
+  queue = [];
+}
+
+function enqueue(span) {
+  if (exporter === undefined) exporter = defaultExporter();
+  if (!exporter) return;
+  queue.push(span);
+  if (queue.length > MAX_QUEUE) queue.splice(0, queue.length - MAX_QUEUE);
+  if (queue.length >= BATCH_SIZE) flushSpans();
+  else if (!timer) {
+    timer = setTimeout(
+      flushSpans,
+      parseInt(process.env.TRACE_FLUSH_MS || "5000")
+    );
+    if (typeof timer.unref === "function") timer.unref();
+  }
+}
+
+export async function flushSpans() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+  if (!exporter || !queue.length) return;
+  const batch = queue;
+  queue = [];
+  try {
+    await exporter(toOtlp(batch));
+  } catch (e) {
+    logger.warn("span export failed", { err: e, spans: batch.length });
+  }
+}
@@ -0,0 +1,327 @@
+import { describe, it, expect, vi } from "vitest";
+import request from "supertest";
+import { step } from "./testStep.mjs";
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || "http://localhost:54321";
+process.env.SUPABASE_SERVICE_ROLE_KEY =
+  process.env.SUPABASE_SERVICE_ROLE_KEY || "test_key";
+process.env.BFF_TRANSLATION_TAG = "off";
+process.env.NODE_ENV = "test";
+
+const tables = {
+  articles: [
+    { id: "art_b", lang: "en" },
+    { id: "art_h", lang: "en", title: "Rates rise", snippet: "Banks react." },
+    { id: "art_bg", lang: "en", title: "Late news", snippet: "More soon." },
+    { id: "art_c", lang: "en", title: "Card", snippet: "Teaser." },
+    { id: "art_s", lang: "en", title: "Storm", snippet: "Rain." },
+    { id: "art_n", lang: "en", title: "iPhone 16", snippet: "Apple." },
+    { id: "art_f", lang: "en", title: "Flood", snippet: "Water." },
+  ],
+  articles_translations: [
+    {
+      article_id: "art_b",
+      dst_lang: "en",
+      text_html: '<p>Hello <a href="/x">world</a></p>',
+    },
+    {
+      article_id: "art_c",
+      dst_lang: "en",
+      headline: "Card",
+      summary_ai: "Teaser.",
+      text_html: "<p>Full story</p>",
+    },
+    {
+      article_id: "art_f",
+      dst_lang: "en",
+      headline: "Flood",
+      summary_ai: "Water.",
+      text_html: "<p>Rising</p>",
+    },
+    // Left behind by a fallback translation
+    {
+      article_id: "art_s",
+      dst_lang: "pt",
+      headline: "Storm [translated]",
+      summary_ai: "Rain. [translated]",
+      text_html: null,
+    },
+  ],
+};
+
+vi.mock("@supabase/supabase-js", () => {
+  class Builder {
+    constructor(table) {
+      this.table = table;
+      this._filters = {};
+      this._op = "select";
+    }
+    select() {
+      return this;
+    }
+    eq(k, v) {
+      this._filters[k] = v;
+      return this;
+    }
+    limit() {
+      return this;
+    }
+    insert(v) {
+      const rows = Array.isArray(v) ? v : [v];
+      (tables[this.table] = tables[this.table] || []).push(...rows);
+      this._op = "insert";
+      return this;
+    }
+    update(v) {
+      this._op = "update";
+      this._patch = v;
+      return this;
+    }
+    _resolve() {
+      // No bff_jobs table here: the job queue falls back to memory
+      if (this.table === "bff_jobs")
+        return { data: null, error: { message: "relation does not exist" } };
+      if (this._op === "insert") return { data: null, error: null };
+      const rows = (tables[this.table] || []).filter((r) =>
+        Object.entries(this._filters).every(([k, v]) => r[k] === v)
+      );
+      if (this._op === "update") {
+        for (const r of rows) Object.assign(r, this._patch);
+        return { data: null, error: null };
+      }
+      return { data: rows, error: null };
+    }
+    maybeSingle() {
+      const { data } = this._resolve();
+      return Promise.resolve({ data: data[0] || null, error: null });
+    }
+    then(onFulfilled, onRejected) {
+      return Promise.resolve(this._resolve()).then(onFulfilled, onRejected);
+    }
+  }
+  return { createClient: () => ({ from: (t) => new Builder(t) }) };
+});
+
+const translateHtmlCached = vi.fn(async (html, { dstLang }) =>
+  html.replace(/>([^<]+)</g, (_m, t) => `>${dstLang}:${t}<`)
+);
+const translateFieldsCached = vi.fn(async (f, { dstLang }) => ({
+  title: f.title && `${dstLang}:${f.title}`,
+  summary: f.summary && `${dstLang}:${f.summary}`,
+  details: f.details,
+}));
+vi.mock("../src/utils/textTranslate.mjs", () => ({
+  translateTextCached: vi.fn(async (text) => text),
+  translateFieldsCached: (...args) => translateFieldsCached(...args),
+  translateHtmlCached: (...args) => translateHtmlCached(...args),
+  translateMetrics: {},
+}));
+
+import { app } from "../server.mjs";
+
+describe("on-demand article translation", () => {
+  it("translates the source body once and persists it", async () => {
+    const res = await step("When the body is requested in German", () =>
+      request(app).get("/article/art_b/body?lang=de-CH")
+    );
+    await step("Then the translated HTML keeps its markup", () => {
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        language: "de",
+        is_translated: true,
+        translated_from: "en",
+        body: '<p>de:Hello <a href="/x">de:world</a></p>',
+      });
+      expect(
+        tables.articles_translations.find((r) => r.dst_lang === "de")
+      ).toBeTruthy();
+    });
+
+    await request(app).get("/article/art_b/body?lang=de");
+    expect(translateHtmlCached).toHaveBeenCalledTimes(1);
+
+    const en = await request(app).get("/article/art_b/body?lang=en");
+    expect(en.body.is_translated).toBe(false);
+  });
+
+  it("creates the missing translation row for /article/:id", async () => {
+    const res = await step("When an untranslated article is opened", () =>
+      request(app).get("/article/art_h?lang=fr")
+    );
+    await step("Then headline and summary are translated and stored", () => {
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        language: "fr",
+        headline: "fr:Rates rise",
+        summary: "fr:Banks react.",
+        is_translated: true,
+      });
+      expect(
+        tables.articles_translations.filter((r) => r.article_id === "art_h")
+      ).toHaveLength(1);
+    });
+    await step(
+      "And query metrics carry no language in their labels",
+      async () => {
+        const prom = await request(app).get("/metrics?format=prometheus");
+        expect(prom.text).toMatch(
+          /bff_query_duration_seconds_count\{label="translation",/
+        );
+        expect(prom.text).not.toMatch(/label="translation fr"/);
+      }
+    );
+  });
+
+  it("translates in the background when configured", async () => {
+    process.env.ARTICLE_TRANSLATE_MODE = "background";
+    try {
+      const res = await request(app).get("/article/art_bg?lang=it");
+      expect(res.status).toBe(202);
+      expect(res.body.translation_status).toBe("pending");
+      await vi.waitFor(() =>
+        expect(
+          tables.articles_translations.find((r) => r.article_id === "art_bg")
+        ).toMatchObject({ dst_lang: "it", headline: "it:Late news" })
+      );
+      const again = await request(app).get("/article/art_bg?lang=it");
+      expect(again.body.headline).toBe("it:Late news");
+    } finally {
+      delete process.env.ARTICLE_TRANSLATE_MODE;
+    }
+  });
+});
+
+describe("POST /translate/batch with articleIds", () => {
+  it("stores headline and summary per article and reports failures", async () => {
+    translateHtmlCached.mockClear();
+    const res = await step("When article cards are warmed in Spanish", () =>
+      request(app)
+        .post("/translate/batch?lang=es")
+        .send({ articleIds: ["art_c", "art_missing", "art_c"] })
+    );
+    await step("Then each article reports its own status", () => {
+      expect(res.status).toBe(200);
+      expect(res.body.results).toEqual([
+        {
+          id: "art_c",
+          status: "ready",
+          title: "es:Card",
+          summary: "es:Teaser.",
+          language: "es",
+          dir: "ltr",
+        },
+      ]);
+      expect(res.body.failed).toEqual(["art_missing"]);
+      expect(res.body.errors).toEqual([
+        { id: "art_missing", status: "not_found", error: "not found" },
+      ]);
+    });
+    await step("And only the card fields were translated", () => {
+      expect(
+        tables.articles_translations.find(
+          (r) => r.article_id === "art_c" && r.dst_lang === "es"
+        )
+      ).toMatchObject({ headline: "es:Card", text_html: null });
+      expect(translateHtmlCached).not.toHaveBeenCalled();
+    });
+
+    const article = await step("When the article is opened", () =>
+      request(app).get("/article/art_c?lang=es")
+    );
+    await step("Then its body is translated on demand", () => {
+      expect(article.body).toMatchObject({
+        headline: "es:Card",
+        body: "<p>es:Full story</p>",
+      });
+    });
+  });
+});
+
+describe("article translation when providers fail", () => {
+  it("neither stores nor reports untranslated output", async () => {
+    const stored = () =>
+      tables.articles_translations.filter((r) => r.article_id === "art_s");
+    // Providers down
+    translateFieldsCached.mockImplementationOnce(async () => {
+      throw Object.assign(new Error("translation failed on every provider"), {
+        code: "translation_unavailable",
+      });
+    });
+    const res = await step("When a stub-tagged card is warmed again", () =>
+      request(app)
+        .post("/translate/batch?lang=pt")
+        .send({ articleIds: ["art_s"] })
+    );
+    await step("Then the item fails and nothing is written", () => {
+      expect(res.body.results).toEqual([]);
+      expect(res.body.errors).toMatchObject([
+        { id: "art_s", status: "failed" },
+      ]);
+      expect(stored()).toHaveLength(1);
+      expect(stored()[0].headline).toBe("Storm [translated]");
+    });
+    const article = await step("When providers are back", () =>
+      request(app).get("/article/art_s?lang=pt")
+    );
+    await step("Then the stub row is replaced by a translation", () => {
+      expect(article.body).toMatchObject({
+        headline: "pt:Storm",
+        summary: "pt:Rain.",
+        is_translated: true,
+      });
+      expect(stored()).toHaveLength(1);
+      expect(stored()[0].headline).toBe("pt:Storm");
+    });
+  });
+
+  it("does not cache the source-language fallback", async () => {
+    translateFieldsCached.mockImplementationOnce(async () => {
+      throw Object.assign(new Error("translation failed on every provider"), {
+        code: "translation_unavailable",
+      });
+    });
+    const down = await step(
+      "When an article is read while providers are down",
+      () => request(app).get("/article/art_f?lang=it")
+    );
+    await step("Then the English text is served as pending", () => {
+      expect(down.body).toMatchObject({
+        language: "en",
+        headline: "Flood",
+        translation_status: "pending",
+      });
+    });
+    const back = await step("When it is read again", () =>
+      request(app).get("/article/art_f?lang=it")
+    );
+    await step(
+      "Then it is translated instead of replayed from the cache",
+      () => {
+        expect(back.headers["x-cache"]).toBe("MISS");
+        expect(back.body).toMatchObject({
+          language: "it",
+          headline: "it:Flood",
+        });
+        expect(back.body).not.toHaveProperty("translation_status");
+      }
+    );
+  });
+
+  it("keeps a translation that equals the source text", async () => {
+    // Product names read the same in Portuguese
+    translateFieldsCached.mockImplementationOnce(async (f) => ({ ...f }));
+    const res = await step("When a card translates to its own text", () =>
+      request(app)
+        .post("/translate/batch?lang=pt")
+        .send({ articleIds: ["art_n"] })
+    );
+    await step("Then it is stored and reported ready", () => {
+      expect(res.body.results).toMatchObject([
+        { id: "art_n", status: "ready", title: "iPhone 16" },
+      ]);
+      expect(
+        tables.articles_translations.filter((r) => r.article_id === "art_n")
+      ).toMatchObject([{ dst_lang: "pt", headline: "iPhone 16" }]);
+    });
+  });
+});
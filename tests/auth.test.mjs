@@ -0,0 +1,289 @@
+import { describe, it, expect, vi } from "vitest";
+import request from "supertest";
+import { step } from "./testStep.mjs";
+import {
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  verifyAccessToken,
+} from "../src/utils/auth.mjs";
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || "http://localhost:54321";
+process.env.SUPABASE_SERVICE_ROLE_KEY =
+  process.env.SUPABASE_SERVICE_ROLE_KEY || "test_key";
+process.env.NODE_ENV = "test";
+process.env.AUTH_JWT_SECRET = "test-secret";
+
+const tables = { app_users: [], auth_refresh_tokens: [] };
+
+vi.mock("@supabase/supabase-js", () => {
+  class Builder {
+    constructor(table) {
+      this.table = table;
+      this._filters = {};
+      this._is = {};
+      this._op = "select";
+    }
+    select() {
+      if (this._op === "update") this._returning = true;
+      return this;
+    }
+    eq(k, v) {
+      this._filters[k] = v;
+      return this;
+    }
+    is(k, v) {
+      this._is[k] = v;
+      return this;
+    }
+    insert(v) {
+      const rows = Array.isArray(v) ? v : [v];
+      (tables[this.table] = tables[this.table] || []).push(
+        ...rows.map((r) => ({ ...r }))
+      );
+      this._op = "insert";
+      return this;
+    }
+    update(v) {
+      this._op = "update";
+      this._patch = v;
+      return this;
+    }
+    _rows() {
+      return (tables[this.table] || []).filter(
+        (r) =>
+          Object.entries(this._filters).every(([k, v]) => r[k] === v) &&
+          Object.entries(this._is).every(([k, v]) => (r[k] ?? null) === v)
+      );
+    }
+    _resolve() {
+      if (this._op === "insert") return { data: null, error: null };
+      if (this._op === "update") {
+        const rows = this._rows();
+        rows.forEach((r) => Object.assign(r, this._patch));
+        return {
+          data: this._returning ? rows.map((r) => ({ id: r.id })) : null,
+          error: null,
+        };
+      }
+      return { data: this._rows(), error: null };
+    }
+    maybeSingle() {
+      const { data } = this._resolve();
+      return Promise.resolve({ data: data[0] || null, error: null });
+    }
+    then(onFulfilled, onRejected) {
+      return Promise.resolve(this._resolve()).then(onFulfilled, onRejected);
+    }
+  }
+  return { createClient: () => ({ from: (t) => new Builder(t) }) };
+});
+
+vi.mock("../src/utils/textTranslate.mjs", () => ({
+  translateTextCached: vi.fn(async (text) => text),
+  translateFieldsCached: vi.fn(async (fields) => fields),
+}));
+
+import { app } from "../server.mjs";
+
+describe("auth primitives", () => {
+  it("hashes passwords with scrypt and verifies them", async () => {
+    const stored = await hashPassword("correct horse");
+    expect(stored.startsWith("scrypt$")).toBe(true);
+    expect(stored).not.toContain("correct horse");
+    expect(await verifyPassword("correct horse", stored)).toBe(true);
+    expect(await verifyPassword("wrong", stored)).toBe(false);
+  });
+
+  it("rejects tampered and expired access tokens", () => {
+    const { token } = signAccessToken({ sub: "u1" });
+    expect(verifyAccessToken(token)?.sub).toBe("u1");
+    const [h, p, s] = token.split(".");
+    const forged = Buffer.from(
+      JSON.stringify({ ...JSON.parse(Buffer.from(p, "base64url")), sub: "u2" })
+    ).toString("base64url");
+    expect(verifyAccessToken(`${h}.${forged}.${s}`)).toBe(null);
+    const { token: old } = signAccessToken({ sub: "u1" }, { ttl: -1 });
+    expect(verifyAccessToken(old)).toBe(null);
+  });
+});
+
+describe("/auth endpoints", () => {
+  it("registers, logs in, refreshes with rotation and logs out", async () => {
+    const reg = await step("When I register", async () =>
+      request(app)
+        .post("/auth/register")
+        .send({ email: "A@Example.com", password: "s3cret-pass" })
+    );
+    await step("Then the password is stored hashed only", async () => {
+      expect(reg.status).toBe(200);
+      expect(reg.body.user.email).toBe("a@example.com");
+      expect(reg.body.user).not.toHaveProperty("password_hash");
+      expect(tables.app_users[0].password_hash).toMatch(/^scrypt\$/);
+      expect(JSON.stringify(tables.app_users)).not.toContain("s3cret-pass");
+    });
+
+    const login = await step("When I log in", async () =>
+      request(app)
+        .post("/auth/login")
+        .send({ email: "a@example.com", password: "s3cret-pass" })
+    );
+    const profile = await step("And read my profile", async () =>
+      request(app)
+        .get("/auth/profile")
+        .set("Authorization", `Bearer ${login.body.token}`)
+    );
+    await step("Then the signed token is accepted", async () => {
+      expect(login.status).toBe(200);
+      expect(login.body.expires_in).toBeGreaterThan(0);
+      expect(profile.status).toBe(200);
+      expect(profile.body.id).toBe(reg.body.user.id);
+    });
+
+    const bad = await request(app)
+      .post("/auth/login")
+      .send({ email: "a@example.com", password: "nope" });
+    expect(bad.status).toBe(401);
+
+    const refreshed = await step("When I refresh", async () =>
+      request(app)
+        .post("/auth/refresh")
+        .send({ refresh_token: login.body.refresh_token })
+    );
+    const reused = await step("And replay the old refresh token", async () =>
+      request(app)
+        .post("/auth/refresh")
+        .send({ refresh_token: login.body.refresh_token })
+    );
+    await step(
+      "Then rotation issues new tokens and rejects reuse",
+      async () => {
+        expect(refreshed.status).toBe(200);
+        expect(refreshed.body.refresh_token).not.toBe(login.body.refresh_token);
+        expect(reused.status).toBe(401);
+      }
+    );
+    await step("And reuse revoked the rotated token too", async () => {
+      const again = await request(app)
+        .post("/auth/refresh")
+        .send({ refresh_token: refreshed.body.refresh_token });
+      expect(again.status).toBe(401);
+    });
+
+    const fresh = await request(app)
+      .post("/auth/login")
+      .send({ email: "a@example.com", password: "s3cret-pass" });
+    const out = await step("When I log out", async () =>
+      request(app)
+        .post("/auth/logout")
+        .send({ refresh_token: fresh.body.refresh_token })
+    );
+    await step("Then that refresh token no longer works", async () => {
+      expect(out.status).toBe(200);
+      const r = await request(app)
+        .post("/auth/refresh")
+        .send({ refresh_token: fresh.body.refresh_token });
+      expect(r.status).toBe(401);
+    });
+
+    const racer = await request(app)
+      .post("/auth/login")
+      .send({ email: "a@example.com", password: "s3cret-pass" });
+    const raced = await step(
+      "When one refresh token is sent twice at once",
+      () =>
+        Promise.all(
+          [1, 2].map(() =>
+            request(app)
+              .post("/auth/refresh")
+              .send({ refresh_token: racer.body.refresh_token })
+          )
+        )
+    );
+    await step("Then only one new token pair is issued", () => {
+      expect(raced.map((r) => r.status).sort()).toEqual([200, 401]);
+    });
+  });
+
+  it("validates preferences and uses them for language negotiation", async () => {
+    const reg = await request(app)
+      .post("/auth/register")
+      .send({ email: "prefs@example.com", password: "s3cret-pass" });
+    const auth = `Bearer ${reg.body.token}`;
+    const fresh = await step(
+      "When a new user without languages loads /feed in French",
+      async () =>
+        request(app)
+          .get("/feed")
+          .set("Authorization", auth)
+          .set("Accept-Language", "fr-FR")
+    );
+    await step("Then Accept-Language decides", async () => {
+      expect(reg.body.user.preferences.languages).toEqual([]);
+      expect(fresh.headers["content-language"]).toBe("fr-FR");
+    });
+    const bad = await step("When I save an invalid reading level", async () =>
+      request(app)
+        .put("/auth/preferences")
+        .set("Authorization", auth)
+        .send({ preferences: { readingLevel: "expert" } })
+    );
+    await step("Then it is rejected with details", async () => {
+      expect(bad.status).toBe(400);
+      expect(bad.body.error).toBe("invalid_preferences");
+    });
+    const ok = await step("When I prefer Swiss German", async () =>
+      request(app)
+        .put("/auth/preferences")
+        .set("Authorization", auth)
+        .send({ preferences: { languages: ["de-CH"], topics: ["Tech"] } })
+    );
+    await step("Then preferences are merged and persisted", async () => {
+      expect(ok.status).toBe(200);
+      expect(ok.body.preferences.languages).toEqual(["de-CH"]);
+      expect(ok.body.preferences.readingLevel).toBe("intermediate");
+      const row = tables.app_users.find((u) => u.id === reg.body.user.id);
+      expect(row.preferences.topics).toEqual(["tech"]);
+    });
+    const feed = await step(
+      "When I load /feed with an English browser",
+      async () =>
+        request(app)
+          .get("/feed")
+          .set("Authorization", auth)
+          .set("Accept-Language", "en-US")
+    );
+    await step(
+      "Then my profile language wins over Accept-Language",
+      async () => {
+        expect(feed.headers["content-language"]).toBe("de-CH");
+      }
+    );
+    const explicit = await request(app)
+      .get("/feed?lang=fr")
+      .set("Authorization", auth);
+    expect(explicit.headers["content-language"]).toBe("fr");
+    const cleared = await step("When I clear my languages", async () =>
+      request(app)
+        .put("/auth/preferences")
+        .set("Authorization", auth)
+        .send({ preferences: { languages: [] } })
+    );
+    await step("Then Accept-Language decides again", async () => {
+      expect(cleared.status).toBe(200);
+      expect(cleared.body.preferences.languages).toEqual([]);
+      const res = await request(app)
+        .get("/feed")
+        .set("Authorization", auth)
+        .set("Accept-Language", "en-US");
+      expect(res.headers["content-language"]).toBe("en-US");
+    });
+  });
+
+  it("rejects missing or invalid bearer tokens", async () => {
+    const res = await request(app)
+      .get("/auth/profile")
+      .set("Authorization", "Bearer tok_legacy");
+    expect(res.status).toBe(401);
+  });
+});
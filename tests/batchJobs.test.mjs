@@ -0,0 +1,263 @@
+import { describe, it, expect, vi } from "vitest";
+import request from "supertest";
+import { step } from "./testStep.mjs";
+import { createBatchJobStore, countItems } from "../src/utils/batchJobs.mjs";
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || "http://localhost:54321";
+process.env.SUPABASE_SERVICE_ROLE_KEY =
+  process.env.SUPABASE_SERVICE_ROLE_KEY || "test_key";
+process.env.BFF_TRANSLATION_TAG = "off";
+process.env.NODE_ENV = "test";
+process.env.BFF_AUTO_LISTEN = "false";
+
+vi.hoisted(() => {
+  process.env.JOB_BACKOFF_MS = "10";
+});
+
+const slowCalls = vi.hoisted(() => ({ n: 0 }));
+
+const tables = vi.hoisted(() => ({
+  articles: [
+    { id: "art_1", lang: "en", title: "One", snippet: "First." },
+    { id: "art_2", lang: "en", title: "Two", snippet: "Second." },
+    { id: "art_3", lang: "en", title: "Slow", snippet: "Third." },
+  ],
+  articles_translations: [],
+  bff_translate_batches: [],
+}));
+
+// No bff_jobs: the queue runs in memory
+vi.mock("@supabase/supabase-js", () => {
+  class Builder {
+    constructor(table) {
+      this.table = table;
+      this._filters = {};
+      this._op = "select";
+    }
+    select() {
+      return this;
+    }
+    eq(k, v) {
+      this._filters[k] = v;
+      return this;
+    }
+    insert(v) {
+      this._op = "insert";
+      this._row = v;
+      return this;
+    }
+    update(v) {
+      this._op = "update";
+      this._row = v;
+      return this;
+    }
+    delete() {
+      this._op = "delete";
+      return this;
+    }
+    lt(k, v) {
+      this._lt = [k, v];
+      return this;
+    }
+    _resolve() {
+      if (!tables[this.table])
+        return { data: null, error: { message: "relation does not exist" } };
+      if (this._op === "insert") {
+        tables[this.table].push(this._row);
+        return { data: null, error: null };
+      }
+      if (this._op === "delete") {
+        const [k, v] = this._lt;
+        tables[this.table] = tables[this.table].filter((r) => !(r[k] < v));
+        return { data: null, error: null };
+      }
+      const rows = tables[this.table].filter((r) =>
+        Object.entries(this._filters).every(([k, v]) => r[k] === v)
+      );
+      if (this._op === "update")
+        for (const r of rows) Object.assign(r, this._row);
+      return { data: rows, error: null };
+    }
+    maybeSingle() {
+      return Promise.resolve({ data: this._resolve().data?.[0] || null });
+    }
+    then(onFulfilled, onRejected) {
+      return Promise.resolve(this._resolve()).then(onFulfilled, onRejected);
+    }
+  }
+  return { createClient: () => ({ from: (t) => new Builder(t) }) };
+});
+
+vi.mock("../src/utils/textTranslate.mjs", () => ({
+  translateTextCached: vi.fn(async (text) => text),
+  translateFieldsCached: vi.fn(async (f, { dstLang }) => {
+    if (f.title === "Two") throw new Error("provider down");
+    // Slower than the item timeout on the first try only
+    if (f.title === "Slow" && (slowCalls.n += 1) === 1)
+      await new Promise((r) => setTimeout(r, 200));
+    return { title: `${dstLang}:${f.title}`, summary: f.summary, details: "" };
+  }),
+  translateHtmlCached: vi.fn(async (html) => html),
+}));
+
+import { app } from "../server.mjs";
+
+describe("batch job store", () => {
+  it("counts item states and forgets batches after their retention", async () => {
+    const store = createBatchJobStore(null, { retentionMs: 20 });
+    const batch = await store.create({
+      kind: "clusters",
+      lang: "de",
+      ids: ["a", "b"],
+    });
+    const saved = await store.save(batch, {
+      items: [
+        { id: "a", status: "ready" },
+        { id: "b", status: "queued" },
+      ],
+    });
+    expect(countItems(saved.items)).toEqual({ ready: 1, queued: 1 });
+    expect((await store.get(batch.id)).items[0].status).toBe("ready");
+    await new Promise((r) => setTimeout(r, 30));
+    expect(await store.get(batch.id)).toBeNull();
+  });
+
+  it("deletes expired batch rows as new batches are created", async () => {
+    const deletes = [];
+    const supabase = {
+      from: (table) => ({
+        insert: async () => ({ error: null }),
+        delete: () => ({
+          lt: async (column, iso) => {
+            deletes.push({ table, column, iso });
+            return { error: null };
+          },
+        }),
+      }),
+    };
+    const store = createBatchJobStore(supabase, {
+      withTimeout: (p) => p,
+      pruneMs: 60000,
+    });
+    const create = () =>
+      store.create({ kind: "clusters", lang: "de", ids: ["a"] });
+    await step("When two batches are created in a row", async () => {
+      await create();
+      await create();
+    });
+    await step("Then expired rows are deleted once per prune window", () => {
+      expect(deletes).toMatchObject([
+        { table: "bff_translate_batches", column: "expires_at" },
+      ]);
+      expect(Date.parse(deletes[0].iso)).toBeLessThanOrEqual(Date.now());
+    });
+  });
+});
+
+describe("POST /translate/jobs", () => {
+  it("queues a batch and reports per-item progress", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const created = await step(
+      "When a batch of article cards is submitted",
+      () =>
+        request(app)
+          .post("/translate/jobs?lang=fr")
+          .send({ articleIds: ["art_1", "art_2", "art_missing", "art_1"] })
+    );
+    await step("Then it is accepted with a job id right away", () => {
+      expect(created.status).toBe(202);
+      expect(created.headers.location).toBe(
+        `/translate/jobs/${created.body.id}`
+      );
+      expect(created.body).toMatchObject({
+        kind: "articles",
+        language: "fr",
+        total: 3,
+      });
+    });
+
+    const done = await step("When the job is polled until it finishes", () =>
+      vi.waitFor(async () => {
+        const res = await request(app).get(created.headers.location);
+        expect(res.body.status).toBe("done");
+        return res;
+      })
+    );
+    await step("Then every item has its own outcome", () => {
+      expect(done.body.counts).toEqual({ ready: 1, failed: 1, not_found: 1 });
+      const byId = Object.fromEntries(done.body.items.map((it) => [it.id, it]));
+      expect(byId.art_1).toMatchObject({ status: "ready", title: "fr:One" });
+      expect(byId.art_2).toMatchObject({
+        status: "failed",
+        error: "provider down",
+      });
+      expect(byId.art_missing.status).toBe("not_found");
+      expect(
+        tables.articles_translations.find((r) => r.article_id === "art_1")
+      ).toMatchObject({ dst_lang: "fr", headline: "fr:One" });
+    });
+    vi.restoreAllMocks();
+  });
+
+  it("retries timed-out items with the job's next attempt", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    process.env.BATCH_JOB_ITEM_MS = "50";
+    try {
+      const created = await step("When an item outlasts the item timeout", () =>
+        request(app)
+          .post("/translate/jobs?lang=de")
+          .send({ articleIds: ["art_3"] })
+      );
+      const done = await step("And the job is polled until it finishes", () =>
+        vi.waitFor(async () => {
+          const res = await request(app).get(created.headers.location);
+          expect(res.body.status).toBe("done");
+          return res;
+        })
+      );
+      await step("Then the retry translated it", () => {
+        expect(done.body.items).toEqual([
+          expect.objectContaining({ id: "art_3", status: "ready" }),
+        ]);
+      });
+    } finally {
+      delete process.env.BATCH_JOB_ITEM_MS;
+      vi.restoreAllMocks();
+    }
+  });
+
+  it("rejects empty or oversized batches and unknown job ids", async () => {
+    await request(app).post("/translate/jobs").send({ ids: [] }).expect(400);
+    process.env.BATCH_JOB_MAX_IDS = "2";
+    try {
+      const res = await request(app)
+        .post("/translate/jobs")
+        .send({ ids: ["a", "b", "c"] })
+        .expect(400);
+      expect(res.body).toEqual({ error: "too_many_ids", max: 2 });
+    } finally {
+      delete process.env.BATCH_JOB_MAX_IDS;
+    }
+    await request(app).get("/translate/jobs/nope").expect(404);
+  });
+
+  it("answers 503 when the batch cannot be stored", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const saved = tables.bff_translate_batches;
+    delete tables.bff_translate_batches;
+    try {
+      const res = await step("When the batch table is unreachable", () =>
+        request(app)
+          .post("/translate/jobs?lang=fr")
+          .send({ articleIds: ["art_1"] })
+      );
+      await step("Then nothing is queued for another instance", () => {
+        expect(res.status).toBe(503);
+        expect(res.body).toEqual({ error: "batch_unavailable" });
+      });
+    } finally {
+      tables.bff_translate_batches = saved;
+      vi.restoreAllMocks();
+    }
+  });
+});
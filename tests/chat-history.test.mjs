@@ -0,0 +1,216 @@
+import { describe, it, expect, vi } from "vitest";
+import request from "supertest";
+import { createClient } from "@supabase/supabase-js";
+import { step } from "./testStep.mjs";
+import { createChatStore } from "../src/utils/chatStore.mjs";
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || "http://localhost:54321";
+process.env.SUPABASE_SERVICE_ROLE_KEY =
+  process.env.SUPABASE_SERVICE_ROLE_KEY || "test_key";
+process.env.BFF_TRANSLATION_TAG = "off";
+process.env.NODE_ENV = "test";
+process.env.LLM_API_KEY = "";
+process.env.GEMINI_API_KEY = "";
+
+// In-memory tables backing the Supabase mock
+const tables = {
+  clusters: [{ id: "clu_c", rep_article: "art_c" }],
+  chat_sessions: [],
+  chat_messages: [],
+};
+
+vi.mock("@supabase/supabase-js", () => {
+  class Builder {
+    constructor(table) {
+      this.table = table;
+      this._filters = {};
+      this._range = null;
+      this._limit = null;
+      this._op = "select";
+    }
+    select() {
+      return this;
+    }
+    eq(k, v) {
+      this._filters[k] = v;
+      return this;
+    }
+    in() {
+      return this;
+    }
+    is(k, v) {
+      this._is = { ...(this._is || {}), [k]: v };
+      return this;
+    }
+    order(k, { ascending = true } = {}) {
+      this._order = { k, ascending };
+      return this;
+    }
+    range(from, to) {
+      this._range = [from, to];
+      return this;
+    }
+    limit(n) {
+      this._limit = n;
+      return this;
+    }
+    insert(v) {
+      const rows = Array.isArray(v) ? v : [v];
+      (tables[this.table] = tables[this.table] || []).push(...rows);
+      this._op = "insert";
+      return this;
+    }
+    update(v) {
+      this._op = "update";
+      this._patch = v;
+      return this;
+    }
+    _rows() {
+      return (tables[this.table] || []).filter(
+        (r) =>
+          Object.entries(this._filters).every(([k, v]) => r[k] === v) &&
+          Object.entries(this._is || {}).every(([k, v]) => (r[k] ?? null) === v)
+      );
+    }
+    _resolve() {
+      if (this._op === "insert") return { data: null, error: null };
+      if (this._op === "update") {
+        this._rows().forEach((r) => Object.assign(r, this._patch));
+        return { data: null, error: null };
+      }
+      let rows = this._rows();
+      if (this._order) {
+        const { k, ascending } = this._order;
+        rows = [...rows].sort((a, b) => String(a[k]).localeCompare(b[k]));
+        if (!ascending) rows.reverse();
+      }
+      if (this._range) rows = rows.slice(this._range[0], this._range[1] + 1);
+      if (this._limit) rows = rows.slice(0, this._limit);
+      return { data: rows, error: null };
+    }
+    maybeSingle() {
+      const { data } = this._resolve();
+      return Promise.resolve({ data: data[0] || null, error: null });
+    }
+    then(onFulfilled, onRejected) {
+      return Promise.resolve(this._resolve()).then(onFulfilled, onRejected);
+    }
+  }
+  return { createClient: () => ({ from: (t) => new Builder(t) }) };
+});
+
+vi.mock("../src/utils/textTranslate.mjs", () => ({
+  translateTextCached: vi.fn(async (text) => text),
+  translateFieldsCached: vi.fn(async (fields) => fields),
+}));
+
+import { app } from "../server.mjs";
+
+describe("persistent /cluster/:id/chat sessions", () => {
+  it("persists messages per session and lists a user's own sessions", async () => {
+    const reg = await step("Given a registered user", async () =>
+      request(app)
+        .post("/auth/register")
+        .send({ email: "chat@example.com", password: "password123" })
+    );
+    const auth = `Bearer ${reg.body.token}`;
+
+    const first = await step("When the user opens a chat", async () =>
+      request(app)
+        .post("/cluster/clu_c/chat?lang=en")
+        .set("Authorization", auth)
+        .send({ message: "What happened?" })
+    );
+    await step("Then a session id and both turns are returned", async () => {
+      expect(first.status).toBe(200);
+      expect(typeof first.body.session_id).toBe("string");
+      expect(first.body.messages.map((m) => m.type)).toEqual(["user", "ai"]);
+    });
+
+    const second = await step(
+      "When the user follows up in that session",
+      async () =>
+        request(app)
+          .post("/cluster/clu_c/chat?lang=en")
+          .set("Authorization", auth)
+          .send({ message: "Why?", sessionId: first.body.session_id })
+    );
+    await step("Then the stored history is continued", async () => {
+      expect(second.status).toBe(200);
+      expect(second.body.messages).toHaveLength(4);
+      expect(tables.chat_messages).toHaveLength(4);
+    });
+
+    const list = await step("When the user lists their sessions", async () =>
+      request(app).get("/cluster/clu_c/chat").set("Authorization", auth)
+    );
+    await step("Then exactly their session is returned", async () => {
+      expect(list.status).toBe(200);
+      expect(list.body.sessions.map((s) => s.id)).toEqual([
+        first.body.session_id,
+      ]);
+      expect(list.body.pagination).toMatchObject({ has_more: false });
+    });
+
+    const other = await step(
+      "When another user reads that session",
+      async () => {
+        const r = await request(app)
+          .post("/auth/register")
+          .send({ email: "other@example.com", password: "password123" });
+        return request(app)
+          .get(`/cluster/clu_c/chat/${first.body.session_id}`)
+          .set("Authorization", `Bearer ${r.body.token}`);
+      }
+    );
+    await step("Then it is not found", async () => {
+      expect(other.status).toBe(404);
+    });
+  });
+
+  it("loads the latest turns of a long session, oldest first", async () => {
+    const store = createChatStore(createClient(), { withTimeout: (p) => p });
+    for (let i = 1; i <= 5; i++)
+      tables.chat_messages.push({
+        id: `m${i}`,
+        session_id: "s_long",
+        type: i % 2 ? "user" : "ai",
+        content: `turn ${i}`,
+        created_at: `2026-01-01T00:00:0${i}Z`,
+      });
+    const messages = await store.getMessages("s_long", { limit: 3 });
+    expect(messages.map((m) => m.content)).toEqual([
+      "turn 3",
+      "turn 4",
+      "turn 5",
+    ]);
+  });
+
+  it("seeds a new session from client chatHistory", async () => {
+    const res = await step(
+      "When an anonymous client sends prior history",
+      async () =>
+        request(app)
+          .post("/cluster/clu_c/chat?lang=en")
+          .send({
+            message: "And then?",
+            chatHistory: [
+              { type: "user", content: "Hi" },
+              { type: "ai", content: "Hello" },
+              { type: "system", content: "ignored" },
+            ],
+          })
+    );
+    await step(
+      "Then valid history is imported before the new turn",
+      async () => {
+        expect(res.status).toBe(200);
+        expect(res.body.messages.map((m) => m.content).slice(0, 3)).toEqual([
+          "Hi",
+          "Hello",
+          "And then?",
+        ]);
+      }
+    );
+  });
+});
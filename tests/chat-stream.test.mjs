@@ -0,0 +1,161 @@
+import { describe, it, expect, vi } from "vitest";
+import request from "supertest";
+import { step } from "./testStep.mjs";
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || "http://localhost:54321";
+process.env.SUPABASE_SERVICE_ROLE_KEY =
+  process.env.SUPABASE_SERVICE_ROLE_KEY || "test_key";
+process.env.BFF_TRANSLATION_TAG = "off";
+process.env.NODE_ENV = "test";
+process.env.GEMINI_API_KEY = "test-key";
+
+const tables = {
+  clusters: [{ id: "clu_s", rep_article: "art_s" }],
+  cluster_ai: [
+    {
+      id: "ai_en_s",
+      cluster_id: "clu_s",
+      lang: "en",
+      ai_title: "Title",
+      ai_summary: "Summary",
+      ai_details: "Details",
+      is_current: true,
+      created_at: new Date().toISOString(),
+    },
+  ],
+  chat_sessions: [],
+  chat_messages: [],
+};
+
+vi.mock("@supabase/supabase-js", () => {
+  class Builder {
+    constructor(table) {
+      this.table = table;
+      this._filters = {};
+      this._op = "select";
+    }
+    select() {
+      return this;
+    }
+    eq(k, v) {
+      this._filters[k] = v;
+      return this;
+    }
+    in() {
+      return this;
+    }
+    order() {
+      return this;
+    }
+    range() {
+      return this;
+    }
+    limit() {
+      return this;
+    }
+    insert(v) {
+      const rows = Array.isArray(v) ? v : [v];
+      (tables[this.table] = tables[this.table] || []).push(...rows);
+      this._op = "insert";
+      return this;
+    }
+    update() {
+      this._op = "update";
+      return this;
+    }
+    _resolve() {
+      if (this._op !== "select") return { data: null, error: null };
+      const rows = (tables[this.table] || []).filter((r) =>
+        Object.entries(this._filters).every(([k, v]) => r[k] === v)
+      );
+      return { data: rows, error: null };
+    }
+    maybeSingle() {
+      const { data } = this._resolve();
+      return Promise.resolve({ data: data[0] || null, error: null });
+    }
+    then(onFulfilled, onRejected) {
+      return Promise.resolve(this._resolve()).then(onFulfilled, onRejected);
+    }
+  }
+  return { createClient: () => ({ from: (t) => new Builder(t) }) };
+});
+
+vi.mock("../src/utils/textTranslate.mjs", () => ({
+  translateTextCached: vi.fn(async (text) => text),
+  translateFieldsCached: vi.fn(async (fields) => fields),
+}));
+
+// Mocked Gemini stream; the aggregator mention is split across chunks
+vi.mock("../src/utils/gemini.mjs", () => ({
+  generateWithSearch: vi.fn(),
+  generatePlain: vi.fn(async () => ({ text: "" })),
+  extractGroundingLinks: (g) =>
+    (g?.groundingChunks || []).map((c) => c.web.uri),
+  generateWithSearchStream: async function* () {
+    yield { type: "text", text: "It was " };
+    yield { type: "text", text: "approved [Newsda" };
+    yield { type: "text", text: "ta.io]." };
+    yield {
+      type: "done",
+      text: "It was approved [Newsdata.io].",
+      grounding: { groundingChunks: [{ web: { uri: "https://g.example" } }] },
+      mode: "search",
+    };
+  },
+}));
+
+import { app } from "../server.mjs";
+
+function parseSse(text) {
+  return text
+    .split("\n\n")
+    .filter(Boolean)
+    .map((block) => {
+      const event = block.match(/^event: (.+)$/m)?.[1];
+      const data = block.match(/^data: (.+)$/m)?.[1];
+      return { event, data: data ? JSON.parse(data) : null };
+    });
+}
+
+describe("POST /cluster/:id/chat/stream", () => {
+  it("streams tokens, then citations, then done", async () => {
+    const res = await step("When I stream a chat answer", async () =>
+      request(app)
+        .post("/cluster/clu_s/chat/stream?lang=en")
+        .send({ message: "What happened?" })
+    );
+    const events = parseSse(res.text);
+    await step("Then the events arrive in order", async () => {
+      expect(res.status).toBe(200);
+      expect(res.headers["content-type"]).toMatch(/text\/event-stream/);
+      const names = events.map((e) => e.event);
+      expect(names[0]).toBe("session");
+      expect(names.slice(-2)).toEqual(["citations", "done"]);
+    });
+    await step("And tokens are sanitized across chunk borders", async () => {
+      const text = events
+        .filter((e) => e.event === "token")
+        .map((e) => e.data.text)
+        .join("");
+      expect(text).toBe("It was approved .");
+    });
+    await step("And grounding links lead the citations", async () => {
+      const cites = events.find((e) => e.event === "citations").data.citations;
+      expect(cites[0].url).toBe("https://g.example");
+    });
+    await step("And the turn is persisted", async () => {
+      const done = events.find((e) => e.event === "done").data;
+      expect(done.message.type).toBe("ai");
+      const stored = tables.chat_messages.filter(
+        (m) => m.session_id === done.session_id
+      );
+      expect(stored.map((m) => m.type)).toEqual(["user", "ai"]);
+    });
+  });
+
+  it("rejects a missing message before opening the stream", async () => {
+    const res = await request(app).post("/cluster/clu_s/chat/stream").send({});
+    expect(res.status).toBe(400);
+  });
+});
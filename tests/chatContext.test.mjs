@@ -0,0 +1,64 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  estimateTokens,
+  buildConversationContext,
+  formatConversation,
+} from "../src/utils/chatContext.mjs";
+
+const turn = (type, content) => ({ type, content });
+
+describe("chat conversation context", () => {
+  it("keeps all turns verbatim when they fit the budget", async () => {
+    const prior = [turn("user", "Who won?"), turn("ai", "Team A won.")];
+    const ctx = await buildConversationContext(prior, { budgetTokens: 100 });
+    expect(ctx.summary).toBe("");
+    expect(ctx.recent).toHaveLength(2);
+    expect(formatConversation(ctx)).toContain("User: Who won?");
+    expect(formatConversation(ctx)).toContain("Assistant: Team A won.");
+  });
+
+  it("summarizes older turns and keeps recent ones within budget", async () => {
+    const long = "x".repeat(200);
+    const prior = [
+      turn("user", `First question. ${long}`),
+      turn("ai", `First answer. ${long}`),
+      turn("user", "Why did that happen?"),
+      turn("ai", "Because of the vote."),
+    ];
+    const summarize = vi.fn(async () => "User asked about the vote.");
+    const ctx = await buildConversationContext(prior, {
+      budgetTokens: 60,
+      sessionId: "s1",
+      summarize,
+    });
+    expect(summarize).toHaveBeenCalledTimes(1);
+    expect(summarize.mock.calls[0][0]).toHaveLength(2);
+    expect(ctx.summary).toBe("User asked about the vote.");
+    expect(ctx.recent.map((m) => m.content)).toEqual([
+      "Why did that happen?",
+      "Because of the vote.",
+    ]);
+    // Cached per session and number of summarized turns
+    await buildConversationContext(prior, {
+      budgetTokens: 60,
+      sessionId: "s1",
+      summarize,
+    });
+    expect(summarize).toHaveBeenCalledTimes(1);
+  });
+
+  it("falls back to an extractive summary when the summarizer fails", async () => {
+    const prior = [
+      turn("user", "Tell me about the election. " + "y".repeat(300)),
+      turn("ai", "Short reply."),
+    ];
+    const ctx = await buildConversationContext(prior, {
+      budgetTokens: 40,
+      summarize: async () => {
+        throw new Error("down");
+      },
+    });
+    expect(ctx.summary).toContain("User: Tell me about the election.");
+    expect(estimateTokens(ctx.summary)).toBeLessThanOrEqual(10);
+  });
+});
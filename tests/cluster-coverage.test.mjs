@@ -0,0 +1,200 @@
+import { describe, it, expect, vi } from "vitest";
+import request from "supertest";
+import { step } from "./testStep.mjs";
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || "http://localhost:54321";
+process.env.SUPABASE_SERVICE_ROLE_KEY =
+  process.env.SUPABASE_SERVICE_ROLE_KEY || "test_key";
+process.env.BFF_TRANSLATION_TAG = "off";
+process.env.NODE_ENV = "test";
+process.env.GEMINI_API_KEY = "test-key";
+
+const tables = {
+  clusters: [{ id: "clu_v" }, { id: "clu_one" }],
+  cluster_ai: ["clu_v", "clu_one"].map((cluster_id) => ({
+    id: `ai_${cluster_id}`,
+    cluster_id,
+    lang: "en",
+    ai_title: "Trade deal talks",
+    ai_summary: "Negotiators met in Geneva.",
+    is_current: true,
+  })),
+  articles: [
+    {
+      id: "a1",
+      cluster_id: "clu_v",
+      source_id: "s1",
+      title: "Trade deal reached",
+      snippet: "Officials hailed a breakthrough.",
+      url: "https://daily.example/a1",
+      published_at: "2024-05-02T10:00:00Z",
+    },
+    {
+      id: "a2",
+      cluster_id: "clu_v",
+      source_id: "s2",
+      title: "Trade talks stall",
+      snippet: "No agreement on tariffs.",
+      url: "https://herald.example/a2",
+      published_at: "2024-05-02T09:00:00Z",
+    },
+    {
+      id: "a3",
+      cluster_id: "clu_one",
+      source_id: "s1",
+      title: "Only one outlet",
+      published_at: "2024-05-02T09:00:00Z",
+    },
+  ],
+  sources: [
+    { id: "s1", name: "Daily" },
+    { id: "s2", name: "Herald" },
+  ],
+};
+
+vi.mock("@supabase/supabase-js", () => {
+  class Builder {
+    constructor(table) {
+      this.table = table;
+      this._filters = {};
+      this._limit = null;
+      this._op = "select";
+    }
+    select() {
+      return this;
+    }
+    eq(k, v) {
+      this._filters[k] = v;
+      return this;
+    }
+    in(k, vals) {
+      this._in = { ...(this._in || {}), [k]: vals };
+      return this;
+    }
+    order() {
+      return this;
+    }
+    limit(n) {
+      this._limit = n;
+      return this;
+    }
+    insert(v) {
+      const rows = Array.isArray(v) ? v : [v];
+      (tables[this.table] = tables[this.table] || []).push(...rows);
+      this._op = "insert";
+      return this;
+    }
+    update() {
+      this._op = "update";
+      return this;
+    }
+    _resolve() {
+      if (this._op !== "select") return { data: null, error: null };
+      let rows = (tables[this.table] || []).filter(
+        (r) =>
+          Object.entries(this._filters).every(([k, v]) => r[k] === v) &&
+          Object.entries(this._in || {}).every(([k, v]) => v.includes(r[k]))
+      );
+      if (this._limit) rows = rows.slice(0, this._limit);
+      return { data: rows, error: null };
+    }
+    maybeSingle() {
+      const { data } = this._resolve();
+      return Promise.resolve({ data: data[0] || null, error: null });
+    }
+    then(onFulfilled, onRejected) {
+      return Promise.resolve(this._resolve()).then(onFulfilled, onRejected);
+    }
+  }
+  return { createClient: () => ({ from: (t) => new Builder(t) }) };
+});
+
+vi.mock("../src/utils/textTranslate.mjs", () => ({
+  translateTextCached: vi.fn(
+    async (text, { dstLang }) => `[${dstLang}] ${text}`
+  ),
+  translateFieldsCached: vi.fn(async (fields) => fields),
+}));
+
+vi.mock("../src/utils/gemini.mjs", () => ({
+  generateWithSearch: vi.fn(),
+  generateWithSearchStream: vi.fn(),
+  extractGroundingLinks: () => [],
+  generatePlain: vi.fn(),
+}));
+
+import { app } from "../server.mjs";
+import { generatePlain } from "../src/utils/gemini.mjs";
+
+const COMPARISON = {
+  summary: "Outlets disagree on whether a deal was reached.",
+  shared_facts: ["Negotiators met in Geneva"],
+  disputed_claims: [
+    {
+      claim: "A deal was reached",
+      positions: [
+        { source: "S1", position: "Yes, a breakthrough" },
+        { source: "S2", position: "No agreement yet" },
+      ],
+    },
+  ],
+  omissions: [{ source: "S1", missing: ["tariff dispute"] }],
+  tone: [
+    { source: "S1", tone: "optimistic", framing: "success" },
+    { source: "S2", tone: "cautious", framing: "deadlock" },
+  ],
+};
+
+describe("GET /cluster/:id/coverage", () => {
+  it("compares outlets once and translates the cached comparison", async () => {
+    generatePlain.mockResolvedValue({ text: JSON.stringify(COMPARISON) });
+
+    const en = await step(
+      "When the coverage comparison is requested",
+      async () => request(app).get("/cluster/clu_v/coverage?lang=en")
+    );
+    await step("Then each outlet's framing is returned by source id", () => {
+      expect(en.status).toBe(200);
+      expect(en.body.sources.map((s) => s.name)).toEqual(["Daily", "Herald"]);
+      expect(en.body.comparison.disputed_claims[0].positions).toEqual([
+        { source_id: "s1", position: "Yes, a breakthrough" },
+        { source_id: "s2", position: "No agreement yet" },
+      ]);
+      expect(en.body.comparison.tone[1]).toMatchObject({
+        source_id: "s2",
+        tone: "cautious",
+      });
+      expect(generatePlain.mock.calls[0][0]).toContain(
+        "S2 (Herald): Trade talks stall"
+      );
+    });
+
+    const de = await step("When it is requested in German", async () =>
+      request(app).get("/cluster/clu_v/coverage?lang=de")
+    );
+    await step(
+      "Then the cached comparison is translated, not regenerated",
+      () => {
+        expect(de.status).toBe(200);
+        expect(de.body.language).toBe("de");
+        expect(de.body.translated_from).toBe("en");
+        expect(de.body.comparison.shared_facts).toEqual([
+          "[de] Negotiators met in Geneva",
+        ]);
+        expect(generatePlain).toHaveBeenCalledTimes(1);
+      }
+    );
+
+    await request(app).get("/cluster/clu_v/coverage?lang=en");
+    expect(generatePlain).toHaveBeenCalledTimes(1);
+  });
+
+  it("returns no comparison for single-source clusters", async () => {
+    const res = await request(app).get("/cluster/clu_one/coverage");
+    expect(res.status).toBe(200);
+    expect(res.body.comparison).toBeNull();
+    expect(res.body.reason).toBe("not_enough_sources");
+    const missing = await request(app).get("/cluster/nope/coverage");
+    expect(missing.status).toBe(404);
+  });
+});
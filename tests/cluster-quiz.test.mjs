@@ -0,0 +1,200 @@
+import { describe, it, expect, vi } from "vitest";
+import request from "supertest";
+import { step } from "./testStep.mjs";
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || "http://localhost:54321";
+process.env.SUPABASE_SERVICE_ROLE_KEY =
+  process.env.SUPABASE_SERVICE_ROLE_KEY || "test_key";
+process.env.BFF_TRANSLATION_TAG = "off";
+process.env.NODE_ENV = "test";
+process.env.GEMINI_API_KEY = "test-key";
+process.env.QUIZ_QUESTIONS = "2";
+
+const aiRow = (cluster_id) => ({
+  id: `ai_${cluster_id}`,
+  cluster_id,
+  lang: "en",
+  ai_title: "Council approves budget",
+  ai_summary: "The city council approved a 2 billion budget on Monday.",
+  ai_details: "",
+  is_current: true,
+  created_at: new Date().toISOString(),
+});
+
+const tables = {
+  clusters: [
+    { id: "clu_q", rep_article: "art_q" },
+    { id: "clu_empty", rep_article: "art_e" },
+  ],
+  cluster_ai: [aiRow("clu_q"), aiRow("clu_empty")],
+  cluster_updates: [
+    { cluster_id: "clu_q", summary: "Vote passed 31 to 9.", lang: "en" },
+  ],
+  cluster_quizzes: [],
+};
+
+vi.mock("@supabase/supabase-js", () => {
+  class Builder {
+    constructor(table) {
+      this.table = table;
+      this._filters = {};
+      this._limit = null;
+      this._op = "select";
+    }
+    select() {
+      return this;
+    }
+    eq(k, v) {
+      this._filters[k] = v;
+      return this;
+    }
+    in() {
+      return this;
+    }
+    order() {
+      return this;
+    }
+    limit(n) {
+      this._limit = n;
+      return this;
+    }
+    insert(v) {
+      const rows = Array.isArray(v) ? v : [v];
+      (tables[this.table] = tables[this.table] || []).push(...rows);
+      this._op = "insert";
+      return this;
+    }
+    update() {
+      this._op = "update";
+      return this;
+    }
+    _resolve() {
+      if (this._op !== "select") return { data: null, error: null };
+      let rows = (tables[this.table] || []).filter((r) =>
+        Object.entries(this._filters).every(([k, v]) => r[k] === v)
+      );
+      if (this._limit) rows = rows.slice(0, this._limit);
+      return { data: rows, error: null };
+    }
+    maybeSingle() {
+      const { data } = this._resolve();
+      return Promise.resolve({ data: data[0] || null, error: null });
+    }
+    then(onFulfilled, onRejected) {
+      return Promise.resolve(this._resolve()).then(onFulfilled, onRejected);
+    }
+  }
+  return { createClient: () => ({ from: (t) => new Builder(t) }) };
+});
+
+vi.mock("../src/utils/textTranslate.mjs", () => ({
+  translateTextCached: vi.fn(
+    async (text, { dstLang }) => `[${dstLang}] ${text}`
+  ),
+  translateFieldsCached: vi.fn(async (fields) => fields),
+}));
+
+vi.mock("../src/utils/gemini.mjs", () => ({
+  generateWithSearch: vi.fn(),
+  generateWithSearchStream: vi.fn(),
+  extractGroundingLinks: () => [],
+  generatePlain: vi.fn(),
+}));
+
+import { app } from "../server.mjs";
+import { generatePlain } from "../src/utils/gemini.mjs";
+
+const QUIZ_JSON = JSON.stringify({
+  questions: [
+    {
+      question: "What did the council approve?",
+      options: ["A budget", "A park", "A tax cut", "A new mayor"],
+      answer: 0,
+      explanation: "The council approved the budget.",
+    },
+    {
+      question: "How many members voted in favour?",
+      options: ["9", "21", "31", "40"],
+      answer: 2,
+      explanation: "The vote passed 31 to 9.",
+    },
+  ],
+});
+
+describe("cluster quizzes", () => {
+  it("generates once, localizes and scores answers", async () => {
+    generatePlain
+      .mockResolvedValueOnce({ text: "Sure! Here is your quiz." })
+      .mockResolvedValueOnce({ text: "```json\n" + QUIZ_JSON + "\n```" });
+
+    const first = await step("When a quiz is requested", async () =>
+      request(app).post("/cluster/clu_q/quiz?lang=en")
+    );
+    await step("Then a validated quiz is returned without answers", () => {
+      expect(first.status).toBe(200);
+      expect(first.body.questions).toHaveLength(2);
+      expect(first.body.questions[0]).toEqual({
+        question: "What did the council approve?",
+        options: ["A budget", "A park", "A tax cut", "A new mayor"],
+      });
+      // Invalid JSON was retried once
+      expect(generatePlain).toHaveBeenCalledTimes(2);
+      expect(generatePlain.mock.calls[0][0]).toContain("Vote passed 31 to 9.");
+      expect(tables.cluster_quizzes).toHaveLength(1);
+    });
+
+    const again = await step("When it is requested again", async () =>
+      request(app).post("/cluster/clu_q/quiz?lang=en")
+    );
+    await step("Then the stored quiz is reused", () => {
+      expect(again.body.quiz_id).toBe(first.body.quiz_id);
+      expect(generatePlain).toHaveBeenCalledTimes(2);
+    });
+
+    const de = await step("When the quiz is fetched in German", async () =>
+      request(app).get("/cluster/clu_q/quiz?lang=de")
+    );
+    await step("Then a translated copy of the same quiz is persisted", () => {
+      expect(de.status).toBe(200);
+      expect(de.body.quiz_id).toBe(first.body.quiz_id);
+      expect(de.body.language).toBe("de");
+      expect(de.body.translated_from).toBe("en");
+      expect(de.body.questions[1].options[2]).toBe("[de] 31");
+      expect(tables.cluster_quizzes).toHaveLength(2);
+    });
+
+    const scored = await step("When answers are submitted", async () =>
+      request(app)
+        .post("/cluster/clu_q/quiz/answers?lang=de")
+        .send({ quiz_id: first.body.quiz_id, answers: [0, 1] })
+    );
+    await step("Then they are scored with localized explanations", () => {
+      expect(scored.status).toBe(200);
+      expect(scored.body.score).toBe(1);
+      expect(scored.body.total).toBe(2);
+      expect(scored.body.results[1]).toMatchObject({
+        selected: 1,
+        correct: 2,
+        is_correct: false,
+        explanation: "[de] The vote passed 31 to 9.",
+      });
+    });
+
+    const stale = await request(app)
+      .post("/cluster/clu_q/quiz/answers")
+      .send({ quiz_id: "other", answers: [0] });
+    expect(stale.status).toBe(409);
+    const bad = await request(app)
+      .post("/cluster/clu_q/quiz/answers")
+      .send({ answers: ["A"] });
+    expect(bad.status).toBe(400);
+  });
+
+  it("returns 404 before a quiz was generated", async () => {
+    const res = await request(app).get("/cluster/clu_empty/quiz");
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe("quiz_not_found");
+    const none = await request(app).post("/cluster/missing/quiz");
+    expect(none.status).toBe(404);
+  });
+});
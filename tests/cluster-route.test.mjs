@@ -223,10 +223,16 @@ vi.mock("@supabase/supabase-js", () => {
   };
 });
 
-// Mock translator used by server to avoid network calls
+// Mock translator used by server to avoid network calls; no provider
+// translates into Japanese
+const unavailable = () =>
+  Object.assign(new Error("translation failed on every provider"), {
+    code: "translation_unavailable",
+  });
 vi.mock("../src/utils/textTranslate.mjs", () => ({
   translateTextCached: vi.fn(async (text, { dstLang }) => {
     const base = (s) => (s || "").split("-")[0];
+    if (base(dstLang) === "ja") throw unavailable();
     if (base(dstLang) === "tr") return `TR:${text}`;
     if (base(dstLang) === "de") return `DE:${text}`;
     return text;
@@ -234,6 +240,7 @@ vi.mock("../src/utils/textTranslate.mjs", () => ({
   translateFieldsCached: vi.fn(
     async ({ title, summary, details }, { dstLang }) => {
       const base = (s) => (s || "").split("-")[0];
+      if (base(dstLang) === "ja") throw unavailable();
       if (base(dstLang) === "tr") {
         return {
           title: `TR:${title}`,
@@ -290,6 +297,10 @@ describe("GET /cluster/:id", () => {
           .filter(Boolean)
           .some((t) => String(t).includes("TR:"));
         expect(hasTR).toBe(true);
+        // Main phases are summarized for the browser dev tools
+        const timing = res.headers["server-timing"];
+        for (const phase of ["cluster_text", "timeline", "citations", "total"])
+          expect(timing).toMatch(new RegExp(`${phase};dur=\\d`));
       }
     );
   });
@@ -311,4 +322,25 @@ describe("GET /cluster/:id", () => {
       }
     );
   });
+
+  it("serves the pivot text, uncached, when no provider can translate", async () => {
+    const res = await step(
+      "When I request /cluster/clu_1?lang=ja and translation fails",
+      async () => request(app).get("/cluster/clu_1?lang=ja")
+    );
+    await step("Then the English pivot is served and marked pending", () => {
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        title: "Pivot Title",
+        language: "en",
+        is_translated: false,
+        translated_from: null,
+      });
+      expect(res.headers["x-pending-cluster-ids"]).toBe("clu_1");
+      for (const u of res.body.timeline) {
+        expect(u.text).not.toMatch(/\[translated\]/);
+        expect(u.translated_from).toBeNull();
+      }
+    });
+  });
 });
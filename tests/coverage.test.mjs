@@ -0,0 +1,92 @@
+import { describe, it, expect } from "vitest";
+import {
+  pickSourceArticles,
+  coverageHash,
+  buildCoveragePrompt,
+  parseCoverageJson,
+  translateCoverage,
+} from "../src/utils/coverage.mjs";
+
+const picked = [
+  { id: "a1", source_id: "s1", source_name: "Daily", title: "Deal done" },
+  { id: "a2", source_id: "s2", source_name: "Herald", title: "Deal stalls" },
+];
+
+describe("coverage utils", () => {
+  it("keeps the latest article per source", () => {
+    const out = pickSourceArticles(
+      [
+        { id: 1, source_id: "s1", title: "old", published_at: "2024-01-01" },
+        { id: 2, source_id: "s1", title: "new", published_at: "2024-01-03" },
+        { id: 3, source_id: "s2", title: "x", published_at: "2024-01-02" },
+        { id: 4, source_id: null, title: "no source" },
+      ],
+      5
+    );
+    expect(out.map((a) => a.id)).toEqual([2, 3]);
+  });
+
+  it("changes the hash with the pivot text or the article set", () => {
+    const h = coverageHash("sig", picked);
+    expect(coverageHash("sig", picked)).toBe(h);
+    expect(coverageHash("sig2", picked)).not.toBe(h);
+    expect(coverageHash("sig", picked.slice(0, 1))).not.toBe(h);
+  });
+
+  it("labels outlets in the prompt and maps labels back to source ids", () => {
+    const prompt = buildCoveragePrompt({ title: "T", picked, lang: "en" });
+    expect(prompt).toContain("S1 (Daily): Deal done");
+    expect(prompt).toContain("S2 (Herald): Deal stalls");
+    const parsed = parseCoverageJson(
+      JSON.stringify({
+        summary: "They disagree on the outcome.",
+        shared_facts: ["Talks happened", ""],
+        disputed_claims: [
+          {
+            claim: "A deal was reached",
+            positions: [
+              { source: "S1", position: "yes" },
+              { source: "S9", position: "unknown label" },
+            ],
+          },
+        ],
+        omissions: [{ source: "S2", missing: ["the signing"] }],
+        tone: [{ source: "S1", tone: "upbeat", framing: "success" }],
+      }),
+      picked
+    );
+    expect(parsed.shared_facts).toEqual(["Talks happened"]);
+    expect(parsed.disputed_claims[0].positions).toEqual([
+      { source_id: "s1", position: "yes" },
+    ]);
+    expect(parsed.omissions).toEqual([
+      { source_id: "s2", missing: ["the signing"] },
+    ]);
+    expect(() => parseCoverageJson("{}", picked)).toThrow(/empty/);
+    expect(() => parseCoverageJson("nope", picked)).toThrow(/JSON/);
+  });
+
+  it("translates every free-text field", async () => {
+    const out = await translateCoverage(
+      {
+        summary: "s",
+        shared_facts: ["f"],
+        disputed_claims: [
+          { claim: "c", positions: [{ source_id: "s1", position: "p" }] },
+        ],
+        omissions: [{ source_id: "s2", missing: ["m"] }],
+        tone: [{ source_id: "s1", tone: "t", framing: "r" }],
+      },
+      async (t) => t.toUpperCase()
+    );
+    expect(out).toEqual({
+      summary: "S",
+      shared_facts: ["F"],
+      disputed_claims: [
+        { claim: "C", positions: [{ source_id: "s1", position: "P" }] },
+      ],
+      omissions: [{ source_id: "s2", missing: ["M"] }],
+      tone: [{ source_id: "s1", tone: "T", framing: "R" }],
+    });
+  });
+});
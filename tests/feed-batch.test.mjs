@@ -1,6 +1,7 @@
 import { describe, it, expect, vi, beforeEach } from "vitest";
 import request from "supertest";
 import { step } from "./testStep.mjs";
+import { decodeFeedCursor } from "../src/utils/feedCursor.mjs";
 
 // Provide minimal env required by server early
 process.env.SUPABASE_URL = process.env.SUPABASE_URL || "http://localhost:54321";
@@ -12,8 +13,18 @@ process.env.NODE_ENV = "test";
 // Datasets to drive the mock Supabase
 const datasets = {
   clusters: [
-    { id: "clu_a", rep_article: "art_a" },
-    { id: "clu_b", rep_article: "art_b" },
+    {
+      id: "clu_a",
+      rep_article: "art_a",
+      created_at: new Date(Date.now() - 1000).toISOString(),
+      updated_at: new Date(Date.now() - 1000).toISOString(),
+    },
+    {
+      id: "clu_b",
+      rep_article: "art_b",
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    },
   ],
   rep_article: [
     {
@@ -108,6 +119,10 @@ vi.mock("@supabase/supabase-js", () => {
       this._order = { k, ascending };
       return this;
     }
+    or(expr) {
+      this._or = expr;
+      return this;
+    }
     limit(n) {
       this._limit = n;
       return this;
@@ -120,9 +135,21 @@ vi.mock("@supabase/supabase-js", () => {
     }
     _resolve() {
       if (this.table === "clusters") {
-        // Return a shallow copy to avoid accidental test mutation
-        const list = datasets.clusters.slice(0, this._limit || undefined);
-        return { data: list, error: null };
+        // Newest first, honoring the keyset `or` filter
+        let list = [...datasets.clusters].sort(
+          (a, b) =>
+            b.created_at.localeCompare(a.created_at) || b.id.localeCompare(a.id)
+        );
+        const keyset =
+          this._or &&
+          /^created_at\.lt\."([^"]+)",.*id\.lt\."([^"]+)"\)$/.exec(this._or);
+        if (keyset) {
+          const [, t, id] = keyset;
+          list = list.filter(
+            (c) => c.created_at < t || (c.created_at === t && c.id < id)
+          );
+        }
+        return { data: list.slice(0, this._limit || undefined), error: null };
       }
       if (this.table === "articles") {
         // Two different shapes used by server: rep article by id, and coverage by cluster_id
@@ -133,6 +160,13 @@ vi.mock("@supabase/supabase-js", () => {
           );
           return { data: list, error: null };
         }
+        if (this._in && this._in.k === "cluster_id") {
+          const ids = this._in.arr || [];
+          const list = datasets.coverage_articles.filter((a) =>
+            ids.includes(a.cluster_id)
+          );
+          return { data: list, error: null };
+        }
         if (this._in && this._in.k === "id") {
           const ids = this._in.arr || [];
           const list = datasets.rep_article.filter((a) => ids.includes(a.id));
@@ -241,6 +275,60 @@ describe("/feed and /translate/batch", () => {
       expect(byId.get("clu_a").translation_status).toBe("pending");
       expect(byId.get("clu_b").translation_status).toBe("ready");
     });
+    await step("And cluster cards carry real coverage counts", async () => {
+      const byId = new Map(res.body.map((c) => [c.id, c]));
+      expect(byId.get("clu_a").coverage_count).toBe(2);
+      expect(byId.get("clu_b").coverage_count).toBe(1);
+      expect(Array.isArray(byId.get("clu_a").sources)).toBe(true);
+    });
+  });
+
+  it("/feed pages with opaque cursors", async () => {
+    const first = await step(
+      "When I request the first page of one card",
+      async () => request(app).get("/feed?lang=de&limit=1")
+    );
+    const cursor = first.headers["x-next-cursor"];
+    await step("Then a next cursor is returned", async () => {
+      expect(first.status).toBe(200);
+      expect(first.body).toHaveLength(1);
+      expect(typeof cursor).toBe("string");
+      expect(decodeFeedCursor(cursor)).toMatchObject({
+        id: first.body[0].id,
+        mode: "clusters",
+      });
+    });
+    const second = await step("When I request the next page", async () =>
+      request(app).get(`/feed?lang=de&limit=1&cursor=${cursor}`)
+    );
+    await step("Then it continues after the first page and ends", async () => {
+      expect(second.status).toBe(200);
+      expect(second.body).toHaveLength(1);
+      const firstIds = first.body.map((c) => c.id);
+      expect(second.body.map((c) => c.id)).not.toEqual(
+        expect.arrayContaining(firstIds)
+      );
+      expect(second.headers["x-next-cursor"]).toBeUndefined();
+    });
+    const bumped = datasets.clusters.find((c) => c.id === second.body[0].id);
+    const before = bumped.updated_at;
+    bumped.updated_at = new Date(Date.now() + 60000).toISOString();
+    const again = await step(
+      "When the next cluster is updated while paging",
+      async () => request(app).get(`/feed?lang=de&limit=1&cursor=${cursor}`)
+    );
+    bumped.updated_at = before;
+    await step("Then it is still served on the next page", () => {
+      expect(again.status).toBe(200);
+      expect(again.body.map((c) => c.id)).toEqual([bumped.id]);
+    });
+    const bad = await step("When the cursor is malformed", async () =>
+      request(app).get("/feed?lang=de&cursor=garbage")
+    );
+    await step("Then it is rejected", async () => {
+      expect(bad.status).toBe(400);
+      expect(bad.body).toHaveProperty("error", "invalid_cursor");
+    });
   });
 
   it("/translate/batch dedupes ids and returns ready results", async () => {
@@ -0,0 +1,38 @@
+import { describe, it, expect } from "vitest";
+import {
+  encodeFeedCursor,
+  decodeFeedCursor,
+  keysetFilter,
+} from "../src/utils/feedCursor.mjs";
+
+describe("feed cursor utils", () => {
+  it("round-trips timestamp, id and mode", () => {
+    const t = "2024-05-01T10:00:00+00:00";
+    const token = encodeFeedCursor({ t, id: "art_1", mode: "articles" });
+    expect(typeof token).toBe("string");
+    expect(token).not.toContain("art_1");
+    expect(decodeFeedCursor(token)).toEqual({
+      t,
+      id: "art_1",
+      mode: "articles",
+    });
+  });
+  it("returns null for missing fields or malformed tokens", () => {
+    expect(encodeFeedCursor({ t: null, id: "x" })).toBe(null);
+    expect(decodeFeedCursor("not-a-cursor")).toBe(null);
+    expect(decodeFeedCursor("")).toBe(null);
+    const badDate = Buffer.from(
+      JSON.stringify({ t: "yesterday", id: "x" })
+    ).toString("base64url");
+    expect(decodeFeedCursor(badDate)).toBe(null);
+  });
+  it("builds a (col desc, id desc) keyset filter", () => {
+    const f = keysetFilter("published_at", {
+      t: "2024-05-01T10:00:00Z",
+      id: "a9",
+    });
+    expect(f).toBe(
+      'published_at.lt."2024-05-01T10:00:00Z",and(published_at.eq."2024-05-01T10:00:00Z",id.lt."a9")'
+    );
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect, vi } from "vitest";
+
+process.env.LLM_API_KEY = "test-key";
+
+const sdkCalls = vi.hoisted(() => []);
+
+// Mocked SDK stream: three chunks, grounding metadata on the last one
+vi.mock("@google/genai", () => {
+  class GoogleGenAI {
+    constructor() {
+      this.models = {
+        generateContentStream: async (params) =>
+          (async function* () {
+            sdkCalls.push(params);
+            yield { text: "Hello" };
+            yield { text: ", " };
+            yield {
+              text: "world",
+              candidates: [
+                {
+                  groundingMetadata: {
+                    groundingChunks: [{ web: { uri: "https://example.com" } }],
+                  },
+                },
+              ],
+            };
+          })(),
+      };
+    }
+  }
+  return {
+    GoogleGenAI,
+    DynamicRetrievalConfigMode: {
+      MODE_DYNAMIC: "MODE_DYNAMIC",
+      MODE_REQUIRED: "MODE_REQUIRED",
+    },
+  };
+});
+
+import {
+  generateWithSearchStream,
+  extractGroundingLinks,
+} from "../src/utils/gemini.mjs";
+import { runWithRequestId } from "../src/utils/logger.mjs";
+
+describe("generateWithSearchStream", () => {
+  it("yields text chunks then a done event with grounding", async () => {
+    const events = [];
+    for await (const ev of generateWithSearchStream("q", {
+      useGoogleSearch: true,
+    }))
+      events.push(ev);
+    expect(events.filter((e) => e.type === "text").map((e) => e.text)).toEqual([
+      "Hello",
+      ", ",
+      "world",
+    ]);
+    const done = events[events.length - 1];
+    expect(done.type).toBe("done");
+    expect(done.text).toBe("Hello, world");
+    expect(done.mode).toBe("search");
+    expect(extractGroundingLinks(done.grounding)).toEqual([
+      "https://example.com",
+    ]);
+  });
+
+  it("stops without a done event when the signal aborts", async () => {
+    const ac = new AbortController();
+    const events = [];
+    for await (const ev of generateWithSearchStream("q", {
+      signal: ac.signal,
+    })) {
+      events.push(ev);
+      ac.abort();
+    }
+    expect(events).toEqual([{ type: "text", text: "Hello" }]);
+  });
+
+  it("forwards the current request id to the SDK", async () => {
+    await runWithRequestId("req-42", async () => {
+      for await (const _ev of generateWithSearchStream("q"));
+    });
+    expect(sdkCalls.at(-1).config.httpOptions).toEqual({
+      headers: { "X-Request-Id": "req-42" },
+    });
+    for await (const _ev of generateWithSearchStream("q"));
+    expect(sdkCalls.at(-1).config.httpOptions).toBeUndefined();
+  });
+});
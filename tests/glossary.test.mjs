@@ -0,0 +1,130 @@
+import { describe, it, expect, afterEach } from "vitest";
+import { step } from "./testStep.mjs";
+import {
+  glossaryVersion,
+  termsFor,
+  maskTerms,
+  unmaskTerms,
+} from "../src/utils/glossary.mjs";
+
+process.env.MT_RETRIES = "0";
+process.env.BFF_TRANSLATION_TAG = "off";
+delete process.env.SUPABASE_URL;
+
+const { translateTextCached, translateMetrics, translationGlossary } =
+  await import("../src/utils/textTranslate.mjs");
+const { registerProvider } = await import("../src/utils/mtProviders.mjs");
+
+const ENTRIES = [
+  { term: "Swiss Federal Council", dst_lang: "de", translation: "Bundesrat" },
+  { term: "Migros" },
+  { term: "New York", translation: "NY" }, // no dst_lang: ignored
+];
+
+afterEach(() => {
+  delete process.env.MT_PROVIDERS;
+  translationGlossary.set([]);
+});
+
+describe("glossary helpers", () => {
+  it("selects terms for a language pair, longest first", () => {
+    const terms = termsFor(ENTRIES, "en", "de-CH");
+    expect(terms.map((t) => t.term)).toEqual([
+      "Swiss Federal Council",
+      "Migros",
+    ]);
+    expect(termsFor(ENTRIES, "en", "fr").map((t) => t.term)).toEqual([
+      "Migros",
+    ]);
+  });
+
+  it("masks whole words and restores them", () => {
+    const terms = termsFor(ENTRIES, "en", "de");
+    const m = maskTerms(
+      "The swiss federal council visited Migros, not Migrosa.",
+      terms
+    );
+    expect(m.text).toBe("The [[T0]] visited [[T1]], not Migrosa.");
+    expect(unmaskTerms("Der [[T0]] besuchte [[ T1 ]].", m.slots)).toEqual({
+      text: "Der Bundesrat besuchte Migros.",
+      ok: true,
+    });
+    expect(unmaskTerms("Der Bundesrat besuchte.", m.slots).ok).toBe(false);
+  });
+
+  it("versions the glossary content", () => {
+    expect(glossaryVersion([])).toBe("");
+    expect(glossaryVersion(ENTRIES)).toBe(
+      glossaryVersion([...ENTRIES].reverse())
+    );
+    expect(glossaryVersion(ENTRIES)).not.toBe(
+      glossaryVersion(ENTRIES.slice(1))
+    );
+  });
+});
+
+describe("glossary in translateTextCached", () => {
+  it("keeps protected terms and applies mappings", async () => {
+    process.env.MT_PROVIDERS = "test";
+    translationGlossary.set(ENTRIES);
+    const out = await step(
+      "When a text with glossary terms is translated",
+      () =>
+        translateTextCached("Migros and the Swiss Federal Council agree", {
+          srcLang: "en",
+          dstLang: "de",
+        })
+    );
+    await step("Then terms come back as configured", () => {
+      expect(out).toBe("[de] Migros and the Bundesrat agree");
+    });
+  });
+
+  it("fails over when a provider drops a placeholder", async () => {
+    registerProvider({
+      name: "lossy",
+      translate: async (text) => text.replace(/\[\[T\d+\]\]/g, "?"),
+    });
+    process.env.MT_PROVIDERS = "lossy,test";
+    translationGlossary.set(ENTRIES);
+    const violations = translateMetrics.glossaryViolations;
+    const out = await translateTextCached("Shop at Migros today", {
+      srcLang: "en",
+      dstLang: "fr",
+    });
+    expect(out).toBe("[fr] Shop at Migros today");
+    expect(translateMetrics.glossaryViolations).toBe(violations + 1);
+  });
+
+  it("does not cache output that lost a placeholder on every provider", async () => {
+    let calls = 0;
+    registerProvider({
+      name: "lossy-only",
+      translate: async (text) => {
+        calls += 1;
+        return text.replace(/\[\[T\d+\]\]/g, "?");
+      },
+    });
+    process.env.MT_PROVIDERS = "lossy-only";
+    translationGlossary.set(ENTRIES);
+    const opts = { srcLang: "en", dstLang: "es" };
+    expect(await translateTextCached("Migros opens", opts)).toBe("? opens");
+    await translateTextCached("Migros opens", opts);
+    expect(calls).toBe(2);
+  });
+
+  it("does not reuse cache entries across glossary versions", async () => {
+    process.env.MT_PROVIDERS = "test";
+    const text = "Visit Migros now";
+    translationGlossary.set([
+      { term: "Migros", dst_lang: "it", translation: "M" },
+    ]);
+    expect(
+      await translateTextCached(text, { srcLang: "en", dstLang: "it" })
+    ).toBe("[it] Visit M now");
+    translationGlossary.set([]);
+    expect(
+      await translateTextCached(text, { srcLang: "en", dstLang: "it" })
+    ).toBe("[it] Visit Migros now");
+  });
+});
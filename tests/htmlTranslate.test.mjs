@@ -0,0 +1,62 @@
+import { describe, it, expect, vi } from "vitest";
+import { tokenizeHtml, translateHtml } from "../src/utils/htmlTranslate.mjs";
+
+const upper = vi.fn(async (t) => t.replace(/[a-z]+/g, (w) => w.toUpperCase()));
+
+describe("HTML-aware translation", () => {
+  it("never marks tags, skipped elements or whitespace as translatable", () => {
+    const tokens = tokenizeHtml(
+      '<p class="x">Hi</p>\n<pre>keep <b>me</b></pre><!-- note --><br/>x'
+    );
+    expect(tokens.filter((t) => t.translatable).map((t) => t.value)).toEqual([
+      "Hi",
+      "x",
+    ]);
+  });
+
+  it("keeps quoted attributes containing > inside the tag", () => {
+    const tag = `<img alt="a > b" title='x>y' src="i.png">`;
+    const tokens = tokenizeHtml(`<p>${tag}Caption</p>`);
+    expect(tokens.map((t) => t.value)).toEqual(["<p>", tag, "Caption", "</p>"]);
+    expect(tokens.filter((t) => t.translatable).map((t) => t.value)).toEqual([
+      "Caption",
+    ]);
+  });
+
+  it("keeps markup, attributes and whitespace and batches text nodes", async () => {
+    upper.mockClear();
+    const html =
+      '<p>Read <a href="https://ex.com/a?b=1&amp;c=2" title="keep">the report</a> now.</p>\n' +
+      "<script>var a = 'no';</script><p>Tom &amp; Jerry</p>";
+    const out = await translateHtml(html, upper, { maxBatchChars: 1000 });
+    expect(out).toBe(
+      '<p>READ <a href="https://ex.com/a?b=1&amp;c=2" title="keep">THE REPORT</a> NOW.</p>\n' +
+        "<script>var a = 'no';</script><p>TOM &amp; JERRY</p>"
+    );
+    // One provider call for the whole batch
+    expect(upper).toHaveBeenCalledTimes(1);
+    expect(upper.mock.calls[0][0]).toContain("[[SEP]]");
+  });
+
+  it("falls back to per-node calls when separators are lost", async () => {
+    const lossy = vi.fn(async (t) =>
+      t.includes("[[SEP]]") ? t.replace(/\s*\[\[SEP\]\]\s*/g, " ") : `<${t}>`
+    );
+    const out = await translateHtml("<li>one</li><li>two</li>", lossy);
+    expect(out).toBe("<li>&lt;one&gt;</li><li>&lt;two&gt;</li>");
+    expect(lossy).toHaveBeenCalledTimes(3);
+  });
+
+  it("splits batches by size", async () => {
+    const calls = [];
+    await translateHtml(
+      "<p>alpha</p><p>beta</p><p>gamma</p>",
+      async (t) => {
+        calls.push(t);
+        return t;
+      },
+      { maxBatchChars: 30 }
+    );
+    expect(calls).toHaveLength(2);
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  validateInteraction,
+  createInteractionRecorder,
+} from "../src/utils/interactions.mjs";
+
+const withTimeout = (p) => p;
+
+// Minimal Supabase stand-in: inserts land in `rows`, counts filter them
+function fakeSupabase({ failInserts = 0 } = {}) {
+  const rows = [];
+  let failures = failInserts;
+  return {
+    rows,
+    from: () => ({
+      insert: async (batch) => {
+        if (failures > 0) {
+          failures -= 1;
+          return { error: new Error("unavailable") };
+        }
+        rows.push(...batch);
+        return { error: null };
+      },
+      select() {
+        const filters = {};
+        const q = {
+          eq(k, v) {
+            filters[k] = v;
+            return q;
+          },
+          then(resolve) {
+            const count = rows.filter((r) =>
+              Object.entries(filters).every(([k, v]) => r[k] === v)
+            ).length;
+            return Promise.resolve({ count, error: null }).then(resolve);
+          },
+        };
+        return q;
+      },
+    }),
+  };
+}
+
+describe("interaction analytics", () => {
+  it("validates event types, metadata and ids", () => {
+    expect(
+      validateInteraction({ articleId: 7, interactionType: "read" }).value
+    ).toEqual({
+      articleId: "7",
+      interactionType: "read",
+      metadata: null,
+      sessionId: null,
+    });
+    const bad = validateInteraction({
+      articleId: "",
+      interactionType: "hover",
+      metadata: ["x"],
+    });
+    expect(bad.errors).toHaveLength(3);
+    const big = validateInteraction({
+      articleId: "a",
+      interactionType: "view",
+      metadata: { note: "x".repeat(3000) },
+    });
+    expect(big.errors[0]).toMatch(/bytes/);
+  });
+
+  it("writes in batches, retries failed batches and counts pending events", async () => {
+    const supabase = fakeSupabase({ failInserts: 1 });
+    const rec = createInteractionRecorder(supabase, {
+      withTimeout,
+      flushMs: 0,
+      batchSize: 2,
+    });
+    rec.record({ articleId: "a1", interactionType: "view", sessionId: "s1" });
+    rec.record({ articleId: "a1", interactionType: "view", userId: "u1" });
+    await rec.flush(); // joins the size-triggered flush, which fails
+    await rec.flush(); // retried batch is written
+    rec.record({ articleId: "a1", interactionType: "share", userId: "u1" });
+    expect(supabase.rows).toHaveLength(2);
+    expect(supabase.rows[1]).toMatchObject({ user_id: "u1", session_id: null });
+    expect(await rec.aggregate("a1")).toMatchObject({
+      view: 2,
+      share: 1,
+      read: 0,
+    });
+    expect(rec.stats()).toMatchObject({
+      accepted: 3,
+      flushed: 2,
+      failedFlushes: 1,
+      buffered: 1,
+    });
+  });
+
+  it("drops the oldest events when the buffer is full", async () => {
+    const rec = createInteractionRecorder(fakeSupabase({ failInserts: 9 }), {
+      withTimeout,
+      flushMs: 0,
+      batchSize: 100,
+      maxBuffer: 2,
+    });
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    for (let i = 0; i < 3; i++)
+      rec.record({ articleId: `a${i}`, interactionType: "view" });
+    await rec.flush();
+    warn.mockRestore();
+    expect(rec.stats()).toMatchObject({ dropped: 1, buffered: 2 });
+  });
+});
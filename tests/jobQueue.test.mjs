@@ -0,0 +1,334 @@
+import { describe, it, expect, vi } from "vitest";
+import express from "express";
+import request from "supertest";
+import { step } from "./testStep.mjs";
+import { backoffDelay, createJobQueue } from "../src/utils/jobQueue.mjs";
+import createAdminRoutes from "../src/routes/admin.mjs";
+import { currentLlmUser, runWithLlmUser } from "../src/utils/llmBudget.mjs";
+
+const withTimeout = (p) => p;
+
+// Memory-mode queue (no database) with fast retries
+function memoryQueue(handlers, opts = {}) {
+  return createJobQueue(null, {
+    withTimeout,
+    handlers,
+    pollMs: 0,
+    backoffMs: 1,
+    maxBackoffMs: 5,
+    maxAttempts: 3,
+    ...opts,
+  });
+}
+
+describe("background job queue", () => {
+  it("backs off exponentially up to the cap", () => {
+    const opts = { baseMs: 100, maxMs: 1000 };
+    expect([1, 2, 3, 4, 5].map((n) => backoffDelay(n, opts))).toEqual([
+      100, 200, 400, 800, 1000,
+    ]);
+  });
+
+  it("runs jobs once per idempotency key", async () => {
+    const seen = [];
+    const queue = memoryQueue({
+      cluster_translation: async (p) => {
+        seen.push(p.lang);
+      },
+    });
+    const first = await queue.enqueue(
+      "cluster_translation",
+      { clusterId: "c1", lang: "de" },
+      { key: "cluster:c1|de" }
+    );
+    const second = await queue.enqueue(
+      "cluster_translation",
+      { clusterId: "c1", lang: "de" },
+      { key: "cluster:c1|de" }
+    );
+    expect(first.deduped).toBe(false);
+    expect(second).toEqual({ id: null, deduped: true });
+    await vi.waitFor(() => expect(queue.stats().succeeded).toBe(1));
+    expect(seen).toEqual(["de"]);
+
+    // A finished job frees its key
+    const third = await queue.enqueue(
+      "cluster_translation",
+      { clusterId: "c1", lang: "de" },
+      { key: "cluster:c1|de" }
+    );
+    expect(third.deduped).toBe(false);
+    await expect(queue.enqueue("unknown", {})).rejects.toThrow(/unknown/);
+  });
+
+  it("dedupes through the unique index shared by all processes", async () => {
+    // bff_jobs stand-in: one active row per key, as the partial unique index
+    // keeps; this instance never claims, so another one runs the jobs
+    const activeInDb = new Set();
+    const inserted = [];
+    const poll = {
+      or: () => poll,
+      order: () => poll,
+      limit: async () => ({ data: [], error: null }),
+    };
+    const supabase = {
+      from: () => ({
+        insert: async (job) => {
+          if (activeInDb.has(job.idempotency_key))
+            return { error: { code: "23505" } };
+          activeInDb.add(job.idempotency_key);
+          inserted.push(job.id);
+          return { error: null };
+        },
+        select: () => poll,
+      }),
+    };
+    const queue = createJobQueue(supabase, {
+      withTimeout,
+      handlers: { cluster_translation: async () => {} },
+      pollMs: 0,
+    });
+    const enqueue = () =>
+      queue.enqueue(
+        "cluster_translation",
+        { clusterId: "c1", lang: "fr" },
+        { key: "cluster:c1|fr" }
+      );
+    const first = await step("Given a queued job", enqueue);
+    const second = await step("When it is asked for again", enqueue);
+    await step("Then the unique index dedupes it", () => {
+      expect(first.deduped).toBe(false);
+      expect(second).toEqual({ id: null, deduped: true });
+    });
+    activeInDb.delete("cluster:c1|fr");
+    const third = await step(
+      "When another instance finished it and it is asked for again",
+      enqueue
+    );
+    await step("Then it is queued again", () => {
+      expect(third.deduped).toBe(false);
+      expect(inserted).toEqual([first.id, third.id]);
+    });
+    queue.stop();
+  });
+
+  it("keeps a job that renews its lease from being claimed twice", async () => {
+    let runs = 0;
+    const queue = memoryQueue(
+      {
+        translate_batch: async (_payload, _job, { extendLease }) => {
+          runs += 1;
+          for (let i = 0; i < 12; i += 1) {
+            await new Promise((r) => setTimeout(r, 10));
+            await extendLease();
+          }
+        },
+      },
+      { leaseMs: 40, concurrency: 2 }
+    );
+    await queue.enqueue("translate_batch", { batchId: "b1" });
+    const polls = setInterval(() => queue.drain(), 5);
+    try {
+      await vi.waitFor(() => expect(queue.stats().succeeded).toBe(1), {
+        timeout: 2000,
+      });
+    } finally {
+      clearInterval(polls);
+    }
+    expect(runs).toBe(1);
+  });
+
+  it("ignores a worker whose job was reclaimed after its lease ran out", async () => {
+    const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+    const runs = [];
+    const queue = memoryQueue(
+      {
+        translate_batch: async (_payload, _job, { extendLease }) => {
+          const run = { n: runs.length + 1 };
+          runs.push(run);
+          // The first worker stalls past its lease, the second one renews
+          // its own and fails
+          if (run.n === 1) {
+            await sleep(100);
+            run.extend = await extendLease().catch((e) => e.code);
+            return;
+          }
+          for (let i = 0; i < 12; i += 1) {
+            await sleep(10);
+            await extendLease();
+          }
+          throw new Error("provider down");
+        },
+      },
+      { leaseMs: 40, concurrency: 2, maxAttempts: 1 }
+    );
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const { id } = await queue.enqueue("translate_batch", { batchId: "b1" });
+    const polls = setInterval(() => queue.drain(), 5);
+    try {
+      await step("When a second worker reclaims the stalled job", () =>
+        vi.waitFor(() => expect(runs).toHaveLength(2), { timeout: 2000 })
+      );
+      clearInterval(polls);
+      await step("Then the first worker neither renews nor finishes it", () =>
+        vi.waitFor(() => {
+          expect(runs[0].extend).toBe("job_lease_lost");
+          expect(queue.stats()).toMatchObject({ lease_lost: 2 });
+        })
+      );
+      expect((await queue.get(id)).status).toBe("running");
+      await step("And the owner's outcome stands", () =>
+        vi.waitFor(async () =>
+          expect(await queue.get(id)).toMatchObject({
+            status: "dead",
+            last_error: "provider down",
+          })
+        )
+      );
+      expect(queue.stats()).toMatchObject({ succeeded: 0, dead: 1 });
+    } finally {
+      clearInterval(polls);
+      warn.mockRestore();
+    }
+  });
+
+  it("runs jobs outside the context of the request that enqueued them", async () => {
+    const users = [];
+    const queue = memoryQueue({
+      cluster_translation: async () => {
+        users.push(currentLlmUser());
+        if (users.length === 1) throw new Error("provider down");
+      },
+    });
+    await step("When a signed-in request enqueues a job", () =>
+      runWithLlmUser("u1", () => queue.enqueue("cluster_translation", {}))
+    );
+    await step(
+      "Then neither the run nor its retry is charged to the user",
+      () => vi.waitFor(() => expect(users).toEqual([null, null]))
+    );
+  });
+
+  it("deletes done jobs after JOB_DONE_TTL_MS", async () => {
+    const queue = memoryQueue(
+      { cluster_translation: async () => {} },
+      { doneTtlMs: 200 }
+    );
+    const { id } = await queue.enqueue("cluster_translation", {});
+    await vi.waitFor(() => expect(queue.stats().succeeded).toBe(1));
+    await queue.prune();
+    expect(await queue.get(id)).toMatchObject({ status: "done" });
+    await new Promise((r) => setTimeout(r, 250));
+    await queue.prune();
+    expect(await queue.get(id)).toBeNull();
+    expect(queue.stats()).toMatchObject({ pruned: 1, memory: 0 });
+  });
+
+  it("retries failures and dead-letters after max attempts", async () => {
+    let calls = 0;
+    const queue = memoryQueue({
+      article_translation: async () => {
+        calls += 1;
+        if (calls < 2) throw new Error("provider down");
+      },
+      broken: async () => {
+        throw new Error("always fails");
+      },
+    });
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    try {
+      await queue.enqueue("article_translation", { articleId: "a1" });
+      const { id } = await queue.enqueue("broken", {});
+      await vi.waitFor(() => {
+        expect(queue.stats()).toMatchObject({ succeeded: 1, dead: 1 });
+      });
+      const ok = (await queue.list({ type: "article_translation" })).jobs[0];
+      expect(ok).toMatchObject({ status: "done", attempts: 2 });
+      const dead = await queue.get(id);
+      expect(dead).toMatchObject({
+        status: "dead",
+        attempts: 3,
+        last_error: "always fails",
+      });
+      expect((await queue.list({ status: "dead" })).jobs).toHaveLength(1);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
+
+describe("admin job endpoints", () => {
+  it("lists dead jobs and re-runs them", async () => {
+    let fail = true;
+    const queue = memoryQueue(
+      {
+        article_translation: async () => {
+          if (fail) throw new Error("provider down");
+        },
+      },
+      { maxAttempts: 1 }
+    );
+    const app = express();
+    app.use("/admin", createAdminRoutes({ jobQueue: queue }));
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    process.env.ADMIN_TOKEN = "s3cret";
+    try {
+      await step("Given a job that was dead-lettered", async () => {
+        await queue.enqueue(
+          "article_translation",
+          { articleId: "a1", lang: "de" },
+          { key: "article:a1|de" }
+        );
+        await vi.waitFor(() => expect(queue.stats().dead).toBe(1));
+      });
+
+      const denied = await request(app).get("/admin/jobs");
+      expect(denied.status).toBe(401);
+
+      const res = await step("When an admin lists dead jobs", () =>
+        request(app)
+          .get("/admin/jobs?status=dead")
+          .set("X-Admin-Token", "s3cret")
+      );
+      expect(res.status).toBe(200);
+      expect(res.body.jobs).toHaveLength(1);
+      const job = res.body.jobs[0];
+      expect(job).toMatchObject({
+        status: "dead",
+        last_error: "provider down",
+      });
+
+      const bad = await request(app)
+        .get("/admin/jobs?status=lost")
+        .set("X-Admin-Token", "s3cret");
+      expect(bad.status).toBe(400);
+
+      fail = false;
+      const retry = await step("And re-runs it", () =>
+        request(app)
+          .post(`/admin/jobs/${job.id}/retry`)
+          .set("X-Admin-Token", "s3cret")
+      );
+      await step("Then the job runs again and succeeds", async () => {
+        expect(retry.status).toBe(202);
+        await vi.waitFor(async () =>
+          expect((await queue.get(job.id)).status).toBe("done")
+        );
+      });
+
+      const missing = await request(app)
+        .post("/admin/jobs/nope/retry")
+        .set("X-Admin-Token", "s3cret");
+      expect(missing.status).toBe(404);
+
+      delete process.env.ADMIN_TOKEN;
+      const disabled = await request(app)
+        .get("/admin/jobs")
+        .set("X-Admin-Token", "s3cret");
+      expect(disabled.status).toBe(403);
+    } finally {
+      delete process.env.ADMIN_TOKEN;
+      warn.mockRestore();
+    }
+  });
+});
@@ -27,5 +27,8 @@ describe("lang utils", () => {
     expect(negotiateLanguageSimple("fr", "en-US,en;q=0.8")).toBe("fr");
     expect(negotiateLanguageSimple("", "de-CH,de;q=0.8")).toBe("de-CH");
     expect(negotiateLanguageSimple("", "")).toBe("en");
+    // Profile language sits between ?lang and Accept-Language
+    expect(negotiateLanguageSimple("fr", "en", "de")).toBe("fr");
+    expect(negotiateLanguageSimple("", "en-US", "de-ch")).toBe("de-CH");
   });
 });
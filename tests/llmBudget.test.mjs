@@ -0,0 +1,202 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+
+process.env.LLM_API_KEY = "test-key";
+
+const sdkCalls = vi.hoisted(() => []);
+
+// Mocked SDK: every call reports 1000 prompt and 500 output tokens
+vi.mock("@google/genai", () => {
+  const usageMetadata = {
+    promptTokenCount: 1000,
+    candidatesTokenCount: 500,
+    totalTokenCount: 1500,
+  };
+  class GoogleGenAI {
+    constructor() {
+      this.models = {
+        generateContent: async (params) => {
+          sdkCalls.push(params);
+          return { text: "ok", usageMetadata };
+        },
+        generateContentStream: async (params) =>
+          (async function* () {
+            sdkCalls.push(params);
+            yield { text: "Hel" };
+            yield { text: "lo", usageMetadata };
+          })(),
+      };
+    }
+  }
+  return { GoogleGenAI, DynamicRetrievalConfigMode: {} };
+});
+
+import {
+  createLlmBudget,
+  llmBudget,
+  parseBudgets,
+  runWithLlmUser,
+  usageFromResponse,
+  isBudgetError,
+} from "../src/utils/llmBudget.mjs";
+import {
+  generatePlain,
+  generateWithSearchStream,
+} from "../src/utils/gemini.mjs";
+
+afterEach(() => {
+  delete process.env.LLM_BUDGETS;
+  sdkCalls.length = 0;
+});
+
+const prices = () => ({ input: 1, output: 2 }); // USD per 1M tokens
+
+describe("LLM budget ledger", () => {
+  it("reads usage metadata and budget rules", () => {
+    expect(
+      usageFromResponse({
+        usageMetadata: { promptTokenCount: 10, totalTokenCount: 25 },
+      })
+    ).toEqual({ input: 10, output: 15 });
+    expect(usageFromResponse(null)).toEqual({ input: 0, output: 0 });
+    expect(
+      parseBudgets("chat.daily=1.5, *.monthly=10, chat.weekly=3, x=1")
+    ).toEqual([
+      { feature: "chat", scope: "daily", limitUsd: 1.5 },
+      { feature: "*", scope: "monthly", limitUsd: 10 },
+    ]);
+  });
+
+  it("aggregates spend per feature and blocks once a budget is used", () => {
+    const ledger = createLlmBudget({
+      prices,
+      budgets: () => parseBudgets("chat.daily=0.004,*.monthly=0.01"),
+    });
+    // 1000 in + 1000 out = 0.003 USD
+    ledger.record("chat", { input: 1000, output: 1000 });
+    ledger.check("chat");
+    ledger.record("chat", { input: 1000, output: 1000 });
+    expect(() => ledger.check("chat")).toThrow(/chat.daily/);
+    ledger.check("translate");
+    ledger.record("translate", { input: 4000, output: 0 });
+    try {
+      ledger.check("translate");
+      throw new Error("expected a budget error");
+    } catch (e) {
+      expect(isBudgetError(e)).toBe(true);
+      expect(e.scope).toBe("monthly");
+    }
+    const snap = ledger.snapshot();
+    expect(snap.features.chat).toMatchObject({
+      calls: 2,
+      input_tokens: 2000,
+      output_tokens: 2000,
+      blocked: 1,
+    });
+    expect(snap.features.chat.cost_usd).toBeCloseTo(0.006);
+    expect(snap.budgets.find((b) => b.feature === "*")).toMatchObject({
+      scope: "monthly",
+      remaining_usd: 0,
+    });
+  });
+
+  it("keeps per-user budgets apart and resets them each day", () => {
+    let now = new Date("2026-03-01T10:00:00Z");
+    const ledger = createLlmBudget({
+      prices,
+      now: () => now,
+      budgets: () => parseBudgets("chat.user_daily=0.002"),
+    });
+    runWithLlmUser("u1", () => {
+      ledger.record("chat", { input: 0, output: 1000 });
+      expect(() => ledger.check("chat")).toThrow();
+    });
+    runWithLlmUser("u2", () => ledger.check("chat"));
+    // Anonymous callers only see global budgets
+    ledger.check("chat");
+    now = new Date("2026-03-02T00:00:01Z");
+    ledger.check("chat", "u1");
+  });
+});
+
+describe("shared LLM spend", () => {
+  // Stand-in for bff_llm_spend_add over one table
+  function sharedStore() {
+    const rows = new Map();
+    return {
+      name: "test",
+      async add(keys, usd) {
+        const totals = {};
+        for (const k of keys) {
+          rows.set(k, (rows.get(k) || 0) + usd);
+          totals[k] = rows.get(k);
+        }
+        return totals;
+      },
+    };
+  }
+  const flush = () => new Promise((r) => setTimeout(r, 0));
+
+  it("counts spend of every instance and survives restarts", async () => {
+    const store = sharedStore();
+    const budgets = () => parseBudgets("chat.daily=0.004");
+    const a = createLlmBudget({ prices, budgets, store });
+    const b = createLlmBudget({ prices, budgets, store });
+    a.record("chat", { input: 1000, output: 1000 }); // 0.003
+    await flush();
+    b.check("chat"); // loads the shared total
+    await flush();
+    b.record("chat", { input: 1000, output: 1000 });
+    await flush();
+    expect(() => b.check("chat")).toThrow(/chat.daily/);
+    const restarted = createLlmBudget({ prices, budgets, store });
+    restarted.check("chat");
+    await flush();
+    expect(() => restarted.check("chat")).toThrow(/chat.daily/);
+    expect(restarted.snapshot().budgets[0].spent_usd).toBeCloseTo(0.006);
+  });
+
+  it("falls back to process counters when the store fails", async () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const ledger = createLlmBudget({
+      prices,
+      budgets: () => parseBudgets("chat.daily=0.004"),
+      store: {
+        name: "down",
+        add: async () => {
+          throw new Error("no table");
+        },
+      },
+    });
+    ledger.record("chat", { input: 1000, output: 1000 });
+    ledger.record("chat", { input: 1000, output: 1000 });
+    await flush();
+    expect(() => ledger.check("chat")).toThrow(/chat.daily/);
+    warn.mockRestore();
+  });
+});
+
+describe("gemini accounting", () => {
+  it("records usage per feature and refuses calls over budget", async () => {
+    const before = llmBudget.snapshot().features.fields?.calls || 0;
+    await generatePlain("p", { feature: "fields" });
+    const fields = llmBudget.snapshot().features.fields;
+    expect(fields.calls).toBe(before + 1);
+    expect(fields.input_tokens).toBeGreaterThanOrEqual(1000);
+    expect(fields.output_tokens).toBeGreaterThanOrEqual(500);
+
+    process.env.LLM_BUDGETS = "fields.daily=0";
+    await expect(generatePlain("p", { feature: "fields" })).rejects.toThrow(
+      /budget exhausted/
+    );
+    expect(sdkCalls).toHaveLength(1);
+  });
+
+  it("records streamed usage from the last chunk", async () => {
+    const before = llmBudget.snapshot().features.chat?.output_tokens || 0;
+    const events = [];
+    for await (const ev of generateWithSearchStream("q", { feature: "chat" }))
+      events.push(ev);
+    expect(events[events.length - 1]).toMatchObject({ text: "Hello" });
+    expect(llmBudget.snapshot().features.chat.output_tokens).toBe(before + 500);
+  });
+});
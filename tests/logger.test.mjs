@@ -0,0 +1,112 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import express from "express";
+import request from "supertest";
+import {
+  createLogger,
+  fetchWithRequestId,
+  requestIdMiddleware,
+  currentRequestId,
+} from "../src/utils/logger.mjs";
+
+afterEach(() => {
+  delete process.env.LOG_LEVEL;
+  vi.restoreAllMocks();
+});
+
+const captured = (method) => {
+  const lines = [];
+  vi.spyOn(console, method).mockImplementation((l) => lines.push(l));
+  return lines;
+};
+
+describe("structured logger", () => {
+  it("writes JSON lines and honors LOG_LEVEL", () => {
+    process.env.LOG_LEVEL = "info";
+    const info = captured("info");
+    const debug = captured("debug");
+    const log = createLogger({ service: "test" });
+    log.debug("hidden");
+    log.info("cache warmed", { entries: 3, err: new Error("partial") });
+    log.metric("provider.call", { provider: "deepl", latency_ms: 12 });
+    expect(debug).toHaveLength(0);
+    const [first, second] = info.map((l) => JSON.parse(l));
+    expect(first).toMatchObject({
+      level: "info",
+      msg: "cache warmed",
+      service: "test",
+      entries: 3,
+      err: { message: "partial" },
+    });
+    expect(second).toMatchObject({
+      msg: "metric",
+      metric: "provider.call",
+      provider: "deepl",
+      latency_ms: 12,
+    });
+
+    process.env.LOG_LEVEL = "error";
+    log.info("dropped");
+    expect(info).toHaveLength(2);
+  });
+});
+
+describe("request ids", () => {
+  function appWithRoute(seen) {
+    const app = express();
+    app.use(requestIdMiddleware);
+    app.get("/ping", async (_req, res) => {
+      await new Promise((r) => setTimeout(r, 1));
+      seen.push(currentRequestId());
+      res.json({ ok: true });
+    });
+    return app;
+  }
+
+  it("honors a valid incoming X-Request-Id and logs the request", async () => {
+    process.env.LOG_LEVEL = "info";
+    const info = captured("info");
+    const seen = [];
+    const res = await request(appWithRoute(seen))
+      .get("/ping")
+      .set("X-Request-Id", "edge-123");
+    expect(res.headers["x-request-id"]).toBe("edge-123");
+    expect(seen).toEqual(["edge-123"]);
+    const line = info
+      .map((l) => JSON.parse(l))
+      .find((e) => e.msg === "request");
+    expect(line).toMatchObject({
+      request_id: "edge-123",
+      method: "GET",
+      route: "/ping",
+      status: 200,
+    });
+  });
+
+  it("generates an id when the incoming one is missing or malformed", async () => {
+    const seen = [];
+    const res = await request(appWithRoute(seen))
+      .get("/ping")
+      .set("X-Request-Id", "bad id\twith spaces");
+    expect(res.headers["x-request-id"]).toMatch(/^[0-9a-f-]{36}$/);
+    expect(seen).toEqual([res.headers["x-request-id"]]);
+  });
+
+  it("adds the id to upstream fetches made inside a request", async () => {
+    const calls = [];
+    const wrapped = fetchWithRequestId(async (url, init) => {
+      calls.push(new Headers(init.headers).get("x-request-id"));
+      return new Response("{}");
+    });
+    const app = express();
+    app.use(requestIdMiddleware);
+    app.get("/proxy", async (_req, res) => {
+      await wrapped("http://db.local/rest/v1/x", {
+        headers: { apikey: "k" },
+      });
+      res.sendStatus(204);
+    });
+    await request(app).get("/proxy").set("X-Request-Id", "trace-9");
+    await wrapped("http://db.local/rest/v1/x");
+    expect(calls).toEqual(["trace-9", null]);
+  });
+});
@@ -11,6 +11,10 @@ process.env.NODE_ENV = "test";
 
 // Ensure the server doesn't auto-listen during tests
 process.env.BFF_AUTO_LISTEN = "false";
+// Policies are read once when the server builds its limiter (on import)
+vi.hoisted(() => {
+  process.env.RATE_LIMIT_BATCH = "1";
+});
 
 // Mock Supabase client to return fast, empty data
 vi.mock("@supabase/supabase-js", () => {
@@ -62,6 +66,18 @@ vi.mock("@supabase/supabase-js", () => {
 vi.mock("../src/utils/textTranslate.mjs", () => ({
   translateTextCached: vi.fn(async (text) => text),
   translateFieldsCached: vi.fn(async (fields) => fields),
+  translateMetrics: {
+    providerCalls: 4,
+    providerErrors: 0,
+    cacheHits: 3,
+    cacheMisses: 1,
+    dbHits: 0,
+    dbWrites: 1,
+    failovers: 0,
+    glossaryViolations: 0,
+    latencyMs: { last: 0, avg: 0, total: 0, count: 0 },
+    providers: { gemini: { calls: 4, errors: 1 } },
+  },
 }));
 
 // Import the app after mocks
@@ -78,15 +94,54 @@ describe("BFF /metrics and /translate/batch rate limiting", () => {
         expect(res.body.translate).toHaveProperty("providerCalls");
         expect(res.body).toHaveProperty("batch");
         expect(res.body.batch).toHaveProperty("requests");
+        expect(res.body.interactions).toHaveProperty("buffered");
       }
     });
   });
 
+  it("exposes Prometheus and OpenMetrics text formats", async () => {
+    await request(app).get("/health");
+    const prom = await step("When /metrics is scraped as Prometheus text", () =>
+      request(app).get("/metrics?format=prometheus")
+    );
+    await step(
+      "Then route counters, histograms and ratios are exported",
+      () => {
+        expect(prom.status).toBe(200);
+        expect(prom.headers["content-type"]).toMatch(
+          /^text\/plain;.*version=0\.0\.4/
+        );
+        expect(prom.text).toContain("# TYPE bff_http_requests_total counter");
+        expect(prom.text).toContain(
+          'bff_http_requests_total{route="/health",method="GET",status="200"} 1'
+        );
+        expect(prom.text).toMatch(
+          /bff_http_request_duration_seconds_bucket\{route="\/health",method="GET",le="\+Inf"\} 1/
+        );
+        expect(prom.text).toContain(
+          'bff_translate_cache_hit_ratio{layer="memory"} 0.75'
+        );
+        expect(prom.text).toContain(
+          'bff_provider_errors_total{provider="gemini"} 1'
+        );
+        expect(prom.text).toContain("bff_feed_requests_total 0");
+      }
+    );
+
+    const om = await request(app)
+      .get("/metrics")
+      .set("Accept", "application/openmetrics-text; version=1.0.0");
+    expect(om.headers["content-type"]).toMatch(
+      /^application\/openmetrics-text/
+    );
+    expect(om.text).toContain("# TYPE bff_http_requests counter");
+    expect(om.text.endsWith("# EOF\n")).toBe(true);
+  });
+
   it("enforces rate limiting on /translate/batch", async () => {
     await step(
       "When I post to /translate/batch twice under a low limit, Then second is 429",
       async () => {
-        process.env.RATE_LIMIT_BATCH = "1";
         const agent = request(app);
         await agent
           .post("/translate/batch?lang=en")
@@ -102,4 +157,28 @@ describe("BFF /metrics and /translate/batch rate limiting", () => {
       }
     );
   });
+
+  it("validates and attributes interactions", async () => {
+    const bad = await step("When an unknown interaction type is posted", () =>
+      request(app)
+        .post("/interaction")
+        .send({ articleId: "art_1", interactionType: "hover" })
+    );
+    await step("Then it is rejected", () => {
+      expect(bad.status).toBe(400);
+      expect(bad.body.error).toBe("invalid_interaction");
+    });
+    const ok = await step("When an anonymous read is posted", () =>
+      request(app)
+        .post("/interaction")
+        .set("X-Session-Id", "anon-1")
+        .send({ articleId: "art_1", interactionType: "read" })
+    );
+    await step("Then it is buffered under the anonymous session", async () => {
+      expect(ok.body).toEqual({ success: true, session_id: "anon-1" });
+      const stats = await request(app).get("/analytics/articles/art_1");
+      expect(stats.status).toBe(200);
+      expect(stats.body).toMatchObject({ article_id: "art_1", reads: 1 });
+    });
+  });
 });
@@ -0,0 +1,91 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { step } from "./testStep.mjs";
+
+// Fast failover and no DB cache for this file
+process.env.MT_RETRIES = "0";
+process.env.BFF_TRANSLATION_TAG = "off";
+delete process.env.SUPABASE_URL;
+
+const { availableProviders, getProvider, registerProvider } = await import(
+  "../src/utils/mtProviders.mjs"
+);
+const { translateTextCached, translateMetrics } = await import(
+  "../src/utils/textTranslate.mjs"
+);
+
+afterEach(() => {
+  delete process.env.MT_PROVIDERS;
+  vi.unstubAllGlobals();
+});
+
+describe("machine-translation providers", () => {
+  it("orders configured providers by MT_PROVIDERS", () => {
+    process.env.MT_PROVIDERS = "libretranslate, test, unknown";
+    const prev = process.env.LIBRETRANSLATE_URL;
+    delete process.env.LIBRETRANSLATE_URL;
+    expect(availableProviders()).toEqual(["test"]);
+    process.env.LIBRETRANSLATE_URL = "http://mt.local";
+    expect(availableProviders()).toEqual(["libretranslate", "test"]);
+    if (prev === undefined) delete process.env.LIBRETRANSLATE_URL;
+    else process.env.LIBRETRANSLATE_URL = prev;
+  });
+
+  it("fails over to the next provider and records per-provider metrics", async () => {
+    registerProvider({
+      name: "flaky",
+      translate: async () => {
+        throw new Error("down");
+      },
+    });
+    process.env.MT_PROVIDERS = "flaky,test";
+    const failovers = translateMetrics.failovers;
+    const out = await step("When the first provider fails", () =>
+      translateTextCached(`Good morning ${Date.now()}`, {
+        srcLang: "en",
+        dstLang: "de-CH",
+      })
+    );
+    await step("Then the deterministic test provider answers", () => {
+      expect(out).toMatch(/^\[de\] Good morning/);
+      expect(translateMetrics.failovers).toBe(failovers + 1);
+      expect(translateMetrics.providers.flaky.errors).toBeGreaterThan(0);
+      expect(translateMetrics.providers.test.calls).toBeGreaterThan(0);
+    });
+  });
+
+  it("calls DeepL and LibreTranslate style APIs", async () => {
+    const calls = [];
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async (url, init) => {
+        calls.push({ url, init, body: JSON.parse(init.body) });
+        const json = String(url).includes("deepl")
+          ? { translations: [{ text: "Hallo" }] }
+          : { translatedText: "Bonjour" };
+        return { ok: true, status: 200, json: async () => json };
+      })
+    );
+    process.env.DEEPL_API_KEY = "k";
+    process.env.DEEPL_API_URL = "https://deepl.test/v2/translate";
+    process.env.LIBRETRANSLATE_URL = "http://mt.local/";
+    const opts = { srcLang: "en", dstLang: "de" };
+    expect(await getProvider("deepl").translate("Hello", opts)).toBe("Hallo");
+    expect(
+      await getProvider("libretranslate").translate("Hello", {
+        srcLang: "auto",
+        dstLang: "fr",
+      })
+    ).toBe("Bonjour");
+    expect(calls[0].init.headers.Authorization).toBe("DeepL-Auth-Key k");
+    expect(calls[0].body).toEqual({
+      text: ["Hello"],
+      target_lang: "DE",
+      source_lang: "EN",
+    });
+    expect(calls[1].url).toBe("http://mt.local/translate");
+    expect(calls[1].body).toMatchObject({ q: "Hello", source: "auto" });
+    delete process.env.DEEPL_API_KEY;
+    delete process.env.DEEPL_API_URL;
+    delete process.env.LIBRETRANSLATE_URL;
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from "vitest";
+import {
+  validatePreferences,
+  preferredLanguage,
+  boostByTopics,
+} from "../src/utils/preferences.mjs";
+
+describe("preferences utils", () => {
+  it("normalizes valid preferences", () => {
+    const { value, errors } = validatePreferences({
+      topics: ["Politics", "tech", "politics"],
+      languages: ["de_ch", "en"],
+      readingLevel: "advanced",
+      notifications: true,
+    });
+    expect(errors).toEqual([]);
+    expect(value).toEqual({
+      topics: ["politics", "tech"],
+      languages: ["de-CH", "en"],
+      readingLevel: "advanced",
+      notifications: true,
+    });
+    expect(preferredLanguage(value)).toBe("de-CH");
+  });
+
+  it("reports invalid and unknown fields", () => {
+    const { errors } = validatePreferences({
+      topics: "politics",
+      languages: ["not a tag"],
+      readingLevel: "expert",
+      biasAnalysis: "yes",
+      theme: "dark",
+    });
+    expect(errors).toHaveLength(5);
+    expect(validatePreferences(null).errors).toHaveLength(1);
+    expect(validatePreferences({ languages: [] })).toEqual({
+      value: { languages: [] },
+      errors: [],
+    });
+  });
+
+  it("boosts cards on preferred topics and keeps order otherwise", () => {
+    const cards = [
+      { id: 1, category: "sports", tags: ["sports"] },
+      { id: 2, category: "tech", tags: ["tech"] },
+      { id: 3, category: "general", tags: [] },
+      { id: 4, category: "politics", tags: ["politics", "tech"] },
+    ];
+    expect(boostByTopics(cards, ["tech", "politics"]).map((c) => c.id)).toEqual(
+      [4, 2, 1, 3]
+    );
+    expect(boostByTopics(cards, [])).toBe(cards);
+  });
+});
@@ -0,0 +1,177 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { step } from "./testStep.mjs";
+import { createPretranslateScheduler } from "../src/utils/pretranslate.mjs";
+import { createJobQueue } from "../src/utils/jobQueue.mjs";
+import { marketFromRow } from "../src/utils/markets.mjs";
+
+afterEach(() => vi.restoreAllMocks());
+
+const markets = [
+  { market_code: "CH", pretranslate_langs: "{de,fr}" },
+  { market_code: "IT", pretranslate_langs: ["it", "de"] },
+  { market_code: "OFF", pretranslate_langs: ["ja"], enabled: false },
+].map(marketFromRow);
+
+// Memory-mode queue standing in for the shared bff_jobs table; each
+// scheduler() is one instance enqueueing into it with the cluster job key
+function sharedQueue() {
+  const schedulers = [];
+  const queue = createJobQueue(null, {
+    withTimeout: (p) => p,
+    handlers: {
+      cluster_translation: ({ clusterId, lang, version, instance }) =>
+        schedulers[instance].handle(clusterId, lang, version),
+    },
+    pollMs: 0,
+    backoffMs: 1,
+    maxBackoffMs: 5,
+    maxAttempts: 3,
+  });
+  const scheduler = (clusters, ensure, opts = {}) => {
+    const instance = schedulers.length;
+    const s = createPretranslateScheduler({
+      loadMarkets: async () => markets,
+      loadClusters: async () => clusters,
+      enqueue: (clusterId, lang, version) =>
+        queue.enqueue(
+          "cluster_translation",
+          { clusterId, lang, version, instance },
+          { key: `cluster:${clusterId}|${lang}` }
+        ),
+      ensure,
+      intervalMs: 0,
+      ...opts,
+    });
+    schedulers.push(s);
+    return s;
+  };
+  return { queue, scheduler };
+}
+
+const handled = (s) => {
+  const st = s.stats();
+  return st.translated + st.fresh + st.missing;
+};
+
+describe("pre-translation scheduler", () => {
+  it("enqueues each recent cluster in the enabled markets' languages", async () => {
+    const clusters = [
+      { id: "c1", updated_at: "2026-03-01T10:00:00Z" },
+      { id: "c2", updated_at: "2026-03-01T09:00:00Z" },
+    ];
+    let failOnce = true;
+    const ensure = vi.fn(async (id, lang) => {
+      if (id === "c2" && lang === "it" && failOnce) {
+        failOnce = false;
+        throw new Error("provider down");
+      }
+      if (id === "c2") return null;
+      return { is_translated: lang !== "de" };
+    });
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const { queue, scheduler } = sharedQueue();
+    const s = scheduler(clusters, ensure);
+
+    const first = await step("When the first pass runs", () => s.runOnce());
+    await step("Then every cluster and language pair is handled", async () => {
+      expect(first).toMatchObject({ pairs: 6, queued: 6, deduped: 0 });
+      await vi.waitFor(() => expect(handled(s)).toBe(6));
+      expect(s.stats()).toMatchObject({
+        translated: 2,
+        fresh: 1,
+        missing: 3,
+        failed: 1,
+      });
+      expect(ensure.mock.calls.map((c) => c[1])).not.toContain("ja");
+    });
+
+    ensure.mockClear();
+    const second = await step("When nothing changed since", () => s.runOnce());
+    await step("Then nothing is enqueued again", () => {
+      expect(second.pairs).toBe(0);
+      expect(ensure).not.toHaveBeenCalled();
+    });
+
+    clusters[0] = { id: "c1", updated_at: "2026-03-01T11:00:00Z" };
+    expect((await s.runOnce()).queued).toBe(3);
+    await vi.waitFor(() => expect(ensure).toHaveBeenCalledTimes(3));
+    expect(s.stats()).toMatchObject({ runs: 3, queued: 9, tracked: 6 });
+    queue.stop();
+  });
+
+  it("enqueues a pair again when its job ended dead", async () => {
+    const clusters = [{ id: "c1", updated_at: "2026-03-01T10:00:00Z" }];
+    let down = true;
+    const ensure = vi.fn(async (id, lang) => {
+      if (down && lang === "fr") throw new Error("provider down");
+      return { is_translated: true };
+    });
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const { queue, scheduler } = sharedQueue();
+    const s = scheduler(clusters, ensure);
+
+    await step("Given a pair whose job used up its attempts", async () => {
+      await s.runOnce();
+      await vi.waitFor(() => expect(queue.stats().dead).toBe(1));
+    });
+    down = false;
+    const next = await step("When the next pass runs", () => s.runOnce());
+    await step("Then only that pair is enqueued and translated", async () => {
+      expect(next).toMatchObject({ pairs: 1, queued: 1 });
+      await vi.waitFor(() => expect(s.stats().translated).toBe(3));
+      expect(ensure).toHaveBeenLastCalledWith("c1", "fr");
+    });
+    queue.stop();
+  });
+
+  it("translates a pair once across instances and stops on the budget", async () => {
+    const clusters = Array.from({ length: 3 }, (_, i) => ({
+      id: `c${i}`,
+      updated_at: "2026-03-01T10:00:00Z",
+    }));
+    let release;
+    const gate = new Promise((r) => (release = r));
+    const ensure = vi.fn(async () => {
+      await gate;
+      return { is_translated: true };
+    });
+    const { queue, scheduler } = sharedQueue();
+    const a = scheduler(clusters, ensure);
+    const b = scheduler(clusters, ensure);
+
+    const [passA, passB] = await step(
+      "When two instances run a pass at the same time",
+      () => Promise.all([a.runOnce(), b.runOnce()])
+    );
+    await step("Then each pair gets a single job", async () => {
+      expect(passA).toMatchObject({ pairs: 9, queued: 9 });
+      expect(passB).toMatchObject({ pairs: 9, queued: 0, deduped: 9 });
+      release();
+      await vi.waitFor(() => expect(handled(a)).toBe(9));
+      expect(ensure).toHaveBeenCalledTimes(9);
+    });
+    queue.stop();
+
+    const budgetError = Object.assign(new Error("LLM budget exhausted"), {
+      code: "llm_budget_exceeded",
+    });
+    const enqueue = vi.fn();
+    const spent = createPretranslateScheduler({
+      loadMarkets: async () => markets,
+      loadClusters: async () => clusters,
+      enqueue,
+      ensure,
+      intervalMs: 0,
+      checkBudget: () => {
+        throw budgetError;
+      },
+      isBudgetError: (e) => e === budgetError,
+    });
+    const [x, y] = [spent.runOnce(), spent.runOnce()];
+    expect(x).toBe(y);
+    expect(await x).toMatchObject({ pairs: 9, queued: 0, budget_stop: true });
+    expect(enqueue).not.toHaveBeenCalled();
+    await expect(spent.handle("c0", "de")).rejects.toBe(budgetError);
+    expect(spent.stats()).toMatchObject({ runs: 1, budget_stops: 2 });
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect } from "vitest";
+import { createRegistry, metricsFormat } from "../src/utils/promMetrics.mjs";
+
+describe("Prometheus exposition", () => {
+  it("renders labeled counters and cumulative histograms", () => {
+    const registry = createRegistry();
+    const requests = registry.counter("app_requests", "Requests");
+    const latency = registry.histogram("app_latency_seconds", "Latency", {
+      buckets: [0.1, 1],
+    });
+    requests.inc({ route: "/a", status: 200 });
+    requests.inc({ status: 200, route: "/a" });
+    requests.inc({ route: 'say "hi"\n', status: 500 });
+    latency.observe({ route: "/a" }, 0.05);
+    latency.observe({ route: "/a" }, 0.5);
+    latency.observe({ route: "/a" }, 3);
+
+    const text = registry.render();
+    expect(text).toContain("# TYPE app_requests_total counter");
+    expect(text).toContain('app_requests_total{route="/a",status="200"} 2');
+    expect(text).toContain(
+      'app_requests_total{route="say \\"hi\\"\\n",status="500"} 1'
+    );
+    expect(text).toContain('app_latency_seconds_bucket{route="/a",le="0.1"} 1');
+    expect(text).toContain('app_latency_seconds_bucket{route="/a",le="1"} 2');
+    expect(text).toContain(
+      'app_latency_seconds_bucket{route="/a",le="+Inf"} 3'
+    );
+    expect(text).toContain('app_latency_seconds_count{route="/a"} 3');
+    expect(text).not.toContain("# EOF");
+
+    const om = registry.render({ openMetrics: true });
+    expect(om).toContain("# TYPE app_requests counter");
+    expect(om.endsWith("# EOF\n")).toBe(true);
+  });
+
+  it("includes collected gauges and rejects type clashes", () => {
+    const registry = createRegistry();
+    registry.collect(() => [
+      {
+        name: "app_hit_ratio",
+        type: "gauge",
+        help: "Hit ratio",
+        samples: [{ labels: { layer: "memory" }, value: 0.5 }],
+      },
+    ]);
+    expect(registry.render()).toContain('app_hit_ratio{layer="memory"} 0.5');
+    registry.counter("app_x", "x");
+    expect(() => registry.histogram("app_x", "x")).toThrow(/already/);
+  });
+
+  it("negotiates the format from the query or Accept header", () => {
+    const req = (query, accept) => ({ query, headers: { accept } });
+    expect(metricsFormat(req({}, "application/json"))).toBe(null);
+    expect(metricsFormat(req({ format: "prometheus" }))).toBe("prometheus");
+    expect(
+      metricsFormat(
+        req({}, "application/openmetrics-text;version=1.0.0,text/plain;q=0.5")
+      )
+    ).toBe("openmetrics");
+    expect(metricsFormat(req({}, "text/plain;version=0.0.4"))).toBe(
+      "prometheus"
+    );
+  });
+});
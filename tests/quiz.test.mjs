@@ -0,0 +1,48 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildQuizPrompt,
+  parseQuizJson,
+  scoreQuiz,
+} from "../src/utils/quiz.mjs";
+
+const q = (answer, options = ["a", "b", "c", "d"]) => ({
+  question: "Q?",
+  options,
+  answer,
+  explanation: "because",
+});
+
+describe("quiz utils", () => {
+  it("asks for strict JSON grounded in the cluster text", () => {
+    const p = buildQuizPrompt({
+      title: "T",
+      summary: "S",
+      timeline: ["first", "", "second"],
+      lang: "en",
+      count: 3,
+    });
+    expect(p).toContain("3 questions");
+    expect(p).toContain("Return ONLY minified JSON");
+    expect(p).toContain("- first\n- second");
+    expect(p).not.toContain("Details:");
+  });
+
+  it("keeps only well-formed questions", () => {
+    const text = JSON.stringify({
+      questions: [q(1), q(4), q(0, ["a", "a", "b", "c"]), q(2, ["a", "b"])],
+    });
+    expect(parseQuizJson(text)).toEqual([q(1)]);
+    expect(
+      parseQuizJson(JSON.stringify([q(0), q(1)]), { max: 1 })
+    ).toHaveLength(1);
+    expect(() => parseQuizJson("not json")).toThrow(/valid JSON/);
+    expect(() => parseQuizJson('{"questions":[]}')).toThrow(/no valid/);
+  });
+
+  it("scores answers and treats missing ones as skipped", () => {
+    const r = scoreQuiz([q(0), q(1), q(2)], [0, 3]);
+    expect(r.score).toBe(1);
+    expect(r.total).toBe(3);
+    expect(r.results[2]).toMatchObject({ selected: null, is_correct: false });
+  });
+});
@@ -0,0 +1,241 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import net from "node:net";
+import express from "express";
+import request from "supertest";
+import { step } from "./testStep.mjs";
+import {
+  parsePolicies,
+  parseTrustProxy,
+  policiesFromEnv,
+  createMemoryStore,
+  createRedisStore,
+  createRateLimiter,
+} from "../src/utils/rateLimit.mjs";
+import { parseReply, createRedisClient } from "../src/utils/redisClient.mjs";
+import { signAccessToken } from "../src/utils/auth.mjs";
+
+afterEach(() => {
+  delete process.env.RATE_LIMIT_POLICIES;
+  vi.restoreAllMocks();
+});
+
+function limitedApp({ trustProxy = false, ...opts } = {}) {
+  const app = express();
+  app.set("trust proxy", trustProxy);
+  const limit = createRateLimiter({
+    policies: { chat: { limit: 2, windowMs: 60000 } },
+    ...opts,
+  });
+  app.post("/chat", limit("chat"), (_req, res) => res.json({ ok: true }));
+  app.post("/open", limit("unknown"), (_req, res) => res.json({ ok: true }));
+  return app;
+}
+
+describe("rate limit configuration", () => {
+  it("parses per-route policies and proxy trust", () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    expect(parsePolicies("chat=20/1m, batch=60/1h,quiz=off,bad=x/1m")).toEqual({
+      chat: { limit: 20, windowMs: 60000 },
+      batch: { limit: 60, windowMs: 3600000 },
+      quiz: null,
+    });
+    process.env.RATE_LIMIT_POLICIES = "chat=5/30s";
+    expect(policiesFromEnv().chat).toEqual({ limit: 5, windowMs: 30000 });
+    expect(policiesFromEnv().batch.windowMs).toBe(3600000);
+    expect(parseTrustProxy(undefined)).toBe(false);
+    expect(parseTrustProxy("true")).toBe(true);
+    expect(parseTrustProxy("2")).toBe(2);
+    expect(parseTrustProxy("loopback, 10.0.0.0/8")).toBe(
+      "loopback, 10.0.0.0/8"
+    );
+  });
+
+  it("reads the policies once when the limiter is built", async () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    process.env.RATE_LIMIT_POLICIES = "chat=1/1m,bad=x/1m";
+    const app = limitedApp({ policies: undefined });
+    process.env.RATE_LIMIT_POLICIES = "chat=off";
+    await request(app).post("/chat").expect(200);
+    await request(app).post("/chat").expect(429);
+    expect(
+      warn.mock.calls.filter((c) => /invalid rate limit/.test(c.join(" ")))
+    ).toHaveLength(1);
+  });
+});
+
+describe("rate limit middleware", () => {
+  it("sends RateLimit headers and Retry-After once the limit is hit", async () => {
+    const onLimited = vi.fn();
+    const app = limitedApp({ onLimited });
+    const first = await step("When a client sends its first request", () =>
+      request(app).post("/chat")
+    );
+    await step("Then the quota is advertised", () => {
+      expect(first.status).toBe(200);
+      expect(first.headers["ratelimit-limit"]).toBe("2");
+      expect(first.headers["ratelimit-remaining"]).toBe("1");
+      expect(first.headers["ratelimit-policy"]).toBe("2;w=60");
+      expect(Number(first.headers["ratelimit-reset"])).toBeLessThanOrEqual(60);
+    });
+    await request(app).post("/chat").expect(200);
+    const limited = await step("When it goes over the limit", () =>
+      request(app).post("/chat")
+    );
+    await step("Then it gets 429 with Retry-After", () => {
+      expect(limited.status).toBe(429);
+      expect(limited.body).toMatchObject({
+        error: "rate_limited",
+        policy: "chat",
+      });
+      expect(limited.headers["ratelimit-remaining"]).toBe("0");
+      expect(Number(limited.headers["retry-after"])).toBeGreaterThan(0);
+      expect(onLimited).toHaveBeenCalledWith(
+        "chat",
+        expect.stringMatching(/^ip:.*127\.0\.0\.1$/),
+        expect.anything()
+      );
+    });
+    await request(app).post("/open").expect(200);
+  });
+
+  it("limits authenticated users separately from their IP", async () => {
+    const app = limitedApp();
+    const token = (sub) => `Bearer ${signAccessToken({ sub }).token}`;
+    for (let i = 0; i < 2; i++) await request(app).post("/chat").expect(200);
+    await request(app).post("/chat").expect(429);
+    await request(app)
+      .post("/chat")
+      .set("Authorization", token("u1"))
+      .expect(200);
+    await request(app)
+      .post("/chat")
+      .set("Authorization", token("u2"))
+      .expect(200);
+  });
+
+  it("ignores X-Forwarded-For unless the proxy is trusted", async () => {
+    const untrusted = limitedApp();
+    for (const ip of ["1.1.1.1", "2.2.2.2", "3.3.3.3"])
+      await request(untrusted).post("/chat").set("X-Forwarded-For", ip);
+    await request(untrusted)
+      .post("/chat")
+      .set("X-Forwarded-For", "4.4.4.4")
+      .expect(429);
+
+    const trusted = limitedApp({ trustProxy: "loopback" });
+    for (const ip of ["1.1.1.1", "2.2.2.2", "3.3.3.3"])
+      await request(trusted)
+        .post("/chat")
+        .set("X-Forwarded-For", ip)
+        .expect(200);
+  });
+
+  it("falls back to memory when the shared store fails", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const store = {
+      name: "broken",
+      hit: vi.fn(async () => {
+        throw new Error("connection refused");
+      }),
+    };
+    const app = limitedApp({ store });
+    await request(app).post("/chat").expect(200);
+    await request(app).post("/chat").expect(200);
+    await request(app).post("/chat").expect(429);
+    expect(store.hit).toHaveBeenCalledTimes(3);
+  });
+
+  it("expires memory windows", async () => {
+    const store = createMemoryStore();
+    expect((await store.hit("k", 20)).count).toBe(1);
+    expect((await store.hit("k", 20)).count).toBe(2);
+    await new Promise((r) => setTimeout(r, 30));
+    expect(await store.hit("k", 20)).toMatchObject({ count: 1 });
+  });
+});
+
+describe("redis store", () => {
+  it("parses RESP replies, including partial buffers", () => {
+    const buf = Buffer.from("*2\r\n:3\r\n$5\r\nhello\r\n");
+    expect(parseReply(buf)).toEqual([[3, "hello"], buf.length]);
+    expect(parseReply(buf.subarray(0, 10))).toBeNull();
+    expect(parseReply(Buffer.from("-ERR nope\r\n"))[0]).toBeInstanceOf(Error);
+  });
+
+  it("shares counters through a Redis-protocol server", async () => {
+    // Tiny server answering AUTH and the EVAL hit script
+    const counts = new Map();
+    const seen = [];
+    const server = net.createServer((sock) => {
+      let buf = Buffer.alloc(0);
+      sock.on("data", (chunk) => {
+        buf = Buffer.concat([buf, chunk]);
+        let r;
+        while ((r = parseReply(buf))) {
+          buf = buf.subarray(r[1]);
+          const [cmd, ...args] = r[0];
+          seen.push(cmd);
+          if (cmd === "AUTH") sock.write("+OK\r\n");
+          else if (cmd === "EVAL") {
+            const key = args[2];
+            counts.set(key, (counts.get(key) || 0) + 1);
+            sock.write(`*2\r\n:${counts.get(key)}\r\n:${args[3]}\r\n`);
+          } else sock.write("-ERR unknown command\r\n");
+        }
+      });
+    });
+    await new Promise((r) => server.listen(0, "127.0.0.1", r));
+    const { port } = server.address();
+    const a = createRedisStore(`redis://:secret@127.0.0.1:${port}`);
+    const b = createRedisStore(`redis://:secret@127.0.0.1:${port}`);
+    try {
+      expect(await a.hit("chat:ip:1", 60000)).toEqual({
+        count: 1,
+        resetMs: 60000,
+      });
+      expect((await b.hit("chat:ip:1", 60000)).count).toBe(2);
+      expect(counts.get("rl:chat:ip:1")).toBe(2);
+      expect(seen.filter((c) => c === "AUTH")).toHaveLength(2);
+    } finally {
+      a.close();
+      b.close();
+      await new Promise((r) => server.close(r));
+    }
+  });
+
+  it("keeps the new connection when a timed-out one closes late", async () => {
+    // Never answers SLOW, so the client times out and reconnects
+    const sockets = new Set();
+    const server = net.createServer((sock) => {
+      sockets.add(sock);
+      let buf = Buffer.alloc(0);
+      sock.on("data", (chunk) => {
+        buf = Buffer.concat([buf, chunk]);
+        let r;
+        while ((r = parseReply(buf))) {
+          buf = buf.subarray(r[1]);
+          if (r[0][0] === "PING") sock.write("+PONG\r\n");
+        }
+      });
+    });
+    await new Promise((r) => server.listen(0, "127.0.0.1", r));
+    const { port } = server.address();
+    const client = createRedisClient(`redis://127.0.0.1:${port}`, {
+      timeoutMs: 50,
+    });
+    try {
+      const pong = await step(
+        "When a command times out and another follows",
+        () => client.command(["SLOW"]).catch(() => client.command(["PING"]))
+      );
+      await step("Then the old socket's close spares the new one", () => {
+        expect(pong).toBe("PONG");
+        expect(sockets.size).toBe(2);
+      });
+    } finally {
+      client.close();
+      for (const sock of sockets) sock.destroy();
+      await new Promise((r) => server.close(r));
+    }
+  });
+});
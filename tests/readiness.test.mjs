@@ -0,0 +1,132 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import request from "supertest";
+import { step } from "./testStep.mjs";
+import { runReadinessChecks } from "../src/utils/readiness.mjs";
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || "http://localhost:54321";
+process.env.SUPABASE_SERVICE_ROLE_KEY =
+  process.env.SUPABASE_SERVICE_ROLE_KEY || "test_key";
+process.env.BFF_TRANSLATION_TAG = "off";
+process.env.NODE_ENV = "test";
+process.env.BFF_AUTO_LISTEN = "false";
+
+// Tables listed here fail like a missing relation
+const broken = new Set();
+
+vi.mock("@supabase/supabase-js", () => {
+  class Builder {
+    constructor(table) {
+      this.table = table;
+    }
+    select() {
+      return this;
+    }
+    eq() {
+      return this;
+    }
+    limit() {
+      return this;
+    }
+    _resolve() {
+      if (broken.has(this.table))
+        return {
+          data: null,
+          error: { message: `relation "${this.table}" does not exist` },
+        };
+      return { data: [], count: 2, error: null };
+    }
+    then(onFulfilled, onRejected) {
+      return Promise.resolve(this._resolve()).then(onFulfilled, onRejected);
+    }
+  }
+  return { createClient: () => ({ from: (t) => new Builder(t) }) };
+});
+
+vi.mock("../src/utils/textTranslate.mjs", () => ({
+  translateTextCached: vi.fn(async (text) => text),
+  translateFieldsCached: vi.fn(async (fields) => fields),
+}));
+
+import { app } from "../server.mjs";
+
+afterEach(() => broken.clear());
+
+describe("readiness checks", () => {
+  it("times each check and only fails on critical dependencies", async () => {
+    const { ready, checks } = await runReadinessChecks(
+      {
+        db: { run: async () => ({ rows: 1 }) },
+        cache: {
+          critical: false,
+          run: async () => {
+            throw new Error("cache down");
+          },
+        },
+        slow: { critical: false, run: () => new Promise(() => {}) },
+      },
+      { timeoutMs: 20 }
+    );
+    expect(ready).toBe(true);
+    expect(checks.db).toMatchObject({ status: "up", critical: true, rows: 1 });
+    expect(checks.db.latency_ms).toBeGreaterThanOrEqual(0);
+    expect(checks.cache).toMatchObject({ status: "down", error: "cache down" });
+    expect(checks.slow.error).toMatch(/timed out after 20ms/);
+
+    const down = await runReadinessChecks({
+      db: { run: async () => ({ error: { message: "refused" } }) },
+    });
+    expect(down.ready).toBe(false);
+  });
+});
+
+describe("GET /ready", () => {
+  it("reports each dependency and stays 200 when all are up", async () => {
+    const res = await step("When readiness is probed", () =>
+      request(app).get("/ready")
+    );
+    await step("Then every critical dependency is up", () => {
+      expect(res.status).toBe(200);
+      expect(res.body.ok).toBe(true);
+      for (const name of [
+        "supabase",
+        "translations",
+        "cluster_ai",
+        "app_markets",
+      ])
+        expect(res.body.checks[name]).toMatchObject({
+          status: "up",
+          critical: true,
+        });
+      expect(res.body.checks.gemini).toMatchObject({ critical: false });
+      expect(typeof res.body.checks.gemini.configured).toBe("boolean");
+      expect(res.body.checks.job_queue).toMatchObject({
+        status: "up",
+        queued: 2,
+        running: 2,
+      });
+    });
+  });
+
+  it("returns 503 when a critical table is unreachable", async () => {
+    broken.add("cluster_ai");
+    const res = await step("When cluster_ai is missing", () =>
+      request(app).get("/ready")
+    );
+    await step("Then the instance reports not ready", () => {
+      expect(res.status).toBe(503);
+      expect(res.body.ok).toBe(false);
+      expect(res.body.checks.cluster_ai).toMatchObject({ status: "down" });
+      expect(res.body.checks.cluster_ai.error).toMatch(/does not exist/);
+      expect(res.body.checks.translations.status).toBe("up");
+    });
+  });
+
+  it("keeps serving when only the job table is missing", async () => {
+    broken.add("bff_jobs");
+    const res = await request(app).get("/ready");
+    expect(res.status).toBe(200);
+    expect(res.body.checks.job_queue.status).toBe("down");
+    const health = await request(app).get("/health");
+    expect(health.body.ok).toBe(true);
+  });
+});
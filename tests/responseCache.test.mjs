@@ -0,0 +1,313 @@
+import { describe, it, expect, vi } from "vitest";
+import net from "node:net";
+import express from "express";
+import request from "supertest";
+import { step } from "./testStep.mjs";
+import {
+  createResponseCache,
+  createMemoryCacheStore,
+  createRedisCacheStore,
+  responseCacheKey,
+  responseCachePrefix,
+  responseCacheLangPrefixes,
+  parseTtls,
+  strongEtag,
+} from "../src/utils/responseCache.mjs";
+import { parseReply } from "../src/utils/redisClient.mjs";
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || "http://localhost:54321";
+process.env.SUPABASE_SERVICE_ROLE_KEY =
+  process.env.SUPABASE_SERVICE_ROLE_KEY || "test_key";
+process.env.BFF_TRANSLATION_TAG = "off";
+process.env.NODE_ENV = "test";
+process.env.BFF_AUTO_LISTEN = "false";
+
+const dbReads = vi.hoisted(() => ({ categories: 0 }));
+
+vi.mock("@supabase/supabase-js", () => {
+  class Builder {
+    constructor(table) {
+      this.table = table;
+    }
+    select() {
+      return this;
+    }
+    eq() {
+      return this;
+    }
+    order() {
+      return this;
+    }
+    then(onFulfilled, onRejected) {
+      if (this.table === "categories") dbReads.categories += 1;
+      const data =
+        this.table === "categories"
+          ? [{ id: 1, name: "World", slug: "world", article_categories: [] }]
+          : [];
+      return Promise.resolve({ data, error: null }).then(
+        onFulfilled,
+        onRejected
+      );
+    }
+  }
+  return { createClient: () => ({ from: (t) => new Builder(t) }) };
+});
+
+vi.mock("../src/utils/textTranslate.mjs", () => ({
+  translateTextCached: vi.fn(async (text) => text),
+  translateFieldsCached: vi.fn(async (fields) => fields),
+  translateMetrics: {},
+}));
+
+import { app } from "../server.mjs";
+
+// Tiny read route: body changes per call so cache hits are visible
+function cachedApp(opts = {}) {
+  const app = express();
+  const cache = createResponseCache({
+    ttls: { item: 60000 },
+    ...opts,
+  });
+  let calls = 0;
+  app.get(
+    "/item/:id",
+    (req, _res, next) => {
+      req.lang = req.query.lang || "en";
+      next();
+    },
+    cache.cache("item"),
+    (req, res) => {
+      calls += 1;
+      res.setHeader("Content-Language", req.lang);
+      if (req.query.pending)
+        return res.json({ id: req.params.id, translation_status: "pending" });
+      if (req.query.missing) return res.status(404).json({ error: "nope" });
+      res.json({ id: req.params.id, calls });
+    }
+  );
+  return { app, cache, calls: () => calls };
+}
+
+describe("response cache helpers", () => {
+  it("builds keys, prefixes, TTLs and ETags", () => {
+    const req = {
+      params: { id: "c1" },
+      lang: "fr",
+      originalUrl: "/cluster/c1?z=1&lang=fr&a=2",
+    };
+    expect(responseCacheKey("cluster", req)).toBe("cluster:c1|fr|a=2&z=1");
+    expect(responseCacheKey("cluster", req)).toMatch(
+      responseCachePrefix("cluster", "c1", "fr")
+    );
+    expect(
+      parseTtls("cluster=30s, feed=off, categories=5m, bad=x")
+    ).toMatchObject({ cluster: 30000, feed: null, categories: 300000 });
+    expect(strongEtag("{}")).toMatch(/^"[\w-]+"$/);
+    expect(strongEtag("{}")).not.toBe(strongEtag("[]"));
+  });
+
+  it("invalidates a language together with its regional variants", async () => {
+    const store = createMemoryCacheStore();
+    for (const lang of ["de", "de-CH", "de-AT", "den", "fr"])
+      await store.set(`feed:|${lang}|`, lang, 60000);
+    let dropped = 0;
+    for (const prefix of responseCacheLangPrefixes("feed", "", "de-CH"))
+      dropped += await store.invalidate(prefix);
+    expect(dropped).toBe(3);
+    expect(await store.get("feed:|den|")).toBe("den");
+    expect(await store.get("feed:|fr|")).toBe("fr");
+  });
+
+  it("evicts least recently used memory entries", async () => {
+    const store = createMemoryCacheStore({ maxEntries: 2 });
+    await store.set("a", 1, 1000);
+    await store.set("b", 2, 1000);
+    await store.get("a");
+    await store.set("c", 3, 1000);
+    expect(await store.get("b")).toBeNull();
+    expect(await store.get("a")).toBe(1);
+    await store.set("d", 4, 1);
+    await new Promise((r) => setTimeout(r, 5));
+    expect(await store.get("d")).toBeNull();
+  });
+});
+
+describe("response cache middleware", () => {
+  it("serves hits with a strong ETag and answers If-None-Match with 304", async () => {
+    const { app, calls } = cachedApp();
+    const first = await step("When a resource is read", () =>
+      request(app).get("/item/1")
+    );
+    await step("Then it is computed and tagged", () => {
+      expect(first.status).toBe(200);
+      expect(first.headers["x-cache"]).toBe("MISS");
+      expect(first.headers.etag).toBe(strongEtag(first.text));
+      expect(first.headers["cache-control"]).toBe("public, no-cache");
+      expect(first.headers.vary).toMatch(/Accept-Language/);
+    });
+    const second = await step("When it is read again", () =>
+      request(app).get("/item/1")
+    );
+    await step("Then the cached body is replayed", () => {
+      expect(second.headers["x-cache"]).toBe("HIT");
+      expect(second.body).toEqual(first.body);
+      expect(second.headers["content-language"]).toBe("en");
+      expect(second.headers["content-type"]).toMatch(/application\/json/);
+      expect(calls()).toBe(1);
+    });
+    const revalidated = await step("When the client revalidates", () =>
+      request(app).get("/item/1").set("If-None-Match", first.headers.etag)
+    );
+    await step("Then nothing is sent", () => {
+      expect(revalidated.status).toBe(304);
+      expect(revalidated.text).toBe("");
+    });
+  });
+
+  it("keys entries by language and skips incomplete or failed responses", async () => {
+    const { app, calls } = cachedApp();
+    await request(app).get("/item/1?lang=en");
+    const fr = await request(app).get("/item/1?lang=fr");
+    expect(fr.headers["x-cache"]).toBe("MISS");
+    await request(app).get("/item/2?pending=1");
+    const pending = await request(app).get("/item/2?pending=1");
+    expect(pending.headers["x-cache"]).toBe("MISS");
+    expect(pending.headers.etag).toBeDefined();
+    await request(app).get("/item/3?missing=1").expect(404);
+    const missing = await request(app).get("/item/3?missing=1").expect(404);
+    expect(missing.headers["x-cache"]).toBeUndefined();
+    expect(calls()).toBe(6);
+  });
+
+  it("recomputes after invalidation and treats store errors as misses", async () => {
+    const { app, cache, calls } = cachedApp();
+    await request(app).get("/item/1?lang=fr");
+    await request(app).get("/item/10?lang=fr");
+    expect(await cache.invalidate(responseCachePrefix("item", "1"))).toBe(1);
+    expect((await request(app).get("/item/1?lang=fr")).body.calls).toBe(3);
+    expect(
+      (await request(app).get("/item/10?lang=fr")).headers["x-cache"]
+    ).toBe("HIT");
+    expect(cache.stats()).toMatchObject({ hits: 1, invalidations: 1 });
+
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const broken = cachedApp({
+      store: {
+        name: "broken",
+        get: async () => {
+          throw new Error("down");
+        },
+        set: async () => {},
+        invalidate: async () => 0,
+      },
+    });
+    await request(broken.app).get("/item/1").expect(200);
+    expect(broken.cache.stats()).toMatchObject({ misses: 1, errors: 1 });
+    vi.restoreAllMocks();
+  });
+
+  it("batches deferred invalidations of the same prefix", async () => {
+    const store = createMemoryCacheStore();
+    const invalidate = vi.spyOn(store, "invalidate");
+    const { app, cache } = cachedApp({ store, batchMs: 20 });
+    await request(app).get("/item/1?lang=de");
+    await request(app).get("/item/1?lang=de-CH");
+    const flushes = await step("When many writes invalidate a language", () =>
+      Promise.all(
+        Array.from({ length: 5 }, () =>
+          responseCacheLangPrefixes("item", "1", "de").map((p) =>
+            cache.invalidateSoon(p)
+          )
+        ).flat()
+      )
+    );
+    await step("Then each prefix is dropped once", () => {
+      expect(invalidate).toHaveBeenCalledTimes(2);
+      expect(flushes[0]).toEqual([1, 1]);
+      expect(cache.stats()).toMatchObject({ invalidations: 2 });
+    });
+  });
+});
+
+describe("redis cache store", () => {
+  it("stores entries with a TTL and invalidates by prefix", async () => {
+    // Tiny server answering GET, SET PX, SCAN MATCH and DEL
+    const data = new Map();
+    const ttls = new Map();
+    const server = net.createServer((sock) => {
+      let buf = Buffer.alloc(0);
+      sock.on("data", (chunk) => {
+        buf = Buffer.concat([buf, chunk]);
+        let r;
+        while ((r = parseReply(buf))) {
+          buf = buf.subarray(r[1]);
+          const [cmd, ...args] = r[0];
+          if (cmd === "GET") {
+            const v = data.get(args[0]);
+            sock.write(v == null ? "$-1\r\n" : `$${v.length}\r\n${v}\r\n`);
+          } else if (cmd === "SET") {
+            data.set(args[0], args[1]);
+            ttls.set(args[0], Number(args[3]));
+            sock.write("+OK\r\n");
+          } else if (cmd === "SCAN") {
+            const prefix = args[2].slice(0, -1).replace(/\\(.)/g, "$1");
+            const keys = [...data.keys()].filter((k) => k.startsWith(prefix));
+            sock.write(
+              `*2\r\n$1\r\n0\r\n*${keys.length}\r\n` +
+                keys.map((k) => `$${k.length}\r\n${k}\r\n`).join("")
+            );
+          } else if (cmd === "DEL") {
+            for (const k of args) data.delete(k);
+            sock.write(`:${args.length}\r\n`);
+          } else sock.write("-ERR unknown command\r\n");
+        }
+      });
+    });
+    await new Promise((r) => server.listen(0, "127.0.0.1", r));
+    const store = createRedisCacheStore(
+      `redis://127.0.0.1:${server.address().port}`
+    );
+    try {
+      await store.set("cluster:c*1|fr|", { body: "{}", etag: '"x"' }, 5000);
+      await store.set("cluster:c*1|en|", { body: "[]", etag: '"y"' }, 5000);
+      await store.set("cluster:c2|fr|", { body: "{}", etag: '"z"' }, 5000);
+      expect(await store.get("cluster:c*1|fr|")).toEqual({
+        body: "{}",
+        etag: '"x"',
+      });
+      expect(ttls.get("rc:cluster:c*1|fr|")).toBe(5000);
+      expect(await store.invalidate("cluster:c*1|")).toBe(2);
+      expect(await store.get("cluster:c*1|en|")).toBeNull();
+      expect(data.has("rc:cluster:c2|fr|")).toBe(true);
+    } finally {
+      store.close();
+      await new Promise((r) => server.close(r));
+    }
+  });
+});
+
+describe("GET /v1/categories/navigation", () => {
+  it("caches per language and revalidates with the ETag", async () => {
+    const before = dbReads.categories;
+    const first = await step("When navigation is loaded in French", () =>
+      request(app).get("/v1/categories/navigation?lang=fr")
+    );
+    await step("Then a later read is served from the cache", async () => {
+      expect(first.status).toBe(200);
+      expect(first.body.language).toBe("fr");
+      const again = await request(app)
+        .get("/v1/categories/navigation?lang=fr")
+        .set("If-None-Match", first.headers.etag);
+      expect(again.status).toBe(304);
+      expect(dbReads.categories).toBe(before + 1);
+    });
+    const en = await request(app).get("/v1/categories/navigation?lang=en");
+    expect(en.body.language).toBe("en");
+    expect(en.headers["x-cache"]).toBe("MISS");
+    const metrics = await request(app).get("/metrics");
+    expect(metrics.body.response_cache).toMatchObject({
+      store: "memory",
+      hits: 1,
+    });
+  });
+});
@@ -102,17 +102,20 @@ describe("textTranslate.mjs (Gemini)", () => {
     expect(out.length).toBe(globalThis.__gemini_calls); // each chunk returns 'X'
   });
 
-  it("returns fallback marker on timeout after retries", async () => {
+  it("fails without caching on timeout after retries", async () => {
     const never = () => new Promise(() => {}); // never resolves
     const { translateTextCached } = await loadTranslatorWithMock({
       env: { MT_TIMEOUT_MS: "50", MT_RETRIES: "0", BFF_TRANSLATION_TAG: "on" },
       mockImpl: async () => never(),
     });
     const src = "Hello";
-    const out = await translateTextCached(src, {
-      srcLang: "en",
-      dstLang: "de-CH",
+    const opts = { srcLang: "en", dstLang: "de-CH" };
+    await expect(translateTextCached(src, opts)).rejects.toMatchObject({
+      code: "translation_unavailable",
+    });
+    // Nothing was cached: the next call tries the provider again
+    await expect(translateTextCached(src, opts)).rejects.toMatchObject({
+      code: "translation_unavailable",
     });
-    expect(out).toBe(src + " [translated]");
   });
 });
@@ -0,0 +1,128 @@
+import { describe, it, expect, afterEach } from "vitest";
+import express from "express";
+import request from "supertest";
+import {
+  parseTraceparent,
+  withSpan,
+  traceMiddleware,
+  fetchWithTraceContext,
+  setSpanExporter,
+  flushSpans,
+} from "../src/utils/tracing.mjs";
+
+const spansOf = (payloads) =>
+  payloads.flatMap((p) => p.resourceSpans[0].scopeSpans[0].spans);
+
+afterEach(() => setSpanExporter(null));
+
+describe("tracing", () => {
+  it("parses W3C traceparent headers", () => {
+    expect(
+      parseTraceparent(
+        "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01"
+      )
+    ).toEqual({
+      traceId: "4bf92f3577b34da6a3ce929d0e0e4736",
+      spanId: "00f067aa0ba902b7",
+      sampled: true,
+    });
+    expect(
+      parseTraceparent("00-" + "0".repeat(32) + "-00f067aa0ba902b7-01")
+    ).toBe(null);
+    expect(parseTraceparent("garbage")).toBe(null);
+  });
+
+  it("nests spans and exports them as OTLP JSON", async () => {
+    const payloads = [];
+    setSpanExporter(async (p) => payloads.push(p));
+    await expect(
+      withSpan("outer", async () => {
+        await withSpan("inner", async (span) => {
+          span.setAttribute("rows", 3);
+        });
+        throw new Error("boom");
+      })
+    ).rejects.toThrow("boom");
+    await flushSpans();
+
+    const [inner, outer] = spansOf(payloads);
+    expect(payloads[0].resourceSpans[0].resource.attributes[0]).toEqual({
+      key: "service.name",
+      value: { stringValue: "insight-bff" },
+    });
+    expect(inner).toMatchObject({ name: "inner", parentSpanId: outer.spanId });
+    expect(inner.traceId).toBe(outer.traceId);
+    expect(inner.attributes).toContainEqual({
+      key: "rows",
+      value: { intValue: "3" },
+    });
+    expect(outer.status).toEqual({ code: 2, message: "boom" });
+    expect(outer.events[0].name).toBe("exception");
+    expect(BigInt(outer.endTimeUnixNano)).toBeGreaterThanOrEqual(
+      BigInt(outer.startTimeUnixNano)
+    );
+  });
+
+  it("continues incoming traces and writes Server-Timing", async () => {
+    const payloads = [];
+    setSpanExporter(async (p) => payloads.push(p));
+    const upstream = [];
+    const traced = fetchWithTraceContext(async (_url, init) => {
+      upstream.push(new Headers(init.headers).get("traceparent"));
+      return new Response("{}");
+    });
+    const app = express();
+    app.use(traceMiddleware);
+    app.get("/items/:id", async (_req, res) => {
+      await withSpan("load", () => traced("http://db.local/items"), {
+        phase: "db",
+      });
+      await withSpan(
+        "nested",
+        () =>
+          withSpan("again", async () => {}, {
+            phase: "db",
+          }),
+        { phase: "db" }
+      );
+      res.json({ ok: true });
+    });
+
+    const parent = "4bf92f3577b34da6a3ce929d0e0e4736";
+    const res = await request(app)
+      .get("/items/7")
+      .set("traceparent", `00-${parent}-00f067aa0ba902b7-01`);
+    expect(res.headers["server-timing"]).toMatch(
+      /^db;dur=\d+(\.\d)?, total;dur=\d+(\.\d)?$/
+    );
+    expect(upstream[0]).toMatch(new RegExp(`^00-${parent}-[0-9a-f]{16}-01$`));
+
+    await flushSpans();
+    const spans = spansOf(payloads);
+    const server = spans.find((s) => s.kind === 2);
+    expect(server).toMatchObject({
+      name: "GET /items/:id",
+      traceId: parent,
+      parentSpanId: "00f067aa0ba902b7",
+    });
+    expect(spans.find((s) => s.name === "load").parentSpanId).toBe(
+      server.spanId
+    );
+  });
+
+  it("does not export spans of unsampled traces", async () => {
+    const payloads = [];
+    setSpanExporter(async (p) => payloads.push(p));
+    const app = express();
+    app.use(traceMiddleware);
+    app.get("/x", (_req, res) => res.sendStatus(204));
+    await request(app)
+      .get("/x")
+      .set(
+        "traceparent",
+        "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-00"
+      );
+    await flushSpans();
+    expect(payloads).toHaveLength(0);
+  });
+});
@@ -5,9 +5,10 @@ import {
 } from "../src/utils/textTranslate.mjs";
 import { step } from "./testStep.mjs";
 
-// Ensure no provider is used so we only exercise cache paths
+// Deterministic offline provider so we only exercise cache paths
 process.env.LLM_API_KEY = process.env.LLM_API_KEY || "";
 process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || "";
+process.env.MT_PROVIDERS = "test";
 process.env.BFF_TRANSLATION_TAG = "off";
 
 describe("translateMetrics counters", () => {